@@ -0,0 +1,169 @@
+/**
+ * Pairwise comparison ranking
+ * Two images are shown side by side and the preferred one wins. Each choice
+ * updates an Elo rating per image (kept apart from `ranking`) and is stored
+ * in the comparison history; ratings are mapped onto `ranking` on demand.
+ */
+
+const { GalleryStore, GalleryStoreError } = require('./gallery_store');
+
+// Rating of an image that has never been compared
+const DEFAULT_RATING = 1500;
+
+// Rating change per comparison; new images move faster until they settle
+const K_FACTOR = 24;
+const PROVISIONAL_K_FACTOR = 48;
+const PROVISIONAL_COMPARISONS = 10;
+
+// Opponents considered for the least compared image; the closest rating wins
+const OPPONENT_SAMPLE_SIZE = 12;
+
+/**
+ * Probability that an image rated `rating` beats one rated `opponentRating`
+ */
+function expectedScore(rating, opponentRating) {
+    return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * New { rating, comparisons } for both sides of a comparison
+ */
+function updateRatings(winner, loser) {
+    const kFactor = entry => (entry.comparisons < PROVISIONAL_COMPARISONS ? PROVISIONAL_K_FACTOR : K_FACTOR);
+    const expected = expectedScore(winner.rating, loser.rating);
+
+    return {
+        winner: { rating: winner.rating + kFactor(winner) * (1 - expected), comparisons: winner.comparisons + 1 },
+        loser: { rating: loser.rating - kFactor(loser) * (1 - expected), comparisons: loser.comparisons + 1 }
+    };
+}
+
+/**
+ * Rating entry of an image, with the default for images never compared
+ */
+function getRating(ratings, imageId) {
+    return ratings[String(imageId)] || { rating: DEFAULT_RATING, comparisons: 0 };
+}
+
+/**
+ * Images that can be compared: majors and standalone images with media
+ * (subsidiaries take their ranking from the major)
+ */
+function getComparisonCandidates(store) {
+    return store.listImages().filter(img => img.isMajor !== false && img.src);
+}
+
+/**
+ * Pick two images to compare: one of the least compared images, against the
+ * closest rated of a few random others. The sides are shuffled.
+ */
+function pickComparisonPair(store, random = Math.random) {
+    const candidates = getComparisonCandidates(store);
+    if (candidates.length < 2) {
+        throw new GalleryStoreError('Comparing needs at least two images with media', 'VALIDATION');
+    }
+
+    const ratings = store.getRatings();
+    const fewest = Math.min(...candidates.map(img => getRating(ratings, img.id).comparisons));
+    const pool = candidates.filter(img => getRating(ratings, img.id).comparisons === fewest);
+    const first = pool[Math.floor(random() * pool.length)];
+    const firstRating = getRating(ratings, first.id).rating;
+
+    const others = candidates.filter(img => img !== first);
+    const sample = [];
+    while (sample.length < Math.min(OPPONENT_SAMPLE_SIZE, others.length)) {
+        sample.push(others.splice(Math.floor(random() * others.length), 1)[0]);
+    }
+    const opponent = sample.reduce((best, img) => (
+        Math.abs(getRating(ratings, img.id).rating - firstRating) < Math.abs(getRating(ratings, best.id).rating - firstRating) ? img : best
+    ));
+
+    const pair = [first, opponent].map(img => ({ image: img, ...getRating(ratings, img.id) }));
+    return random() < 0.5 ? pair : pair.reverse();
+}
+
+/**
+ * Record that `winnerId` was preferred over `loserId` and return the new ratings
+ */
+async function recordComparison(store, winnerId, loserId) {
+    if (GalleryStore.sameId(winnerId, loserId)) {
+        throw new GalleryStoreError('An image cannot be compared with itself', 'VALIDATION');
+    }
+    const winnerImage = store.getImage(winnerId);
+    const loserImage = store.getImage(loserId);
+
+    const ratings = store.getRatings();
+    const updated = updateRatings(getRating(ratings, winnerImage.id), getRating(ratings, loserImage.id));
+    const comparison = {
+        winnerId: winnerImage.id,
+        loserId: loserImage.id,
+        winnerRating: updated.winner.rating,
+        loserRating: updated.loser.rating,
+        createdAt: new Date().toISOString()
+    };
+
+    await store.saveComparison(comparison, updated.winner, updated.loser);
+    return { comparison, winner: updated.winner, loser: updated.loser };
+}
+
+/**
+ * Rated images, best first: [{ imageId, title, rating, comparisons }]
+ */
+function listRatings(store) {
+    const ratings = store.getRatings();
+    return store.listImages()
+        .filter(img => ratings[String(img.id)])
+        .map(img => ({ imageId: img.id, title: img.title, ...ratings[String(img.id)] }))
+        .sort((a, b) => b.rating - a.rating);
+}
+
+/**
+ * Write ratings onto `ranking` (0 to `max`, two decimals) for images with at
+ * least `minComparisons` comparisons. `percentile` spreads the images evenly
+ * over the scale by rating order; `linear` scales the ratings between the
+ * lowest and highest. Returns the number of images updated.
+ */
+async function applyRatingsToRankings(store, options = {}) {
+    const method = options.method || 'percentile';
+    if (!['percentile', 'linear'].includes(method)) {
+        throw new GalleryStoreError(`Invalid method: ${method} (expected percentile or linear)`, 'VALIDATION');
+    }
+    const minComparisons = options.minComparisons === undefined ? 1 : Number(options.minComparisons);
+    const max = options.max === undefined ? 10 : Number(options.max);
+    if (!Number.isInteger(minComparisons) || minComparisons < 1) {
+        throw new GalleryStoreError(`Invalid minComparisons: ${options.minComparisons}`, 'VALIDATION');
+    }
+    if (!Number.isFinite(max) || max <= 0) {
+        throw new GalleryStoreError(`Invalid max: ${options.max}`, 'VALIDATION');
+    }
+
+    const rated = listRatings(store).filter(entry => entry.comparisons >= minComparisons).reverse();
+    if (rated.length === 0) {
+        return 0;
+    }
+
+    const lowest = rated[0].rating;
+    const highest = rated[rated.length - 1].rating;
+    const scale = (entry, index) => {
+        if (method === 'linear') {
+            return highest === lowest ? max / 2 : (entry.rating - lowest) / (highest - lowest) * max;
+        }
+        return rated.length === 1 ? max / 2 : index / (rated.length - 1) * max;
+    };
+
+    await store.updateRankings(rated.map((entry, index) => ({
+        id: entry.imageId,
+        ranking: Math.round(scale(entry, index) * 100) / 100
+    })));
+    return rated.length;
+}
+
+module.exports = {
+    DEFAULT_RATING,
+    expectedScore,
+    updateRatings,
+    pickComparisonPair,
+    recordComparison,
+    listRatings,
+    applyRatingsToRankings
+};
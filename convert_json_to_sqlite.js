@@ -1,6 +1,9 @@
 const fs = require('fs');
 const path = require('path');
 const initSqlJs = require('sql.js');
+const { runMigrations } = require('./migrations');
+const { rebuildSearchIndex } = require('./search_index');
+const { MEDIA_METADATA_FIELDS, toColumnName } = require('./media_metadata');
 
 /**
  * Convert JSON image data to SQLite database using sql.js
@@ -137,7 +140,14 @@ class JsonToSqliteConverter {
             isMajor = false,
             groupId = null,
             majorImageId = null,
-            date = null
+            date = null,
+            pixelWidth = null,
+            pixelHeight = null,
+            fileSize = null,
+            mimeType = null,
+            contentHash = null,
+            perceptualHash = null,
+            updatedAt = null
         } = imageData;
 
         const is_major = isMajor ? 1 : 0;
@@ -146,13 +156,15 @@ class JsonToSqliteConverter {
         const stmt = this.db.prepare(`
             INSERT OR REPLACE INTO images (
                 id, title, description, src, ranking, width, height,
-                is_major, group_id, major_image_id, date_added
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                is_major, group_id, major_image_id, date_added,
+                pixel_width, pixel_height, file_size, mime_type, content_hash, perceptual_hash, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `);
 
         stmt.run([
             id, title, description, src, ranking, width, height,
-            is_major, groupId, majorImageId, date_added
+            is_major, groupId, majorImageId, date_added,
+            pixelWidth, pixelHeight, fileSize, mimeType, contentHash, perceptualHash, updatedAt || date_added
         ]);
 
         stmt.free();
@@ -190,6 +202,19 @@ class JsonToSqliteConverter {
         }
     }
 
+    /**
+     * Insert camera/video metadata of an image into image_metadata
+     */
+    insertMediaMetadata(imageId, mediaMetadata) {
+        const fields = Object.keys(MEDIA_METADATA_FIELDS);
+        const stmt = this.db.prepare(`
+            INSERT OR REPLACE INTO image_metadata (image_pk_id, ${fields.map(toColumnName).join(', ')})
+            SELECT pk_id, ${fields.map(() => '?').join(', ')} FROM images WHERE id = ?
+        `);
+        stmt.run([...fields.map(field => mediaMetadata[field] ?? null), imageId]);
+        stmt.free();
+    }
+
     /**
      * Insert metadata
      */
@@ -231,6 +256,9 @@ class JsonToSqliteConverter {
             console.log('Creating database schema...');
             this.createSchema();
 
+            // Stamp the schema version and apply any newer migrations
+            runMigrations(this.db);
+
             // Process images
             const images = jsonData.images || [];
             console.log(`Processing ${images.length} images...`);
@@ -243,6 +271,10 @@ class JsonToSqliteConverter {
                         this.insertImageTags(imageId, image.tags);
                     }
 
+                    if (image.mediaMetadata) {
+                        this.insertMediaMetadata(imageId, image.mediaMetadata);
+                    }
+
                     console.log(`Processed image ${imageId}: ${image.title || 'Untitled'}`);
                 } catch (error) {
                     console.error(`Error processing image:`, image, error);
@@ -263,6 +295,9 @@ class JsonToSqliteConverter {
                 'db_version': '1.0'
             });
 
+            // Index the inserted images for full-text search
+            rebuildSearchIndex(this.db);
+
             // Write database to file
             const data = this.db.export();
             const buffer = Buffer.from(data);
@@ -1,17 +1,117 @@
 const fs = require('fs');
 const path = require('path');
 const initSqlJs = require('sql.js');
+const { writeWithBackup, createBackup } = require('./safe_write');
+const { runMigrations } = require('./migrations');
+const { paginate, seededRandom } = require('./gallery_query');
+const searchIndex = require('./search_index');
+const TagQuery = require('./tag_query');
+const { MEDIA_METADATA_FIELDS, toColumnName } = require('./media_metadata');
+const { REVISION_LIMIT } = require('./revisions');
 
 /**
  * Database module for handling SQLite database operations
  * Supports loading data from .db files and converting to JSON format
  */
 
+// ORDER BY clauses for gallery_query.js sort options (ties keep pk_id order)
+const SQL_SORT_ORDER = {
+    'ranking-desc': 'q.sort_ranking DESC',
+    'ranking-asc': 'q.sort_ranking ASC',
+    'name-asc': "COALESCE(q.title, '') COLLATE NOCASE ASC",
+    'name-desc': "COALESCE(q.title, '') COLLATE NOCASE DESC",
+    'date-asc': 'q.sort_date ASC',
+    'date-desc': 'q.sort_date DESC',
+    'captured-asc': 'q.sort_captured IS NULL, q.sort_captured ASC',
+    'captured-desc': 'q.sort_captured IS NULL, q.sort_captured DESC',
+    'area-asc': 'q.sort_area IS NULL, q.sort_area ASC',
+    'area-desc': 'q.sort_area IS NULL, q.sort_area DESC',
+    'aspect-asc': 'q.sort_aspect IS NULL, q.sort_aspect ASC',
+    'aspect-desc': 'q.sort_aspect IS NULL, q.sort_aspect DESC',
+    'size-asc': 'q.sort_size IS NULL, q.sort_size ASC',
+    'size-desc': 'q.sort_size IS NULL, q.sort_size DESC',
+    'modified-asc': 'q.sort_modified IS NULL, q.sort_modified ASC',
+    'modified-desc': 'q.sort_modified IS NULL, q.sort_modified DESC',
+    // Seeded shuffle; the seed is bound in queryImages()
+    'random': 'CASE WHEN q.sort_owner_id IS NULL THEN 1 ELSE gallery_seeded_random(?, q.sort_owner_id) END',
+    // Manual album order; the album ID is bound in queryImages()
+    'album': 'COALESCE((SELECT ai.position FROM album_images ai WHERE ai.album_id = ? AND ai.image_pk_id = q.pk_id), 1e18)'
+};
+
+// image_metadata columns for each mediaMetadata field
+const MEDIA_METADATA_COLUMNS = Object.keys(MEDIA_METADATA_FIELDS).map(field => ({ field, column: toColumnName(field) }));
+
+// Tags no image (live or trashed) uses and that have no place in the hierarchy
+const ORPHAN_TAG_CONDITION = `
+    tags.id NOT IN (SELECT tag_id FROM image_tags)
+    AND tags.id NOT IN (SELECT tag_id FROM tag_parents)
+    AND tags.id NOT IN (SELECT parent_id FROM tag_parents)
+`;
+
+// Tags a gallery lists: used, in the hierarchy, or kept for their color or description,
+// the same rule as JSON galleries. Other rows are left behind by retagged images
+const LISTED_TAG_CONDITION = `
+    NOT (${ORPHAN_TAG_CONDITION})
+    OR tags.color IS NOT NULL
+    OR tags.description IS NOT NULL
+`;
+
+/**
+ * Build a mediaMetadata object from an image_metadata row; null when no row or no values
+ */
+function mapMediaMetadataRow(row) {
+    if (!row) {
+        return null;
+    }
+    const metadata = {};
+    MEDIA_METADATA_COLUMNS.forEach(({ field, column }) => {
+        if (row[column] !== null && row[column] !== undefined) {
+            metadata[field] = row[column];
+        }
+    });
+    return Object.keys(metadata).length ? metadata : null;
+}
+
+/**
+ * SQL testing whether q.tag_owner_pk carries one of the tag IDs
+ */
+function tagIdsToSql(tagIds, params) {
+    if (tagIds.length === 0) {
+        return '0';
+    }
+    params.push(...tagIds);
+    return `EXISTS (
+        SELECT 1 FROM image_tags it
+        WHERE it.image_pk_id = q.tag_owner_pk AND it.tag_id IN (${tagIds.map(() => '?').join(', ')})
+    )`;
+}
+
+/**
+ * Compile a TagQuery AST into SQL testing the tags of q.tag_owner_pk
+ * `resolveTagIds(name, wildcard)` returns the IDs a term matches, descendants
+ * included, so each term is looked up once rather than per image.
+ */
+function tagQueryToSql(node, params, resolveTagIds) {
+    switch (node.type) {
+        case 'tag':
+            return tagIdsToSql(resolveTagIds(node.name, node.wildcard), params);
+        case 'and':
+            return `(${node.children.map(child => tagQueryToSql(child, params, resolveTagIds)).join(' AND ')})`;
+        case 'or':
+            return `(${node.children.map(child => tagQueryToSql(child, params, resolveTagIds)).join(' OR ')})`;
+        case 'not':
+            return `NOT ${tagQueryToSql(node.child, params, resolveTagIds)}`;
+        default:
+            throw new Error(`Unknown tag query node: ${node.type}`);
+    }
+}
+
 class DatabaseManager {
     constructor() {
         this.SQL = null;
         this.db = null;
         this.dbFilePath = null;
+        this.lastMigration = null;
     }
 
     /**
@@ -27,8 +127,9 @@ class DatabaseManager {
 
     /**
      * Load database from file
+     * Pending schema migrations are applied unless options.migrate is false
      */
-    async loadDatabase(dbFilePath) {
+    async loadDatabase(dbFilePath, options = {}) {
         try {
             await this.initialize();
 
@@ -43,6 +144,13 @@ class DatabaseManager {
             // Enable foreign keys
             this.db.run('PRAGMA foreign_keys = ON');
 
+            // Same shuffle as the in-memory random sort, see gallery_query.js
+            this.db.create_function('gallery_seeded_random', seededRandom);
+
+            if (options.migrate !== false && this.hasRequiredTables()) {
+                this.lastMigration = this.migrate({ dryRun: options.dryRun });
+            }
+
             return true;
         } catch (error) {
             console.error('Error loading database:', error);
@@ -50,6 +158,39 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Bring the schema up to date
+     * Backs up the file before the first change and saves it afterwards;
+     * with dryRun only reports which migrations would run
+     */
+    migrate(options = {}) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const plan = runMigrations(this.db, { dryRun: true });
+        if (plan.pending.length === 0 || options.dryRun) {
+            if (options.dryRun && plan.pending.length > 0) {
+                console.log(`🧪 Dry run: ${plan.pending.length} migration(s) pending for ${this.dbFilePath}:`,
+                    plan.pending.map(m => `${m.version} ${m.name}`).join(', '));
+            }
+            return plan;
+        }
+
+        if (this.dbFilePath && options.backup !== false) {
+            createBackup(this.dbFilePath, { force: true });
+        }
+
+        const result = runMigrations(this.db);
+        console.log(`🧱 Migrated ${this.dbFilePath || 'database'} from schema v${result.fromVersion} to v${result.toVersion}`);
+
+        if (this.dbFilePath && options.save !== false) {
+            this.save({ backup: false });
+        }
+
+        return result;
+    }
+
     /**
      * Get all images with their tags
      */
@@ -72,8 +213,17 @@ class DatabaseManager {
                     i.is_major,
                     i.group_id,
                     i.major_image_id,
-                    i.date_added
+                    i.date_added,
+                    i.pixel_width,
+                    i.pixel_height,
+                    i.file_size,
+                    i.mime_type,
+                    i.content_hash,
+                    i.perceptual_hash,
+                    i.updated_at,
+                    i.group_position
                 FROM images i
+                WHERE i.deleted_at IS NULL
                 ORDER BY i.pk_id
             `;
 
@@ -97,7 +247,7 @@ class DatabaseManager {
                         value = value === 1;
                     } else if (col === 'ranking' && value !== null) {
                         value = parseFloat(value);
-                    } else if (col === 'pk_id' || col === 'major_image_id') {
+                    } else if (col === 'pk_id') {
                         value = value !== null ? parseInt(value) : null;
                     }
 
@@ -119,62 +269,1163 @@ class DatabaseManager {
                 ORDER BY i.pk_id, t.name
             `;
 
-            const tagsResult = this.db.exec(tagsQuery);
-            const imageTags = {};
+            const tagsResult = this.db.exec(tagsQuery);
+            const imageTags = {};
+
+            if (tagsResult && tagsResult.length > 0) {
+                tagsResult[0].values.forEach(row => {
+                    const imageId = row[0];
+                    const tagName = row[1];
+
+                    if (!imageTags[imageId]) {
+                        imageTags[imageId] = [];
+                    }
+                    imageTags[imageId].push(tagName);
+                });
+            }
+
+            // Add tags to images
+            images.forEach(image => {
+                image.tags = imageTags[image.id] || [];
+            });
+
+            // Add camera/video metadata
+            const metadataByImageId = {};
+            const metadataStmt = this.db.prepare(`
+                SELECT i.id AS image_id, m.*
+                FROM image_metadata m
+                JOIN images i ON i.pk_id = m.image_pk_id
+            `);
+            while (metadataStmt.step()) {
+                const row = metadataStmt.getAsObject();
+                metadataByImageId[row.image_id] = mapMediaMetadataRow(row);
+            }
+            metadataStmt.free();
+
+            images.forEach(image => {
+                image.mediaMetadata = metadataByImageId[image.id] || null;
+            });
+
+            // Get metadata
+            const metadata = this.getMetadata();
+
+            return {
+                images,
+                metadata: {
+                    ...metadata,
+                    version: metadata.version || '1.0',
+                    lastUpdated: metadata.lastUpdated || new Date().toISOString(),
+                    totalImages: images.length,
+                    availableTags: this.getAvailableTags(images)
+                }
+            };
+
+        } catch (error) {
+            console.error('Error getting all images:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get key/value pairs from the metadata table
+     */
+    getMetadata() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const metadataResult = this.db.exec('SELECT key, value FROM metadata');
+        const metadata = {};
+
+        if (metadataResult && metadataResult.length > 0) {
+            metadataResult[0].values.forEach(row => {
+                const key = row[0];
+                let value = row[1];
+
+                // Try to parse JSON values
+                try {
+                    value = JSON.parse(value);
+                } catch (e) {
+                    // Keep as string if not valid JSON
+                }
+
+                metadata[key] = value;
+            });
+        }
+
+        return metadata;
+    }
+
+    /**
+     * Get a single image with its tags, or null if it does not exist
+     */
+    getImageById(imageId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const stmt = this.db.prepare(`
+            SELECT
+                i.pk_id,
+                i.id,
+                i.title,
+                i.description,
+                i.src,
+                i.ranking,
+                i.width,
+                i.height,
+                i.is_major,
+                i.group_id,
+                i.major_image_id,
+                i.date_added,
+                i.pixel_width,
+                i.pixel_height,
+                i.file_size,
+                i.mime_type,
+                i.content_hash,
+                i.perceptual_hash,
+                i.updated_at,
+                i.group_position
+            FROM images i
+            WHERE i.id = ? AND i.deleted_at IS NULL
+        `);
+        stmt.bind([imageId]);
+
+        let row = null;
+        if (stmt.step()) {
+            row = stmt.getAsObject();
+        }
+        stmt.free();
+
+        if (!row) {
+            return null;
+        }
+
+        const tags = [];
+        const tagStmt = this.db.prepare(`
+            SELECT t.name
+            FROM image_tags it
+            JOIN tags t ON it.tag_id = t.id
+            WHERE it.image_pk_id = ?
+            ORDER BY t.name
+        `);
+        tagStmt.bind([row.pk_id]);
+        while (tagStmt.step()) {
+            tags.push(tagStmt.getAsObject().name);
+        }
+        tagStmt.free();
+
+        return this.mapImageRow(row, tags, this.getMediaMetadataForImages([row.pk_id])[row.pk_id]);
+    }
+
+    /**
+     * Get tags in use with the number of images carrying each
+     */
+    getTagCounts() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec(`
+            SELECT t.name, COUNT(it.image_pk_id) as count
+            FROM tags t
+            JOIN image_tags it ON it.tag_id = t.id
+            JOIN images i ON i.pk_id = it.image_pk_id AND i.deleted_at IS NULL
+            GROUP BY t.id
+            ORDER BY t.name
+        `);
+
+        if (!result || result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => ({ name: row[0], count: row[1] }));
+    }
+
+    /**
+     * Get every listed tag with its image count, color and description
+     * Unused tags kept for their color, description or hierarchy have a count of 0
+     */
+    getTagDetails() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec(`
+            SELECT tags.name, COUNT(i.pk_id) AS count, tags.color, tags.description
+            FROM tags
+            LEFT JOIN image_tags it ON it.tag_id = tags.id
+            LEFT JOIN images i ON i.pk_id = it.image_pk_id AND i.deleted_at IS NULL
+            WHERE ${LISTED_TAG_CONDITION}
+            GROUP BY tags.id
+            ORDER BY tags.name
+        `);
+
+        if (!result || result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => ({ name: row[0], count: row[1], color: row[2], description: row[3] }));
+    }
+
+    /**
+     * Get the row ID of a tag by name, or null
+     */
+    getTagId(tagName) {
+        const stmt = this.db.prepare('SELECT id FROM tags WHERE name = ?');
+        stmt.bind([tagName]);
+        const tagId = stmt.step() ? stmt.getAsObject().id : null;
+        stmt.free();
+        return tagId;
+    }
+
+    /**
+     * Get the pk_ids of images carrying any of the tags
+     */
+    getImagePkIdsWithTags(tagIds) {
+        const result = this.db.exec(
+            `SELECT DISTINCT image_pk_id FROM image_tags WHERE tag_id IN (${tagIds.map(() => '?').join(', ')})`,
+            tagIds
+        );
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Get the IDs of images, trashed ones included, carrying any of the tags or their descendants
+     */
+    getImageIdsWithTags(tagNames) {
+        const tagIds = [...new Set(tagNames.flatMap(name => this.getMatchingTagIds(name, false)))];
+        if (tagIds.length === 0) {
+            return [];
+        }
+        const result = this.db.exec(`
+            SELECT DISTINCT i.id
+            FROM images i
+            JOIN image_tags it ON it.image_pk_id = i.pk_id
+            WHERE it.tag_id IN (${tagIds.map(() => '?').join(', ')})
+        `, tagIds);
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Rename a tag and/or set its color, description and parents in one transaction
+     * `changes` may hold name, color, description and parents ([{ name, implies }],
+     * replacing the current ones); omitted fields are kept
+     */
+    updateTag(tagName, changes) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const tagId = this.getTagId(tagName);
+            if (!tagId) {
+                throw new Error(`Tag not found: ${tagName}`);
+            }
+
+            if (changes.name !== undefined && changes.name !== tagName) {
+                // An unlisted row may still hold the new name
+                this.db.run(`DELETE FROM tags WHERE name = ? AND ${ORPHAN_TAG_CONDITION}`, [changes.name]);
+                this.db.run('UPDATE tags SET name = ? WHERE id = ?', [changes.name, tagId]);
+                this.getImagePkIdsWithTags([tagId]).forEach(pkId => searchIndex.indexImage(this.db, pkId));
+            }
+            if (changes.color !== undefined) {
+                this.db.run('UPDATE tags SET color = ? WHERE id = ?', [changes.color, tagId]);
+            }
+            if (changes.description !== undefined) {
+                this.db.run('UPDATE tags SET description = ? WHERE id = ?', [changes.description, tagId]);
+            }
+            if (changes.parents !== undefined) {
+                this.db.run('DELETE FROM tag_parents WHERE tag_id = ?', [tagId]);
+                changes.parents.forEach(parent => {
+                    this.db.run('INSERT INTO tag_parents (tag_id, parent_id, implies) VALUES (?, ?, ?)',
+                        [tagId, this.getOrCreateTag(parent.name), parent.implies ? 1 : 0]);
+                });
+                this.applyImpliedTags();
+            }
+
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to update tag: ${error.message}`);
+        }
+    }
+
+    /**
+     * Remove a tag from every image and delete it
+     * Returns the number of images that carried the tag
+     */
+    deleteTag(tagName) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const tagId = this.getTagId(tagName);
+            if (!tagId) {
+                throw new Error(`Tag not found: ${tagName}`);
+            }
+
+            const pkIds = this.getImagePkIdsWithTags([tagId]);
+            this.db.run('DELETE FROM image_tags WHERE tag_id = ?', [tagId]);
+            this.db.run('DELETE FROM tag_parents WHERE tag_id = ? OR parent_id = ?', [tagId, tagId]);
+            this.db.run('DELETE FROM tags WHERE id = ?', [tagId]);
+            pkIds.forEach(pkId => searchIndex.indexImage(this.db, pkId));
+
+            this.db.run('COMMIT');
+            return pkIds.length;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to delete tag: ${error.message}`);
+        }
+    }
+
+    /**
+     * Replace source tags with a target tag on every image and delete the sources
+     * A new target takes the color and description of the first source that has them.
+     * Returns the number of images that carried a source tag
+     */
+    mergeTags(sourceNames, targetName) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const sourceIds = sourceNames.map(name => {
+                const tagId = this.getTagId(name);
+                if (!tagId) {
+                    throw new Error(`Tag not found: ${name}`);
+                }
+                return tagId;
+            });
+
+            const isNewTarget = !this.getTagId(targetName);
+            const targetId = this.getOrCreateTag(targetName);
+            if (isNewTarget) {
+                const details = this.db.exec(
+                    `SELECT id, color, description FROM tags WHERE id IN (${sourceIds.map(() => '?').join(', ')})`,
+                    sourceIds
+                );
+                const byId = new Map((details.length ? details[0].values : []).map(row => [row[0], row]));
+                const ordered = sourceIds.map(id => byId.get(id));
+                const color = ordered.find(row => row[1]);
+                const description = ordered.find(row => row[2]);
+                this.db.run('UPDATE tags SET color = ?, description = ? WHERE id = ?',
+                    [color ? color[1] : null, description ? description[2] : null, targetId]);
+            }
+
+            const pkIds = this.getImagePkIdsWithTags(sourceIds);
+            const placeholders = sourceIds.map(() => '?').join(', ');
+            this.db.run(`
+                INSERT OR IGNORE INTO image_tags (image_pk_id, tag_id)
+                SELECT DISTINCT image_pk_id, ? FROM image_tags WHERE tag_id IN (${placeholders})
+            `, [targetId, ...sourceIds]);
+            this.db.run(`DELETE FROM image_tags WHERE tag_id IN (${placeholders})`, sourceIds);
+
+            // The target takes over the sources' place in the hierarchy
+            ['tag_id', 'parent_id'].forEach(column => {
+                this.db.run(`UPDATE OR IGNORE tag_parents SET ${column} = ? WHERE ${column} IN (${placeholders})`, [targetId, ...sourceIds]);
+            });
+            this.db.run(`DELETE FROM tag_parents WHERE tag_id IN (${placeholders}) OR parent_id IN (${placeholders})`, [...sourceIds, ...sourceIds]);
+            this.db.run('DELETE FROM tag_parents WHERE tag_id = parent_id');
+            this.db.run(`DELETE FROM tags WHERE id IN (${placeholders})`, sourceIds);
+            const implied = this.applyImpliedTags();
+            pkIds.filter(pkId => !implied.includes(pkId)).forEach(pkId => searchIndex.indexImage(this.db, pkId));
+
+            this.db.run('COMMIT');
+            return pkIds.length;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to merge tags: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete tags that no image uses and that have no place in the hierarchy
+     * Returns the names of those that were listed
+     */
+    removeOrphanTags() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const names = this.getOrphanTagNames();
+        this.db.run(`DELETE FROM tags WHERE ${ORPHAN_TAG_CONDITION}`);
+        return names;
+    }
+
+    /**
+     * Get the names of listed tags that no image uses and that have no place in the hierarchy
+     */
+    getOrphanTagNames() {
+        const result = this.db.exec(`
+            SELECT name FROM tags
+            WHERE ${ORPHAN_TAG_CONDITION} AND (color IS NOT NULL OR description IS NOT NULL)
+            ORDER BY name
+        `);
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Set a tag's color, description and parents exactly, or delete it when `deleted`
+     * Implied tags are not applied; runs inside the caller's transaction
+     */
+    writeTag(entry) {
+        if (entry.deleted) {
+            const tagId = this.getTagId(entry.name);
+            if (tagId) {
+                const pkIds = this.getImagePkIdsWithTags([tagId]);
+                this.db.run('DELETE FROM image_tags WHERE tag_id = ?', [tagId]);
+                this.db.run('DELETE FROM tag_parents WHERE tag_id = ? OR parent_id = ?', [tagId, tagId]);
+                this.db.run('DELETE FROM tags WHERE id = ?', [tagId]);
+                pkIds.forEach(pkId => searchIndex.indexImage(this.db, pkId));
+            }
+            return;
+        }
+
+        const tagId = this.getOrCreateTag(entry.name);
+        this.db.run('UPDATE tags SET color = ?, description = ? WHERE id = ?', [entry.color ?? null, entry.description ?? null, tagId]);
+        this.db.run('DELETE FROM tag_parents WHERE tag_id = ?', [tagId]);
+        (entry.parents || []).forEach(parent => {
+            this.db.run('INSERT INTO tag_parents (tag_id, parent_id, implies) VALUES (?, ?, ?)',
+                [tagId, this.getOrCreateTag(parent.name), parent.implies ? 1 : 0]);
+        });
+    }
+
+    /**
+     * Get every child -> parent edge of the tag hierarchy as { tag, parent, implies }
+     */
+    getTagParents() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec(`
+            SELECT c.name, p.name, tp.implies
+            FROM tag_parents tp
+            JOIN tags c ON c.id = tp.tag_id
+            JOIN tags p ON p.id = tp.parent_id
+            ORDER BY c.name, p.name
+        `);
+
+        if (!result || result.length === 0) {
+            return [];
+        }
+
+        return result[0].values.map(row => ({ tag: row[0], parent: row[1], implies: row[2] === 1 }));
+    }
+
+    /**
+     * Get the IDs of tags named `name` (a GLOB pattern when `wildcard`) and of all their descendants
+     */
+    getMatchingTagIds(name, wildcard) {
+        // Only `*` is a wildcard; GLOB's `?` and `[` are matched literally
+        const pattern = wildcard ? name.replace(/[?[]/g, char => `[${char}]`) : name;
+        const result = this.db.exec(`
+            WITH RECURSIVE matched(id) AS (
+                SELECT id FROM tags WHERE name ${wildcard ? 'GLOB' : '='} ?
+                UNION
+                SELECT tp.tag_id FROM tag_parents tp JOIN matched m ON tp.parent_id = m.id
+            )
+            SELECT id FROM matched
+        `, [pattern]);
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Add the parents that `implies` edges call for to every image, following chains
+     * Reindexes and returns the pk_ids of images that gained tags
+     */
+    applyImpliedTags() {
+        const implied = `
+            WITH RECURSIVE implied(image_pk_id, tag_id) AS (
+                SELECT image_pk_id, tag_id FROM image_tags
+                UNION
+                SELECT i.image_pk_id, tp.parent_id
+                FROM implied i JOIN tag_parents tp ON tp.tag_id = i.tag_id AND tp.implies = 1
+            )
+        `;
+        const missing = this.db.exec(`
+            ${implied}
+            SELECT DISTINCT image_pk_id FROM (
+                SELECT image_pk_id, tag_id FROM implied
+                EXCEPT SELECT image_pk_id, tag_id FROM image_tags
+            )
+        `);
+        const pkIds = missing.length ? missing[0].values.map(row => row[0]) : [];
+
+        if (pkIds.length > 0) {
+            this.db.run(`${implied} INSERT OR IGNORE INTO image_tags (image_pk_id, tag_id) SELECT image_pk_id, tag_id FROM implied`);
+            pkIds.forEach(pkId => searchIndex.indexImage(this.db, pkId));
+        }
+        return pkIds;
+    }
+
+    /**
+     * Get every album in display order with its image IDs in album order
+     */
+    getAlbums() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const albums = this.db.exec(`
+            SELECT a.id, a.name, a.description, c.id, a.created_at, a.updated_at
+            FROM albums a
+            LEFT JOIN images c ON c.pk_id = a.cover_image_pk_id AND c.deleted_at IS NULL
+            ORDER BY a.position, a.id
+        `);
+        if (!albums.length) {
+            return [];
+        }
+
+        const members = this.db.exec(`
+            SELECT ai.album_id, i.id
+            FROM album_images ai
+            JOIN images i ON i.pk_id = ai.image_pk_id
+            WHERE i.deleted_at IS NULL
+            ORDER BY ai.album_id, ai.position
+        `);
+        const imageIds = new Map();
+        (members.length ? members[0].values : []).forEach(([albumId, imageId]) => {
+            if (!imageIds.has(albumId)) {
+                imageIds.set(albumId, []);
+            }
+            imageIds.get(albumId).push(imageId);
+        });
+
+        return albums[0].values.map(row => ({
+            id: row[0],
+            name: row[1],
+            description: row[2] || '',
+            coverImageId: row[3],
+            imageIds: imageIds.get(row[0]) || [],
+            createdAt: row[4],
+            updatedAt: row[5]
+        }));
+    }
+
+    /**
+     * Get an image's pk_id from its ID, or null
+     */
+    getImagePkId(imageId) {
+        const stmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+        stmt.bind([String(imageId)]);
+        const pkId = stmt.step() ? stmt.getAsObject().pk_id : null;
+        stmt.free();
+        return pkId;
+    }
+
+    /**
+     * Insert (no `id`, or an `id` no album has) or replace an album and its ordered image list
+     * Returns the album ID; runs inside the caller's transaction
+     */
+    writeAlbum(album) {
+        const coverPkId = album.coverImageId === null ? null : this.getImagePkId(album.coverImageId);
+
+        let albumId = album.id;
+        const exists = albumId !== null && albumId !== undefined &&
+            this.db.exec('SELECT 1 FROM albums WHERE id = ?', [albumId]).length > 0;
+        if (!exists) {
+            this.db.run(`
+                INSERT INTO albums (id, name, description, cover_image_pk_id, position, created_at, updated_at)
+                VALUES (?, ?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM albums), ?, ?)
+            `, [albumId ?? null, album.name, album.description, coverPkId, album.createdAt, album.updatedAt]);
+            albumId = this.db.exec('SELECT last_insert_rowid()')[0].values[0][0];
+        } else {
+            this.db.run(
+                'UPDATE albums SET name = ?, description = ?, cover_image_pk_id = ?, updated_at = ? WHERE id = ?',
+                [album.name, album.description, coverPkId, album.updatedAt, albumId]
+            );
+            this.db.run('DELETE FROM album_images WHERE album_id = ?', [albumId]);
+        }
+
+        album.imageIds.forEach((imageId, position) => {
+            const pkId = this.getImagePkId(imageId);
+            if (!pkId) {
+                throw new Error(`Image with ID ${imageId} not found`);
+            }
+            this.db.run('INSERT INTO album_images (album_id, image_pk_id, position) VALUES (?, ?, ?)', [albumId, pkId, position]);
+        });
+        return albumId;
+    }
+
+    /**
+     * Insert (no `id`) or replace an album and its ordered image list in one transaction
+     * Returns the album ID
+     */
+    saveAlbum(album) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const albumId = this.writeAlbum(album);
+            this.db.run('COMMIT');
+            return albumId;
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to save album: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an album; its images stay in the gallery
+     */
+    deleteAlbum(albumId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            this.deleteAlbumRows(albumId);
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to delete album: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete an album and its image list
+     * Runs inside the caller's transaction
+     */
+    deleteAlbumRows(albumId) {
+        this.db.run('DELETE FROM album_images WHERE album_id = ?', [albumId]);
+        this.db.run('DELETE FROM albums WHERE id = ?', [albumId]);
+    }
+
+    /**
+     * Get comparison ratings keyed by image ID: { [id]: { rating, comparisons } }
+     */
+    getRatings() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec(`
+            SELECT i.id, r.rating, r.comparisons
+            FROM image_ratings r
+            JOIN images i ON i.pk_id = r.image_pk_id
+            WHERE i.deleted_at IS NULL
+        `);
+        const ratings = {};
+        (result.length ? result[0].values : []).forEach(([imageId, rating, comparisons]) => {
+            ratings[String(imageId)] = { rating, comparisons };
+        });
+        return ratings;
+    }
+
+    /**
+     * Record a comparison and both images' new ratings in one transaction
+     */
+    saveComparison(comparison, winner, loser) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const winnerPkId = this.getImagePkId(comparison.winnerId);
+            const loserPkId = this.getImagePkId(comparison.loserId);
+            if (!winnerPkId || !loserPkId) {
+                throw new Error(`Image with ID ${winnerPkId ? comparison.loserId : comparison.winnerId} not found`);
+            }
+
+            [[winnerPkId, winner], [loserPkId, loser]].forEach(([pkId, entry]) => {
+                this.db.run(
+                    'INSERT OR REPLACE INTO image_ratings (image_pk_id, rating, comparisons, updated_at) VALUES (?, ?, ?, ?)',
+                    [pkId, entry.rating, entry.comparisons, comparison.createdAt]
+                );
+            });
+            this.db.run(`
+                INSERT INTO comparisons (winner_pk_id, loser_pk_id, winner_rating, loser_rating, created_at)
+                VALUES (?, ?, ?, ?, ?)
+            `, [winnerPkId, loserPkId, comparison.winnerRating, comparison.loserRating, comparison.createdAt]);
+
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to save comparison: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the most recent comparisons, newest first
+     */
+    getComparisons(limit = 50) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec(`
+            SELECT w.id, l.id, c.winner_rating, c.loser_rating, c.created_at
+            FROM comparisons c
+            JOIN images w ON w.pk_id = c.winner_pk_id
+            JOIN images l ON l.pk_id = c.loser_pk_id
+            WHERE w.deleted_at IS NULL AND l.deleted_at IS NULL
+            ORDER BY c.id DESC
+            LIMIT ?
+        `, [limit]);
+        return (result.length ? result[0].values : []).map(row => ({
+            winnerId: row[0],
+            loserId: row[1],
+            winnerRating: row[2],
+            loserRating: row[3],
+            createdAt: row[4]
+        }));
+    }
+
+    /**
+     * Set the ranking of many images in one transaction
+     */
+    updateRankings(updates) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const updatedAt = new Date().toISOString();
+            updates.forEach(update => {
+                this.db.run('UPDATE images SET ranking = ?, updated_at = ? WHERE id = ?', [update.ranking, updatedAt, String(update.id)]);
+            });
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to update rankings: ${error.message}`);
+        }
+    }
+
+    /**
+     * Filter, sort and paginate images in SQL
+     * Mirrors gallery_query.js: subsidiaries are filtered by their group's major
+     * image tags and sorted by their major image's ranking and date.
+     * `tagQuery` is TagQuery text, compiled to EXISTS clauses by tagQueryToSql().
+     * A tag filter also matches the tag's descendants in tag_parents.
+     */
+    queryImages(options = {}) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const tags = options.tags || [];
+        const orderBy = SQL_SORT_ORDER[options.sort] || SQL_SORT_ORDER['ranking-desc'];
+        const conditions = [];
+        const params = [];
+
+        // Subsidiaries without a major image (tag_owner_pk NULL) always pass tag filters
+        const resolveTagIds = (name, wildcard) => this.getMatchingTagIds(name, wildcard);
+        tags.forEach(tag => {
+            conditions.push(`(q.tag_owner_pk IS NULL OR ${tagIdsToSql(resolveTagIds(tag, false), params)})`);
+        });
+
+        const tagQuery = TagQuery.parse(options.tagQuery);
+        if (tagQuery) {
+            conditions.push(`(q.tag_owner_pk IS NULL OR ${tagQueryToSql(tagQuery, params, resolveTagIds)})`);
+        }
+
+        if (options.album) {
+            conditions.push('q.pk_id IN (SELECT image_pk_id FROM album_images WHERE album_id = ?)');
+            params.push(options.album);
+        }
+
+        // Free text goes through the search index; subsidiaries also match via their major
+        const terms = searchIndex.parseSearchTerms(options.q);
+        if (terms.length > 0) {
+            const matchQuery = `SELECT docid FROM ${searchIndex.SEARCH_TABLE} WHERE ${searchIndex.SEARCH_TABLE} MATCH ?`;
+            conditions.push(`(q.pk_id IN (${matchQuery}) OR q.tag_owner_pk IN (${matchQuery}))`);
+            const expression = searchIndex.buildMatchExpression(terms);
+            params.push(expression, expression);
+        }
+
+        // Camera and capture date match the image's own metadata or its major's
+        const camera = (options.camera || '').trim().toLowerCase();
+        const captured = (options.captured || '').trim();
+        if (camera || captured) {
+            const metadataConditions = [];
+            if (camera) {
+                metadataConditions.push(`(instr(lower(COALESCE(m.camera_make, '')), ?) > 0
+                    OR instr(lower(COALESCE(m.camera_model, '')), ?) > 0
+                    OR instr(lower(COALESCE(m.lens_model, '')), ?) > 0)`);
+                params.push(camera, camera, camera);
+            }
+            if (captured) {
+                metadataConditions.push('substr(m.captured_at, 1, ?) = ?');
+                params.push(captured.length, captured);
+            }
+            conditions.push(`EXISTS (
+                SELECT 1 FROM image_metadata m
+                WHERE m.image_pk_id IN (q.pk_id, q.tag_owner_pk) AND ${metadataConditions.join(' AND ')}
+            )`);
+        }
+
+        const groupMajor = alias => `(
+            SELECT g.pk_id FROM images g
+            WHERE g.group_id = ${alias}.group_id AND g.is_major = 1 AND g.deleted_at IS NULL
+            ORDER BY g.pk_id DESC LIMIT 1
+        )`;
+        const withClause = `
+            WITH owners AS (
+                SELECT
+                    i.pk_id,
+                    i.title,
+                    CASE
+                        WHEN i.is_major = 1 THEN i.pk_id
+                        WHEN i.group_id IS NOT NULL AND i.group_id != '' THEN ${groupMajor('i')}
+                    END AS tag_owner_pk,
+                    CASE
+                        WHEN i.is_major = 1 THEN i.pk_id
+                        WHEN i.major_image_id IS NOT NULL AND i.major_image_id != '' THEN (
+                            SELECT m.pk_id FROM images m WHERE m.id = i.major_image_id AND m.is_major = 1 AND m.deleted_at IS NULL
+                        )
+                        WHEN i.group_id IS NOT NULL AND i.group_id != '' THEN ${groupMajor('i')}
+                    END AS sort_owner_pk
+                FROM images i
+                WHERE i.deleted_at IS NULL
+            ),
+            q AS (
+                SELECT
+                    o.*,
+                    s.id AS sort_owner_id,
+                    COALESCE(s.ranking, 0) AS sort_ranking,
+                    COALESCE(julianday(s.date_added), 0) AS sort_date,
+                    julianday(m.captured_at) AS sort_captured,
+                    CASE WHEN s.pixel_width > 0 AND s.pixel_height > 0 THEN s.pixel_width * s.pixel_height END AS sort_area,
+                    CASE WHEN s.pixel_width > 0 AND s.pixel_height > 0 THEN CAST(s.pixel_width AS REAL) / s.pixel_height END AS sort_aspect,
+                    s.file_size AS sort_size,
+                    julianday(s.updated_at) AS sort_modified
+                FROM owners o
+                LEFT JOIN images s ON s.pk_id = o.sort_owner_pk
+                LEFT JOIN image_metadata m ON m.image_pk_id = o.sort_owner_pk
+            )
+        `;
+        const whereClause = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+        const countStmt = this.db.prepare(`${withClause} SELECT COUNT(*) AS total FROM q ${whereClause}`);
+        countStmt.bind(params);
+        countStmt.step();
+        const total = countStmt.getAsObject().total;
+        countStmt.free();
+
+        const pagination = paginate(total, options.page, options.pageSize);
+
+        const pageStmt = this.db.prepare(`
+            ${withClause}
+            SELECT
+                i.pk_id,
+                i.id,
+                i.title,
+                i.description,
+                i.src,
+                i.ranking,
+                i.width,
+                i.height,
+                i.is_major,
+                i.group_id,
+                i.major_image_id,
+                i.date_added,
+                i.pixel_width,
+                i.pixel_height,
+                i.file_size,
+                i.mime_type,
+                i.content_hash,
+                i.perceptual_hash,
+                i.updated_at,
+                i.group_position
+            FROM q
+            JOIN images i ON i.pk_id = q.pk_id
+            ${whereClause}
+            ORDER BY ${orderBy}, q.pk_id
+            LIMIT ? OFFSET ?
+        `);
+        const orderParams = { random: [options.seed || ''], album: [options.album] }[options.sort] || [];
+        pageStmt.bind([...params, ...orderParams, pagination.pageSize || -1, pagination.offset]);
+
+        const rows = [];
+        while (pageStmt.step()) {
+            rows.push(pageStmt.getAsObject());
+        }
+        pageStmt.free();
+
+        const tagsByPkId = this.getTagsForImages(rows.map(row => row.pk_id));
+        const metadataByPkId = this.getMediaMetadataForImages(rows.map(row => row.pk_id));
+
+        return {
+            images: rows.map(row => this.mapImageRow(row, tagsByPkId[row.pk_id], metadataByPkId[row.pk_id])),
+            page: pagination.page,
+            pageSize: pagination.pageSize,
+            total: pagination.total,
+            totalPages: pagination.totalPages
+        };
+    }
+
+    /**
+     * Convert an images row into the camelCase image shape
+     */
+    mapImageRow(row, tags = [], mediaMetadata = null) {
+        return {
+            id: row.id,
+            title: row.title,
+            description: row.description,
+            src: row.src,
+            ranking: row.ranking !== null ? parseFloat(row.ranking) : null,
+            width: row.width,
+            height: row.height,
+            isMajor: row.is_major === 1,
+            groupId: row.group_id,
+            majorImageId: row.major_image_id,
+            dateAdded: row.date_added,
+            pixelWidth: row.pixel_width,
+            pixelHeight: row.pixel_height,
+            fileSize: row.file_size,
+            mimeType: row.mime_type,
+            contentHash: row.content_hash,
+            perceptualHash: row.perceptual_hash,
+            updatedAt: row.updated_at,
+            groupPosition: row.group_position,
+            mediaMetadata: mediaMetadata || null,
+            tags: tags
+        };
+    }
+
+    /**
+     * Get images by pk_id, in the order given (null where no image exists)
+     */
+    getImagesByPkIds(pkIds) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const rowsByPkId = {};
+        for (let start = 0; start < pkIds.length; start += 500) {
+            const chunk = pkIds.slice(start, start + 500);
+            const stmt = this.db.prepare(`
+                SELECT
+                    i.pk_id,
+                    i.id,
+                    i.title,
+                    i.description,
+                    i.src,
+                    i.ranking,
+                    i.width,
+                    i.height,
+                    i.is_major,
+                    i.group_id,
+                    i.major_image_id,
+                    i.date_added,
+                    i.pixel_width,
+                    i.pixel_height,
+                    i.file_size,
+                    i.mime_type,
+                    i.content_hash,
+                    i.perceptual_hash,
+                    i.updated_at,
+                    i.group_position
+                FROM images i
+                WHERE i.pk_id IN (${chunk.map(() => '?').join(', ')})
+            `);
+            stmt.bind(chunk);
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                rowsByPkId[row.pk_id] = row;
+            }
+            stmt.free();
+        }
+
+        const tagsByPkId = this.getTagsForImages(pkIds);
+        const metadataByPkId = this.getMediaMetadataForImages(pkIds);
+        return pkIds.map(pkId => (rowsByPkId[pkId]
+            ? this.mapImageRow(rowsByPkId[pkId], tagsByPkId[pkId], metadataByPkId[pkId])
+            : null));
+    }
+
+    /**
+     * Get the pk_ids of images in the trash, most recently trashed first
+     */
+    getTrashedPkIds() {
+        const result = this.db.exec('SELECT pk_id FROM images WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, pk_id');
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
+
+    /**
+     * Get a trashed image with its `deletedAt`, or null
+     */
+    getTrashedImageById(imageId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec('SELECT pk_id, deleted_at FROM images WHERE id = ? AND deleted_at IS NOT NULL', [imageId]);
+        if (!result.length) {
+            return null;
+        }
+        const [pkId, deletedAt] = result[0].values[0];
+        return { ...this.getImagesByPkIds([pkId])[0], deletedAt };
+    }
+
+    /**
+     * Get images in the trash, most recently trashed first, with `deletedAt`
+     */
+    getTrashedImages() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const result = this.db.exec('SELECT pk_id, deleted_at FROM images WHERE deleted_at IS NOT NULL ORDER BY deleted_at DESC, pk_id');
+        const rows = result.length ? result[0].values : [];
+        const images = this.getImagesByPkIds(rows.map(row => row[0]));
+        return images.map((image, index) => ({ ...image, deletedAt: rows[index][1] }));
+    }
+
+    /**
+     * Full-text search ranked by relevance
+     * Returns { terms, total, results: [{ image, score }] } for the requested slice
+     */
+    searchImages(query, options = {}) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const terms = searchIndex.parseSearchTerms(query);
+        // Trashed images stay indexed so restoring them needs no reindex
+        const trashed = new Set(this.getTrashedPkIds());
+        const matches = searchIndex.searchDatabase(this.db, terms).filter(match => !trashed.has(match.pkId));
+        const offset = options.offset || 0;
+        const slice = options.limit ? matches.slice(offset, offset + options.limit) : matches.slice(offset);
+        const images = this.getImagesByPkIds(slice.map(match => match.pkId));
+
+        return {
+            terms,
+            total: matches.length,
+            results: slice
+                .map((match, index) => ({ image: images[index], score: match.score }))
+                .filter(result => result.image)
+        };
+    }
+
+    /**
+     * Re-index all images for full-text search
+     */
+    rebuildSearchIndex() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+        searchIndex.rebuildSearchIndex(this.db);
+    }
+
+    /**
+     * Get tag names for a set of images, keyed by pk_id
+     */
+    getTagsForImages(pkIds) {
+        const tagsByPkId = {};
+
+        // Stay well below SQLite's bound parameter limit
+        for (let start = 0; start < pkIds.length; start += 500) {
+            const chunk = pkIds.slice(start, start + 500);
+            const stmt = this.db.prepare(`
+                SELECT it.image_pk_id, t.name
+                FROM image_tags it
+                JOIN tags t ON it.tag_id = t.id
+                WHERE it.image_pk_id IN (${chunk.map(() => '?').join(', ')})
+                ORDER BY t.name
+            `);
+            stmt.bind(chunk);
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                (tagsByPkId[row.image_pk_id] = tagsByPkId[row.image_pk_id] || []).push(row.name);
+            }
+            stmt.free();
+        }
+
+        return tagsByPkId;
+    }
+
+    /**
+     * Get camera/video metadata for a set of images, keyed by pk_id
+     */
+    getMediaMetadataForImages(pkIds) {
+        const metadataByPkId = {};
+
+        for (let start = 0; start < pkIds.length; start += 500) {
+            const chunk = pkIds.slice(start, start + 500);
+            const stmt = this.db.prepare(`
+                SELECT * FROM image_metadata
+                WHERE image_pk_id IN (${chunk.map(() => '?').join(', ')})
+            `);
+            stmt.bind(chunk);
+            while (stmt.step()) {
+                const row = stmt.getAsObject();
+                metadataByPkId[row.image_pk_id] = mapMediaMetadataRow(row);
+            }
+            stmt.free();
+        }
+
+        return metadataByPkId;
+    }
 
-            if (tagsResult && tagsResult.length > 0) {
-                tagsResult[0].values.forEach(row => {
-                    const imageId = row[0];
-                    const tagName = row[1];
+    /**
+     * Replace the metadata row of an image; null removes it
+     * Runs inside the caller's transaction
+     */
+    writeMediaMetadata(imagePkId, mediaMetadata) {
+        const deleteStmt = this.db.prepare('DELETE FROM image_metadata WHERE image_pk_id = ?');
+        deleteStmt.run([imagePkId]);
+        deleteStmt.free();
 
-                    if (!imageTags[imageId]) {
-                        imageTags[imageId] = [];
-                    }
-                    imageTags[imageId].push(tagName);
-                });
-            }
+        if (!mediaMetadata) {
+            return;
+        }
 
-            // Add tags to images
-            images.forEach(image => {
-                image.tags = imageTags[image.id] || [];
-            });
+        const columns = MEDIA_METADATA_COLUMNS.map(({ column }) => column);
+        const insertStmt = this.db.prepare(`
+            INSERT INTO image_metadata (image_pk_id, ${columns.join(', ')})
+            VALUES (?, ${columns.map(() => '?').join(', ')})
+        `);
+        insertStmt.run([imagePkId, ...MEDIA_METADATA_COLUMNS.map(({ field }) => mediaMetadata[field] ?? null)]);
+        insertStmt.free();
+    }
 
-            // Get metadata
-            const metadataQuery = 'SELECT key, value FROM metadata';
-            const metadataResult = this.db.exec(metadataQuery);
-            const metadata = {};
-
-            if (metadataResult && metadataResult.length > 0) {
-                metadataResult[0].values.forEach(row => {
-                    const key = row[0];
-                    let value = row[1];
-
-                    // Try to parse JSON values
-                    try {
-                        value = JSON.parse(value);
-                    } catch (e) {
-                        // Keep as string if not valid JSON
-                    }
+    /**
+     * Get tags offered for filtering: those on major images, sorted
+     */
+    getMajorImageTags() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
 
-                    metadata[key] = value;
-                });
-            }
+        const result = this.db.exec(`
+            SELECT DISTINCT t.name
+            FROM tags t
+            JOIN image_tags it ON it.tag_id = t.id
+            JOIN images i ON i.pk_id = it.image_pk_id
+            WHERE i.is_major = 1 AND i.deleted_at IS NULL
+            ORDER BY t.name
+        `);
 
-            return {
-                images,
-                metadata: {
-                    ...metadata,
-                    version: metadata.version || '1.0',
-                    lastUpdated: metadata.lastUpdated || new Date().toISOString(),
-                    totalImages: images.length,
-                    availableTags: this.getAvailableTags(images)
-                }
-            };
+        return result.length ? result[0].values.map(row => row[0]) : [];
+    }
 
-        } catch (error) {
-            console.error('Error getting all images:', error);
-            throw error;
+    /**
+     * Get one more than the largest purely numeric image ID
+     */
+    getNextNumericId() {
+        if (!this.db) {
+            throw new Error('Database not loaded');
         }
+
+        const result = this.db.exec(`
+            SELECT MAX(CAST(id AS INTEGER))
+            FROM images
+            WHERE id != '' AND id NOT GLOB '*[^0-9]*'
+        `);
+        const maxId = result.length ? result[0].values[0][0] : null;
+        return (maxId || 0) + 1;
     }
 
     /**
@@ -215,7 +1466,7 @@ class DatabaseManager {
                 FROM images i
                 JOIN image_tags it ON i.pk_id = it.image_pk_id
                 JOIN tags t ON it.tag_id = t.id
-                WHERE t.name = ?
+                WHERE t.name = ? AND i.deleted_at IS NULL
                 ORDER BY i.pk_id
             `;
 
@@ -260,20 +1511,28 @@ class DatabaseManager {
         try {
             const stats = {};
 
-            // Total images
-            const imagesResult = this.db.exec('SELECT COUNT(*) as count FROM images');
+            // Total images, not counting the trash
+            const imagesResult = this.db.exec('SELECT COUNT(*) as count FROM images WHERE deleted_at IS NULL');
             stats.totalImages = imagesResult[0]?.values[0][0] || 0;
 
-            // Total tags
-            const tagsResult = this.db.exec('SELECT COUNT(*) as count FROM tags');
+            // Images in the trash
+            const trashResult = this.db.exec('SELECT COUNT(*) as count FROM images WHERE deleted_at IS NOT NULL');
+            stats.trashedImages = trashResult[0]?.values[0][0] || 0;
+
+            // Tags used by images outside the trash, as JSON galleries count them
+            const tagsResult = this.db.exec(`
+                SELECT COUNT(DISTINCT it.tag_id) as count
+                FROM image_tags it
+                JOIN images i ON i.pk_id = it.image_pk_id AND i.deleted_at IS NULL
+            `);
             stats.totalTags = tagsResult[0]?.values[0][0] || 0;
 
             // Major images
-            const majorResult = this.db.exec('SELECT COUNT(*) as count FROM images WHERE is_major = 1');
+            const majorResult = this.db.exec('SELECT COUNT(*) as count FROM images WHERE is_major = 1 AND deleted_at IS NULL');
             stats.majorImages = majorResult[0]?.values[0][0] || 0;
 
             // Image groups
-            const groupsResult = this.db.exec('SELECT COUNT(DISTINCT group_id) as count FROM images WHERE group_id IS NOT NULL');
+            const groupsResult = this.db.exec('SELECT COUNT(DISTINCT group_id) as count FROM images WHERE group_id IS NOT NULL AND deleted_at IS NULL');
             stats.totalGroups = groupsResult[0]?.values[0][0] || 0;
 
             // Database file info
@@ -303,67 +1562,7 @@ class DatabaseManager {
             // Start transaction
             this.db.run('BEGIN TRANSACTION');
 
-            // Insert image
-            const stmt = this.db.prepare(`
-                INSERT INTO images (id, title, description, src, ranking, width, height, is_major, group_id, major_image_id, date_added)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-            `);
-
-            // Validate parameters to prevent undefined values
-            const params = [
-                image.id,
-                image.title || '',
-                image.description || '',
-                image.src || '',
-                image.ranking || 0,
-                image.width || '',
-                image.height || '',
-                image.isMajor !== false ? 1 : 0,
-                image.groupId || null,
-                image.majorImageId || null,
-                image.date || new Date().toISOString()
-            ];
-
-            // Check for any undefined values
-            for (let i = 0; i < params.length; i++) {
-                if (params[i] === undefined) {
-                    throw new Error(`Parameter at position ${i} is undefined. Image data: ${JSON.stringify(image)}`);
-                }
-            }
-
-            stmt.run(params);
-            stmt.free();
-
-            // Handle tags
-            if (image.tags && Array.isArray(image.tags) && image.tags.length > 0) {
-                // Get the pk_id for the newly inserted image
-                const pkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
-                pkStmt.bind([image.id]);
-                let imagePkId = null;
-
-                if (pkStmt.step()) {
-                    const result = pkStmt.getAsObject();
-                    imagePkId = result.pk_id;
-                }
-                pkStmt.free();
-
-                if (!imagePkId) {
-                    throw new Error(`Failed to get pk_id for image with id ${image.id}`);
-                }
-
-                for (const tagName of image.tags) {
-                    // Get or create tag
-                    const tagId = this.getOrCreateTag(tagName);
-
-                    // Create image-tag relationship
-                    const relStmt = this.db.prepare(`
-                        INSERT INTO image_tags (image_pk_id, tag_id)
-                        VALUES (?, ?)
-                    `);
-                    relStmt.run([imagePkId, tagId]);
-                    relStmt.free();
-                }
-            }
+            this.insertImageRow(image);
 
             // Commit transaction
             this.db.run('COMMIT');
@@ -376,6 +1575,91 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Insert an image row with its tags and metadata
+     * Runs inside the caller's transaction
+     */
+    insertImageRow(image) {
+        // Insert image
+        const stmt = this.db.prepare(`
+            INSERT INTO images (
+                id, title, description, src, ranking, width, height, is_major, group_id, major_image_id, date_added,
+                pixel_width, pixel_height, file_size, mime_type, content_hash, perceptual_hash, updated_at, group_position
+            )
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+
+        // Validate parameters to prevent undefined values
+        const params = [
+            image.id,
+            image.title || '',
+            image.description || '',
+            image.src || '',
+            image.ranking ?? null,
+            image.width || '',
+            image.height || '',
+            image.isMajor !== false ? 1 : 0,
+            image.groupId || null,
+            image.majorImageId || null,
+            image.date || new Date().toISOString(),
+            image.pixelWidth ?? null,
+            image.pixelHeight ?? null,
+            image.fileSize ?? null,
+            image.mimeType ?? null,
+            image.contentHash ?? null,
+            image.perceptualHash ?? null,
+            image.updatedAt || new Date().toISOString(),
+            image.groupPosition ?? null
+        ];
+
+        // Check for any undefined values
+        for (let i = 0; i < params.length; i++) {
+            if (params[i] === undefined) {
+                throw new Error(`Parameter at position ${i} is undefined. Image data: ${JSON.stringify(image)}`);
+            }
+        }
+
+        stmt.run(params);
+        stmt.free();
+
+        // Get the pk_id for the newly inserted image
+        const pkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+        pkStmt.bind([image.id]);
+        let imagePkId = null;
+
+        if (pkStmt.step()) {
+            const result = pkStmt.getAsObject();
+            imagePkId = result.pk_id;
+        }
+        pkStmt.free();
+
+        if (!imagePkId) {
+            throw new Error(`Failed to get pk_id for image with id ${image.id}`);
+        }
+
+        // Handle tags
+        if (image.tags && Array.isArray(image.tags) && image.tags.length > 0) {
+            for (const tagName of image.tags) {
+                // Get or create tag
+                const tagId = this.getOrCreateTag(tagName);
+
+                // Create image-tag relationship
+                const relStmt = this.db.prepare(`
+                    INSERT INTO image_tags (image_pk_id, tag_id)
+                    VALUES (?, ?)
+                `);
+                relStmt.run([imagePkId, tagId]);
+                relStmt.free();
+            }
+        }
+
+        if (image.mediaMetadata !== undefined) {
+            this.writeMediaMetadata(imagePkId, image.mediaMetadata);
+        }
+
+        searchIndex.indexImage(this.db, imagePkId);
+    }
+
     /**
      * Update existing image in database
      */
@@ -392,173 +1676,403 @@ class DatabaseManager {
             console.log('🔄 Starting database transaction...');
             this.db.run('BEGIN TRANSACTION');
 
-            // Handle ID change - if the ID has changed, we need to find the image by its original ID
-            let originalId = image.id;
-            let targetId = image.id;
+            // Keep the version being replaced, found the way writeImageUpdate finds it
+            const previous = this.getImageById(image.id) || (image.originalId ? this.getImageById(image.originalId) : null);
+            if (previous) {
+                this.insertImageRevision(previous);
+            }
 
-            // Check if this is an ID change by looking for the original image
-            const checkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
-            checkStmt.bind([image.id]);
-            let imagePkId = null;
+            this.writeImageUpdate(image);
 
-            if (checkStmt.step()) {
-                const result = checkStmt.getAsObject();
+            // Commit transaction
+            console.log('✅ Committing transaction...');
+            this.db.run('COMMIT');
+            console.log('✅ Transaction committed successfully');
+
+        } catch (error) {
+            // Rollback transaction on error
+            console.log('❌ Error occurred, rolling back transaction...');
+            this.db.run('ROLLBACK');
+            console.error('Error updating image in database:', error);
+            throw new Error(`Failed to update image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Store a version of an image as a revision, keeping the latest REVISION_LIMIT per image
+     * Runs inside the caller's transaction
+     */
+    insertImageRevision(image) {
+        const pkId = this.getImagePkId(image.id);
+        this.db.run('INSERT INTO image_revisions (image_pk_id, snapshot, created_at) VALUES (?, ?, ?)',
+            [pkId, JSON.stringify(image), new Date().toISOString()]);
+        this.db.run(`
+            DELETE FROM image_revisions
+            WHERE image_pk_id = ? AND id NOT IN (
+                SELECT id FROM image_revisions WHERE image_pk_id = ? ORDER BY id DESC LIMIT ?
+            )
+        `, [pkId, pkId, REVISION_LIMIT]);
+    }
+
+    /**
+     * Get an image's revisions, newest first: [{ id, createdAt, image }]
+     */
+    getImageRevisions(imageId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        const pkId = this.getImagePkId(imageId);
+        const result = this.db.exec('SELECT id, snapshot, created_at FROM image_revisions WHERE image_pk_id = ? ORDER BY id DESC', [pkId]);
+        return result.length
+            ? result[0].values.map(([id, snapshot, createdAt]) => ({ id, createdAt, image: JSON.parse(snapshot) }))
+            : [];
+    }
+
+    /**
+     * Write an image's row and tags; `originalId` locates an image whose ID changes
+     * Runs inside the caller's transaction
+     */
+    writeImageUpdate(image) {
+        // Handle ID change - if the ID has changed, we need to find the image by its original ID
+        let originalId = image.id;
+        let targetId = image.id;
+
+        // Check if this is an ID change by looking for the original image
+        const checkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+        checkStmt.bind([image.id]);
+        let imagePkId = null;
+
+        if (checkStmt.step()) {
+            const result = checkStmt.getAsObject();
+            imagePkId = result.pk_id;
+        }
+        checkStmt.free();
+
+        // If image not found by current ID, it might be an ID change
+        // In this case, we need the original ID to find the image
+        if (!imagePkId && image.originalId) {
+            originalId = image.originalId;
+            targetId = image.id;
+
+            const originalStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+            originalStmt.bind([originalId]);
+            if (originalStmt.step()) {
+                const result = originalStmt.getAsObject();
                 imagePkId = result.pk_id;
             }
-            checkStmt.free();
+            originalStmt.free();
 
-            // If image not found by current ID, it might be an ID change
-            // In this case, we need the original ID to find the image
-            if (!imagePkId && image.originalId) {
-                originalId = image.originalId;
-                targetId = image.id;
-
-                const originalStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
-                originalStmt.bind([originalId]);
-                if (originalStmt.step()) {
-                    const result = originalStmt.getAsObject();
-                    imagePkId = result.pk_id;
-                }
-                originalStmt.free();
+            console.log(`🔀 ID change detected: "${originalId}" → "${targetId}"`);
+        }
 
-                console.log(`🔀 ID change detected: "${originalId}" → "${targetId}"`);
-            }
+        if (!imagePkId) {
+            throw new Error(`Image with ID ${image.id} not found`);
+        }
+
+        // Update image - use original ID for WHERE clause, but new ID for SET if changed
+        console.log('📝 Updating image in database...');
+        const stmt = this.db.prepare(`
+            UPDATE images
+            SET id = ?, title = ?, description = ?, src = ?, ranking = ?, width = ?, height = ?,
+                is_major = ?, group_id = ?, major_image_id = ?, date_added = ?,
+                pixel_width = ?, pixel_height = ?, file_size = ?, mime_type = ?,
+                content_hash = ?, perceptual_hash = ?, updated_at = ?,
+                group_position = COALESCE(?, group_position)
+            WHERE pk_id = ?
+        `);
+
+        const updateParams = [
+            targetId,  // New ID (might be same as original)
+            image.title,
+            image.description || '',
+            image.src || '',
+            image.ranking ?? null,
+            image.width || '',
+            image.height || '',
+            image.isMajor !== false ? 1 : 0,
+            image.groupId || null,
+            image.majorImageId || null,
+            image.date || new Date().toISOString(),
+            image.pixelWidth ?? null,
+            image.pixelHeight ?? null,
+            image.fileSize ?? null,
+            image.mimeType ?? null,
+            image.contentHash ?? null,
+            image.perceptualHash ?? null,
+            new Date().toISOString(),
+            image.groupPosition ?? null,
+            imagePkId  // Use pk_id for WHERE clause
+        ];
+        console.log('📝 Update parameters:', updateParams);
+
+        const result = stmt.run(updateParams);
+        stmt.free();
+        console.log('📝 SQL Update Result:', {
+            changes: result.changes,
+            lastInsertRowid: result.lastInsertRowid
+        });
+
+        if (result.changes === 0) {
+            console.log('❌ No rows were updated - image not found');
+            throw new Error(`Image with ID ${image.id} not found`);
+        }
 
-            if (!imagePkId) {
-                throw new Error(`Image with ID ${image.id} not found`);
+        console.log('✅ Image updated successfully');
+
+        // Delete existing tag relationships
+        console.log('🗑️ Deleting existing tag relationships...');
+        const deleteRelStmt = this.db.prepare('DELETE FROM image_tags WHERE image_pk_id = ?');
+        const deleteResult = deleteRelStmt.run([imagePkId]);
+        deleteRelStmt.free();
+        console.log('🗑️ Deleted', deleteResult.changes, 'tag relationships');
+
+        // Add new tag relationships
+        if (image.tags && Array.isArray(image.tags) && image.tags.length > 0) {
+            console.log('🏷️ Processing tags:', image.tags);
+            for (const tagName of image.tags) {
+                console.log('🏷️ Processing tag:', tagName);
+                // Get or create tag
+                const tagId = this.getOrCreateTag(tagName);
+                console.log('🏷️ Got tag ID:', tagId);
+
+                // Create image-tag relationship
+                const relStmt = this.db.prepare(`
+                    INSERT INTO image_tags (image_pk_id, tag_id)
+                    VALUES (?, ?)
+                `);
+                relStmt.run([imagePkId, tagId]);
+                relStmt.free();
+                console.log('🏷️ Created tag relationship for:', tagName);
             }
+        } else {
+            console.log('🏷️ No tags to process');
+        }
 
-            // Update image - use original ID for WHERE clause, but new ID for SET if changed
-            console.log('📝 Updating image in database...');
-            const stmt = this.db.prepare(`
-                UPDATE images
-                SET id = ?, title = ?, description = ?, src = ?, ranking = ?, width = ?, height = ?,
-                    is_major = ?, group_id = ?, major_image_id = ?, date_added = ?
-                WHERE pk_id = ?
-            `);
+        if (image.mediaMetadata !== undefined) {
+            this.writeMediaMetadata(imagePkId, image.mediaMetadata);
+        }
 
-            const updateParams = [
-                targetId,  // New ID (might be same as original)
-                image.title,
-                image.description || '',
-                image.src || '',
-                image.ranking || 0,
-                image.width || '',
-                image.height || '',
-                image.isMajor !== false ? 1 : 0,
-                image.groupId || null,
-                image.majorImageId || null,
-                image.date || new Date().toISOString(),
-                imagePkId  // Use pk_id for WHERE clause
-            ];
-            console.log('📝 Update parameters:', updateParams);
-
-            const result = stmt.run(updateParams);
-            stmt.free();
-            console.log('📝 SQL Update Result:', {
-                changes: result.changes,
-                lastInsertRowid: result.lastInsertRowid
-            });
+        searchIndex.indexImage(this.db, imagePkId);
+    }
 
-            if (result.changes === 0) {
-                console.log('❌ No rows were updated - image not found');
-                throw new Error(`Image with ID ${image.id} not found`);
-            }
-
-            console.log('✅ Image updated successfully');
-
-            // Delete existing tag relationships
-            console.log('🗑️ Deleting existing tag relationships...');
-            const deleteRelStmt = this.db.prepare('DELETE FROM image_tags WHERE image_pk_id = ?');
-            const deleteResult = deleteRelStmt.run([imagePkId]);
-            deleteRelStmt.free();
-            console.log('🗑️ Deleted', deleteResult.changes, 'tag relationships');
-
-            // Add new tag relationships
-            if (image.tags && Array.isArray(image.tags) && image.tags.length > 0) {
-                console.log('🏷️ Processing tags:', image.tags);
-                for (const tagName of image.tags) {
-                    console.log('🏷️ Processing tag:', tagName);
-                    // Get or create tag
-                    const tagId = this.getOrCreateTag(tagName);
-                    console.log('🏷️ Got tag ID:', tagId);
-
-                    // Create image-tag relationship
-                    const relStmt = this.db.prepare(`
-                        INSERT INTO image_tags (image_pk_id, tag_id)
-                        VALUES (?, ?)
-                    `);
-                    relStmt.run([imagePkId, tagId]);
-                    relStmt.free();
-                    console.log('🏷️ Created tag relationship for:', tagName);
-                }
-            } else {
-                console.log('🏷️ No tags to process');
-            }
+    /**
+     * Delete an image with its tags, metadata, album entries, ratings and comparisons
+     * Runs inside the caller's transaction
+     */
+    deleteImageRows(imageId) {
+        // Delete tag relationships first (due to foreign key constraints)
+        // Get the pk_id for the image
+        const pkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+        pkStmt.bind([imageId]);
+        let imagePkId = null;
+
+        if (pkStmt.step()) {
+            const result = pkStmt.getAsObject();
+            imagePkId = result.pk_id;
+        }
+        pkStmt.free();
+
+        if (!imagePkId) {
+            throw new Error(`Image with ID ${imageId} not found`);
+        }
+
+        const deleteRelStmt = this.db.prepare('DELETE FROM image_tags WHERE image_pk_id = ?');
+        deleteRelStmt.run([imagePkId]);
+        deleteRelStmt.free();
+
+        this.writeMediaMetadata(imagePkId, null);
+        searchIndex.removeFromIndex(this.db, imagePkId);
+        this.db.run('DELETE FROM album_images WHERE image_pk_id = ?', [imagePkId]);
+        this.db.run('UPDATE albums SET cover_image_pk_id = NULL WHERE cover_image_pk_id = ?', [imagePkId]);
+        this.db.run('DELETE FROM image_ratings WHERE image_pk_id = ?', [imagePkId]);
+        this.db.run('DELETE FROM comparisons WHERE winner_pk_id = ? OR loser_pk_id = ?', [imagePkId, imagePkId]);
+        this.db.run('DELETE FROM image_revisions WHERE image_pk_id = ?', [imagePkId]);
+
+        // Delete image
+        const deleteImageStmt = this.db.prepare('DELETE FROM images WHERE id = ?');
+        const result = deleteImageStmt.run([imageId]);
+        deleteImageStmt.free();
+
+        if (result.changes === 0) {
+            throw new Error(`Image with ID ${imageId} not found`);
+        }
+    }
+
+    /**
+     * Move an image to the trash, or take it out again with `deletedAt` null
+     * Trashed images keep their tags, albums and ratings; runs inside the caller's transaction
+     */
+    setImageDeletedAt(imageId, deletedAt) {
+        const pkId = this.getImagePkId(imageId);
+        if (!pkId) {
+            throw new Error(`Image with ID ${imageId} not found`);
+        }
+        this.db.run('UPDATE images SET deleted_at = ? WHERE pk_id = ?', [deletedAt, pkId]);
+    }
+
+    /**
+     * Move image to the trash
+     */
+    async deleteImage(imageId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            this.setImageDeletedAt(imageId, new Date().toISOString());
+        } catch (error) {
+            console.error('Error deleting image from database:', error);
+            throw new Error(`Failed to delete image: ${error.message}`);
+        }
+    }
+
+    /**
+     * Delete image from database for good, trashed or not
+     */
+    async purgeImage(imageId) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
+
+        try {
+            // Start transaction
+            this.db.run('BEGIN TRANSACTION');
+
+            this.deleteImageRows(imageId);
 
             // Commit transaction
-            console.log('✅ Committing transaction...');
             this.db.run('COMMIT');
-            console.log('✅ Transaction committed successfully');
 
         } catch (error) {
             // Rollback transaction on error
-            console.log('❌ Error occurred, rolling back transaction...');
             this.db.run('ROLLBACK');
-            console.error('Error updating image in database:', error);
-            throw new Error(`Failed to update image: ${error.message}`);
+            console.error('Error purging image from database:', error);
+            throw new Error(`Failed to purge image: ${error.message}`);
         }
     }
 
     /**
-     * Delete image from database
+     * Store content/perceptual hashes for many images in one transaction
      */
-    async deleteImage(imageId) {
+    updateImageHashes(updates) {
         if (!this.db) {
             throw new Error('Database not loaded');
         }
 
         try {
-            // Start transaction
             this.db.run('BEGIN TRANSACTION');
+            const stmt = this.db.prepare('UPDATE images SET content_hash = ?, perceptual_hash = ? WHERE id = ?');
+            updates.forEach(update => {
+                stmt.run([update.contentHash ?? null, update.perceptualHash ?? null, String(update.id)]);
+            });
+            stmt.free();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to update image hashes: ${error.message}`);
+        }
+    }
 
-            // Delete tag relationships first (due to foreign key constraints)
-            // Get the pk_id for the image
-            const pkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
-            pkStmt.bind([imageId]);
-            let imagePkId = null;
+    /**
+     * Store re-scanned camera/video metadata for many images in one transaction
+     */
+    updateMediaMetadata(updates) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
 
-            if (pkStmt.step()) {
-                const result = pkStmt.getAsObject();
-                imagePkId = result.pk_id;
-            }
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const pkStmt = this.db.prepare('SELECT pk_id FROM images WHERE id = ?');
+            updates.forEach(update => {
+                pkStmt.bind([String(update.id)]);
+                const pkId = pkStmt.step() ? pkStmt.getAsObject().pk_id : null;
+                pkStmt.reset();
+                if (pkId) {
+                    this.writeMediaMetadata(pkId, update.mediaMetadata);
+                }
+            });
             pkStmt.free();
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to update image metadata: ${error.message}`);
+        }
+    }
 
-            if (!imagePkId) {
-                throw new Error(`Image with ID ${imageId} not found`);
-            }
-
-            const deleteRelStmt = this.db.prepare('DELETE FROM image_tags WHERE image_pk_id = ?');
-            deleteRelStmt.run([imagePkId]);
-            deleteRelStmt.free();
+    /**
+     * Change group fields of many images in one transaction
+     * `title` and `ranking` are only written when given; retitled images are reindexed
+     */
+    updateImageGroups(updates) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
 
-            // Delete image
-            const deleteImageStmt = this.db.prepare('DELETE FROM images WHERE id = ?');
-            const result = deleteImageStmt.run([imageId]);
-            deleteImageStmt.free();
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            const updatedAt = new Date().toISOString();
+            updates.forEach(update => {
+                const pkId = this.getImagePkId(update.id);
+                if (!pkId) {
+                    throw new Error(`Image with ID ${update.id} not found`);
+                }
+                this.db.run(`
+                    UPDATE images
+                    SET is_major = ?, group_id = ?, major_image_id = ?, group_position = ?,
+                        title = COALESCE(?, title), ranking = COALESCE(?, ranking), updated_at = ?
+                    WHERE pk_id = ?
+                `, [
+                    update.isMajor ? 1 : 0,
+                    update.groupId,
+                    update.majorImageId,
+                    update.groupPosition ?? null,
+                    update.title ?? null,
+                    update.ranking ?? null,
+                    updatedAt,
+                    pkId
+                ]);
+                if (update.title !== undefined) {
+                    searchIndex.indexImage(this.db, pkId);
+                }
+            });
+            this.db.run('COMMIT');
+        } catch (error) {
+            this.db.run('ROLLBACK');
+            throw new Error(`Failed to update image groups: ${error.message}`);
+        }
+    }
 
-            if (result.changes === 0) {
-                throw new Error(`Image with ID ${imageId} not found`);
-            }
+    /**
+     * Apply a bulk edit in one transaction:
+     * { adds: [image], restores: [imageId], updates: [image], trash: [{ id, deletedAt }],
+     *   deletes: [imageId], tags: [tag], albums: [album] }
+     * Images are complete images (updates keep their ID and get their exact group position),
+     * restores take images out of the trash, deletes remove live or trashed images for good,
+     * tags are written by writeTag and albums with `deleted` are removed
+     */
+    applyImageBatch(batch) {
+        if (!this.db) {
+            throw new Error('Database not loaded');
+        }
 
-            // Commit transaction
+        try {
+            this.db.run('BEGIN TRANSACTION');
+            (batch.adds || []).forEach(image => this.insertImageRow(image));
+            (batch.restores || []).forEach(imageId => this.setImageDeletedAt(imageId, null));
+            (batch.updates || []).forEach(image => {
+                this.writeImageUpdate(image);
+                this.db.run('UPDATE images SET group_position = ? WHERE id = ?', [image.groupPosition ?? null, String(image.id)]);
+            });
+            (batch.trash || []).forEach(entry => this.setImageDeletedAt(entry.id, entry.deletedAt));
+            (batch.deletes || []).forEach(imageId => this.deleteImageRows(String(imageId)));
+            (batch.tags || []).forEach(entry => this.writeTag(entry));
+            (batch.albums || []).forEach(album => (album.deleted ? this.deleteAlbumRows(album.id) : this.writeAlbum(album)));
             this.db.run('COMMIT');
-
         } catch (error) {
-            // Rollback transaction on error
             this.db.run('ROLLBACK');
-            console.error('Error deleting image from database:', error);
-            throw new Error(`Failed to delete image: ${error.message}`);
+            throw new Error(`Failed to apply bulk edit: ${error.message}`);
         }
     }
 
@@ -607,8 +2121,9 @@ class DatabaseManager {
 
     /**
      * Save database to file
+     * Backs up the previous version and replaces the file atomically
      */
-    save() {
+    save(options = {}) {
         if (!this.db || !this.dbFilePath) {
             throw new Error('Database not loaded or file path not set');
         }
@@ -616,8 +2131,8 @@ class DatabaseManager {
         try {
             // Export the database as a binary buffer
             const data = this.db.export();
-            // Write the buffer to the file
-            fs.writeFileSync(this.dbFilePath, data);
+            // Write the buffer via temp file + rename so a crash cannot corrupt the file
+            writeWithBackup(this.dbFilePath, Buffer.from(data), options);
             return true;
         } catch (error) {
             console.error('Error saving database:', error);
@@ -645,6 +2160,23 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Check if the loaded database contains the gallery tables
+     */
+    hasRequiredTables() {
+        if (!this.db) {
+            return false;
+        }
+
+        try {
+            const result = this.db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name IN ('images', 'tags', 'metadata')");
+            return result && result.length > 0 && result[0].values.length >= 2;
+        } catch (error) {
+            // Buffers that are not SQLite databases fail on first query
+            return false;
+        }
+    }
+
     /**
      * Check if a file is a valid SQLite database
      */
@@ -662,13 +2194,12 @@ class DatabaseManager {
                 return false;
             }
 
-            // Try to load the database
+            // Try to load the database (validation never migrates or writes)
             const dbManager = new DatabaseManager();
-            await dbManager.loadDatabase(dbFilePath);
+            await dbManager.loadDatabase(dbFilePath, { migrate: false });
 
             // Check if required tables exist
-            const result = dbManager.db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name IN ('images', 'tags', 'metadata')");
-            const hasRequiredTables = result && result.length > 0 && result[0].values.length >= 2;
+            const hasRequiredTables = dbManager.hasRequiredTables();
 
             dbManager.close();
 
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const DatabaseManager = require('./database');
+const { createBackup } = require('./safe_write');
+
+/**
+ * Registry of long-lived DatabaseManager instances, one per .db file.
+ * Keeps galleries open between requests and coalesces writes so that a burst
+ * of edits results in a single export of the database to disk.
+ */
+
+class DatabasePool {
+    constructor(options = {}) {
+        // Wait this long after the last change before flushing to disk
+        this.flushDelay = options.flushDelay !== undefined ? options.flushDelay : 1000;
+        // Never hold dirty changes in memory for longer than this
+        this.maxFlushDelay = options.maxFlushDelay !== undefined ? options.maxFlushDelay : 5000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Normalize file path so the same file always maps to one entry
+     */
+    getKey(dbFilePath) {
+        return path.resolve(dbFilePath);
+    }
+
+    /**
+     * Read the on-disk signature used to detect external modifications
+     */
+    getFileSignature(dbFilePath) {
+        const stats = fs.statSync(dbFilePath);
+        return { mtimeMs: stats.mtimeMs, size: stats.size };
+    }
+
+    /**
+     * Check whether the file changed on disk since we last loaded or saved it
+     */
+    hasChangedOnDisk(entry) {
+        if (!fs.existsSync(entry.filePath)) {
+            return true;
+        }
+        const current = this.getFileSignature(entry.filePath);
+        return !entry.signature ||
+            current.mtimeMs !== entry.signature.mtimeMs ||
+            current.size !== entry.signature.size;
+    }
+
+    /**
+     * Get an open DatabaseManager for a file, loading it on first use
+     */
+    async acquire(dbFilePath) {
+        const key = this.getKey(dbFilePath);
+        let entry = this.entries.get(key);
+
+        if (entry && entry.loading) {
+            await entry.loading;
+            entry = this.entries.get(key);
+        }
+
+        if (entry && entry.manager && this.hasChangedOnDisk(entry)) {
+            if (entry.dirty) {
+                this.setAsideConflict(entry);
+            } else {
+                console.log(`🔄 ${key} changed on disk, reloading`);
+                this.invalidate(key);
+            }
+            entry = null;
+        }
+
+        if (entry && entry.manager) {
+            return entry.manager;
+        }
+
+        entry = {
+            filePath: key,
+            manager: null,
+            signature: null,
+            dirty: false,
+            timer: null,
+            firstDirtyAt: null,
+            flushCallbacks: [],
+            loading: null
+        };
+        this.entries.set(key, entry);
+
+        entry.loading = (async () => {
+            const manager = new DatabaseManager();
+            await manager.loadDatabase(key);
+            entry.manager = manager;
+            entry.signature = this.getFileSignature(key);
+        })();
+
+        try {
+            await entry.loading;
+        } catch (error) {
+            this.entries.delete(key);
+            throw error;
+        } finally {
+            entry.loading = null;
+        }
+
+        console.log(`🗄️ Opened database in pool: ${key}`);
+        return entry.manager;
+    }
+
+    /**
+     * Record that a database has in-memory changes and schedule a flush
+     */
+    markDirty(dbFilePath) {
+        const entry = this.entries.get(this.getKey(dbFilePath));
+        if (!entry || !entry.manager) {
+            return;
+        }
+
+        const now = Date.now();
+        if (!entry.dirty) {
+            entry.dirty = true;
+            entry.firstDirtyAt = now;
+        }
+
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+        }
+
+        // Debounce, but never postpone past maxFlushDelay from the first change
+        const remaining = Math.max(0, entry.firstDirtyAt + this.maxFlushDelay - now);
+        const delay = Math.min(this.flushDelay, remaining);
+
+        entry.timer = setTimeout(() => {
+            entry.timer = null;
+            try {
+                this.flush(entry.filePath);
+            } catch (error) {
+                console.error(`Failed to flush database ${entry.filePath}:`, error);
+            }
+        }, delay);
+
+        // Pending flushes should not keep the process alive on their own
+        if (entry.timer.unref) {
+            entry.timer.unref();
+        }
+    }
+
+    /**
+     * Write a database to disk now if it has pending changes
+     */
+    flush(dbFilePath) {
+        const entry = this.entries.get(this.getKey(dbFilePath));
+        if (!entry || !entry.manager) {
+            return false;
+        }
+
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+            entry.timer = null;
+        }
+
+        if (!entry.dirty) {
+            this.runFlushCallbacks(entry, true);
+            return false;
+        }
+        if (this.hasChangedOnDisk(entry)) {
+            this.setAsideConflict(entry);
+            return false;
+        }
+
+        console.log(`💾 Flushing database to disk: ${entry.filePath}`);
+        entry.manager.save();
+        entry.dirty = false;
+        entry.firstDirtyAt = null;
+        entry.signature = this.getFileSignature(entry.filePath);
+        this.runFlushCallbacks(entry, true);
+        return true;
+    }
+
+    /**
+     * Run `callback(saved)` once the changes made so far are on disk (`saved` true),
+     * or dropped without being written (false), e.g. on a conflict or invalidate
+     */
+    afterFlush(dbFilePath, callback) {
+        const entry = this.entries.get(this.getKey(dbFilePath));
+        if (!entry || !entry.manager || !entry.dirty) {
+            callback(true);
+            return;
+        }
+        entry.flushCallbacks.push(callback);
+    }
+
+    runFlushCallbacks(entry, saved) {
+        entry.flushCallbacks.splice(0).forEach(callback => {
+            try {
+                callback(saved);
+            } catch (error) {
+                console.error(`Flush callback for ${entry.filePath} failed:`, error);
+            }
+        });
+    }
+
+    /**
+     * Handle a file that changed on disk while its entry holds unsaved changes:
+     * the file is left as it is, the in-memory copy is stored as one of its
+     * backups (so it can be restored) and the entry is dropped to be reloaded
+     */
+    setAsideConflict(entry) {
+        const backupName = createBackup(entry.filePath, { force: true, data: Buffer.from(entry.manager.db.export()) });
+        console.warn(`⚠️ ${entry.filePath} changed on disk while holding unsaved changes; kept the file and saved the unsaved copy as backup ${backupName}`);
+        this.invalidate(entry.filePath);
+        return backupName;
+    }
+
+    /**
+     * Flush every database with pending changes
+     */
+    flushAll() {
+        let flushed = 0;
+        for (const key of this.entries.keys()) {
+            try {
+                if (this.flush(key)) {
+                    flushed++;
+                }
+            } catch (error) {
+                console.error(`Failed to flush database ${key}:`, error);
+            }
+        }
+        return flushed;
+    }
+
+    /**
+     * Drop a database from the pool without saving pending changes
+     */
+    invalidate(dbFilePath) {
+        const key = this.getKey(dbFilePath);
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return;
+        }
+
+        if (entry.timer) {
+            clearTimeout(entry.timer);
+        }
+        if (entry.manager) {
+            entry.manager.close();
+        }
+        this.entries.delete(key);
+        this.runFlushCallbacks(entry, false);
+    }
+
+    /**
+     * Flush and close every open database
+     */
+    closeAll() {
+        this.flushAll();
+        for (const key of Array.from(this.entries.keys())) {
+            this.invalidate(key);
+        }
+    }
+}
+
+module.exports = DatabasePool;
@@ -0,0 +1,275 @@
+/**
+ * Duplicate image detection and merging
+ * Exact duplicates share the SHA-256 of their file (`contentHash`). Near
+ * duplicates (resized, recompressed or lightly edited copies) have difference
+ * hashes (`perceptualHash`, 64 bits as hex) within a small Hamming distance.
+ */
+
+const fs = require('fs');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { GalleryStore, GalleryStoreError } = require('./gallery_store');
+
+// Default and maximum Hamming distance for two perceptual hashes to count as similar
+const DEFAULT_SIMILARITY_THRESHOLD = 6;
+const MAX_SIMILARITY_THRESHOLD = 20;
+
+// Thumbnail width the perceptual hash is computed from
+const HASH_SOURCE_WIDTH = 160;
+
+/**
+ * 64-bit difference hash of RGBA pixels as 16 hex characters
+ * The image is shrunk to 9x8 grey levels and each bit records whether a cell
+ * is brighter than its right-hand neighbour.
+ */
+function differenceHash(image) {
+    const { width, height, data } = image;
+    const cells = [];
+
+    for (let cy = 0; cy < 8; cy++) {
+        const y0 = Math.floor(cy * height / 8);
+        const y1 = Math.max(y0 + 1, Math.floor((cy + 1) * height / 8));
+        for (let cx = 0; cx < 9; cx++) {
+            const x0 = Math.floor(cx * width / 9);
+            const x1 = Math.max(x0 + 1, Math.floor((cx + 1) * width / 9));
+            let sum = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                }
+            }
+            cells.push(sum / ((y1 - y0) * (x1 - x0)));
+        }
+    }
+
+    let hex = '';
+    for (let row = 0; row < 8; row++) {
+        let byte = 0;
+        for (let col = 0; col < 8; col++) {
+            byte = (byte << 1) | (cells[row * 9 + col] > cells[row * 9 + col + 1] ? 1 : 0);
+        }
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length
+ */
+function hammingDistance(a, b) {
+    let distance = 0;
+    for (let i = 0; i < a.length; i += 8) {
+        let bits = (parseInt(a.slice(i, i + 8), 16) ^ parseInt(b.slice(i, i + 8), 16)) >>> 0;
+        while (bits) {
+            bits &= bits - 1;
+            distance++;
+        }
+    }
+    return distance;
+}
+
+/**
+ * Group images with matching hashes into clusters of two or more
+ * Returns [{ kind: 'exact' | 'similar', distance, images }], largest first;
+ * `distance` is the largest perceptual distance inside a similar cluster.
+ */
+function findDuplicateClusters(images, options = {}) {
+    const threshold = options.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+    const parent = images.map((img, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const union = (a, b) => {
+        parent[find(a)] = find(b);
+    };
+
+    const byContentHash = new Map();
+    images.forEach((img, index) => {
+        if (img.contentHash) {
+            if (byContentHash.has(img.contentHash)) {
+                union(index, byContentHash.get(img.contentHash));
+            } else {
+                byContentHash.set(img.contentHash, index);
+            }
+        }
+    });
+
+    const hashed = images.map((img, index) => index).filter(index => images[index].perceptualHash);
+    for (let i = 0; i < hashed.length; i++) {
+        for (let j = i + 1; j < hashed.length; j++) {
+            const a = hashed[i];
+            const b = hashed[j];
+            if (find(a) !== find(b) && hammingDistance(images[a].perceptualHash, images[b].perceptualHash) <= threshold) {
+                union(a, b);
+            }
+        }
+    }
+
+    const groups = new Map();
+    images.forEach((img, index) => {
+        const root = find(index);
+        if (!groups.has(root)) {
+            groups.set(root, []);
+        }
+        groups.get(root).push(img);
+    });
+
+    return [...groups.values()]
+        .filter(members => members.length > 1)
+        .map(members => {
+            const exact = members.every(img => img.contentHash && img.contentHash === members[0].contentHash);
+            let distance = 0;
+            if (!exact) {
+                const withHash = members.filter(img => img.perceptualHash);
+                withHash.forEach((a, i) => withHash.slice(i + 1).forEach(b => {
+                    distance = Math.max(distance, hammingDistance(a.perceptualHash, b.perceptualHash));
+                }));
+            }
+            return { kind: exact ? 'exact' : 'similar', distance, images: members };
+        })
+        .sort((a, b) => b.images.length - a.images.length || (a.kind === 'exact' ? -1 : 1) - (b.kind === 'exact' ? -1 : 1));
+}
+
+/**
+ * Computes content and perceptual hashes for local image sources
+ * Uses the ThumbnailService to resolve `src` values and to get a small decodable copy
+ */
+class MediaHasher {
+    constructor(thumbnails) {
+        this.thumbnails = thumbnails;
+    }
+
+    /**
+     * Hash the file behind an image `src`
+     * Returns { contentHash, perceptualHash } or null for remote and missing files;
+     * `perceptualHash` is null for formats that cannot be decoded here
+     */
+    async hashSource(src) {
+        let filePath;
+        try {
+            filePath = this.thumbnails.resolveSource(src);
+        } catch (error) {
+            return null;
+        }
+
+        const contentHash = await this.thumbnails.hashFile(filePath);
+        let perceptualHash = null;
+        try {
+            const thumbnail = await this.thumbnails.getThumbnail(src, HASH_SOURCE_WIDTH);
+            const buffer = fs.readFileSync(thumbnail.path);
+            if (thumbnail.mimeType === 'image/jpeg') {
+                perceptualHash = differenceHash(jpeg.decode(buffer, { formatAsRGBA: true }));
+            } else if (thumbnail.mimeType === 'image/png') {
+                perceptualHash = differenceHash(PNG.sync.read(buffer));
+            }
+        } catch (error) {
+            // Undecodable images and videos without ffmpeg are still matched exactly
+        }
+
+        return { contentHash, perceptualHash };
+    }
+
+    /**
+     * Hash an image record before it is stored; hashes of non-local sources are cleared
+     */
+    async withHashes(image) {
+        if (!image || typeof image !== 'object' || Array.isArray(image)) {
+            return image;
+        }
+        const hashes = await this.hashSource(image.src);
+        return { ...image, contentHash: null, perceptualHash: null, ...hashes };
+    }
+
+    /**
+     * Hash images that have a local source but no content hash yet
+     * Returns [{ id, src, contentHash, perceptualHash }] for `saveHashes`; nothing is written
+     */
+    async hashMissing(images) {
+        const updates = [];
+        for (const img of images) {
+            if (img.src && !img.contentHash) {
+                const hashes = await this.hashSource(img.src);
+                if (hashes) {
+                    updates.push({ id: img.id, src: img.src, ...hashes });
+                }
+            }
+        }
+        return updates;
+    }
+
+    /**
+     * Save hashes from `hashMissing` for the images that still have the hashed
+     * source and no hash; the others changed since. Returns the number saved
+     */
+    async saveHashes(store, updates) {
+        const current = updates.filter(update => {
+            const image = store.findImage(update.id);
+            return image && image.src === update.src && !image.contentHash;
+        });
+        if (current.length > 0) {
+            await store.updateImageHashes(current);
+        }
+        return current.length;
+    }
+}
+
+/**
+ * Merge duplicates into one image: tags are unioned, the best ranking and the
+ * first non-empty description are kept, and the other images are deleted
+ * Subsidiaries of a deleted major move to the kept image's group (or the kept
+ * major takes over the group when it has none).
+ */
+async function mergeDuplicates(store, keepId, mergeIds) {
+    if (!Array.isArray(mergeIds) || mergeIds.length === 0) {
+        throw new GalleryStoreError('mergeIds must be a non-empty array', 'VALIDATION');
+    }
+    if (mergeIds.some(id => GalleryStore.sameId(id, keepId))) {
+        throw new GalleryStoreError('mergeIds cannot include keepId', 'VALIDATION');
+    }
+
+    const keeper = { ...store.getImage(keepId) };
+    const merged = mergeIds.map(id => store.getImage(id));
+    const all = [keeper, ...merged];
+
+    keeper.tags = GalleryStore.normalizeTags(all.flatMap(img => img.tags || []));
+    const rankings = all.map(img => img.ranking).filter(ranking => ranking !== null && ranking !== undefined);
+    keeper.ranking = rankings.length ? Math.max(...rankings) : null;
+    keeper.description = all.map(img => img.description).find(Boolean) || '';
+
+    const regrouped = [];
+    merged.forEach(img => {
+        if (img.isMajor === false || !img.groupId || img.groupId === keeper.groupId) {
+            return;
+        }
+        if (keeper.isMajor !== false && !keeper.groupId) {
+            keeper.groupId = img.groupId;
+            return;
+        }
+        store.listImages()
+            .filter(sub => sub.isMajor === false && sub.groupId === img.groupId)
+            .forEach(sub => regrouped.push({
+                ...sub,
+                groupId: keeper.groupId,
+                majorImageId: GalleryStore.sameId(sub.majorImageId, img.id) ? keeper.id : sub.majorImageId
+            }));
+    });
+
+    const image = await store.updateImage(keeper);
+    for (const sub of regrouped) {
+        await store.updateImage(sub);
+    }
+    for (const img of merged) {
+        await store.deleteImage(img.id);
+    }
+
+    return { image, removed: merged.map(img => img.id), regrouped: regrouped.map(sub => sub.id) };
+}
+
+module.exports = {
+    DEFAULT_SIMILARITY_THRESHOLD,
+    MAX_SIMILARITY_THRESHOLD,
+    MediaHasher,
+    differenceHash,
+    hammingDistance,
+    findDuplicateClusters,
+    mergeDuplicates
+};
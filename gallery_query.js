@@ -0,0 +1,372 @@
+/**
+ * Gallery filtering, sorting and pagination shared by the server and the renderer
+ * Loaded with require() by gallery_store.js and with a <script> tag by index.html,
+ * where it is exposed as window.GalleryQuery.
+ *
+ * Group rules: a subsidiary (isMajor === false) is filtered by its group's major
+ * image tags and sorted by its major image's ranking, dates and media details.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+    if (root) {
+        root.GalleryQuery = api;
+    }
+})(typeof window !== 'undefined' ? window : null, function () {
+
+    const SORT_OPTIONS = [
+        'ranking-desc', 'ranking-asc', 'name-asc', 'name-desc', 'date-asc', 'date-desc',
+        'captured-asc', 'captured-desc', 'area-asc', 'area-desc', 'aspect-asc', 'aspect-desc',
+        'size-asc', 'size-desc', 'modified-asc', 'modified-desc', 'random', 'album'
+    ];
+    const DEFAULT_SORT = 'ranking-desc';
+    const DEFAULT_PAGE_SIZE = 12;
+    const MAX_PAGE_SIZE = 500;
+
+    /**
+     * Index major images by ID and by group ID
+     */
+    function indexMajorImages(images) {
+        const majorImagesById = {};
+        const majorImagesByGroupId = {};
+
+        images.forEach(img => {
+            if (img.isMajor !== false) {
+                majorImagesById[img.id] = img;
+                if (img.groupId) {
+                    majorImagesByGroupId[img.groupId] = img;
+                }
+            }
+        });
+
+        return { majorImagesById, majorImagesByGroupId };
+    }
+
+    /**
+     * Get the image whose tags decide whether an image passes a tag filter
+     * Returns null for subsidiaries without a major image, which always pass
+     */
+    function getTagOwner(img, majorImagesByGroupId) {
+        if (img.isMajor !== false) {
+            return img;
+        }
+        if (img.groupId && majorImagesByGroupId[img.groupId]) {
+            return majorImagesByGroupId[img.groupId];
+        }
+        return null;
+    }
+
+    // Helper function to get ranking for sorting
+    function getRankingForSort(img, majorImagesById, majorImagesByGroupId) {
+        if (img.isMajor !== false) {
+            return img.ranking || 0;
+        } else if (img.majorImageId) {
+            return majorImagesById[img.majorImageId]?.ranking || 0;
+        } else if (img.groupId && majorImagesByGroupId[img.groupId]) {
+            return majorImagesByGroupId[img.groupId].ranking || 0;
+        }
+        return 0;
+    }
+
+    // Helper function to get date for sorting
+    function getDateForSort(img, majorImagesById, majorImagesByGroupId) {
+        if (img.isMajor !== false) {
+            return img.date ? new Date(img.date).getTime() : 0;
+        } else if (img.majorImageId) {
+            return majorImagesById[img.majorImageId]?.date ? new Date(majorImagesById[img.majorImageId].date).getTime() : 0;
+        } else if (img.groupId && majorImagesByGroupId[img.groupId]) {
+            return majorImagesByGroupId[img.groupId].date ? new Date(majorImagesByGroupId[img.groupId].date).getTime() : 0;
+        }
+        return 0;
+    }
+
+    /**
+     * Get the image whose ranking, dates and media details a sort uses
+     * Returns null for subsidiaries without a major image
+     */
+    function getSortOwner(img, majorImagesById, majorImagesByGroupId) {
+        if (img.isMajor !== false) {
+            return img;
+        } else if (img.majorImageId) {
+            return majorImagesById[img.majorImageId] || null;
+        } else if (img.groupId && majorImagesByGroupId[img.groupId]) {
+            return majorImagesByGroupId[img.groupId];
+        }
+        return null;
+    }
+
+    // Timestamp of an ISO date string, null when missing or unparsable
+    function toTime(value) {
+        const time = value ? new Date(value).getTime() : NaN;
+        return Number.isNaN(time) ? null : time;
+    }
+
+    // Sort keys that may be missing; images without a value sort last in both directions
+    const OPTIONAL_SORT_KEYS = {
+        captured: img => toTime(img.mediaMetadata && img.mediaMetadata.capturedAt),
+        area: img => (img.pixelWidth && img.pixelHeight ? img.pixelWidth * img.pixelHeight : null),
+        aspect: img => (img.pixelWidth && img.pixelHeight ? img.pixelWidth / img.pixelHeight : null),
+        size: img => (typeof img.fileSize === 'number' ? img.fileSize : null),
+        modified: img => toTime(img.updatedAt)
+    };
+
+    /**
+     * Deterministic pseudo-random number in [0, 1) for a seed and an image ID
+     * FNV-1a over "seed:id"; the SQLite store registers it as an SQL function
+     * so both stores shuffle the same way.
+     */
+    function seededRandom(seed, id) {
+        const text = `${seed === null || seed === undefined ? '' : seed}:${id}`;
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash / 0x100000000;
+    }
+
+    /**
+     * Case-insensitive substring match on title, description and tags
+     */
+    function matchesText(img, needle) {
+        return [img.title, img.description, ...(img.tags || [])]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(needle));
+    }
+
+    /**
+     * Camera filter: case-insensitive substring of make, model or lens
+     * Capture filter: prefix of the ISO capture timestamp ("2023", "2023-07")
+     */
+    function matchesMediaMetadata(img, camera, captured) {
+        const metadata = img.mediaMetadata;
+        if (!metadata) {
+            return false;
+        }
+        if (camera && ![metadata.cameraMake, metadata.cameraModel, metadata.lensModel]
+            .some(value => typeof value === 'string' && value.toLowerCase().includes(camera))) {
+            return false;
+        }
+        return !captured || (typeof metadata.capturedAt === 'string' && metadata.capturedAt.startsWith(captured));
+    }
+
+    /**
+     * Filter images by tags (all must match), a tag predicate and free text
+     * `matchTags(tags)` is typically compiled from a TagQuery expression, and
+     * `expandTags(tags)` (TagHierarchy's withAncestors) lets a parent tag match
+     * images tagged with its descendants.
+     * `matchIds` (a Set of IDs from a search index) takes the place of the plain
+     * substring match on `q`. Subsidiaries match free text through their own
+     * fields or their major's, and `camera` / `captured` through either's
+     * media metadata. `albumImageIds` keeps only the images of an album; album
+     * membership is per image, so subsidiaries are not pulled in by their major.
+     */
+    function filterImages(images, options = {}) {
+        const tags = options.tags || [];
+        const matchTags = options.matchTags || null;
+        const expandTags = options.expandTags || (tags => tags);
+        const matchIds = options.matchIds || null;
+        const needle = matchIds ? '' : (options.q || '').trim().toLowerCase();
+        const camera = (options.camera || '').trim().toLowerCase();
+        const captured = (options.captured || '').trim();
+        const albumIds = options.albumImageIds ? new Set(options.albumImageIds.map(String)) : null;
+        const { majorImagesByGroupId } = indexMajorImages(images);
+
+        return images.filter(img => {
+            if (albumIds && !albumIds.has(String(img.id))) {
+                return false;
+            }
+
+            const owner = getTagOwner(img, majorImagesByGroupId);
+            const ownerTags = owner && (tags.length > 0 || matchTags) ? expandTags(owner.tags || []) : [];
+
+            if (tags.length > 0 && owner) {
+                if (!tags.every(tag => ownerTags.includes(tag))) {
+                    return false;
+                }
+            }
+
+            if (matchTags && owner && !matchTags(ownerTags)) {
+                return false;
+            }
+
+            if ((camera || captured) && !matchesMediaMetadata(img, camera, captured)
+                && !(owner && owner !== img && matchesMediaMetadata(owner, camera, captured))) {
+                return false;
+            }
+
+            if (matchIds) {
+                return matchIds.has(String(img.id)) || Boolean(owner && matchIds.has(String(owner.id)));
+            }
+
+            if (needle) {
+                return matchesText(img, needle) || Boolean(owner && owner !== img && matchesText(owner, needle));
+            }
+
+            return true;
+        });
+    }
+
+    /**
+     * Sort images in place; ties keep their original order (the sort is stable)
+     * `allImages` supplies the major images used for inherited ranking and date;
+     * `seed` picks the order of the `random` sort and `albumImageIds` the order
+     * of the `album` sort (images outside the album go last).
+     */
+    function sortImages(workingImages, sort, allImages = workingImages, seed = '', albumImageIds = []) {
+        const { majorImagesById, majorImagesByGroupId } = indexMajorImages(allImages);
+        const [sortKey, direction] = sort.split('-');
+        const getOptionalKey = OPTIONAL_SORT_KEYS[sortKey];
+        const sortValues = new Map();
+
+        if (sort === 'album') {
+            const positions = new Map(albumImageIds.map((id, index) => [String(id), index]));
+            workingImages.forEach(img => {
+                sortValues.set(img, positions.has(String(img.id)) ? positions.get(String(img.id)) : Infinity);
+            });
+        }
+
+        if (getOptionalKey || sort === 'random') {
+            workingImages.forEach(img => {
+                const owner = getSortOwner(img, majorImagesById, majorImagesByGroupId);
+                let value = null;
+                if (owner) {
+                    value = getOptionalKey ? getOptionalKey(owner) : seededRandom(seed, owner.id);
+                }
+                sortValues.set(img, value);
+            });
+        }
+
+        return workingImages.sort((a, b) => {
+            let aValue, bValue;
+
+            if (getOptionalKey) {
+                aValue = sortValues.get(a);
+                bValue = sortValues.get(b);
+                if (aValue === null || bValue === null) {
+                    return (aValue === null) - (bValue === null);
+                }
+                return direction === 'desc' ? bValue - aValue : aValue - bValue;
+            }
+
+            switch (sort) {
+                case 'ranking-asc':
+                    aValue = getRankingForSort(a, majorImagesById, majorImagesByGroupId);
+                    bValue = getRankingForSort(b, majorImagesById, majorImagesByGroupId);
+                    return aValue - bValue;
+
+                case 'ranking-desc':
+                    aValue = getRankingForSort(a, majorImagesById, majorImagesByGroupId);
+                    bValue = getRankingForSort(b, majorImagesById, majorImagesByGroupId);
+                    return bValue - aValue;
+
+                case 'name-asc':
+                    return (a.title || '').localeCompare(b.title || '');
+
+                case 'name-desc':
+                    return (b.title || '').localeCompare(a.title || '');
+
+                case 'date-asc':
+                    aValue = getDateForSort(a, majorImagesById, majorImagesByGroupId);
+                    bValue = getDateForSort(b, majorImagesById, majorImagesByGroupId);
+                    return aValue - bValue;
+
+                case 'date-desc':
+                    aValue = getDateForSort(a, majorImagesById, majorImagesByGroupId);
+                    bValue = getDateForSort(b, majorImagesById, majorImagesByGroupId);
+                    return bValue - aValue;
+
+                case 'album':
+                    aValue = sortValues.get(a);
+                    bValue = sortValues.get(b);
+                    return aValue === bValue ? 0 : aValue - bValue;
+
+                case 'random':
+                    aValue = sortValues.get(a);
+                    bValue = sortValues.get(b);
+                    return (aValue === null ? 1 : aValue) - (bValue === null ? 1 : bValue);
+
+                default:
+                    return 0;
+            }
+        });
+    }
+
+    /**
+     * Clamp a page number and compute page bounds
+     * A falsy pageSize means a single page holding every image
+     */
+    function paginate(total, page, pageSize) {
+        if (!pageSize) {
+            return { page: 1, pageSize: null, total, totalPages: 1, offset: 0 };
+        }
+
+        const totalPages = Math.max(1, Math.ceil(total / pageSize));
+        const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+
+        return {
+            page: currentPage,
+            pageSize,
+            total,
+            totalPages,
+            offset: (currentPage - 1) * pageSize
+        };
+    }
+
+    /**
+     * Filter, sort and paginate an in-memory image list
+     * Returns the page of images together with the pagination totals
+     */
+    function queryImages(images, options = {}) {
+        const filtered = sortImages(filterImages(images, options), options.sort || DEFAULT_SORT, images, options.seed, options.albumImageIds);
+        const pagination = paginate(filtered.length, options.page, options.pageSize);
+        const end = pagination.pageSize ? pagination.offset + pagination.pageSize : filtered.length;
+
+        return {
+            images: filtered.slice(pagination.offset, end),
+            page: pagination.page,
+            pageSize: pagination.pageSize,
+            total: pagination.total,
+            totalPages: pagination.totalPages
+        };
+    }
+
+    /**
+     * Order of subsidiaries within their group: by groupPosition, unpositioned
+     * members last, then by ID (numeric-aware, as IDs may be text)
+     */
+    function compareGroupMembers(a, b) {
+        const aPosition = Number.isInteger(a.groupPosition) ? a.groupPosition : Infinity;
+        const bPosition = Number.isInteger(b.groupPosition) ? b.groupPosition : Infinity;
+        if (aPosition !== bPosition) {
+            return aPosition < bPosition ? -1 : 1;
+        }
+        return String(a.id).localeCompare(String(b.id), undefined, { numeric: true });
+    }
+
+    /**
+     * Tags offered for filtering: only major images' tags, sorted
+     */
+    function getAvailableTags(images) {
+        const majorImages = images.filter(img => img.isMajor !== false);
+        return [...new Set(majorImages.flatMap(img => img.tags || []))].sort();
+    }
+
+    return {
+        SORT_OPTIONS,
+        DEFAULT_SORT,
+        DEFAULT_PAGE_SIZE,
+        MAX_PAGE_SIZE,
+        filterImages,
+        sortImages,
+        paginate,
+        queryImages,
+        getAvailableTags,
+        getRankingForSort,
+        getDateForSort,
+        getSortOwner,
+        compareGroupMembers,
+        seededRandom
+    };
+});
@@ -0,0 +1,2254 @@
+const fs = require('fs');
+const DatabaseManager = require('./database');
+const { writeWithBackup } = require('./safe_write');
+const GalleryQuery = require('./gallery_query');
+const searchIndex = require('./search_index');
+const TagQuery = require('./tag_query');
+const TagHierarchy = require('./tag_hierarchy');
+const { normalizeMediaMetadata } = require('./media_metadata');
+const { RevisionLog, diffImages, REVERT_FIELDS } = require('./revisions');
+
+/**
+ * Storage adapters for gallery data files
+ * JSON files and SQLite databases expose the same methods with the same
+ * validation and error semantics, so routes never branch on the file type.
+ */
+
+// Image fields kept only when given: media details, duplicate hashes and group order.
+// Together with the fields normalizeImage always sets, these are all an image stores
+const OPTIONAL_IMAGE_FIELDS = ['pixelWidth', 'pixelHeight', 'fileSize', 'mimeType', 'contentHash', 'perceptualHash', 'groupPosition'];
+
+/**
+ * Error raised by gallery stores; `code` tells callers how to respond
+ * NOT_FOUND, FILE_NOT_FOUND, DUPLICATE_ID, VALIDATION or INVALID_FILE
+ */
+class GalleryStoreError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'GalleryStoreError';
+        this.code = code;
+    }
+}
+
+/**
+ * Shared validation and normalization for all store implementations
+ */
+class GalleryStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.changeListener = null;
+    }
+
+    /**
+     * Trim tags, drop empty entries and duplicates
+     */
+    static normalizeTags(tags) {
+        if (tags === undefined || tags === null) {
+            return [];
+        }
+        if (!Array.isArray(tags)) {
+            throw new GalleryStoreError('Tags must be an array of strings', 'VALIDATION');
+        }
+
+        const seen = new Set();
+        const normalized = [];
+        tags.forEach(tag => {
+            if (typeof tag !== 'string' && typeof tag !== 'number') {
+                throw new GalleryStoreError(`Invalid tag: ${JSON.stringify(tag)}`, 'VALIDATION');
+            }
+            const name = String(tag).trim();
+            if (name && !seen.has(name)) {
+                seen.add(name);
+                normalized.push(name);
+            }
+        });
+        return normalized;
+    }
+
+    /**
+     * Compare image IDs regardless of number/string representation
+     */
+    static sameId(a, b) {
+        return a !== undefined && a !== null && b !== undefined && b !== null && String(a) === String(b);
+    }
+
+    /**
+     * Validate an incoming image and return its canonical form
+     * Title is required except for subsidiary images, which inherit the major's title
+     */
+    normalizeImage(image) {
+        if (!image || typeof image !== 'object' || Array.isArray(image)) {
+            throw new GalleryStoreError('Image must be an object', 'VALIDATION');
+        }
+
+        if (image.id === undefined || image.id === null || String(image.id).trim() === '') {
+            throw new GalleryStoreError('Missing required image field: id', 'VALIDATION');
+        }
+
+        const isMajor = image.isMajor !== false;
+        const groupId = image.groupId || null;
+        const title = typeof image.title === 'string' ? image.title.trim() : (image.title ? String(image.title) : '');
+        const isSubsidiary = !isMajor && groupId;
+
+        if (!title && !isSubsidiary) {
+            throw new GalleryStoreError('Missing required image field: title', 'VALIDATION');
+        }
+
+        let ranking = null;
+        if (image.ranking !== undefined && image.ranking !== null && image.ranking !== '') {
+            ranking = Number(image.ranking);
+            if (!Number.isFinite(ranking)) {
+                throw new GalleryStoreError(`Invalid ranking: ${image.ranking}`, 'VALIDATION');
+            }
+        }
+
+        // Media details recorded at upload time
+        ['pixelWidth', 'pixelHeight', 'fileSize'].forEach(field => {
+            const value = image[field];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 0)) {
+                throw new GalleryStoreError(`Invalid ${field}: ${value}`, 'VALIDATION');
+            }
+        });
+
+        if (image.groupPosition !== undefined && image.groupPosition !== null
+            && !(Number.isInteger(image.groupPosition) && image.groupPosition >= 0)) {
+            throw new GalleryStoreError(`Invalid groupPosition: ${image.groupPosition}`, 'VALIDATION');
+        }
+
+        // Hashes used for duplicate detection
+        if (image.contentHash && !/^[0-9a-f]{64}$/.test(image.contentHash)) {
+            throw new GalleryStoreError(`Invalid contentHash: ${image.contentHash}`, 'VALIDATION');
+        }
+        if (image.perceptualHash && !/^[0-9a-f]{16}$/.test(image.perceptualHash)) {
+            throw new GalleryStoreError(`Invalid perceptualHash: ${image.perceptualHash}`, 'VALIDATION');
+        }
+
+        const normalized = {
+            id: image.id,
+            title: title,
+            description: image.description || '',
+            src: image.src || '',
+            ranking: ranking,
+            width: image.width || '',
+            height: image.height || '',
+            isMajor: isMajor,
+            groupId: groupId,
+            majorImageId: image.majorImageId || null,
+            date: image.date || new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+            tags: this.getTagHierarchy().withImpliedTags(GalleryStore.normalizeTags(image.tags))
+        };
+        OPTIONAL_IMAGE_FIELDS.forEach(field => {
+            if (image[field] !== undefined) {
+                normalized[field] = image[field];
+            }
+        });
+
+        // Camera/video metadata; left out entirely when not given so stored metadata is kept
+        if (image.mediaMetadata !== undefined) {
+            try {
+                normalized.mediaMetadata = normalizeMediaMetadata(image.mediaMetadata);
+            } catch (error) {
+                throw new GalleryStoreError(error.message, 'VALIDATION');
+            }
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Parse list query parameters (tags, tagQuery, sort, seed, page, pageSize, q, camera, captured, album)
+     * Tags may be repeated or comma-separated; returns null when none are given
+     */
+    static parseQuery(params = {}) {
+        const keys = ['tags', 'tagQuery', 'sort', 'seed', 'page', 'pageSize', 'q', 'camera', 'captured', 'album'];
+        if (!keys.some(key => params[key] !== undefined)) {
+            return null;
+        }
+
+        const rawTags = [].concat(params.tags || []).flatMap(value => String(value).split(','));
+        const tags = GalleryStore.normalizeTags(rawTags);
+
+        const tagQuery = typeof params.tagQuery === 'string' ? params.tagQuery.trim() : '';
+        try {
+            TagQuery.parse(tagQuery);
+        } catch (error) {
+            throw new GalleryStoreError(`Invalid tagQuery: ${error.message}`, 'VALIDATION');
+        }
+
+        const sort = params.sort || GalleryQuery.DEFAULT_SORT;
+        if (!GalleryQuery.SORT_OPTIONS.includes(sort)) {
+            throw new GalleryStoreError(
+                `Invalid sort: ${sort} (expected one of ${GalleryQuery.SORT_OPTIONS.join(', ')})`,
+                'VALIDATION'
+            );
+        }
+
+        // The random sort is stable for a given seed so pages do not overlap
+        const seed = params.seed === undefined ? '' : String(params.seed);
+        if (seed.length > 64) {
+            throw new GalleryStoreError('seed cannot exceed 64 characters', 'VALIDATION');
+        }
+
+        const parsePositiveInt = (value, name, fallback) => {
+            if (value === undefined || value === '') {
+                return fallback;
+            }
+            const number = Number(value);
+            if (!Number.isInteger(number) || number < 1) {
+                throw new GalleryStoreError(`Invalid ${name}: ${value}`, 'VALIDATION');
+            }
+            return number;
+        };
+
+        const pageSize = parsePositiveInt(params.pageSize, 'pageSize', GalleryQuery.DEFAULT_PAGE_SIZE);
+        if (pageSize > GalleryQuery.MAX_PAGE_SIZE) {
+            throw new GalleryStoreError(`pageSize cannot exceed ${GalleryQuery.MAX_PAGE_SIZE}`, 'VALIDATION');
+        }
+
+        const captured = typeof params.captured === 'string' ? params.captured.trim() : '';
+        if (captured && !/^\d{4}(-\d{2}(-\d{2})?)?$/.test(captured)) {
+            throw new GalleryStoreError(`Invalid captured: ${captured} (expected YYYY, YYYY-MM or YYYY-MM-DD)`, 'VALIDATION');
+        }
+
+        // Album order only exists inside an album
+        const album = parsePositiveInt(params.album, 'album', null);
+        if (sort === 'album' && album === null) {
+            throw new GalleryStoreError('The album sort needs an album', 'VALIDATION');
+        }
+
+        return {
+            tags,
+            tagQuery,
+            sort,
+            seed,
+            page: parsePositiveInt(params.page, 'page', 1),
+            pageSize,
+            q: typeof params.q === 'string' ? params.q.trim() : '',
+            camera: typeof params.camera === 'string' ? params.camera.trim() : '',
+            captured,
+            album
+        };
+    }
+
+    /**
+     * Validate a tag name and return it trimmed
+     */
+    static normalizeTagName(name, field = 'tag') {
+        if (typeof name !== 'string' && typeof name !== 'number') {
+            throw new GalleryStoreError(`Missing or invalid ${field}`, 'VALIDATION');
+        }
+        const trimmed = String(name).trim();
+        if (!trimmed) {
+            throw new GalleryStoreError(`Missing or invalid ${field}`, 'VALIDATION');
+        }
+        return trimmed;
+    }
+
+    /**
+     * Validate tag changes ({ name, color, description, parents })
+     * Omitted fields stay undefined; an empty color or description clears it.
+     * `parents` lists tag names or { name, implies } objects.
+     */
+    static normalizeTagChanges(changes = {}) {
+        const normalized = {};
+
+        if (changes.name !== undefined) {
+            normalized.name = GalleryStore.normalizeTagName(changes.name, 'new tag name');
+        }
+
+        if (changes.color !== undefined) {
+            const color = changes.color === null ? '' : String(changes.color).trim();
+            if (color && !/^#[0-9a-fA-F]{6}$/.test(color)) {
+                throw new GalleryStoreError(`Invalid color: ${changes.color} (expected #rrggbb)`, 'VALIDATION');
+            }
+            normalized.color = color ? color.toLowerCase() : null;
+        }
+
+        if (changes.description !== undefined) {
+            if (changes.description !== null && typeof changes.description !== 'string') {
+                throw new GalleryStoreError('Tag description must be a string', 'VALIDATION');
+            }
+            const description = (changes.description || '').trim();
+            if (description.length > 500) {
+                throw new GalleryStoreError('Tag description cannot exceed 500 characters', 'VALIDATION');
+            }
+            normalized.description = description || null;
+        }
+
+        if (changes.parents !== undefined) {
+            if (!Array.isArray(changes.parents)) {
+                throw new GalleryStoreError('parents must be an array of tag names', 'VALIDATION');
+            }
+            const parents = new Map();
+            changes.parents.forEach(parent => {
+                const isObject = parent !== null && typeof parent === 'object';
+                const name = GalleryStore.normalizeTagName(isObject ? parent.name : parent, 'parent tag');
+                parents.set(name, { name, implies: Boolean(isObject && parent.implies) });
+            });
+            normalized.parents = [...parents.values()];
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Build the tag hierarchy from the store's child -> parent edges
+     */
+    getTagHierarchy() {
+        return TagHierarchy.create(this.getTagParents());
+    }
+
+    /**
+     * Add each tag's parents ([{ name, implies }]) to a tag list
+     */
+    withTagParents(tags) {
+        const hierarchy = this.getTagHierarchy();
+        return tags.map(tag => ({ ...tag, parents: hierarchy.getParents(tag.name) }));
+    }
+
+    /**
+     * Get a tag's count, color and description or throw NOT_FOUND
+     */
+    getTag(tagName) {
+        const tag = this.listTags().find(item => item.name === tagName);
+        if (!tag) {
+            throw new GalleryStoreError(`Tag "${tagName}" not found`, 'NOT_FOUND');
+        }
+        return tag;
+    }
+
+    /**
+     * Validate a tag update and return [tagName, changes]
+     * Renaming onto an existing tag is rejected; merging is the way to combine tags
+     */
+    prepareTagUpdate(name, changes) {
+        const tagName = GalleryStore.normalizeTagName(name);
+        const normalized = GalleryStore.normalizeTagChanges(changes);
+        this.getTag(tagName);
+
+        if (normalized.name !== undefined && normalized.name !== tagName
+            && this.listTags().some(tag => tag.name === normalized.name)) {
+            throw new GalleryStoreError(`Tag "${normalized.name}" already exists; merge the tags instead`, 'DUPLICATE_ID');
+        }
+
+        // Parents are checked against the hierarchy without the tag's current parents
+        if (normalized.parents !== undefined) {
+            const newName = normalized.name !== undefined ? normalized.name : tagName;
+            const others = TagHierarchy.create(this.getTagParents().filter(edge => edge.tag !== tagName));
+            normalized.parents.forEach(parent => {
+                if (parent.name === tagName || parent.name === newName
+                    || others.wouldCreateCycle(tagName, parent.name)) {
+                    throw new GalleryStoreError(`Tag "${parent.name}" cannot be a parent of "${newName}": it would create a cycle`, 'VALIDATION');
+                }
+            });
+        }
+
+        return [tagName, normalized];
+    }
+
+    /**
+     * Validate a merge and return [sourceNames, targetName]
+     */
+    prepareTagMerge(sources, target) {
+        if (!Array.isArray(sources) || sources.length === 0) {
+            throw new GalleryStoreError('sources must be a non-empty array of tag names', 'VALIDATION');
+        }
+        const targetName = GalleryStore.normalizeTagName(target, 'target tag');
+        const sourceNames = [...new Set(sources.map(name => GalleryStore.normalizeTagName(name, 'source tag')))];
+        if (sourceNames.includes(targetName)) {
+            throw new GalleryStoreError('sources cannot include the target tag', 'VALIDATION');
+        }
+        sourceNames.forEach(name => this.getTag(name));
+
+        return [sourceNames, targetName];
+    }
+
+    /**
+     * Get an album or throw NOT_FOUND
+     */
+    getAlbum(albumId) {
+        const album = this.listAlbums().find(item => GalleryStore.sameId(item.id, albumId));
+        if (!album) {
+            throw new GalleryStoreError(`Album with ID ${albumId} not found`, 'NOT_FOUND');
+        }
+        return album;
+    }
+
+    /**
+     * Map image IDs onto the stored images' IDs, dropping repeats
+     * Unknown IDs throw NOT_FOUND
+     */
+    resolveImageIds(imageIds) {
+        const ids = [];
+        imageIds.forEach(imageId => {
+            const image = this.getImage(imageId);
+            if (!ids.some(id => GalleryStore.sameId(id, image.id))) {
+                ids.push(image.id);
+            }
+        });
+        return ids;
+    }
+
+    /**
+     * Validate album fields and return the complete album to save
+     * `existing` is the album being updated; omitted fields keep its values.
+     * `imageIds` is the full list in album order; the cover must be one of them.
+     */
+    prepareAlbum(changes, existing = null) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new GalleryStoreError('Album must be an object', 'VALIDATION');
+        }
+
+        const now = new Date().toISOString();
+        const album = existing
+            ? { ...existing }
+            : { id: null, name: '', description: '', coverImageId: null, imageIds: [], createdAt: now };
+
+        if (changes.name !== undefined || !existing) {
+            const name = typeof changes.name === 'string' ? changes.name.trim() : '';
+            if (!name) {
+                throw new GalleryStoreError('Missing required album field: name', 'VALIDATION');
+            }
+            if (name.length > 100) {
+                throw new GalleryStoreError('Album name cannot exceed 100 characters', 'VALIDATION');
+            }
+            if (this.listAlbums().some(other => other.name === name && !GalleryStore.sameId(other.id, album.id))) {
+                throw new GalleryStoreError(`Album "${name}" already exists`, 'DUPLICATE_ID');
+            }
+            album.name = name;
+        }
+
+        if (changes.description !== undefined) {
+            if (changes.description !== null && typeof changes.description !== 'string') {
+                throw new GalleryStoreError('Album description must be a string', 'VALIDATION');
+            }
+            album.description = (changes.description || '').trim();
+            if (album.description.length > 2000) {
+                throw new GalleryStoreError('Album description cannot exceed 2000 characters', 'VALIDATION');
+            }
+        }
+
+        if (changes.imageIds !== undefined) {
+            if (!Array.isArray(changes.imageIds)) {
+                throw new GalleryStoreError('imageIds must be an array of image IDs', 'VALIDATION');
+            }
+            album.imageIds = this.resolveImageIds(changes.imageIds);
+        }
+
+        const findInAlbum = imageId => album.imageIds.find(id => GalleryStore.sameId(id, imageId));
+        if (changes.coverImageId !== undefined && changes.coverImageId !== null && changes.coverImageId !== '') {
+            if (findInAlbum(changes.coverImageId) === undefined) {
+                throw new GalleryStoreError(`Cover image ${changes.coverImageId} is not in the album`, 'VALIDATION');
+            }
+            album.coverImageId = findInAlbum(changes.coverImageId);
+        } else if (changes.coverImageId !== undefined || findInAlbum(album.coverImageId) === undefined) {
+            // Cleared, or the cover was taken out of the album
+            album.coverImageId = null;
+        }
+
+        album.updatedAt = now;
+        return album;
+    }
+
+    /**
+     * Append images to the end of an album; images already in it keep their place
+     */
+    async addAlbumImages(albumId, imageIds) {
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const album = this.getAlbum(albumId);
+        return this.updateAlbum(album.id, { imageIds: [...album.imageIds, ...imageIds] });
+    }
+
+    /**
+     * Take images out of an album; the images stay in the gallery
+     */
+    async removeAlbumImages(albumId, imageIds) {
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const album = this.getAlbum(albumId);
+        const remaining = album.imageIds.filter(id => !imageIds.some(removed => GalleryStore.sameId(removed, id)));
+        return this.updateAlbum(album.id, { imageIds: remaining });
+    }
+
+    /**
+     * Groups built from the images' groupId fields, in first-seen order
+     * Each lists its major (null unless there is exactly one), all member IDs
+     * with the major first, and its problems: `no-major`, `multiple-majors` or
+     * `stale-major` (a subsidiary whose majorImageId is not the group's major)
+     */
+    listGroups() {
+        const groups = new Map();
+        this.listImages().filter(img => img.groupId).forEach(img => {
+            if (!groups.has(img.groupId)) {
+                groups.set(img.groupId, { groupId: img.groupId, majors: [], members: [] });
+            }
+            const group = groups.get(img.groupId);
+            group.members.push(img);
+            if (img.isMajor !== false) {
+                group.majors.push(img);
+            }
+        });
+
+        return [...groups.values()].map(({ groupId, majors, members }) => {
+            const major = majors.length === 1 ? majors[0] : null;
+            const problems = [];
+            if (majors.length === 0) {
+                problems.push('no-major');
+            } else if (majors.length > 1) {
+                problems.push('multiple-majors');
+            }
+            if (major && members.some(img => img.isMajor === false && img.majorImageId && !GalleryStore.sameId(img.majorImageId, major.id))) {
+                problems.push('stale-major');
+            }
+
+            return {
+                groupId,
+                majorImageId: major ? major.id : null,
+                imageIds: [...majors, ...members.filter(img => img.isMajor === false).sort(GalleryQuery.compareGroupMembers)].map(img => img.id),
+                problems
+            };
+        });
+    }
+
+    /**
+     * Get a group or throw NOT_FOUND
+     */
+    getGroup(groupId) {
+        const group = this.listGroups().find(item => item.groupId === groupId);
+        if (!group) {
+            throw new GalleryStoreError(`Group ${groupId} not found`, 'NOT_FOUND');
+        }
+        return group;
+    }
+
+    /**
+     * Consistency report: groups with problems, plus subsidiaries outside any group
+     */
+    checkGroups() {
+        const problems = this.listGroups()
+            .filter(group => group.problems.length > 0)
+            .flatMap(group => group.problems.map(problem => ({ groupId: group.groupId, problem, imageIds: group.imageIds })));
+        const orphans = this.listImages().filter(img => img.isMajor === false && !img.groupId);
+        if (orphans.length > 0) {
+            problems.push({ groupId: null, problem: 'orphan', imageIds: orphans.map(img => img.id) });
+        }
+
+        return { valid: problems.length === 0, problems };
+    }
+
+    /**
+     * Get a group that has exactly one major, as needed to add members to it
+     */
+    getConsistentGroup(groupId) {
+        const group = this.getGroup(groupId);
+        if (group.majorImageId === null) {
+            throw new GalleryStoreError(`Group ${groupId} has no single major image; promote one first`, 'VALIDATION');
+        }
+        return group;
+    }
+
+    /**
+     * Look up images that are about to join a group; they may not belong to another one
+     */
+    getImagesForGroup(imageIds, groupId = null) {
+        if (!Array.isArray(imageIds)) {
+            throw new GalleryStoreError('imageIds must be an array of image IDs', 'VALIDATION');
+        }
+        return this.resolveImageIds(imageIds).map(id => {
+            const image = this.getImage(id);
+            if (image.groupId && image.groupId !== groupId) {
+                throw new GalleryStoreError(`Image ${image.id} is already in group ${image.groupId}`, 'VALIDATION');
+            }
+            return image;
+        });
+    }
+
+    /**
+     * Field changes that make `major` the major of `members` in `groupId`
+     * The other members are numbered in the order given. A major with no title
+     * or ranking takes them from `previousMajor`, as subsidiaries usually have neither.
+     */
+    arrangeGroup(groupId, major, members, previousMajor = null) {
+        const majorUpdate = { id: major.id, isMajor: true, groupId, majorImageId: null, groupPosition: null };
+        if (previousMajor && !GalleryStore.sameId(previousMajor.id, major.id)) {
+            if (!major.title) {
+                majorUpdate.title = previousMajor.title;
+            }
+            if ((major.ranking === null || major.ranking === undefined) && previousMajor.ranking !== null) {
+                majorUpdate.ranking = previousMajor.ranking;
+            }
+        }
+
+        return [
+            majorUpdate,
+            ...members
+                .filter(img => !GalleryStore.sameId(img.id, major.id))
+                .map((img, position) => ({ id: img.id, isMajor: false, groupId, majorImageId: major.id, groupPosition: position }))
+        ];
+    }
+
+    /**
+     * Field changes that make images standalone; untitled ones take the group's title
+     */
+    ungroupImages(images, formerMajor = null) {
+        return images.map(img => {
+            const update = { id: img.id, isMajor: true, groupId: null, majorImageId: null, groupPosition: null };
+            if (!img.title) {
+                update.title = (formerMajor && formerMajor.title) || String(img.id);
+            }
+            return update;
+        });
+    }
+
+    /**
+     * Create a group: { groupId?, majorImageId, imageIds? }
+     * Without a groupId one is made from the major's ID
+     */
+    async createGroup(input) {
+        if (!input || typeof input !== 'object' || Array.isArray(input)) {
+            throw new GalleryStoreError('Group must be an object', 'VALIDATION');
+        }
+        if (input.majorImageId === undefined || input.majorImageId === null || input.majorImageId === '') {
+            throw new GalleryStoreError('Missing required group field: majorImageId', 'VALIDATION');
+        }
+
+        const existing = new Set(this.listImages().map(img => img.groupId).filter(Boolean));
+        let groupId = typeof input.groupId === 'string' ? input.groupId.trim() : '';
+        if (groupId && existing.has(groupId)) {
+            throw new GalleryStoreError(`Group ${groupId} already exists`, 'DUPLICATE_ID');
+        }
+        if (!groupId) {
+            groupId = `group-${input.majorImageId}`;
+            for (let suffix = 2; existing.has(groupId); suffix++) {
+                groupId = `group-${input.majorImageId}-${suffix}`;
+            }
+        }
+
+        const [major, ...members] = this.getImagesForGroup([input.majorImageId, ...(input.imageIds || [])]);
+        await this.updateImageGroups(this.arrangeGroup(groupId, major, members));
+        return this.getGroup(groupId);
+    }
+
+    /**
+     * Add images to a group as subsidiaries of its major
+     */
+    async addGroupMembers(groupId, imageIds) {
+        const group = this.getConsistentGroup(groupId);
+        const images = this.getImagesForGroup(imageIds, groupId);
+        if (images.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+
+        const members = group.imageIds.map(id => this.getImage(id));
+        await this.updateImageGroups(this.arrangeGroup(groupId, members[0], [...members, ...images]));
+        return this.getGroup(groupId);
+    }
+
+    /**
+     * Take images out of a group; they become standalone images
+     * The major can only leave with every other member (which dissolves the group)
+     */
+    async removeGroupMembers(groupId, imageIds) {
+        const group = this.getGroup(groupId);
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const images = this.resolveImageIds(imageIds).map(id => this.getImage(id));
+        images.forEach(img => {
+            if (img.groupId !== groupId) {
+                throw new GalleryStoreError(`Image ${img.id} is not in group ${groupId}`, 'VALIDATION');
+            }
+        });
+        const remaining = group.imageIds.filter(id => !images.some(img => GalleryStore.sameId(img.id, id)));
+        if (remaining.length > 0 && images.some(img => img.isMajor !== false)) {
+            throw new GalleryStoreError('Promote another image before removing the major image', 'VALIDATION');
+        }
+
+        const major = group.majorImageId === null ? null : this.getImage(group.majorImageId);
+        await this.updateImageGroups(this.ungroupImages(images, major));
+        return remaining.length > 0 ? this.getGroup(groupId) : null;
+    }
+
+    /**
+     * Make a member the group's major; every other member, including the
+     * previous major(s), becomes its subsidiary. Also repairs groups without
+     * a single major.
+     */
+    async promoteGroupMember(groupId, imageId) {
+        const group = this.getGroup(groupId);
+        const major = this.getImage(imageId);
+        if (major.groupId !== groupId) {
+            throw new GalleryStoreError(`Image ${major.id} is not in group ${groupId}`, 'VALIDATION');
+        }
+
+        const members = group.imageIds.map(id => this.getImage(id));
+        const previousMajor = members.find(img => img.isMajor !== false) || null;
+        await this.updateImageGroups(this.arrangeGroup(groupId, major, members, previousMajor));
+        return this.getGroup(groupId);
+    }
+
+    /**
+     * Move some members into a new group: { imageIds, groupId?, majorImageId? }
+     * The new group's major defaults to the first moved image. If the old major
+     * moves, the first remaining member becomes the old group's major.
+     */
+    async splitGroup(groupId, input) {
+        const group = this.getGroup(groupId);
+        if (!input || !Array.isArray(input.imageIds) || input.imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const moved = this.resolveImageIds(input.imageIds).map(id => this.getImage(id));
+        moved.forEach(img => {
+            if (img.groupId !== groupId) {
+                throw new GalleryStoreError(`Image ${img.id} is not in group ${groupId}`, 'VALIDATION');
+            }
+        });
+        const staying = group.imageIds
+            .filter(id => !moved.some(img => GalleryStore.sameId(img.id, id)))
+            .map(id => this.getImage(id));
+        if (staying.length === 0) {
+            throw new GalleryStoreError('A split must leave at least one image in the group', 'VALIDATION');
+        }
+
+        const existing = new Set(this.listImages().map(img => img.groupId).filter(Boolean));
+        const newGroupId = typeof input.groupId === 'string' && input.groupId.trim() ? input.groupId.trim() : `${groupId}-split`;
+        if (existing.has(newGroupId)) {
+            throw new GalleryStoreError(`Group ${newGroupId} already exists`, 'DUPLICATE_ID');
+        }
+
+        const newMajor = input.majorImageId !== undefined && input.majorImageId !== null && input.majorImageId !== ''
+            ? moved.find(img => GalleryStore.sameId(img.id, input.majorImageId))
+            : moved[0];
+        if (!newMajor) {
+            throw new GalleryStoreError(`Image ${input.majorImageId} is not one of the moved images`, 'VALIDATION');
+        }
+
+        const oldMajor = group.majorImageId === null ? null : this.getImage(group.majorImageId);
+        const keptMajor = staying.find(img => oldMajor && GalleryStore.sameId(img.id, oldMajor.id)) || staying[0];
+        await this.updateImageGroups([
+            ...this.arrangeGroup(groupId, keptMajor, staying, oldMajor),
+            ...this.arrangeGroup(newGroupId, newMajor, moved, oldMajor)
+        ]);
+        return [this.getGroup(groupId), this.getGroup(newGroupId)];
+    }
+
+    /**
+     * Fold groups into a target group; their members become subsidiaries of its major
+     */
+    async mergeGroups(sourceGroupIds, targetGroupId) {
+        if (!Array.isArray(sourceGroupIds) || sourceGroupIds.length === 0) {
+            throw new GalleryStoreError('sources must be a non-empty array of group IDs', 'VALIDATION');
+        }
+        if (sourceGroupIds.includes(targetGroupId)) {
+            throw new GalleryStoreError('sources cannot include the target group', 'VALIDATION');
+        }
+
+        const target = this.getConsistentGroup(targetGroupId);
+        const members = [...target.imageIds, ...[...new Set(sourceGroupIds)].flatMap(groupId => this.getGroup(groupId).imageIds)]
+            .map(id => this.getImage(id));
+        await this.updateImageGroups(this.arrangeGroup(targetGroupId, members[0], members));
+        return this.getGroup(targetGroupId);
+    }
+
+    /**
+     * Reorder a group's subsidiaries; the listed images take the listed order
+     * within the places they hold, so members not listed keep their place
+     */
+    async reorderGroup(groupId, imageIds) {
+        const group = this.getConsistentGroup(groupId);
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+
+        const [major, ...subsidiaries] = group.imageIds.map(id => this.getImage(id));
+        const listed = this.resolveImageIds(imageIds).map(id => {
+            if (GalleryStore.sameId(id, major.id)) {
+                throw new GalleryStoreError(`Image ${id} is the major image; promote another image instead`, 'VALIDATION');
+            }
+            const image = subsidiaries.find(img => GalleryStore.sameId(img.id, id));
+            if (!image) {
+                throw new GalleryStoreError(`Image ${id} is not in group ${groupId}`, 'VALIDATION');
+            }
+            return image;
+        });
+
+        const queue = [...listed];
+        const ordered = subsidiaries.map(img => (listed.includes(img) ? queue.shift() : img));
+        await this.updateImageGroups(this.arrangeGroup(groupId, major, [major, ...ordered]));
+        return this.getGroup(groupId);
+    }
+
+    /**
+     * Dissolve a group; every member becomes a standalone image
+     */
+    async deleteGroup(groupId) {
+        const group = this.getGroup(groupId);
+        const members = group.imageIds.map(id => this.getImage(id));
+        const major = group.majorImageId === null ? null : this.getImage(group.majorImageId);
+        await this.updateImageGroups(this.ungroupImages(members, major));
+        return group;
+    }
+
+    /**
+     * Validate a bulk edit and return the changes to write in one save:
+     * { imageIds, updates: [image], deletes: [imageId], albums: [album] }
+     * Operations run in order on every listed image: { type: 'addTags', tags },
+     * { type: 'removeTags', tags }, { type: 'setRanking', ranking },
+     * { type: 'addToGroup', groupId }, { type: 'addToAlbum', albumId } and
+     * { type: 'delete', subsidiaries? }, which moves the images to the trash
+     * (see prepareTrash) and cannot be combined with other operations.
+     */
+    prepareImageBatch(imageIds, operations) {
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        if (!Array.isArray(operations) || operations.length === 0) {
+            throw new GalleryStoreError('operations must be a non-empty array', 'VALIDATION');
+        }
+        const ids = this.resolveImageIds(imageIds);
+
+        if (operations.some(operation => operation && operation.type === 'delete')) {
+            if (operations.length > 1) {
+                throw new GalleryStoreError('delete cannot be combined with other operations', 'VALIDATION');
+            }
+            return { ...this.prepareTrash(ids, { subsidiaries: operations[0].subsidiaries }), albums: [] };
+        }
+
+        // Working copies of every image the batch changes, by ID
+        const changed = new Map();
+        const edit = imageId => {
+            if (!changed.has(String(imageId))) {
+                const image = this.getImage(imageId);
+                changed.set(String(imageId), { ...image, tags: [...(image.tags || [])] });
+            }
+            return changed.get(String(imageId));
+        };
+        const albums = new Map();
+
+        operations.forEach(operation => {
+            if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+                throw new GalleryStoreError('Each operation must be an object', 'VALIDATION');
+            }
+
+            switch (operation.type) {
+                case 'addTags':
+                case 'removeTags': {
+                    const tags = GalleryStore.normalizeTags(operation.tags);
+                    if (tags.length === 0) {
+                        throw new GalleryStoreError(`${operation.type} needs a non-empty tags array`, 'VALIDATION');
+                    }
+                    ids.forEach(id => {
+                        const image = edit(id);
+                        image.tags = operation.type === 'addTags'
+                            ? [...new Set([...image.tags, ...tags])]
+                            : image.tags.filter(tag => !tags.includes(tag));
+                    });
+                    break;
+                }
+                case 'setRanking': {
+                    const ranking = operation.ranking === null || operation.ranking === '' ? null : Number(operation.ranking);
+                    if (ranking !== null && !Number.isFinite(ranking)) {
+                        throw new GalleryStoreError(`Invalid ranking: ${operation.ranking}`, 'VALIDATION');
+                    }
+                    ids.forEach(id => {
+                        edit(id).ranking = ranking;
+                    });
+                    break;
+                }
+                case 'addToGroup': {
+                    // Images move out of their current group; a major may only leave with all its members
+                    const group = this.getConsistentGroup(operation.groupId);
+                    const joining = ids.map(edit).filter(image => image.groupId !== group.groupId);
+                    joining.forEach(image => {
+                        if (image.groupId && image.isMajor !== false
+                            && this.getGroup(image.groupId).imageIds.some(id => !ids.some(moved => GalleryStore.sameId(moved, id)))) {
+                            throw new GalleryStoreError(`Image ${image.id} is the major image of group ${image.groupId}; promote another image first`, 'VALIDATION');
+                        }
+                    });
+                    const members = group.imageIds.map(edit);
+                    this.arrangeGroup(group.groupId, members[0], [...members, ...joining])
+                        .forEach(update => Object.assign(edit(update.id), update));
+                    break;
+                }
+                case 'addToAlbum': {
+                    const album = albums.get(String(operation.albumId)) || this.getAlbum(operation.albumId);
+                    albums.set(String(album.id), this.prepareAlbum({ imageIds: [...album.imageIds, ...ids] }, album));
+                    break;
+                }
+                default:
+                    throw new GalleryStoreError(`Unknown operation: ${operation.type}`, 'VALIDATION');
+            }
+        });
+
+        return {
+            imageIds: ids,
+            updates: [...changed.values()].map(image => this.normalizeImage(image)),
+            deletes: [],
+            albums: [...albums.values()]
+        };
+    }
+
+    /**
+     * Apply a bulk edit (see prepareImageBatch) in one save; nothing is written
+     * if any operation is invalid. Returns the edited image IDs with every
+     * updated image (group members may be renumbered too) and the deleted images
+     */
+    async batchUpdateImages(imageIds, operations) {
+        const batch = this.prepareImageBatch(imageIds, operations);
+        const deleted = [...(batch.trash || []).map(entry => entry.id), ...batch.deletes].map(id => this.getImage(id));
+
+        await this.applyImageBatch(batch);
+        return {
+            imageIds: batch.imageIds,
+            updated: batch.updates.map(image => this.getImage(image.id)),
+            deleted: deleted
+        };
+    }
+
+    /**
+     * Whether deleted images can be kept in a trash; bare-array JSON files delete for good
+     */
+    canTrash() {
+        return true;
+    }
+
+    /**
+     * Find an image in the trash, or null
+     */
+    findTrashedImage(imageId) {
+        return this.listTrash().find(img => GalleryStore.sameId(img.id, imageId)) || null;
+    }
+
+    /**
+     * Validate moving images to the trash and return the changes to write in one save:
+     * { imageIds, updates: [image], trash: [{ id, deletedAt }], deletes: [imageId] }
+     * A major image whose group keeps other images needs `subsidiaries`: 'trash'
+     * moves them to the trash with it, 'rehome' makes the first of them the major.
+     */
+    prepareTrash(imageIds, options = {}) {
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const { subsidiaries } = options;
+        if (subsidiaries !== undefined && subsidiaries !== null && !['trash', 'rehome'].includes(subsidiaries)) {
+            throw new GalleryStoreError(`Invalid subsidiaries option: ${subsidiaries} (use "trash" or "rehome")`, 'VALIDATION');
+        }
+
+        const ids = this.resolveImageIds(imageIds);
+        const isLeaving = id => ids.some(leaving => GalleryStore.sameId(leaving, id));
+        const updates = [];
+        ids.map(id => this.getImage(id)).filter(img => img.groupId && img.isMajor !== false).forEach(major => {
+            const staying = this.getGroup(major.groupId).imageIds.filter(id => !isLeaving(id)).map(id => this.getImage(id));
+            if (staying.length === 0 || staying.some(img => img.isMajor !== false)) {
+                return;
+            }
+            if (subsidiaries === 'trash') {
+                ids.push(...staying.map(img => img.id));
+            } else if (subsidiaries === 'rehome') {
+                this.arrangeGroup(major.groupId, staying[0], staying, major)
+                    .forEach(update => updates.push(this.normalizeImage({ ...this.getImage(update.id), ...update })));
+            } else {
+                throw new GalleryStoreError(
+                    `Image ${major.id} is the major image of group ${major.groupId}; choose whether its ${staying.length} other image(s) go to the trash too or stay with a new major`,
+                    'VALIDATION'
+                );
+            }
+        });
+
+        const deletedAt = new Date().toISOString();
+        return {
+            imageIds: ids,
+            updates,
+            trash: this.canTrash() ? ids.map(id => ({ id, deletedAt })) : [],
+            deletes: this.canTrash() ? [] : ids
+        };
+    }
+
+    /**
+     * Move images to the trash in one save (see prepareTrash)
+     * Returns the trashed images and the group members given a new major
+     */
+    async trashImages(imageIds, options = {}) {
+        const batch = this.prepareTrash(imageIds, options);
+        const trashed = batch.imageIds.map(id => this.getImage(id));
+
+        await this.applyImageBatch(batch);
+        return {
+            trashed,
+            rehomed: batch.updates.map(image => this.getImage(image.id))
+        };
+    }
+
+    /**
+     * Move an image to the trash; options as for prepareTrash
+     */
+    async deleteImage(imageId, options = {}) {
+        const { trashed } = await this.trashImages([imageId], options);
+        return trashed[0];
+    }
+
+    /**
+     * Validate taking images out of the trash and return the changes to write in one save:
+     * { imageIds, restores: [imageId], updates: [image] }
+     * Subsidiaries trashed with a restored major come back with it. Images rejoin
+     * their group under its current major, or stand alone when nothing is left of it.
+     */
+    prepareRestore(imageIds) {
+        if (!Array.isArray(imageIds) || imageIds.length === 0) {
+            throw new GalleryStoreError('imageIds must be a non-empty array', 'VALIDATION');
+        }
+        const trash = this.listTrash();
+        const restoring = [];
+        const include = img => {
+            if (!restoring.includes(img)) {
+                restoring.push(img);
+            }
+        };
+        imageIds.forEach(imageId => {
+            const image = trash.find(img => GalleryStore.sameId(img.id, imageId));
+            if (!image) {
+                throw new GalleryStoreError(`Image with ID ${imageId} is not in the trash`, 'NOT_FOUND');
+            }
+            include(image);
+        });
+        restoring.filter(img => img.groupId && img.isMajor !== false).forEach(major => {
+            trash.filter(img => img.isMajor === false && img.groupId === major.groupId && GalleryStore.sameId(img.majorImageId, major.id))
+                .forEach(include);
+        });
+
+        const images = new Map(restoring.map(({ deletedAt, ...image }) => [String(image.id), image]));
+        const groups = new Map();
+        images.forEach(image => {
+            if (image.groupId) {
+                groups.set(image.groupId, [...(groups.get(image.groupId) || []), image]);
+            }
+        });
+        groups.forEach((returning, groupId) => {
+            const live = this.listImages().filter(img => img.groupId === groupId);
+            const currentMajor = live.find(img => img.isMajor !== false);
+            let changes = [];
+            if (currentMajor) {
+                // The group carried on without them: rejoin it as subsidiaries
+                let nextPosition = Math.max(-1, ...live.map(img => img.groupPosition ?? -1)) + 1;
+                changes = returning
+                    .filter(img => img.isMajor !== false || !GalleryStore.sameId(img.majorImageId, currentMajor.id))
+                    .map(img => ({ id: img.id, isMajor: false, groupId, majorImageId: currentMajor.id, groupPosition: nextPosition++ }));
+            } else if (!returning.some(img => img.isMajor !== false)) {
+                const formerMajor = trash.find(img => GalleryStore.sameId(img.id, returning[0].majorImageId));
+                changes = this.ungroupImages(returning, formerMajor);
+            }
+            changes.forEach(change => Object.assign(images.get(String(change.id)), change));
+        });
+
+        const restored = [...images.values()];
+        return {
+            imageIds: restored.map(image => image.id),
+            restores: restored.map(image => image.id),
+            updates: restored.map(image => this.normalizeImage(image))
+        };
+    }
+
+    /**
+     * Take images out of the trash in one save (see prepareRestore); returns the restored images
+     */
+    async restoreImages(imageIds) {
+        const batch = this.prepareRestore(imageIds);
+
+        await this.applyImageBatch(batch);
+        return batch.imageIds.map(id => this.getImage(id));
+    }
+
+    /**
+     * Delete trashed images for good, all of them without `imageIds`; returns the purged images
+     */
+    async purgeTrash(imageIds = null) {
+        const trash = this.listTrash();
+        const purged = imageIds === null ? trash : imageIds.map(imageId => {
+            const image = trash.find(img => GalleryStore.sameId(img.id, imageId));
+            if (!image) {
+                throw new GalleryStoreError(`Image with ID ${imageId} is not in the trash`, 'NOT_FOUND');
+            }
+            return image;
+        });
+
+        if (purged.length > 0) {
+            await this.applyImageBatch({ deletes: purged.map(img => img.id) });
+        }
+        return purged;
+    }
+
+    /**
+     * Delete images trashed more than `retentionDays` ago; 0 keeps the trash forever
+     */
+    async purgeExpiredTrash(retentionDays) {
+        if (!(retentionDays > 0)) {
+            return [];
+        }
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const expired = this.listTrash().filter(img => Date.parse(img.deletedAt) < cutoff);
+        return expired.length > 0 ? this.purgeTrash(expired.map(img => img.id)) : [];
+    }
+
+    /**
+     * An image with its earlier versions, newest first: { image, revisions: [{ id, createdAt, image, changes }] }
+     * Each revision's `changes` are the fields the update that replaced it changed ({ field, before, after })
+     */
+    getImageHistory(imageId) {
+        const image = this.getImage(imageId);
+        const revisions = this.listImageRevisions(image.id);
+        return {
+            image,
+            revisions: revisions.map((revision, index) => ({
+                ...revision,
+                changes: diffImages(revision.image, index === 0 ? image : revisions[index - 1].image)
+            }))
+        };
+    }
+
+    /**
+     * Write an earlier version's content fields (REVERT_FIELDS) back to an image
+     * This is an update like any other, so it is recorded as a revision too
+     */
+    async revertImage(imageId, revisionId) {
+        const image = this.getImage(imageId);
+        const revision = this.listImageRevisions(image.id).find(item => String(item.id) === String(revisionId));
+        if (!revision) {
+            throw new GalleryStoreError(`Revision ${revisionId} of image ${imageId} not found`, 'NOT_FOUND');
+        }
+
+        const reverted = { ...image };
+        REVERT_FIELDS.forEach(field => {
+            reverted[field] = revision.image[field] === undefined ? null : revision.image[field];
+        });
+        return this.updateImage(reverted);
+    }
+
+    /**
+     * Update only the given fields of an image; the rest keep their current values
+     * A changed `id` renames the image like an update with originalId
+     */
+    async patchImage(imageId, changes) {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw new GalleryStoreError('Changes must be an object', 'VALIDATION');
+        }
+
+        const image = this.getImage(imageId);
+        const { originalId, ...fields } = changes;
+        return this.updateImage({
+            ...image,
+            ...fields,
+            id: fields.id === undefined ? image.id : fields.id,
+            originalId: image.id
+        });
+    }
+
+    /**
+     * Run `callback(saved)` once the writes so far are on disk; JSON files are written
+     * by each change. `saved` is false when pending writes were dropped instead
+     */
+    afterSave(callback) {
+        callback(true);
+    }
+
+    /**
+     * Have `listener(changes, created)` told what each following write changes; null stops it
+     * `changes` holds the image IDs, album IDs and tag names (`images`, `albums`, `tags`)
+     * a write is about to change, or with `created` set, ones it has just created
+     */
+    watchChanges(listener) {
+        this.changeListener = listener;
+    }
+
+    /**
+     * Tell the change listener, if any, what a write changes (see watchChanges)
+     * `changes` may be a function, so nothing is looked up while nobody listens
+     */
+    noteChanges(changes, created = false) {
+        if (this.changeListener) {
+            this.changeListener(typeof changes === 'function' ? changes() : changes, created);
+        }
+    }
+
+    /**
+     * Tell the change listener what an applyImageBatch batch changes: its images and
+     * albums, albums listing deleted images, and restored tags with the children a
+     * deleted tag leaves or the parents a restored one may create
+     */
+    noteBatchChanges(batch) {
+        this.noteChanges(() => ({
+            images: [
+                ...(batch.adds || []).map(image => image.id),
+                ...(batch.restores || []),
+                ...(batch.updates || []).map(image => image.id),
+                ...(batch.trash || []).map(entry => entry.id),
+                ...(batch.deletes || [])
+            ],
+            albums: [
+                ...(batch.albums || []).map(album => album.id),
+                ...((batch.deletes || []).length > 0 ? this.getAlbumIdsWithImages(batch.deletes) : [])
+            ],
+            tags: (batch.tags || []).flatMap(entry => [
+                entry.name,
+                ...(entry.deleted ? this.getChildTagNames([entry.name]) : (entry.parents || []).map(parent => parent.name))
+            ])
+        }));
+    }
+
+    /**
+     * IDs of the albums listing any of the images
+     */
+    getAlbumIdsWithImages(imageIds) {
+        return this.listAlbums()
+            .filter(album => album.imageIds.some(id => imageIds.some(imageId => GalleryStore.sameId(id, imageId))))
+            .map(album => album.id);
+    }
+
+    /**
+     * Names of the tags that have any of the tags as a parent
+     */
+    getChildTagNames(tagNames) {
+        return this.getTagParents().filter(edge => tagNames.includes(edge.parent)).map(edge => edge.tag);
+    }
+
+    /**
+     * Get the ID used to locate an image being updated
+     */
+    getLookupId(image) {
+        return image.originalId !== undefined && image.originalId !== null && image.originalId !== ''
+            ? image.originalId
+            : image.id;
+    }
+
+    /**
+     * Get the full gallery in the { images, metadata } shape the renderer expects
+     */
+    getData() {
+        const images = this.listImages();
+        const metadata = this.getMetadata();
+        const availableTags = [...new Set(images.flatMap(img => img.tags || []))].sort();
+
+        return {
+            images,
+            metadata: {
+                ...metadata,
+                version: metadata.version || '1.0',
+                lastUpdated: metadata.lastUpdated || new Date().toISOString(),
+                totalImages: images.length,
+                availableTags: availableTags
+            }
+        };
+    }
+
+    /**
+     * Get a single image or throw NOT_FOUND
+     */
+    getImage(imageId) {
+        const image = this.findImage(imageId);
+        if (!image) {
+            throw new GalleryStoreError(`Image with ID ${imageId} not found`, 'NOT_FOUND');
+        }
+        return image;
+    }
+
+    /**
+     * Ensure an ID is not already used by another image
+     */
+    assertIdAvailable(imageId) {
+        if (this.findImage(imageId)) {
+            throw new GalleryStoreError(`Image with ID ${imageId} already exists`, 'DUPLICATE_ID');
+        }
+        if (this.findTrashedImage(imageId)) {
+            throw new GalleryStoreError(`Image with ID ${imageId} is in the trash; restore or purge it first`, 'DUPLICATE_ID');
+        }
+    }
+
+    /**
+     * Validate an update and return [lookupId, canonical image]
+     */
+    prepareUpdate(image) {
+        const normalized = this.normalizeImage(image);
+        const lookupId = this.getLookupId(image);
+
+        // Throws NOT_FOUND before anything is written
+        const current = this.getImage(lookupId);
+
+        // An update without a date keeps the date the image was added
+        if (!image.date && current.date) {
+            normalized.date = current.date;
+        }
+
+        if (!GalleryStore.sameId(lookupId, normalized.id)) {
+            this.assertIdAvailable(normalized.id);
+        }
+
+        return [lookupId, normalized];
+    }
+}
+
+/**
+ * Store backed by a JSON file ({ images: [...] } or a bare array)
+ */
+class JsonGalleryStore extends GalleryStore {
+    constructor(filePath) {
+        super(filePath);
+        this.type = 'json';
+        this.data = null;
+        this.isArrayFormat = false;
+        this.signature = null;
+    }
+
+    /**
+     * Identify the file version for the search index cache
+     */
+    readSignature() {
+        const stats = fs.statSync(this.filePath);
+        return `${stats.mtimeMs}:${stats.size}`;
+    }
+
+    /**
+     * Read and parse the JSON file
+     */
+    load() {
+        let parsed;
+        try {
+            parsed = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            throw new GalleryStoreError(`Invalid JSON file: ${error.message}`, 'INVALID_FILE');
+        }
+
+        if (Array.isArray(parsed)) {
+            this.isArrayFormat = true;
+            this.data = { images: parsed };
+        } else if (parsed && Array.isArray(parsed.images)) {
+            this.data = parsed;
+        } else {
+            throw new GalleryStoreError('Invalid JSON format: missing images array', 'INVALID_FILE');
+        }
+
+        this.signature = this.readSignature();
+        return this;
+    }
+
+    /**
+     * Write the file back in its original shape
+     */
+    persist() {
+        const output = this.isArrayFormat ? this.data.images : this.data;
+        writeWithBackup(this.filePath, JSON.stringify(output, null, 2));
+        this.signature = this.readSignature();
+    }
+
+    getSearchIndex() {
+        return searchIndex.getMemoryIndex(this.filePath, this.signature, this.data.images);
+    }
+
+    findIndex(imageId) {
+        return this.data.images.findIndex(img => GalleryStore.sameId(img.id, imageId));
+    }
+
+    findImage(imageId) {
+        const index = this.findIndex(imageId);
+        return index === -1 ? null : this.data.images[index];
+    }
+
+    listImages() {
+        return this.data.images;
+    }
+
+    getMetadata() {
+        return this.data.metadata || {};
+    }
+
+    getTags() {
+        const counts = {};
+        this.data.images.forEach(img => {
+            const tags = Array.isArray(img.tags) ? img.tags : [];
+            new Set(tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim())).forEach(tag => {
+                counts[tag] = (counts[tag] || 0) + 1;
+            });
+        });
+        return Object.keys(counts).sort().map(name => ({ name, count: counts[name] }));
+    }
+
+    queryImages(options) {
+        const queryOptions = { ...options, q: '', expandTags: this.getTagHierarchy().withAncestors };
+        if (options.album) {
+            queryOptions.albumImageIds = this.getAlbum(options.album).imageIds;
+        }
+        if (options.tagQuery) {
+            queryOptions.matchTags = TagQuery.createMatcher(TagQuery.parse(options.tagQuery));
+        }
+
+        const terms = searchIndex.parseSearchTerms(options.q);
+        if (terms.length > 0) {
+            queryOptions.matchIds = new Set(this.getSearchIndex().search(terms).map(match => String(match.id)));
+        }
+
+        return GalleryQuery.queryImages(this.data.images, queryOptions);
+    }
+
+    searchImages(query, options = {}) {
+        const terms = searchIndex.parseSearchTerms(query);
+        const matches = this.getSearchIndex().search(terms);
+        const offset = options.offset || 0;
+        const slice = options.limit ? matches.slice(offset, offset + options.limit) : matches.slice(offset);
+
+        return {
+            terms,
+            total: matches.length,
+            results: slice.map(match => ({ image: this.findImage(match.id), score: match.score }))
+        };
+    }
+
+    getAvailableTags() {
+        return this.getTagHierarchy().withAncestors(GalleryQuery.getAvailableTags(this.data.images)).sort();
+    }
+
+    getNextImageId() {
+        // Trashed images keep their IDs until purged
+        const numericIds = [...this.data.images, ...this.listTrash()].map(img => Number(img.id)).filter(Number.isInteger);
+        return Math.max(0, ...numericIds) + 1;
+    }
+
+    getStats() {
+        const images = this.data.images;
+        const fileStats = fs.statSync(this.filePath);
+        return {
+            totalImages: images.length,
+            totalTags: this.getTags().length,
+            majorImages: images.filter(img => img.isMajor !== false).length,
+            totalGroups: new Set(images.filter(img => img.groupId).map(img => img.groupId)).size,
+            fileSize: fileStats.size,
+            lastModified: fileStats.mtime
+        };
+    }
+
+    async addImage(image) {
+        const normalized = this.normalizeImage(image);
+        this.assertIdAvailable(normalized.id);
+
+        this.noteChanges({ images: [normalized.id] });
+        this.data.images.push(normalized);
+        this.persist();
+        return normalized;
+    }
+
+    async updateImage(image) {
+        const [lookupId, normalized] = this.prepareUpdate(image);
+        const index = this.findIndex(lookupId);
+        const previous = this.data.images[index];
+
+        if (normalized.mediaMetadata === undefined && this.data.images[index].mediaMetadata !== undefined) {
+            normalized.mediaMetadata = this.data.images[index].mediaMetadata;
+        }
+        if (normalized.groupPosition === undefined && this.data.images[index].groupPosition !== undefined) {
+            normalized.groupPosition = this.data.images[index].groupPosition;
+        }
+        this.noteChanges({ images: [lookupId, normalized.id] });
+        this.data.images[index] = normalized;
+        if (!GalleryStore.sameId(lookupId, normalized.id)) {
+            this.replaceImageReferences(lookupId, normalized.id);
+        }
+        this.persist();
+
+        const revisions = this.getRevisionLog();
+        if (!GalleryStore.sameId(lookupId, normalized.id)) {
+            revisions.rename(lookupId, normalized.id);
+        }
+        revisions.record(normalized.id, previous);
+        return normalized;
+    }
+
+    /**
+     * Earlier versions of images, kept in a sidecar file (see revisions.js)
+     */
+    getRevisionLog() {
+        return new RevisionLog(this.filePath);
+    }
+
+    listImageRevisions(imageId) {
+        return this.getRevisionLog().list(imageId);
+    }
+
+    async updateImageHashes(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        updates.forEach(update => {
+            const image = this.findImage(update.id);
+            if (image) {
+                image.contentHash = update.contentHash;
+                image.perceptualHash = update.perceptualHash;
+            }
+        });
+        this.persist();
+    }
+
+    async updateMediaMetadata(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        updates.forEach(update => {
+            const image = this.findImage(update.id);
+            if (image) {
+                image.mediaMetadata = update.mediaMetadata;
+            }
+        });
+        this.persist();
+    }
+
+    /**
+     * Apply group field changes ({ id, isMajor, groupId, majorImageId, groupPosition, title?, ranking? })
+     * to many images in one save
+     */
+    async updateImageGroups(updates) {
+        const updatedAt = new Date().toISOString();
+        this.noteChanges({ images: updates.map(update => update.id) });
+        updates.forEach(update => {
+            const image = this.findImage(update.id);
+            if (image) {
+                const { id, ...changes } = update;
+                Object.assign(image, changes, { updatedAt });
+            }
+        });
+        this.persist();
+    }
+
+    canTrash() {
+        return !this.isArrayFormat;
+    }
+
+    /**
+     * Trashed images, stored with their `deletedAt` as `trash` next to `images`; most recent first
+     */
+    listTrash() {
+        return (this.data.trash || [])
+            .map(image => ({ ...image }))
+            .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+    }
+
+    /**
+     * Tags of trashed images; they are listed with no count, as in SQLite galleries
+     */
+    getTrashTags() {
+        return (this.data.trash || []).flatMap(img => (Array.isArray(img.tags) ? img.tags : []));
+    }
+
+    findTrashIndex(imageId) {
+        return (this.data.trash || []).findIndex(img => GalleryStore.sameId(img.id, imageId));
+    }
+
+    findTrashedImage(imageId) {
+        const index = this.findTrashIndex(imageId);
+        return index === -1 ? null : { ...this.data.trash[index] };
+    }
+
+    /**
+     * Apply { adds, restores, updates, trash, deletes, tags, albums } in one save; see DatabaseManager.applyImageBatch
+     * Trashed images keep their album, rating and comparison entries until purged
+     */
+    async applyImageBatch(batch) {
+        this.noteBatchChanges(batch);
+        (batch.adds || []).forEach(image => this.data.images.push(image));
+        (batch.restores || []).forEach(imageId => {
+            const [{ deletedAt, ...image }] = this.data.trash.splice(this.findTrashIndex(imageId), 1);
+            this.data.images.push(image);
+        });
+        (batch.updates || []).forEach(image => {
+            this.data.images[this.findIndex(image.id)] = image;
+        });
+        (batch.trash || []).forEach(({ id, deletedAt }) => {
+            const [image] = this.data.images.splice(this.findIndex(id), 1);
+            (this.data.trash || (this.data.trash = [])).push({ ...image, deletedAt });
+        });
+        (batch.deletes || []).forEach(imageId => {
+            const index = this.findIndex(imageId);
+            if (index === -1) {
+                this.data.trash.splice(this.findTrashIndex(imageId), 1);
+            } else {
+                this.data.images.splice(index, 1);
+            }
+            this.replaceImageReferences(imageId, null);
+            this.getRevisionLog().rename(imageId, null);
+        });
+        (batch.tags || []).forEach(entry => this.restoreTag(entry));
+        (batch.albums || []).forEach(album => {
+            const albums = this.data.albums || (this.data.albums = []);
+            const index = albums.findIndex(item => GalleryStore.sameId(item.id, album.id));
+            if (album.deleted) {
+                albums.splice(index, 1);
+            } else if (index === -1) {
+                albums.push(album);
+            } else {
+                albums[index] = album;
+            }
+        });
+        this.persist();
+    }
+
+    /**
+     * IDs of the images outside the trash, as strings
+     */
+    getLiveIds() {
+        return new Set(this.data.images.map(img => String(img.id)));
+    }
+
+    /**
+     * Albums, stored in display order as `albums` next to `images`; trashed images are left out
+     */
+    listAlbums() {
+        const live = this.getLiveIds();
+        return (this.data.albums || []).map(album => ({
+            ...album,
+            imageIds: album.imageIds.filter(id => live.has(String(id))),
+            coverImageId: live.has(String(album.coverImageId)) ? album.coverImageId : null
+        }));
+    }
+
+    /**
+     * Follow an image ID change in albums, ratings and comparisons (a null ID removes the image)
+     */
+    replaceImageReferences(imageId, newId) {
+        this.noteChanges(() => ({
+            albums: (this.data.albums || [])
+                .filter(album => album.imageIds.some(id => GalleryStore.sameId(id, imageId)) || GalleryStore.sameId(album.coverImageId, imageId))
+                .map(album => album.id)
+        }));
+        (this.data.albums || []).forEach(album => {
+            album.imageIds = album.imageIds.flatMap(id => (GalleryStore.sameId(id, imageId) ? (newId === null ? [] : [newId]) : [id]));
+            if (GalleryStore.sameId(album.coverImageId, imageId)) {
+                album.coverImageId = newId;
+            }
+        });
+
+        const ratings = this.data.ratings || {};
+        if (ratings[String(imageId)]) {
+            if (newId !== null) {
+                ratings[String(newId)] = ratings[String(imageId)];
+            }
+            delete ratings[String(imageId)];
+        }
+        if (this.data.comparisons) {
+            this.data.comparisons = this.data.comparisons
+                .filter(comparison => newId !== null || ![comparison.winnerId, comparison.loserId].some(id => GalleryStore.sameId(id, imageId)))
+                .map(comparison => ({
+                    ...comparison,
+                    winnerId: GalleryStore.sameId(comparison.winnerId, imageId) ? newId : comparison.winnerId,
+                    loserId: GalleryStore.sameId(comparison.loserId, imageId) ? newId : comparison.loserId
+                }));
+        }
+    }
+
+    async createAlbum(input) {
+        if (this.isArrayFormat) {
+            throw new GalleryStoreError('Albums need a gallery file with an "images" object, not a bare array', 'VALIDATION');
+        }
+        const album = this.prepareAlbum(input);
+        const albums = this.data.albums || (this.data.albums = []);
+        album.id = Math.max(0, ...albums.map(item => Number(item.id)).filter(Number.isInteger)) + 1;
+
+        this.noteChanges({ albums: [album.id] });
+        albums.push(album);
+        this.persist();
+        return this.getAlbum(album.id);
+    }
+
+    async updateAlbum(albumId, changes) {
+        const album = this.prepareAlbum(changes, this.getAlbum(albumId));
+        const index = this.data.albums.findIndex(item => GalleryStore.sameId(item.id, album.id));
+
+        this.noteChanges({ albums: [album.id] });
+        this.data.albums[index] = album;
+        this.persist();
+        return this.getAlbum(album.id);
+    }
+
+    async deleteAlbum(albumId) {
+        const album = this.getAlbum(albumId);
+
+        this.noteChanges({ albums: [album.id] });
+        this.data.albums = this.data.albums.filter(item => !GalleryStore.sameId(item.id, album.id));
+        this.persist();
+        return album;
+    }
+
+    /**
+     * Comparison ratings, stored by image ID as `ratings` next to `images`; trashed images are left out
+     */
+    getRatings() {
+        const live = this.getLiveIds();
+        return Object.fromEntries(Object.entries(this.data.ratings || {}).filter(([imageId]) => live.has(imageId)));
+    }
+
+    /**
+     * Comparison history, stored oldest first as `comparisons` next to `images`; trashed images are left out
+     */
+    listComparisons(limit = 50) {
+        const live = this.getLiveIds();
+        return (this.data.comparisons || [])
+            .filter(comparison => live.has(String(comparison.winnerId)) && live.has(String(comparison.loserId)))
+            .slice(-limit)
+            .reverse();
+    }
+
+    async saveComparison(comparison, winner, loser) {
+        if (this.isArrayFormat) {
+            throw new GalleryStoreError('Comparisons need a gallery file with an "images" object, not a bare array', 'VALIDATION');
+        }
+        const ratings = this.data.ratings || (this.data.ratings = {});
+        ratings[String(comparison.winnerId)] = winner;
+        ratings[String(comparison.loserId)] = loser;
+        (this.data.comparisons || (this.data.comparisons = [])).push(comparison);
+        this.persist();
+    }
+
+    async updateRankings(updates) {
+        const updatedAt = new Date().toISOString();
+        this.noteChanges({ images: updates.map(update => update.id) });
+        updates.forEach(update => {
+            const image = this.findImage(update.id);
+            if (image) {
+                Object.assign(image, { ranking: update.ranking, updatedAt });
+            }
+        });
+        this.persist();
+    }
+
+    /**
+     * Tag colors and descriptions, stored by name next to `images`
+     */
+    getTagDetailsMap() {
+        return this.data.tagDetails || {};
+    }
+
+    /**
+     * Child -> parent edges of the tag hierarchy, stored as `tagParents` next to `images`
+     */
+    getTagParents() {
+        return this.data.tagParents || [];
+    }
+
+    /**
+     * Replace a tag's parents and add newly implied parents to its images
+     */
+    setTagParents(tagName, parents) {
+        if (this.isArrayFormat && parents.length > 0) {
+            throw new GalleryStoreError('Tag parents need a gallery file with an "images" object, not a bare array', 'VALIDATION');
+        }
+        this.noteChanges({ tags: [tagName, ...parents.map(parent => parent.name)] });
+        const edges = this.getTagParents().filter(edge => edge.tag !== tagName);
+        parents.forEach(parent => edges.push({ tag: tagName, parent: parent.name, implies: parent.implies }));
+        if (!this.isArrayFormat) {
+            this.data.tagParents = edges;
+        }
+        this.applyImpliedTags();
+    }
+
+    /**
+     * Rename or drop tags in the hierarchy edges
+     */
+    rewriteTagParents(tagNames, replacement) {
+        if (!this.data.tagParents) {
+            return;
+        }
+        const rename = name => (tagNames.includes(name) ? replacement : name);
+        this.noteChanges(() => ({
+            tags: this.data.tagParents.filter(edge => tagNames.includes(edge.tag) || tagNames.includes(edge.parent)).map(edge => edge.tag)
+        }));
+        const edges = new Map();
+        this.data.tagParents.forEach(edge => {
+            const tag = rename(edge.tag);
+            const parent = rename(edge.parent);
+            if (tag !== null && parent !== null && tag !== parent && !edges.has(`${tag}\n${parent}`)) {
+                edges.set(`${tag}\n${parent}`, { tag, parent, implies: edge.implies });
+            }
+        });
+        this.data.tagParents = [...edges.values()];
+    }
+
+    /**
+     * Add implied parents to every image; returns the number of images changed
+     */
+    applyImpliedTags() {
+        const hierarchy = this.getTagHierarchy();
+        let changed = 0;
+
+        this.data.images.forEach(img => {
+            if (!Array.isArray(img.tags)) {
+                return;
+            }
+            const names = img.tags.filter(tag => typeof tag === 'string').map(tag => tag.trim());
+            const missing = hierarchy.withImpliedTags(names).filter(name => !names.includes(name));
+            if (missing.length > 0) {
+                this.noteChanges({ images: [img.id] });
+                img.tags = [...img.tags, ...missing];
+                changed++;
+            }
+        });
+        return changed;
+    }
+
+    /**
+     * Set or clear the color and description of a tag
+     */
+    setTagDetails(tagName, details) {
+        if (this.isArrayFormat) {
+            throw new GalleryStoreError('Tag colors and descriptions need a gallery file with an "images" object, not a bare array', 'VALIDATION');
+        }
+        this.noteChanges({ tags: [tagName] });
+        const tagDetails = this.data.tagDetails || (this.data.tagDetails = {});
+        const merged = { color: null, description: null, ...tagDetails[tagName], ...details };
+        if (merged.color || merged.description) {
+            tagDetails[tagName] = { color: merged.color, description: merged.description };
+        } else {
+            delete tagDetails[tagName];
+        }
+    }
+
+    /**
+     * Set a tag's color, description and parents exactly, or drop them when `deleted`
+     * Images are not touched; bare array files have no tag catalog to restore
+     */
+    restoreTag(entry) {
+        if (this.isArrayFormat) {
+            return;
+        }
+        const tagDetails = this.getTagDetailsMap();
+        if (!entry.deleted && (entry.color || entry.description)) {
+            this.data.tagDetails = { ...tagDetails, [entry.name]: { color: entry.color, description: entry.description } };
+        } else if (tagDetails[entry.name]) {
+            delete tagDetails[entry.name];
+        }
+
+        const edges = this.getTagParents().filter(edge => edge.tag !== entry.name && !(entry.deleted && edge.parent === entry.name));
+        (entry.deleted ? [] : entry.parents).forEach(parent => edges.push({ tag: entry.name, parent: parent.name, implies: parent.implies }));
+        if (this.data.tagParents || edges.length > 0) {
+            this.data.tagParents = edges;
+        }
+    }
+
+    /**
+     * Replace tags on every image (a null replacement removes them)
+     * Returns the number of images changed
+     */
+    rewriteTags(tagNames, replacement) {
+        const matches = tag => typeof tag === 'string' && tagNames.includes(tag.trim());
+        let changed = 0;
+
+        this.noteChanges({ tags: replacement === null ? tagNames : [...tagNames, replacement] });
+        this.data.images.forEach(img => {
+            if (!Array.isArray(img.tags) || !img.tags.some(matches)) {
+                return;
+            }
+            this.noteChanges({ images: [img.id] });
+            const tags = img.tags.flatMap(tag => (matches(tag) ? (replacement === null ? [] : [replacement]) : [tag]));
+            img.tags = [...new Set(tags)];
+            changed++;
+        });
+
+        return changed;
+    }
+
+    listTags() {
+        const details = this.getTagDetailsMap();
+        const counts = new Map(this.getTags().map(tag => [tag.name, tag.count]));
+        const unused = [...Object.keys(details), ...this.getTagParents().flatMap(edge => [edge.tag, edge.parent]), ...this.getTrashTags()];
+        unused.forEach(name => {
+            if (!counts.has(name)) {
+                counts.set(name, 0);
+            }
+        });
+
+        return this.withTagParents([...counts.keys()].sort().map(name => ({
+            name,
+            count: counts.get(name),
+            color: details[name] ? details[name].color : null,
+            description: details[name] ? details[name].description : null
+        })));
+    }
+
+    async updateTag(name, changes) {
+        const [tagName, normalized] = this.prepareTagUpdate(name, changes);
+        const newName = normalized.name !== undefined ? normalized.name : tagName;
+
+        if (newName !== tagName) {
+            this.rewriteTags([tagName], newName);
+            this.rewriteTagParents([tagName], newName);
+            const details = this.getTagDetailsMap()[tagName];
+            if (details) {
+                delete this.data.tagDetails[tagName];
+                this.data.tagDetails[newName] = details;
+            }
+        }
+        if (normalized.parents !== undefined) {
+            this.setTagParents(newName, normalized.parents);
+        }
+
+        const details = {};
+        ['color', 'description'].forEach(field => {
+            if (normalized[field] !== undefined) {
+                details[field] = normalized[field];
+            }
+        });
+        if (Object.keys(details).length > 0) {
+            this.setTagDetails(newName, details);
+        }
+
+        this.persist();
+        return this.getTag(newName);
+    }
+
+    async deleteTag(name) {
+        const tagName = GalleryStore.normalizeTagName(name);
+        this.getTag(tagName);
+
+        const images = this.rewriteTags([tagName], null);
+        this.rewriteTagParents([tagName], null);
+        if (this.data.tagDetails) {
+            delete this.data.tagDetails[tagName];
+        }
+        this.persist();
+        return { name: tagName, images };
+    }
+
+    async mergeTags(sources, target) {
+        const [sourceNames, targetName] = this.prepareTagMerge(sources, target);
+        const details = this.getTagDetailsMap();
+
+        // A new target takes the color and description of the first source that has them
+        if (!this.listTags().some(tag => tag.name === targetName)) {
+            const inherited = {};
+            ['color', 'description'].forEach(field => {
+                const source = sourceNames.find(name => details[name] && details[name][field]);
+                if (source) {
+                    inherited[field] = details[source][field];
+                }
+            });
+            if (Object.keys(inherited).length > 0) {
+                this.setTagDetails(targetName, inherited);
+            }
+        }
+
+        const images = this.rewriteTags(sourceNames, targetName);
+        this.rewriteTagParents(sourceNames, targetName);
+        this.applyImpliedTags();
+        sourceNames.forEach(name => delete details[name]);
+        this.persist();
+        return { tag: this.getTag(targetName), merged: sourceNames, images };
+    }
+
+    async removeOrphanTags() {
+        const details = this.getTagDetailsMap();
+        const used = new Set([
+            ...this.getTags().map(tag => tag.name),
+            ...this.getTagParents().flatMap(edge => [edge.tag, edge.parent]),
+            ...this.getTrashTags()
+        ]);
+        const orphans = Object.keys(details).filter(name => !used.has(name)).sort();
+
+        if (orphans.length > 0) {
+            this.noteChanges({ tags: orphans });
+            orphans.forEach(name => delete details[name]);
+            this.persist();
+        }
+        return orphans;
+    }
+}
+
+/**
+ * Store backed by a pooled SQLite DatabaseManager
+ */
+class SqliteGalleryStore extends GalleryStore {
+    constructor(filePath, dbManager, pool) {
+        super(filePath);
+        this.type = 'sqlite';
+        this.db = dbManager;
+        this.pool = pool;
+    }
+
+    /**
+     * Schedule the pooled database to be written to disk
+     */
+    persist() {
+        if (this.pool) {
+            this.pool.markDirty(this.filePath);
+        } else {
+            this.db.save();
+        }
+    }
+
+    afterSave(callback) {
+        if (this.pool) {
+            this.pool.afterFlush(this.filePath, callback);
+        } else {
+            callback(true);
+        }
+    }
+
+    /**
+     * Map DatabaseManager rows onto the JSON image shape
+     */
+    toImage(row) {
+        const image = { ...row, date: row.dateAdded || null };
+        delete image.dateAdded;
+        return image;
+    }
+
+    findImage(imageId) {
+        const row = this.db.getImageById(imageId);
+        return row ? this.toImage(row) : null;
+    }
+
+    listImages() {
+        return this.db.getAllImages().images.map(row => this.toImage(row));
+    }
+
+    getMetadata() {
+        return this.db.getMetadata();
+    }
+
+    getTags() {
+        return this.db.getTagCounts();
+    }
+
+    queryImages(options) {
+        if (options.album) {
+            this.getAlbum(options.album);
+        }
+        const result = this.db.queryImages(options);
+        return { ...result, images: result.images.map(row => this.toImage(row)) };
+    }
+
+    searchImages(query, options = {}) {
+        const result = this.db.searchImages(query, options);
+        return {
+            ...result,
+            results: result.results.map(match => ({ image: this.toImage(match.image), score: match.score }))
+        };
+    }
+
+    getAvailableTags() {
+        return this.getTagHierarchy().withAncestors(this.db.getMajorImageTags()).sort();
+    }
+
+    getNextImageId() {
+        return this.db.getNextNumericId();
+    }
+
+    listTrash() {
+        return this.db.getTrashedImages().map(row => this.toImage(row));
+    }
+
+    findTrashedImage(imageId) {
+        const row = this.db.getTrashedImageById(imageId);
+        return row ? this.toImage(row) : null;
+    }
+
+    listImageRevisions(imageId) {
+        return this.db.getImageRevisions(imageId).map(revision => ({ ...revision, image: this.toImage(revision.image) }));
+    }
+
+    getStats() {
+        return this.db.getDatabaseStats();
+    }
+
+    async addImage(image) {
+        const normalized = this.normalizeImage(image);
+        this.assertIdAvailable(normalized.id);
+
+        this.noteChanges({ images: [normalized.id] });
+        await this.db.addImage(normalized);
+        this.persist();
+        return this.getImage(normalized.id);
+    }
+
+    async updateImage(image) {
+        const [lookupId, normalized] = this.prepareUpdate(image);
+
+        // Albums list images by their current ID, so a rename changes them too
+        this.noteChanges(() => ({
+            images: [lookupId, normalized.id],
+            albums: GalleryStore.sameId(lookupId, normalized.id) ? [] : this.getAlbumIdsWithImages([lookupId])
+        }));
+        await this.db.updateImage({ ...normalized, originalId: lookupId });
+        this.persist();
+        return this.getImage(normalized.id);
+    }
+
+    async updateImageHashes(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        this.db.updateImageHashes(updates);
+        this.persist();
+    }
+
+    async updateMediaMetadata(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        this.db.updateMediaMetadata(updates);
+        this.persist();
+    }
+
+    async updateImageGroups(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        this.db.updateImageGroups(updates);
+        this.persist();
+    }
+
+    async applyImageBatch(batch) {
+        this.noteBatchChanges(batch);
+        this.db.applyImageBatch(batch);
+        this.persist();
+    }
+
+    getRatings() {
+        return this.db.getRatings();
+    }
+
+    listComparisons(limit = 50) {
+        return this.db.getComparisons(limit);
+    }
+
+    async saveComparison(comparison, winner, loser) {
+        this.db.saveComparison(comparison, winner, loser);
+        this.persist();
+    }
+
+    async updateRankings(updates) {
+        this.noteChanges({ images: updates.map(update => update.id) });
+        this.db.updateRankings(updates);
+        this.persist();
+    }
+
+    getTagParents() {
+        return this.db.getTagParents();
+    }
+
+    listAlbums() {
+        return this.db.getAlbums();
+    }
+
+    async createAlbum(input) {
+        const album = this.prepareAlbum(input);
+
+        const albumId = this.db.saveAlbum(album);
+        this.noteChanges({ albums: [albumId] }, true);
+        this.persist();
+        return this.getAlbum(albumId);
+    }
+
+    async updateAlbum(albumId, changes) {
+        const album = this.prepareAlbum(changes, this.getAlbum(albumId));
+
+        this.noteChanges({ albums: [album.id] });
+        this.db.saveAlbum(album);
+        this.persist();
+        return this.getAlbum(album.id);
+    }
+
+    async deleteAlbum(albumId) {
+        const album = this.getAlbum(albumId);
+
+        this.noteChanges({ albums: [album.id] });
+        this.db.deleteAlbum(album.id);
+        this.persist();
+        return album;
+    }
+
+    listTags() {
+        return this.withTagParents(this.db.getTagDetails());
+    }
+
+    async updateTag(name, changes) {
+        const [tagName, normalized] = this.prepareTagUpdate(name, changes);
+
+        // A rename changes the tag's images and children; new parents may be created
+        // and implied onto the images of the tag and its descendants
+        this.noteChanges(() => {
+            const renamed = normalized.name !== undefined && normalized.name !== tagName;
+            const parents = normalized.parents !== undefined ? normalized.parents.map(parent => parent.name) : [];
+            return {
+                images: renamed || normalized.parents !== undefined ? this.db.getImageIdsWithTags([tagName]) : [],
+                tags: renamed ? [tagName, normalized.name, ...this.getChildTagNames([tagName]), ...parents] : [tagName, ...parents]
+            };
+        });
+        this.db.updateTag(tagName, normalized);
+        this.persist();
+        return this.getTag(normalized.name !== undefined ? normalized.name : tagName);
+    }
+
+    async deleteTag(name) {
+        const tagName = GalleryStore.normalizeTagName(name);
+        this.getTag(tagName);
+
+        this.noteChanges(() => ({
+            images: this.db.getImageIdsWithTags([tagName]),
+            tags: [tagName, ...this.getChildTagNames([tagName])]
+        }));
+        const images = this.db.deleteTag(tagName);
+        this.persist();
+        return { name: tagName, images };
+    }
+
+    async mergeTags(sources, target) {
+        const [sourceNames, targetName] = this.prepareTagMerge(sources, target);
+
+        // The target takes over the sources' images and place in the hierarchy
+        this.noteChanges(() => ({
+            images: this.db.getImageIdsWithTags([...sourceNames, targetName]),
+            tags: [...sourceNames, targetName, ...this.getChildTagNames(sourceNames)]
+        }));
+        const images = this.db.mergeTags(sourceNames, targetName);
+        this.persist();
+        return { tag: this.getTag(targetName), merged: sourceNames, images };
+    }
+
+    async removeOrphanTags() {
+        this.noteChanges(() => ({ tags: this.db.getOrphanTagNames() }));
+        const orphans = this.db.removeOrphanTags();
+        if (orphans.length > 0) {
+            this.persist();
+        }
+        return orphans;
+    }
+}
+
+/**
+ * Open the right store for a data file
+ */
+async function openGalleryStore(filePath, options = {}) {
+    if (filePath.toLowerCase().endsWith('.db')) {
+        const pool = options.pool;
+        let dbManager;
+
+        try {
+            dbManager = pool ? await pool.acquire(filePath) : null;
+            if (!dbManager) {
+                dbManager = new DatabaseManager();
+                await dbManager.loadDatabase(filePath);
+            }
+        } catch (error) {
+            throw new GalleryStoreError(`Failed to open SQLite database: ${error.message}`, 'INVALID_FILE');
+        }
+
+        if (!dbManager.hasRequiredTables()) {
+            if (pool) {
+                pool.invalidate(filePath);
+            }
+            throw new GalleryStoreError(
+                'Invalid SQLite database file: the file does not contain the required gallery tables',
+                'INVALID_FILE'
+            );
+        }
+
+        return new SqliteGalleryStore(filePath, dbManager, pool);
+    }
+
+    return new JsonGalleryStore(filePath).load();
+}
+
+module.exports = {
+    GalleryStore,
+    JsonGalleryStore,
+    SqliteGalleryStore,
+    GalleryStoreError,
+    openGalleryStore
+};
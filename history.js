@@ -0,0 +1,316 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./safe_write');
+const { GalleryStore, GalleryStoreError } = require('./gallery_store');
+
+/**
+ * Undo/redo log of gallery edits, one per data file.
+ * Each entry keeps the images, trashed images, albums and tags an edit changed
+ * as they were before and after it, so undoing writes the "before" side back in one save
+ * and redoing writes the "after" side. Logs live next to the data file in
+ * .history/<file>.json; a new edit drops anything that was undone.
+ */
+
+const HISTORY_DIR_NAME = '.history';
+const HISTORY_LIMIT = parseInt(process.env.HISTORY_LIMIT, 10) || 100;
+
+/**
+ * Get the log file of a data file
+ */
+function getHistoryFile(filePath) {
+    return path.join(path.dirname(filePath), HISTORY_DIR_NAME, `${path.basename(filePath)}.json`);
+}
+
+const KINDS = ['images', 'trash', 'albums', 'tags'];
+
+/**
+ * Snapshot of what an edit changes: images, trashed images and albums by ID, tags by name
+ */
+function emptyState() {
+    return { images: new Map(), trash: new Map(), albums: new Map(), tags: new Map() };
+}
+
+/**
+ * Copy the current images, albums and tags named in `changes` ({ images, albums, tags },
+ * see GalleryStore.watchChanges) into `state`, null where one does not exist.
+ * Things the state already holds keep their copy; `created` ones did not exist before.
+ */
+function captureChanges(store, state, changes, created = false) {
+    const copy = value => (value ? JSON.parse(JSON.stringify(value)) : null);
+
+    (changes.images || []).map(String).forEach(key => {
+        if (!state.images.has(key)) {
+            state.images.set(key, created ? null : copy(store.findImage(key)));
+            state.trash.set(key, created ? null : copy(store.findTrashedImage(key)));
+        }
+    });
+
+    const albumKeys = [...new Set((changes.albums || []).map(String))].filter(key => !state.albums.has(key));
+    if (albumKeys.length > 0) {
+        const albums = created ? [] : store.listAlbums();
+        albumKeys.forEach(key => state.albums.set(key, copy(albums.find(album => String(album.id) === key))));
+    }
+
+    const tagNames = [...new Set(changes.tags || [])].filter(name => !state.tags.has(name));
+    if (tagNames.length > 0) {
+        const tags = created ? [] : store.listTags();
+        tagNames.forEach(name => {
+            const tag = tags.find(item => item.name === name);
+            state.tags.set(name, tag ? {
+                color: tag.color || null,
+                description: tag.description || null,
+                parents: copy(tag.parents || [])
+            } : null);
+        });
+    }
+}
+
+/**
+ * The entries that differ between two states ({ images, trash, albums, tags } on
+ * each side, null where a thing did not exist), or null when nothing changed
+ */
+function diffStates(before, after) {
+    const change = { before: {}, after: {} };
+    let changed = false;
+
+    KINDS.forEach(kind => {
+        change.before[kind] = {};
+        change.after[kind] = {};
+        new Set([...before[kind].keys(), ...after[kind].keys()]).forEach(key => {
+            const old = before[kind].has(key) ? before[kind].get(key) : null;
+            const current = after[kind].has(key) ? after[kind].get(key) : null;
+            if (JSON.stringify(old) !== JSON.stringify(current)) {
+                change.before[kind][key] = old;
+                change.after[kind][key] = current;
+                changed = true;
+            }
+        });
+    });
+
+    return changed ? change : null;
+}
+
+/**
+ * Write one side of a recorded change back to the store in one save
+ * An image the entry knows in only one of `images` and `trash` keeps its place in the other
+ */
+async function restoreState(store, state) {
+    const batch = { adds: [], restores: [], updates: [], trash: [], deletes: [], tags: [], albums: [] };
+    const trashState = state.trash || {};
+
+    new Set([...Object.keys(state.images), ...Object.keys(trashState)]).forEach(imageId => {
+        const live = store.findImage(imageId);
+        const trashed = live ? null : store.findTrashedImage(imageId);
+        const current = live || trashed;
+        const image = state.images[imageId];
+        const inTrash = trashState[imageId];
+
+        if (image) {
+            if (trashed) {
+                batch.restores.push(trashed.id);
+            }
+            (current ? batch.updates : batch.adds).push(image);
+        } else if (inTrash) {
+            const { deletedAt, ...fields } = inTrash;
+            if (!current) {
+                batch.adds.push(fields);
+            } else if (trashed) {
+                batch.restores.push(trashed.id);
+                batch.updates.push(fields);
+            }
+            batch.trash.push({ id: inTrash.id, deletedAt });
+        } else if ((live && image === null) || (trashed && inTrash === null)) {
+            batch.deletes.push(current.id);
+        }
+    });
+
+    Object.entries(state.tags).forEach(([name, tag]) => {
+        batch.tags.push(tag === null ? { name, deleted: true } : { name, ...tag });
+    });
+
+    // Albums may only list images that are live once the images are restored
+    const listed = ids => imageId => ids.some(id => GalleryStore.sameId(id, imageId));
+    const arriving = listed([...batch.adds.map(image => image.id), ...batch.restores]);
+    const leaving = listed([...batch.deletes, ...batch.trash.map(entry => entry.id)]);
+    const trashed = listed(batch.trash.map(entry => entry.id));
+    const isLive = imageId => !trashed(imageId) && (arriving(imageId) || (!leaving(imageId) && store.findImage(imageId) !== null));
+    const existing = Object.keys(state.albums).length > 0 ? store.listAlbums() : [];
+    Object.entries(state.albums).forEach(([albumId, album]) => {
+        if (album === null) {
+            if (existing.some(item => GalleryStore.sameId(item.id, albumId))) {
+                batch.albums.push({ id: existing.find(item => GalleryStore.sameId(item.id, albumId)).id, deleted: true });
+            }
+            return;
+        }
+        batch.albums.push({
+            ...album,
+            imageIds: album.imageIds.filter(isLive),
+            coverImageId: album.coverImageId !== null && isLive(album.coverImageId) ? album.coverImageId : null
+        });
+    });
+
+    await store.applyImageBatch(batch);
+}
+
+/**
+ * Count what an entry changed, for listing
+ */
+function summarize(entry) {
+    const counts = {};
+    KINDS.forEach(kind => {
+        counts[kind] = Object.keys(entry.after[kind] || {}).length;
+    });
+    return counts;
+}
+
+/**
+ * Edits, undos and redos of a file must not overlap: callers run them inside
+ * the data file's write lock (withFileLock in safe_write.js)
+ */
+class EditHistory {
+    constructor(options = {}) {
+        // Entries kept per data file; the oldest are dropped first
+        this.limit = options.limit !== undefined ? options.limit : HISTORY_LIMIT;
+        // Logs waiting for their edits to reach disk, by data file
+        this.pending = new Map();
+    }
+
+    /**
+     * Read a data file's log: { entries, position }; entries from `position` on are undone
+     */
+    load(filePath) {
+        if (this.pending.has(filePath)) {
+            return this.pending.get(filePath);
+        }
+        const historyFile = getHistoryFile(filePath);
+        if (!fs.existsSync(historyFile)) {
+            return { entries: [], position: 0 };
+        }
+        try {
+            const log = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+            if (Array.isArray(log.entries) && Number.isInteger(log.position)) {
+                return log;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable edit history ${historyFile}: ${error.message}`);
+        }
+        return { entries: [], position: 0 };
+    }
+
+    save(filePath, log) {
+        const historyFile = getHistoryFile(filePath);
+        fs.mkdirSync(path.dirname(historyFile), { recursive: true });
+        writeFileAtomic(historyFile, JSON.stringify(log));
+    }
+
+    /**
+     * Save a log once the store's writes are on disk, so a crash in between (SQLite
+     * galleries are flushed later, see database_pool.js) cannot leave entries for
+     * edits that were never saved. Until then the log is kept in memory; when the
+     * writes are dropped, so is the log
+     */
+    saveAfter(filePath, store, log) {
+        this.pending.set(filePath, log);
+        store.afterSave(saved => {
+            if (this.pending.get(filePath) !== log) {
+                return;
+            }
+            this.pending.delete(filePath);
+            if (saved) {
+                this.save(filePath, log);
+            }
+        });
+    }
+
+    /**
+     * Run `edit(store)` and log what it changed under `description`
+     * Only the images, albums and tags the store reports as written are copied, before
+     * and after the edit. Returns whatever the edit returns; failed edits and edits that
+     * change nothing are not logged
+     */
+    async record(filePath, store, description, edit) {
+        const before = emptyState();
+        store.watchChanges((changes, created) => captureChanges(store, before, changes, created));
+        let result;
+        try {
+            result = await edit(store);
+        } finally {
+            store.watchChanges(null);
+        }
+
+        const after = emptyState();
+        captureChanges(store, after, {
+            images: [...before.images.keys()],
+            albums: [...before.albums.keys()],
+            tags: [...before.tags.keys()]
+        });
+        const change = diffStates(before, after);
+        if (change) {
+            const log = this.load(filePath);
+            const entries = log.entries.slice(0, log.position);
+            const lastId = entries.length > 0 ? entries[entries.length - 1].id : 0;
+            entries.push({ id: lastId + 1, description, createdAt: new Date().toISOString(), ...change });
+            const kept = entries.slice(-this.limit);
+            this.saveAfter(filePath, store, { entries: kept, position: kept.length });
+        }
+        return result;
+    }
+
+    /**
+     * Revert the latest edit that is not undone; returns the entry
+     */
+    async undo(filePath, store) {
+        const log = this.load(filePath);
+        if (log.position === 0) {
+            throw new GalleryStoreError('Nothing to undo', 'VALIDATION');
+        }
+        const entry = log.entries[log.position - 1];
+        await restoreState(store, entry.before);
+        this.saveAfter(filePath, store, { ...log, position: log.position - 1 });
+        return this.describe(entry, true);
+    }
+
+    /**
+     * Apply the earliest undone edit again; returns the entry
+     */
+    async redo(filePath, store) {
+        const log = this.load(filePath);
+        if (log.position === log.entries.length) {
+            throw new GalleryStoreError('Nothing to redo', 'VALIDATION');
+        }
+        const entry = log.entries[log.position];
+        await restoreState(store, entry.after);
+        this.saveAfter(filePath, store, { ...log, position: log.position + 1 });
+        return this.describe(entry, false);
+    }
+
+    /**
+     * Entries newest first without their snapshots, with canUndo/canRedo
+     */
+    list(filePath) {
+        const log = this.load(filePath);
+        return {
+            entries: log.entries.map((entry, index) => this.describe(entry, index >= log.position)).reverse(),
+            canUndo: log.position > 0,
+            canRedo: log.position < log.entries.length
+        };
+    }
+
+    describe(entry, undone) {
+        return { id: entry.id, description: entry.description, createdAt: entry.createdAt, undone, changes: summarize(entry) };
+    }
+
+    /**
+     * Forget a data file's history, e.g. after the whole file was replaced
+     */
+    clear(filePath) {
+        this.pending.delete(filePath);
+        fs.rmSync(getHistoryFile(filePath), { force: true });
+    }
+}
+
+module.exports = {
+    EditHistory,
+    getHistoryFile,
+    HISTORY_LIMIT
+};
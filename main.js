@@ -1,6 +1,7 @@
 const { app, BrowserWindow, ipcMain, dialog } = require("electron");
 const path = require("path");
 const fs = require("fs");
+const { writeFileAtomic } = require("./safe_write");
 
 // Import the Express server
 const server = require("./server");
@@ -66,6 +67,11 @@ app.on("window-all-closed", () => {
   }
 });
 
+// Write any pending SQLite changes before the process exits
+app.on("before-quit", () => {
+  server.locals.databasePool.flushAll();
+});
+
 // Security: Prevent new window creation
 app.on("web-contents-created", (event, contents) => {
   contents.on("new-window", (event, navigationUrl) => {
@@ -115,7 +121,7 @@ ipcMain.handle("read-json-file", async (event, filePath) => {
 ipcMain.handle("write-json-file", async (event, filePath, data) => {
   try {
     const jsonString = JSON.stringify(data, null, 2);
-    fs.writeFileSync(filePath, jsonString, 'utf8');
+    writeFileAtomic(filePath, jsonString);
     return { success: true };
   } catch (error) {
     throw new Error(`Failed to write JSON file: ${error.message}`);
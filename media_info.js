@@ -0,0 +1,455 @@
+/**
+ * Media type sniffing and pixel dimension detection for uploaded files
+ * Reads file headers directly so no native image library is needed. The format
+ * comes from the file's bytes, not its name or the client's MIME type.
+ */
+
+const fs = require('fs');
+
+// Bytes read from the start of a file; enough for JPEG headers behind large EXIF blocks
+const HEADER_BYTES = 512 * 1024;
+
+// MP4/QuickTime metadata larger than this is not read for dimensions
+const MAX_MOOV_BYTES = 64 * 1024 * 1024;
+
+// Supported formats; the first extension is the one given to stored files
+const FORMATS = {
+    jpeg: { kind: 'image', mimeType: 'image/jpeg', extensions: ['.jpg', '.jpeg', '.jpe'] },
+    png: { kind: 'image', mimeType: 'image/png', extensions: ['.png'] },
+    gif: { kind: 'image', mimeType: 'image/gif', extensions: ['.gif'] },
+    webp: { kind: 'image', mimeType: 'image/webp', extensions: ['.webp'] },
+    bmp: { kind: 'image', mimeType: 'image/bmp', extensions: ['.bmp'] },
+    svg: { kind: 'image', mimeType: 'image/svg+xml', extensions: ['.svg'] },
+    avif: { kind: 'image', mimeType: 'image/avif', extensions: ['.avif'] },
+    heic: { kind: 'image', mimeType: 'image/heic', extensions: ['.heic', '.heif'] },
+    mp4: { kind: 'video', mimeType: 'video/mp4', extensions: ['.mp4'] },
+    mov: { kind: 'video', mimeType: 'video/quicktime', extensions: ['.mov'] },
+    webm: { kind: 'video', mimeType: 'video/webm', extensions: ['.webm'] },
+    mkv: { kind: 'video', mimeType: 'video/x-matroska', extensions: ['.mkv'] },
+    avi: { kind: 'video', mimeType: 'video/x-msvideo', extensions: ['.avi'] },
+    ogg: { kind: 'video', mimeType: 'video/ogg', extensions: ['.ogv', '.ogg'] }
+};
+
+/**
+ * Identify a media format from the first bytes of a file
+ * Returns a FORMATS key or null
+ */
+function detectFormat(buffer) {
+    const ascii = (start, end) => buffer.toString('latin1', start, end);
+
+    if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) {
+        return 'jpeg';
+    }
+    if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504E47 && buffer.readUInt32BE(4) === 0x0D0A1A0A) {
+        return 'png';
+    }
+    if (ascii(0, 6) === 'GIF87a' || ascii(0, 6) === 'GIF89a') {
+        return 'gif';
+    }
+    if (ascii(0, 2) === 'BM' && buffer.length >= 26) {
+        return 'bmp';
+    }
+    if (ascii(0, 4) === 'RIFF') {
+        if (ascii(8, 12) === 'WEBP') {
+            return 'webp';
+        }
+        if (ascii(8, 12) === 'AVI ') {
+            return 'avi';
+        }
+    }
+    if (ascii(4, 8) === 'ftyp') {
+        const brands = [ascii(8, 12)];
+        const boxSize = Math.min(buffer.readUInt32BE(0), buffer.length);
+        for (let offset = 16; offset + 4 <= boxSize; offset += 4) {
+            brands.push(ascii(offset, offset + 4));
+        }
+        if (brands.includes('avif') || brands.includes('avis')) {
+            return 'avif';
+        }
+        if (['heic', 'heix', 'mif1'].includes(brands[0])) {
+            return 'heic';
+        }
+        return brands[0] === 'qt  ' ? 'mov' : 'mp4';
+    }
+    if (buffer.length >= 4 && buffer.readUInt32BE(0) === 0x1A45DFA3) {
+        // DocType sits in the EBML header at the start of the file
+        const docType = buffer.indexOf('webm', 0, 'latin1');
+        return docType !== -1 && docType < 64 ? 'webm' : 'mkv';
+    }
+    if (ascii(0, 4) === 'OggS') {
+        return 'ogg';
+    }
+    if (/<svg[\s>]/i.test(ascii(0, Math.min(buffer.length, 4096)))) {
+        return 'svg';
+    }
+    return null;
+}
+
+/**
+ * Scan JPEG markers for the start-of-frame segment
+ */
+function readJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xFF) {
+            return null;
+        }
+        const marker = buffer[offset + 1];
+        if (marker === 0xFF) {
+            offset++;
+            continue;
+        }
+        // Markers without a length field
+        if (marker === 0x01 || (marker >= 0xD0 && marker <= 0xD9)) {
+            offset += 2;
+            continue;
+        }
+        const isStartOfFrame = marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker);
+        if (isStartOfFrame) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+/**
+ * Find the TIFF block of a JPEG's APP1 EXIF segment; returns a Buffer or null
+ */
+function findJpegExif(buffer) {
+    let offset = 2;
+    while (offset + 4 < buffer.length && buffer[offset] === 0xFF) {
+        const marker = buffer[offset + 1];
+        // Metadata segments all come before the start of scan
+        if (marker === 0xDA || marker === 0xD9) {
+            break;
+        }
+        const length = buffer.readUInt16BE(offset + 2);
+        if (marker === 0xE1 && buffer.toString('latin1', offset + 4, offset + 10) === 'Exif\0\0') {
+            return buffer.subarray(offset + 10, Math.min(buffer.length, offset + 2 + length));
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+/**
+ * Read the EXIF orientation (1-8) of a JPEG; 1 when the file has none
+ */
+function readJpegOrientation(buffer) {
+    try {
+        const tiff = findJpegExif(buffer);
+        if (!tiff) {
+            return 1;
+        }
+        const littleEndian = tiff.toString('latin1', 0, 2) === 'II';
+        const u16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+        const u32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+        const ifd = u32(4);
+        const entryCount = u16(ifd);
+        for (let i = 0; i < entryCount; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (u16(entry) === 0x0112) {
+                const orientation = u16(entry + 8);
+                return orientation >= 1 && orientation <= 8 ? orientation : 1;
+            }
+        }
+    } catch (error) {
+        // Truncated EXIF data: treat as unrotated
+    }
+    return 1;
+}
+
+/**
+ * Read the VP8, VP8L or VP8X header of a WebP file
+ */
+function readWebpDimensions(buffer) {
+    const chunk = buffer.toString('latin1', 12, 16);
+    if (chunk === 'VP8 ' && buffer.length >= 30) {
+        return { width: buffer.readUInt16LE(26) & 0x3FFF, height: buffer.readUInt16LE(28) & 0x3FFF };
+    }
+    if (chunk === 'VP8L' && buffer.length >= 25) {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3FFF) + 1, height: ((bits >> 14) & 0x3FFF) + 1 };
+    }
+    if (chunk === 'VP8X' && buffer.length >= 30) {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+/**
+ * Read width/height attributes of the root <svg> element, falling back to its viewBox
+ */
+function readSvgDimensions(buffer) {
+    const match = buffer.toString('utf8', 0, Math.min(buffer.length, 16384)).match(/<svg\b[^>]*>/i);
+    if (!match) {
+        return null;
+    }
+
+    const attribute = name => {
+        const found = match[0].match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i'));
+        return found ? found[1].trim() : null;
+    };
+    const toPixels = value => (value && /^[\d.]+(px)?$/.test(value) ? Math.round(parseFloat(value)) : null);
+
+    let width = toPixels(attribute('width'));
+    let height = toPixels(attribute('height'));
+    const viewBox = (attribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    if ((!width || !height) && viewBox.length === 4 && viewBox.every(Number.isFinite)) {
+        width = width || Math.round(viewBox[2]);
+        height = height || Math.round(viewBox[3]);
+    }
+    return width && height ? { width, height } : null;
+}
+
+/**
+ * Read the frame size from an AVI main header (avih chunk)
+ */
+function readAviDimensions(buffer) {
+    const offset = buffer.indexOf('avih', 12, 'latin1');
+    if (offset === -1 || offset + 48 > buffer.length) {
+        return null;
+    }
+    return { width: buffer.readUInt32LE(offset + 40), height: buffer.readUInt32LE(offset + 44) };
+}
+
+/**
+ * Read an EBML variable-length integer; returns { value, length } or null
+ * With `keepMarker` the length marker bit is kept, as element IDs are written that way
+ */
+function readVint(buffer, offset, keepMarker = false) {
+    const first = buffer[offset];
+    if (first === undefined || first === 0) {
+        return null;
+    }
+    const length = Math.clz32(first) - 23;
+    if (offset + length > buffer.length) {
+        return null;
+    }
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    let unknown = value === (0xFF >> length);
+    for (let i = 1; i < length; i++) {
+        value = value * 256 + buffer[offset + i];
+        unknown = unknown && buffer[offset + i] === 0xFF;
+    }
+    return { value: unknown && !keepMarker ? Infinity : value, length };
+}
+
+/**
+ * Walk Segment > Tracks > TrackEntry > Video for PixelWidth/PixelHeight (WebM, Matroska)
+ */
+function readMatroskaDimensions(buffer) {
+    const CONTAINERS = [0x18538067, 0x1654AE6B, 0xAE, 0xE0];
+    const PIXEL_WIDTH = 0xB0;
+    const PIXEL_HEIGHT = 0xBA;
+    const size = {};
+
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset < end && !(size.width && size.height)) {
+            const id = readVint(buffer, offset, true);
+            const dataSize = id && readVint(buffer, offset + id.length);
+            if (!id || !dataSize) {
+                return;
+            }
+            const dataStart = offset + id.length + dataSize.length;
+            const dataEnd = Math.min(end, dataStart + dataSize.value);
+
+            if (CONTAINERS.includes(id.value)) {
+                walk(dataStart, dataEnd);
+            } else if (id.value === PIXEL_WIDTH || id.value === PIXEL_HEIGHT) {
+                const value = buffer.readUIntBE(dataStart, Math.min(dataSize.value, 6));
+                size[id.value === PIXEL_WIDTH ? 'width' : 'height'] = value;
+            }
+            offset = dataEnd;
+        }
+    };
+
+    // Skip the EBML header element, then walk the segment
+    const header = readVint(buffer, 4);
+    if (!header) {
+        return null;
+    }
+    walk(4 + header.length + header.value, buffer.length);
+    return size.width && size.height ? { width: size.width, height: size.height } : null;
+}
+
+/**
+ * Iterate ISO-BMFF boxes in a buffer range, yielding { type, start, end }
+ */
+function* iterateBoxes(buffer, start, end) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let headerSize = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < headerSize) {
+            return;
+        }
+        yield { type: buffer.toString('latin1', offset + 4, offset + 8), start: offset + headerSize, end: Math.min(end, offset + size) };
+        offset += size;
+    }
+}
+
+/**
+ * Read the first visual track size from a moov box (tkhd width/height, 16.16 fixed point)
+ */
+function readMoovDimensions(moov) {
+    for (const trak of iterateBoxes(moov, 0, moov.length)) {
+        if (trak.type !== 'trak') {
+            continue;
+        }
+        for (const box of iterateBoxes(moov, trak.start, trak.end)) {
+            if (box.type !== 'tkhd') {
+                continue;
+            }
+            const sizeOffset = box.start + (moov[box.start] === 1 ? 88 : 76);
+            if (sizeOffset + 8 > box.end) {
+                continue;
+            }
+            const width = Math.round(moov.readUInt32BE(sizeOffset) / 65536);
+            const height = Math.round(moov.readUInt32BE(sizeOffset + 4) / 65536);
+            if (width && height) {
+                return { width, height };
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the top-level moov box of an MP4/QuickTime file, which may sit at the end
+ * Returns the box contents or null when there is none (or it is too large)
+ */
+async function readMoovBox(handle, fileSize) {
+    const header = Buffer.alloc(16);
+    let offset = 0;
+
+    while (offset + 8 <= fileSize) {
+        const { bytesRead } = await handle.read(header, 0, 16, offset);
+        if (bytesRead < 8) {
+            return null;
+        }
+
+        let size = header.readUInt32BE(0);
+        let headerSize = 8;
+        if (size === 1) {
+            size = Number(header.readBigUInt64BE(8));
+            headerSize = 16;
+        } else if (size === 0) {
+            size = fileSize - offset;
+        }
+        if (size < headerSize) {
+            return null;
+        }
+
+        if (header.toString('latin1', 4, 8) === 'moov') {
+            const moovSize = size - headerSize;
+            if (moovSize > MAX_MOOV_BYTES) {
+                return null;
+            }
+            const moov = Buffer.alloc(moovSize);
+            await handle.read(moov, 0, moovSize, offset + headerSize);
+            return moov;
+        }
+        offset += size;
+    }
+    return null;
+}
+
+/**
+ * Read the first visual track size of an MP4/QuickTime file
+ */
+async function readMp4Dimensions(handle, fileSize) {
+    const moov = await readMoovBox(handle, fileSize);
+    return moov ? readMoovDimensions(moov) : null;
+}
+
+/**
+ * Read pixel dimensions from a file header, or null if the format does not
+ * carry them in the bytes read
+ */
+function readDimensions(buffer, format) {
+    switch (format) {
+        case 'jpeg':
+            return readJpegDimensions(buffer);
+        case 'png':
+            return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+        case 'gif':
+            return buffer.length >= 10 ? { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) } : null;
+        case 'bmp':
+            return { width: Math.abs(buffer.readInt32LE(18)), height: Math.abs(buffer.readInt32LE(22)) };
+        case 'webp':
+            return readWebpDimensions(buffer);
+        case 'svg':
+            return readSvgDimensions(buffer);
+        case 'avi':
+            return readAviDimensions(buffer);
+        case 'webm':
+        case 'mkv':
+            return readMatroskaDimensions(buffer);
+        default:
+            return null;
+    }
+}
+
+/**
+ * Probe a media file on disk
+ * Returns { format, kind, mimeType, extensions, width, height, size } or null if
+ * the bytes are not a supported image or video format. width/height are null
+ * when they cannot be read (e.g. Ogg, AVIF).
+ */
+async function probeMediaFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(size, HEADER_BYTES));
+        await handle.read(buffer, 0, buffer.length, 0);
+
+        const format = detectFormat(buffer);
+        if (!format) {
+            return null;
+        }
+
+        let dimensions = null;
+        try {
+            dimensions = format === 'mp4' || format === 'mov'
+                ? await readMp4Dimensions(handle, size)
+                : readDimensions(buffer, format);
+        } catch (error) {
+            // Truncated or malformed headers leave the dimensions unknown
+            dimensions = null;
+        }
+
+        return {
+            format,
+            ...FORMATS[format],
+            width: dimensions ? dimensions.width : null,
+            height: dimensions ? dimensions.height : null,
+            size
+        };
+    } finally {
+        await handle.close();
+    }
+}
+
+module.exports = {
+    FORMATS,
+    HEADER_BYTES,
+    detectFormat,
+    readDimensions,
+    findJpegExif,
+    readJpegOrientation,
+    readVint,
+    iterateBoxes,
+    readMoovBox,
+    probeMediaFile
+};
@@ -0,0 +1,485 @@
+/**
+ * Camera and video metadata read from media files
+ * EXIF is read from JPEG, PNG and WebP files (camera, lens, exposure, capture
+ * time, orientation, GPS); MP4/QuickTime, WebM/Matroska and AVI headers give
+ * duration, codecs and frame size. Everything is parsed from the file's bytes,
+ * like media_info.js.
+ */
+
+const fs = require('fs');
+const { HEADER_BYTES, detectFormat, findJpegExif, readDimensions, readVint, iterateBoxes, readMoovBox } = require('./media_info');
+
+/**
+ * Metadata fields stored for each image and their value types
+ * Stored in the `image_metadata` table (snake_case columns) and as
+ * `mediaMetadata` on JSON images.
+ */
+const MEDIA_METADATA_FIELDS = {
+    cameraMake: 'text',
+    cameraModel: 'text',
+    lensModel: 'text',
+    exposureTime: 'number',
+    fNumber: 'number',
+    iso: 'number',
+    focalLength: 'number',
+    capturedAt: 'text',
+    orientation: 'number',
+    gpsLatitude: 'number',
+    gpsLongitude: 'number',
+    gpsAltitude: 'number',
+    duration: 'number',
+    videoCodec: 'text',
+    audioCodec: 'text',
+    frameWidth: 'number',
+    frameHeight: 'number'
+};
+
+// Bytes per component of each TIFF field type
+const TIFF_TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+
+// Seconds between 1904-01-01 (QuickTime epoch) and 1970-01-01
+const QUICKTIME_EPOCH_OFFSET = 2082844800;
+
+// Milliseconds between 1970-01-01 and 2001-01-01 (Matroska epoch)
+const MATROSKA_EPOCH_MS = 978307200000;
+
+/**
+ * Column name of a metadata field (cameraMake -> camera_make)
+ */
+function toColumnName(field) {
+    return field.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+}
+
+/**
+ * Read every entry of a TIFF IFD into a Map of tag -> value
+ * Single values are returned as scalars, rationals as numbers, ASCII as trimmed strings
+ */
+function readIfd(tiff, offset, littleEndian) {
+    const u16 = at => (littleEndian ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+    const u32 = at => (littleEndian ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+    const s32 = at => (littleEndian ? tiff.readInt32LE(at) : tiff.readInt32BE(at));
+    const entries = new Map();
+
+    const entryCount = u16(offset);
+    for (let i = 0; i < entryCount; i++) {
+        const entry = offset + 2 + i * 12;
+        if (entry + 12 > tiff.length) {
+            break;
+        }
+        const tag = u16(entry);
+        const type = u16(entry + 2);
+        const count = u32(entry + 4);
+        const size = TIFF_TYPE_SIZES[type];
+        if (!size) {
+            continue;
+        }
+
+        const valueOffset = size * count <= 4 ? entry + 8 : u32(entry + 8);
+        if (valueOffset + size * count > tiff.length) {
+            continue;
+        }
+
+        if (type === 2) {
+            entries.set(tag, tiff.toString('latin1', valueOffset, valueOffset + count).replace(/\0[\s\S]*$/, '').trim());
+            continue;
+        }
+
+        const values = [];
+        for (let n = 0; n < count; n++) {
+            const at = valueOffset + n * size;
+            switch (type) {
+                case 3: values.push(u16(at)); break;
+                case 4: values.push(u32(at)); break;
+                case 9: values.push(s32(at)); break;
+                case 5: values.push(u32(at + 4) ? u32(at) / u32(at + 4) : null); break;
+                case 10: values.push(s32(at + 4) ? s32(at) / s32(at + 4) : null); break;
+                default: values.push(tiff[at]); break;
+            }
+        }
+        entries.set(tag, count === 1 ? values[0] : values);
+    }
+
+    return entries;
+}
+
+/**
+ * Convert an EXIF date ("2023:06:01 14:22:10") and optional offset to ISO 8601
+ */
+function exifDateToIso(value, offset) {
+    const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+    if (!match || match[1] === '0000') {
+        return null;
+    }
+    const [, year, month, day, hour, minute, second] = match;
+    const zone = typeof offset === 'string' && /^[+-]\d{2}:\d{2}$/.test(offset) ? offset : '';
+    return `${year}-${month}-${day}T${hour}:${minute}:${second}${zone}`;
+}
+
+/**
+ * Degrees/minutes/seconds and a hemisphere reference to signed decimal degrees
+ */
+function gpsToDecimal(dms, ref) {
+    if (!Array.isArray(dms) || dms.length < 3 || dms.some(part => part === null)) {
+        return null;
+    }
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return Math.round((ref === 'S' || ref === 'W' ? -degrees : degrees) * 1e6) / 1e6;
+}
+
+/**
+ * Round a measured value to a sensible precision
+ */
+function roundValue(value, digits = 4) {
+    return typeof value === 'number' && Number.isFinite(value) ? Math.round(value * 10 ** digits) / 10 ** digits : null;
+}
+
+/**
+ * Extract camera metadata from a TIFF/EXIF block
+ */
+function parseExif(tiff) {
+    const byteOrder = tiff.toString('latin1', 0, 2);
+    if (byteOrder !== 'II' && byteOrder !== 'MM') {
+        return {};
+    }
+    const littleEndian = byteOrder === 'II';
+    const ifd0 = readIfd(tiff, littleEndian ? tiff.readUInt32LE(4) : tiff.readUInt32BE(4), littleEndian);
+    const exif = ifd0.has(0x8769) ? readIfd(tiff, ifd0.get(0x8769), littleEndian) : new Map();
+    const gps = ifd0.has(0x8825) ? readIfd(tiff, ifd0.get(0x8825), littleEndian) : new Map();
+
+    const iso = exif.get(0x8827);
+    const altitude = gps.get(6);
+
+    return {
+        cameraMake: ifd0.get(0x010F) || null,
+        cameraModel: ifd0.get(0x0110) || null,
+        lensModel: exif.get(0xA434) || null,
+        exposureTime: roundValue(exif.get(0x829A), 6),
+        fNumber: roundValue(exif.get(0x829D), 1),
+        iso: Array.isArray(iso) ? iso[0] : (iso ?? null),
+        focalLength: roundValue(exif.get(0x920A), 1),
+        capturedAt: exifDateToIso(exif.get(0x9003), exif.get(0x9011)) || exifDateToIso(ifd0.get(0x0132), exif.get(0x9010)),
+        orientation: ifd0.get(0x0112) ?? null,
+        gpsLatitude: gpsToDecimal(gps.get(2), gps.get(1)),
+        gpsLongitude: gpsToDecimal(gps.get(4), gps.get(3)),
+        gpsAltitude: typeof altitude === 'number' ? roundValue(gps.get(5) === 1 ? -altitude : altitude, 1) : null
+    };
+}
+
+/**
+ * Find the EXIF block of a JPEG, PNG (eXIf chunk) or WebP (EXIF chunk)
+ */
+function findExif(buffer, format) {
+    if (format === 'jpeg') {
+        return findJpegExif(buffer);
+    }
+
+    if (format === 'png') {
+        let offset = 8;
+        while (offset + 12 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (type === 'eXIf') {
+                return buffer.subarray(offset + 8, offset + 8 + length);
+            }
+            if (type === 'IDAT' || type === 'IEND') {
+                break;
+            }
+            offset += 12 + length;
+        }
+    }
+
+    if (format === 'webp') {
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32LE(offset + 4);
+            if (buffer.toString('latin1', offset, offset + 4) === 'EXIF') {
+                const chunk = buffer.subarray(offset + 8, offset + 8 + length);
+                // Some writers keep the JPEG "Exif\0\0" prefix
+                return chunk.toString('latin1', 0, 6) === 'Exif\0\0' ? chunk.subarray(6) : chunk;
+            }
+            offset += 8 + length + (length % 2);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Duration, codecs, frame size and creation time from an MP4/QuickTime moov box
+ */
+function parseMoov(moov) {
+    const result = {};
+    const child = (start, end, type) => {
+        for (const box of iterateBoxes(moov, start, end)) {
+            if (box.type === type) {
+                return box;
+            }
+        }
+        return null;
+    };
+
+    const mvhd = child(0, moov.length, 'mvhd');
+    if (mvhd) {
+        const version = moov[mvhd.start];
+        const created = version === 1 ? Number(moov.readBigUInt64BE(mvhd.start + 4)) : moov.readUInt32BE(mvhd.start + 4);
+        const timescale = moov.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+        const duration = version === 1 ? Number(moov.readBigUInt64BE(mvhd.start + 24)) : moov.readUInt32BE(mvhd.start + 16);
+        if (timescale) {
+            result.duration = roundValue(duration / timescale, 3);
+        }
+        if (created > QUICKTIME_EPOCH_OFFSET) {
+            result.capturedAt = new Date((created - QUICKTIME_EPOCH_OFFSET) * 1000).toISOString().replace('.000Z', 'Z');
+        }
+    }
+
+    for (const trak of iterateBoxes(moov, 0, moov.length)) {
+        if (trak.type !== 'trak') {
+            continue;
+        }
+        const mdia = child(trak.start, trak.end, 'mdia');
+        const hdlr = mdia && child(mdia.start, mdia.end, 'hdlr');
+        const minf = mdia && child(mdia.start, mdia.end, 'minf');
+        const stbl = minf && child(minf.start, minf.end, 'stbl');
+        const stsd = stbl && child(stbl.start, stbl.end, 'stsd');
+        if (!hdlr || !stsd) {
+            continue;
+        }
+
+        // hdlr: version/flags, pre_defined, handler type; stsd: version/flags, entry count, first entry
+        const handler = moov.toString('latin1', hdlr.start + 8, hdlr.start + 12);
+        const codec = moov.toString('latin1', stsd.start + 12, stsd.start + 16).trim();
+        if (handler === 'vide' && !result.videoCodec) {
+            result.videoCodec = codec;
+            const tkhd = child(trak.start, trak.end, 'tkhd');
+            if (tkhd) {
+                const sizeOffset = tkhd.start + (moov[tkhd.start] === 1 ? 88 : 76);
+                result.frameWidth = Math.round(moov.readUInt32BE(sizeOffset) / 65536) || null;
+                result.frameHeight = Math.round(moov.readUInt32BE(sizeOffset + 4) / 65536) || null;
+            }
+        } else if (handler === 'soun' && !result.audioCodec) {
+            result.audioCodec = codec;
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Duration, codecs and creation date from a WebM/Matroska header
+ */
+function parseMatroska(buffer) {
+    const CONTAINERS = [0x18538067, 0x1549A966, 0x1654AE6B, 0xAE];
+    const result = {};
+    let timecodeScale = 1000000;
+    let rawDuration = null;
+    let track = null;
+
+    const readUnsigned = (start, length) => buffer.readUIntBE(start, Math.min(length, 6));
+
+    const walk = (start, end) => {
+        let offset = start;
+        while (offset < end) {
+            const id = readVint(buffer, offset, true);
+            const dataSize = id && readVint(buffer, offset + id.length);
+            if (!id || !dataSize) {
+                return;
+            }
+            const dataStart = offset + id.length + dataSize.length;
+            const dataEnd = Math.min(end, dataStart + dataSize.value);
+
+            if (id.value === 0xAE) {
+                track = {};
+                walk(dataStart, dataEnd);
+                const codec = track.codec ? track.codec.replace(/^[VA]_/, '').toLowerCase() : null;
+                if (track.type === 1 && !result.videoCodec) {
+                    result.videoCodec = codec;
+                } else if (track.type === 2 && !result.audioCodec) {
+                    result.audioCodec = codec;
+                }
+                track = null;
+            } else if (CONTAINERS.includes(id.value)) {
+                walk(dataStart, dataEnd);
+            } else if (id.value === 0x2AD7B1) {
+                timecodeScale = readUnsigned(dataStart, dataEnd - dataStart);
+            } else if (id.value === 0x4489) {
+                rawDuration = dataEnd - dataStart === 4 ? buffer.readFloatBE(dataStart) : buffer.readDoubleBE(dataStart);
+            } else if (id.value === 0x4461 && dataEnd - dataStart === 8) {
+                const nanoseconds = buffer.readBigInt64BE(dataStart);
+                result.capturedAt = new Date(MATROSKA_EPOCH_MS + Number(nanoseconds / 1000000n)).toISOString().replace('.000Z', 'Z');
+            } else if (track && id.value === 0x83) {
+                track.type = buffer[dataStart];
+            } else if (track && id.value === 0x86) {
+                track.codec = buffer.toString('latin1', dataStart, dataEnd).replace(/\0+$/, '');
+            }
+            offset = dataEnd;
+        }
+    };
+
+    const header = readVint(buffer, 4);
+    if (header) {
+        walk(4 + header.length + header.value, buffer.length);
+    }
+    if (rawDuration !== null) {
+        result.duration = roundValue(rawDuration * timecodeScale / 1e9, 3);
+    }
+    const frame = readDimensions(buffer, 'webm');
+    if (frame) {
+        result.frameWidth = frame.width;
+        result.frameHeight = frame.height;
+    }
+    return result;
+}
+
+/**
+ * Duration and video codec from an AVI main header and first video stream header
+ */
+function parseAvi(buffer) {
+    const result = {};
+    const avih = buffer.indexOf('avih', 12, 'latin1');
+    if (avih !== -1 && avih + 48 <= buffer.length) {
+        const microSecondsPerFrame = buffer.readUInt32LE(avih + 8);
+        const totalFrames = buffer.readUInt32LE(avih + 24);
+        result.duration = roundValue(microSecondsPerFrame * totalFrames / 1e6, 3);
+        result.frameWidth = buffer.readUInt32LE(avih + 40) || null;
+        result.frameHeight = buffer.readUInt32LE(avih + 44) || null;
+    }
+    const strh = buffer.indexOf('strhvids', 12, 'latin1');
+    if (strh !== -1 && strh + 16 <= buffer.length) {
+        result.videoCodec = buffer.toString('latin1', strh + 12, strh + 16).replace(/\0/g, '').trim().toLowerCase() || null;
+    }
+    return result;
+}
+
+/**
+ * Keep only known fields with values, in MEDIA_METADATA_FIELDS order; null when empty
+ */
+function compactMetadata(metadata) {
+    const compact = {};
+    Object.keys(MEDIA_METADATA_FIELDS).forEach(field => {
+        const value = metadata[field];
+        if (value !== undefined && value !== null && value !== '' && !Number.isNaN(value)) {
+            compact[field] = value;
+        }
+    });
+    return Object.keys(compact).length ? compact : null;
+}
+
+/**
+ * Read camera/video metadata from a file on disk
+ * Returns an object with MEDIA_METADATA_FIELDS keys (only those found), or
+ * null for unsupported files and files without metadata
+ */
+async function extractMediaMetadata(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(size, HEADER_BYTES));
+        await handle.read(buffer, 0, buffer.length, 0);
+
+        const format = detectFormat(buffer);
+        let metadata = {};
+        try {
+            if (['jpeg', 'png', 'webp'].includes(format)) {
+                const tiff = findExif(buffer, format);
+                metadata = tiff ? parseExif(tiff) : {};
+            } else if (format === 'mp4' || format === 'mov') {
+                const moov = await readMoovBox(handle, size);
+                metadata = moov ? parseMoov(moov) : {};
+            } else if (format === 'webm' || format === 'mkv') {
+                metadata = parseMatroska(buffer);
+            } else if (format === 'avi') {
+                metadata = parseAvi(buffer);
+            }
+        } catch (error) {
+            // Truncated or malformed metadata is treated as absent
+            metadata = {};
+        }
+        return compactMetadata(metadata);
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Validate metadata supplied with an image; returns the compacted object or null
+ * Throws a TypeError naming the first invalid field
+ */
+function normalizeMediaMetadata(metadata) {
+    if (metadata === undefined || metadata === null) {
+        return null;
+    }
+    if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new TypeError('mediaMetadata must be an object');
+    }
+    Object.entries(MEDIA_METADATA_FIELDS).forEach(([field, type]) => {
+        const value = metadata[field];
+        if (value === undefined || value === null) {
+            return;
+        }
+        if (type === 'number' ? !Number.isFinite(value) : typeof value !== 'string') {
+            throw new TypeError(`Invalid mediaMetadata.${field}: ${JSON.stringify(value)}`);
+        }
+    });
+    return compactMetadata(metadata);
+}
+
+/**
+ * Reads metadata for image `src` values, resolved like thumbnails
+ */
+class MediaMetadataScanner {
+    constructor(thumbnails) {
+        this.thumbnails = thumbnails;
+    }
+
+    /**
+     * Metadata of the file behind `src`; undefined when `src` is not a local file
+     */
+    async scanSource(src) {
+        let filePath;
+        try {
+            filePath = this.thumbnails.resolveSource(src);
+        } catch (error) {
+            return undefined;
+        }
+        return extractMediaMetadata(filePath);
+    }
+
+    /**
+     * Attach metadata read from a local file; images with remote sources keep what they were given
+     */
+    async withMetadata(image) {
+        if (!image || typeof image !== 'object' || Array.isArray(image)) {
+            return image;
+        }
+        const metadata = await this.scanSource(image.src);
+        return metadata === undefined ? image : { ...image, mediaMetadata: metadata };
+    }
+
+    /**
+     * Re-read metadata for some or all images of a store
+     * Returns { scanned, found } counts; images without a local file are skipped
+     */
+    async rescan(store, imageIds = null) {
+        const targets = imageIds ? imageIds.map(id => store.getImage(id)) : store.listImages();
+        const updates = [];
+        for (const img of targets) {
+            const metadata = await this.scanSource(img.src);
+            if (metadata !== undefined) {
+                updates.push({ id: img.id, mediaMetadata: metadata });
+            }
+        }
+        if (updates.length > 0) {
+            await store.updateMediaMetadata(updates);
+        }
+        return { scanned: updates.length, found: updates.filter(update => update.mediaMetadata).length };
+    }
+}
+
+module.exports = {
+    MEDIA_METADATA_FIELDS,
+    MediaMetadataScanner,
+    extractMediaMetadata,
+    normalizeMediaMetadata,
+    parseExif,
+    toColumnName
+};
@@ -0,0 +1,205 @@
+/**
+ * Disk storage for uploaded media files
+ * Files are written by multer under collision-safe names, then sniffed with
+ * media_info.js; anything that is not a supported image or video is removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { FORMATS, probeMediaFile } = require('./media_info');
+const { GalleryStoreError } = require('./gallery_store');
+
+// URL path the media directory is served under; stored `src` values start with it
+const MEDIA_URL_PATH = 'media';
+
+/**
+ * Turn an uploaded file name into a safe, readable base name (no extension)
+ */
+function sanitizeBaseName(originalName) {
+    const base = path.basename(String(originalName || ''), path.extname(String(originalName || '')))
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9._-]+/g, '-')
+        .replace(/^[-.]+|[-.]+$/g, '')
+        .slice(0, 80);
+    return base || 'upload';
+}
+
+/**
+ * Claim an unused file name in a directory by creating it exclusively
+ * `photo.jpg`, then `photo-1.jpg`, `photo-2.jpg`, ... so concurrent uploads never overwrite each other
+ */
+function reserveFileName(directory, baseName, extension) {
+    for (let attempt = 0; ; attempt++) {
+        const fileName = `${baseName}${attempt ? `-${attempt}` : ''}${extension}`;
+        try {
+            fs.closeSync(fs.openSync(path.join(directory, fileName), 'wx'));
+            return fileName;
+        } catch (error) {
+            if (error.code !== 'EEXIST') {
+                throw error;
+            }
+        }
+    }
+}
+
+/**
+ * Title for a new image record derived from its file name
+ */
+function titleFromFileName(originalName) {
+    const base = path.basename(String(originalName || ''), path.extname(String(originalName || '')));
+    return base.replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim() || 'Untitled';
+}
+
+/**
+ * Handles media uploads into one directory
+ */
+class MediaStorage {
+    constructor(options = {}) {
+        this.mediaDir = path.resolve(options.mediaDir);
+        this.maxFileSize = options.maxFileSize || 200 * 1024 * 1024;
+        this.maxFiles = options.maxFiles || 50;
+
+        fs.mkdirSync(this.mediaDir, { recursive: true });
+
+        this.upload = multer({
+            storage: multer.diskStorage({
+                destination: this.mediaDir,
+                filename: (req, file, callback) => {
+                    try {
+                        const extension = path.extname(file.originalname).toLowerCase().replace(/[^.a-z0-9]/g, '');
+                        callback(null, reserveFileName(this.mediaDir, sanitizeBaseName(file.originalname), extension));
+                    } catch (error) {
+                        callback(error);
+                    }
+                }
+            }),
+            limits: {
+                fileSize: this.maxFileSize,
+                files: this.maxFiles
+            },
+            fileFilter: (req, file, callback) => {
+                // Browsers send an empty or generic type for some video containers; the bytes decide later
+                const type = file.mimetype || '';
+                const accepted = !type || type === 'application/octet-stream' || /^(image|video)\//.test(type);
+                callback(accepted ? null : new GalleryStoreError(
+                    `Unsupported file type: ${file.originalname} (${type})`,
+                    'UNSUPPORTED_MEDIA'
+                ), accepted);
+            }
+        }).array('files', this.maxFiles);
+    }
+
+    /**
+     * Run multer on a request; resolves once every file is on disk
+     * Multer errors become GalleryStoreErrors and partially written files are removed
+     */
+    receive(req, res) {
+        return new Promise((resolve, reject) => {
+            this.upload(req, res, error => {
+                if (!error) {
+                    resolve(req.files || []);
+                    return;
+                }
+
+                this.removeFiles(req.files || []);
+                if (error instanceof GalleryStoreError) {
+                    reject(error);
+                } else if (error.code === 'LIMIT_FILE_SIZE') {
+                    reject(new GalleryStoreError(`File too large (max ${Math.round(this.maxFileSize / 1048576)} MB)`, 'FILE_TOO_LARGE'));
+                } else if (error instanceof multer.MulterError) {
+                    reject(new GalleryStoreError(`${error.message}${error.field ? `: ${error.field}` : ''}`, 'VALIDATION'));
+                } else {
+                    reject(error);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sniff stored files and give each the extension of its real format
+     * All files are removed if any of them is not a supported image or video.
+     * Returns [{ originalName, fileName, src, kind, format, mimeType, width, height, size }]
+     */
+    async finalize(files) {
+        const probes = [];
+        for (const file of files) {
+            probes.push(await probeMediaFile(file.path));
+        }
+
+        const rejected = files.filter((file, index) => !probes[index]);
+        if (rejected.length > 0) {
+            this.removeFiles(files);
+            throw new GalleryStoreError(
+                `Not a supported image or video: ${rejected.map(file => file.originalname).join(', ')}`,
+                'UNSUPPORTED_MEDIA'
+            );
+        }
+
+        return files.map((file, index) => {
+            const info = probes[index];
+            let fileName = file.filename;
+
+            // A PNG uploaded as photo.jpg is stored as photo.png, so browsers and isVideoFile() agree with the bytes
+            if (!info.extensions.includes(path.extname(fileName).toLowerCase())) {
+                fileName = reserveFileName(this.mediaDir, sanitizeBaseName(file.originalname), info.extensions[0]);
+                fs.renameSync(file.path, path.join(this.mediaDir, fileName));
+            }
+
+            return {
+                originalName: file.originalname,
+                fileName: fileName,
+                src: `${MEDIA_URL_PATH}/${encodeURIComponent(fileName)}`,
+                kind: info.kind,
+                format: info.format,
+                mimeType: info.mimeType,
+                width: info.width,
+                height: info.height,
+                size: info.size
+            };
+        });
+    }
+
+    /**
+     * Build a major image record for an uploaded file
+     */
+    buildImageRecord(media, id, options = {}) {
+        return {
+            id: id,
+            title: titleFromFileName(media.originalName),
+            src: media.src,
+            tags: options.tags || [],
+            isMajor: true,
+            pixelWidth: media.width,
+            pixelHeight: media.height,
+            fileSize: media.size,
+            mimeType: media.mimeType
+        };
+    }
+
+    /**
+     * Delete stored files by their multer file objects or stored file names
+     */
+    removeFiles(files) {
+        files.forEach(file => {
+            const filePath = typeof file === 'string' ? path.join(this.mediaDir, file) : file.path;
+            try {
+                fs.unlinkSync(filePath);
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    console.warn(`Could not remove upload ${filePath}: ${error.message}`);
+                }
+            }
+        });
+    }
+}
+
+module.exports = {
+    MEDIA_URL_PATH,
+    SUPPORTED_FORMATS: Object.keys(FORMATS),
+    MediaStorage,
+    sanitizeBaseName,
+    reserveFileName,
+    titleFromFileName
+};
@@ -0,0 +1,434 @@
+/**
+ * Versioned schema migrations for gallery SQLite databases
+ * The schema version is stored in PRAGMA user_version. Each migration runs in
+ * its own transaction together with the version bump and must be idempotent,
+ * so databases created by older tools (which never set user_version) can
+ * safely replay every step.
+ */
+
+const { rebuildSearchIndex } = require('./search_index');
+
+/**
+ * Get the columns of a table as PRAGMA table_info rows
+ */
+function getTableColumns(db, tableName) {
+    const result = db.exec(`PRAGMA table_info(${tableName})`);
+    if (!result.length) {
+        return [];
+    }
+    return result[0].values.map(row => ({
+        name: row[1],
+        type: (row[2] || '').toLowerCase(),
+        primaryKey: row[5] === 1
+    }));
+}
+
+/**
+ * Check whether a table exists
+ */
+function tableExists(db, tableName) {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [tableName]);
+    return result.length > 0 && result[0].values.length > 0;
+}
+
+/**
+ * Add a column unless it already exists
+ */
+function addColumnIfMissing(db, tableName, columnName, definition) {
+    if (!getTableColumns(db, tableName).some(col => col.name === columnName)) {
+        db.run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+    }
+}
+
+/**
+ * Legacy databases used an INTEGER id primary key on images
+ */
+function isLegacyIntegerIdSchema(db) {
+    const idColumn = getTableColumns(db, 'images').find(col => col.name === 'id');
+    return Boolean(idColumn && idColumn.type === 'integer' && idColumn.primaryKey);
+}
+
+/**
+ * Rebuild legacy tables with a pk_id surrogate key and TEXT image ids
+ * Numeric ids become `img_<id>` as the old migrate_to_new_schema.js did
+ */
+function migrateLegacyIntegerIds(db) {
+    const now = new Date().toISOString();
+
+    db.run(`
+        CREATE TABLE images_new (
+            pk_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            id TEXT UNIQUE NOT NULL,
+            title TEXT,
+            description TEXT,
+            src TEXT,
+            ranking REAL,
+            width TEXT,
+            height TEXT,
+            is_major BOOLEAN DEFAULT 0,
+            group_id TEXT,
+            major_image_id INTEGER,
+            date_added TEXT DEFAULT CURRENT_TIMESTAMP,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+            updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`
+        CREATE TABLE tags_new (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT UNIQUE NOT NULL,
+            created_at TEXT DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+    db.run(`
+        CREATE TABLE image_tags_new (
+            image_pk_id INTEGER,
+            tag_id INTEGER,
+            PRIMARY KEY (image_pk_id, tag_id),
+            FOREIGN KEY (image_pk_id) REFERENCES images_new (pk_id) ON DELETE CASCADE,
+            FOREIGN KEY (tag_id) REFERENCES tags_new (id) ON DELETE CASCADE
+        )
+    `);
+
+    db.run(`
+        INSERT INTO images_new (
+            id, title, description, src, ranking, width, height,
+            is_major, group_id, major_image_id, date_added, created_at, updated_at
+        )
+        SELECT 'img_' || id, title, description, src, ranking, width, height,
+            COALESCE(is_major, 0), group_id, major_image_id, COALESCE(date_added, ?), ?, ?
+        FROM images
+    `, [now, now, now]);
+
+    if (tableExists(db, 'tags')) {
+        db.run('INSERT INTO tags_new (id, name, created_at) SELECT id, name, ? FROM tags', [now]);
+    }
+
+    if (tableExists(db, 'image_tags')) {
+        db.run(`
+            INSERT OR IGNORE INTO image_tags_new (image_pk_id, tag_id)
+            SELECT i_new.pk_id, it.tag_id
+            FROM image_tags it
+            JOIN images_new i_new ON i_new.id = 'img_' || it.image_id
+        `);
+    }
+
+    db.run('DROP TABLE IF EXISTS image_tags');
+    db.run('DROP TABLE IF EXISTS tags');
+    db.run('DROP TABLE images');
+    db.run('ALTER TABLE images_new RENAME TO images');
+    db.run('ALTER TABLE tags_new RENAME TO tags');
+    db.run('ALTER TABLE image_tags_new RENAME TO image_tags');
+}
+
+/**
+ * Ordered list of migrations; append new entries, never reorder or edit old ones
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'text-image-ids',
+        up(db) {
+            if (isLegacyIntegerIdSchema(db)) {
+                migrateLegacyIntegerIds(db);
+            }
+        }
+    },
+    {
+        version: 2,
+        name: 'core-tables-and-indexes',
+        up(db) {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS tags (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS image_tags (
+                    image_pk_id INTEGER,
+                    tag_id INTEGER,
+                    PRIMARY KEY (image_pk_id, tag_id),
+                    FOREIGN KEY (image_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE,
+                    FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS metadata (
+                    key TEXT PRIMARY KEY,
+                    value TEXT,
+                    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+                    updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+
+            db.run('CREATE INDEX IF NOT EXISTS idx_images_group_id ON images (group_id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_images_major ON images (is_major)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_images_ranking ON images (ranking)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_tags_name ON tags (name)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_image_tags_image_pk_id ON image_tags (image_pk_id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_image_tags_tag_id ON image_tags (tag_id)');
+        }
+    },
+    {
+        version: 3,
+        name: 'image-search-index',
+        up(db) {
+            rebuildSearchIndex(db);
+        }
+    },
+    {
+        version: 4,
+        name: 'media-file-details',
+        up(db) {
+            addColumnIfMissing(db, 'images', 'pixel_width', 'INTEGER');
+            addColumnIfMissing(db, 'images', 'pixel_height', 'INTEGER');
+            addColumnIfMissing(db, 'images', 'file_size', 'INTEGER');
+            addColumnIfMissing(db, 'images', 'mime_type', 'TEXT');
+        }
+    },
+    {
+        version: 5,
+        name: 'image-content-hashes',
+        up(db) {
+            addColumnIfMissing(db, 'images', 'content_hash', 'TEXT');
+            addColumnIfMissing(db, 'images', 'perceptual_hash', 'TEXT');
+            db.run('CREATE INDEX IF NOT EXISTS idx_images_content_hash ON images (content_hash)');
+        }
+    },
+    {
+        version: 6,
+        name: 'image-metadata',
+        up(db) {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS image_metadata (
+                    image_pk_id INTEGER PRIMARY KEY,
+                    camera_make TEXT,
+                    camera_model TEXT,
+                    lens_model TEXT,
+                    exposure_time REAL,
+                    f_number REAL,
+                    iso INTEGER,
+                    focal_length REAL,
+                    captured_at TEXT,
+                    orientation INTEGER,
+                    gps_latitude REAL,
+                    gps_longitude REAL,
+                    gps_altitude REAL,
+                    duration REAL,
+                    video_codec TEXT,
+                    audio_codec TEXT,
+                    frame_width INTEGER,
+                    frame_height INTEGER,
+                    FOREIGN KEY (image_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE
+                )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_image_metadata_captured_at ON image_metadata (captured_at)');
+        }
+    },
+    {
+        version: 7,
+        name: 'image-updated-at',
+        up(db) {
+            // Older tools never set updated_at; until an image is next saved its add date stands in
+            addColumnIfMissing(db, 'images', 'updated_at', 'TEXT');
+            db.run('UPDATE images SET updated_at = date_added WHERE updated_at IS NULL');
+        }
+    },
+    {
+        version: 8,
+        name: 'tag-details',
+        up(db) {
+            addColumnIfMissing(db, 'tags', 'color', 'TEXT');
+            addColumnIfMissing(db, 'tags', 'description', 'TEXT');
+        }
+    },
+    {
+        version: 9,
+        name: 'tag-parents',
+        up(db) {
+            // One row per child -> parent edge; `implies` adds the parent to images tagged with the child
+            db.run(`
+                CREATE TABLE IF NOT EXISTS tag_parents (
+                    tag_id INTEGER NOT NULL,
+                    parent_id INTEGER NOT NULL,
+                    implies INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (tag_id, parent_id),
+                    FOREIGN KEY (tag_id) REFERENCES tags (id) ON DELETE CASCADE,
+                    FOREIGN KEY (parent_id) REFERENCES tags (id) ON DELETE CASCADE
+                )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_tag_parents_parent_id ON tag_parents (parent_id)');
+        }
+    },
+    {
+        version: 10,
+        name: 'albums',
+        up(db) {
+            db.run(`
+                CREATE TABLE IF NOT EXISTS albums (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    name TEXT UNIQUE NOT NULL,
+                    description TEXT,
+                    cover_image_pk_id INTEGER,
+                    position INTEGER NOT NULL DEFAULT 0,
+                    created_at TEXT,
+                    updated_at TEXT,
+                    FOREIGN KEY (cover_image_pk_id) REFERENCES images (pk_id) ON DELETE SET NULL
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS album_images (
+                    album_id INTEGER NOT NULL,
+                    image_pk_id INTEGER NOT NULL,
+                    position INTEGER NOT NULL,
+                    PRIMARY KEY (album_id, image_pk_id),
+                    FOREIGN KEY (album_id) REFERENCES albums (id) ON DELETE CASCADE,
+                    FOREIGN KEY (image_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE
+                )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_album_images_image_pk_id ON album_images (image_pk_id)');
+        }
+    },
+    {
+        version: 11,
+        name: 'group-positions',
+        up(db) {
+            // Order of subsidiaries within their group; NULL sorts after positioned members
+            addColumnIfMissing(db, 'images', 'group_position', 'INTEGER');
+        }
+    },
+    {
+        version: 12,
+        name: 'image-ratings',
+        up(db) {
+            // Elo ratings from pairwise comparisons, kept apart from the hand-set ranking
+            db.run(`
+                CREATE TABLE IF NOT EXISTS image_ratings (
+                    image_pk_id INTEGER PRIMARY KEY,
+                    rating REAL NOT NULL,
+                    comparisons INTEGER NOT NULL DEFAULT 0,
+                    updated_at TEXT,
+                    FOREIGN KEY (image_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE
+                )
+            `);
+            db.run(`
+                CREATE TABLE IF NOT EXISTS comparisons (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    winner_pk_id INTEGER NOT NULL,
+                    loser_pk_id INTEGER NOT NULL,
+                    winner_rating REAL NOT NULL,
+                    loser_rating REAL NOT NULL,
+                    created_at TEXT,
+                    FOREIGN KEY (winner_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE,
+                    FOREIGN KEY (loser_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE
+                )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_comparisons_winner_pk_id ON comparisons (winner_pk_id)');
+            db.run('CREATE INDEX IF NOT EXISTS idx_comparisons_loser_pk_id ON comparisons (loser_pk_id)');
+        }
+    },
+    {
+        version: 13,
+        name: 'image-trash',
+        up(db) {
+            // Set when an image is moved to the trash; trashed images are hidden until restored or purged
+            addColumnIfMissing(db, 'images', 'deleted_at', 'TEXT');
+            db.run('CREATE INDEX IF NOT EXISTS idx_images_deleted_at ON images (deleted_at)');
+        }
+    },
+    {
+        version: 14,
+        name: 'image-revisions',
+        up(db) {
+            // The version of an image each update replaced, tags included, as JSON
+            db.run(`
+                CREATE TABLE IF NOT EXISTS image_revisions (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    image_pk_id INTEGER NOT NULL,
+                    snapshot TEXT NOT NULL,
+                    created_at TEXT NOT NULL,
+                    FOREIGN KEY (image_pk_id) REFERENCES images (pk_id) ON DELETE CASCADE
+                )
+            `);
+            db.run('CREATE INDEX IF NOT EXISTS idx_image_revisions_image_pk_id ON image_revisions (image_pk_id)');
+        }
+    }
+];
+
+const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Read the schema version stored in the database header
+ */
+function getSchemaVersion(db) {
+    const result = db.exec('PRAGMA user_version');
+    return result.length ? result[0].values[0][0] : 0;
+}
+
+/**
+ * Get migrations newer than the database's schema version
+ */
+function getPendingMigrations(db) {
+    // Only gallery databases are migrated; anything else is left untouched
+    if (!tableExists(db, 'images')) {
+        return [];
+    }
+    const currentVersion = getSchemaVersion(db);
+    return MIGRATIONS.filter(migration => migration.version > currentVersion);
+}
+
+/**
+ * Apply pending migrations in order
+ * With dryRun the plan is returned without touching the database
+ */
+function runMigrations(db, options = {}) {
+    const fromVersion = getSchemaVersion(db);
+    const pending = getPendingMigrations(db);
+    const plan = pending.map(migration => ({ version: migration.version, name: migration.name }));
+
+    if (options.dryRun || pending.length === 0) {
+        return {
+            fromVersion,
+            toVersion: pending.length ? pending[pending.length - 1].version : fromVersion,
+            pending: plan,
+            applied: [],
+            dryRun: Boolean(options.dryRun)
+        };
+    }
+
+    const applied = [];
+    for (const migration of pending) {
+        try {
+            db.run('BEGIN TRANSACTION');
+            migration.up(db);
+            db.run(`PRAGMA user_version = ${migration.version}`);
+            db.run('COMMIT');
+            applied.push({ version: migration.version, name: migration.name });
+            console.log(`🧱 Applied migration ${migration.version}: ${migration.name}`);
+        } catch (error) {
+            db.run('ROLLBACK');
+            throw new Error(`Migration ${migration.version} (${migration.name}) failed: ${error.message}`);
+        }
+    }
+
+    return {
+        fromVersion,
+        toVersion: getSchemaVersion(db),
+        pending: plan,
+        applied,
+        dryRun: false
+    };
+}
+
+module.exports = {
+    MIGRATIONS,
+    LATEST_SCHEMA_VERSION,
+    getSchemaVersion,
+    getPendingMigrations,
+    runMigrations,
+    tableExists,
+    getTableColumns,
+    addColumnIfMissing
+};
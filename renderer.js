@@ -33,8 +33,15 @@ const fallbackImages = [
 let images = [];
 let filteredImages = [];
 let currentSort = 'ranking-desc';
-let selectedTags = [];
+let sortSeed = createSortSeed(); // Order of the random sort; a new one shuffles again
+let tagQuery = ''; // Boolean tag filter, see tag_query.js
+let tagQueryDebounceTimer = null;
 let tagSearchQuery = '';
+let searchQuery = ''; // Free-text image search
+let searchDebounceTimer = null;
+let cameraFilter = ''; // Camera make, model or lens, see media_metadata.js
+let capturedFilter = ''; // Capture date prefix: YYYY, YYYY-MM or YYYY-MM-DD
+let metadataFilterDebounceTimer = null;
 let isLoading = false;
 let currentJsonFile = 'images_data_groups.json';
 let availableFiles = [];
@@ -42,6 +49,7 @@ let availableFiles = [];
 // CRUD Editor variables
 let currentEditingImage = null;
 let isEditMode = false;
+let editorUploadedMedia = null; // File uploaded from the editor, see uploadEditorMedia
 
 // Tag cloud pagination variables
 let allTags = []; // All available tags
@@ -49,12 +57,27 @@ let displayedTags = []; // Currently displayed tags
 let currentTagPage = 1;
 let tagsPerPage = 50; // Number of tags to display per page
 let totalTagPages = 1;
+let tagDetails = {}; // Color and description by tag name, see loadTagDetails
+let tagParents = []; // Tag hierarchy edges { tag, parent, implies }, see tag_hierarchy.js
 
 // Pagination variables
 let currentPage = 1;
 let itemsPerPage = 12;
 let totalPages = 1;
 let paginatedImages = [];
+let totalFilteredCount = 0;
+
+// Server-side query state: when a gallery is loaded through the API, `images`
+// only holds the current page and filtering/sorting happen on the server
+let isServerPaged = false;
+let serverAvailableTags = [];
+let nextImageId = null;
+let galleryRequestId = 0;
+
+// Albums of the loaded gallery, see loadAlbums; an active album scopes the gallery view
+let albums = [];
+let albumsFile = null; // Data file the albums were loaded from
+let currentAlbumId = null;
 
 // Video support utility functions
 function isVideoFile(src) {
@@ -68,6 +91,17 @@ function getMediaType(src) {
     return isVideoFile(src) ? 'video' : 'image';
 }
 
+// Width requested for grid thumbnails; the server snaps it to a cached size
+const GRID_THUMBNAIL_WIDTH = 640;
+
+// Thumbnail URL for a local image or video; remote and data URLs are used as is
+function getThumbnailUrl(src, width = GRID_THUMBNAIL_WIDTH) {
+    if (!src || /^([a-z][a-z0-9+.-]*:|\/\/)/i.test(src) || !window.location.protocol.startsWith('http')) {
+        return src;
+    }
+    return `/api/thumb?${new URLSearchParams({ src, w: width })}`;
+}
+
 // Utility function to format dates
 function formatDate(dateString) {
     if (!dateString) return 'Unknown';
@@ -106,6 +140,7 @@ document.addEventListener('DOMContentLoaded', function() {
     loadAvailableFiles();
     loadImageData();
     setupEventListeners();
+    setupGalleryDropZone();
     updateSettingsDisplay();
 });
 
@@ -128,6 +163,9 @@ function loadUserSettings() {
             if (settings.currentPage) {
                 currentPage = settings.currentPage;
             }
+            if (settings.slideshow) {
+                slideshowSettings = { ...slideshowSettings, ...settings.slideshow };
+            }
         } catch (error) {
             console.warn('Failed to load user settings:', error);
         }
@@ -141,6 +179,7 @@ function saveUserSettings() {
         currentSort: currentSort,
         itemsPerPage: itemsPerPage,
         currentPage: currentPage,
+        slideshow: slideshowSettings,
         lastUpdated: new Date().toISOString()
     };
     localStorage.setItem('gallerySettings', JSON.stringify(settings));
@@ -157,6 +196,11 @@ function updateSettingsDisplay() {
     if (itemsPerPageSelector) {
         itemsPerPageSelector.value = itemsPerPage;
     }
+
+    document.getElementById('slideshow-interval').value = slideshowSettings.interval;
+    document.getElementById('slideshow-transition').value = slideshowSettings.transition;
+    document.getElementById('slideshow-shuffle').checked = slideshowSettings.shuffle;
+    document.getElementById('slideshow-loop').checked = slideshowSettings.loop;
     
     populateJsonSelector();
 }
@@ -200,58 +244,44 @@ async function loadImageData() {
 
     showLoadingState();
     isLoading = true;
+    clearSelection();
 
     try {
         console.log(`Attempting to load data from API: ${currentJsonFile}`);
 
-        const response = await fetch(`/api/data/${encodeURIComponent(currentJsonFile)}`);
-
-        if (!response.ok) {
-            throw new Error(`Failed to load image data - Status: ${response.status}`);
+        const result = await requestGalleryPage();
+        if (!result) {
+            return; // A newer request has replaced this one
         }
+        applyGalleryPage(result);
 
-        const result = await response.json();
-        const data = result.data;
-
-        console.log('Loaded data:', data);
         console.log('Data source:', result.source);
-        console.log('Data structure keys:', Object.keys(data));
-
-        // Handle both {images: [...]} and direct array formats (from both JSON and SQLite)
-        if (Array.isArray(data)) {
-            images = data;
-            console.log('Loaded direct array format, length:', images.length);
-        } else if (data.images && Array.isArray(data.images)) {
-            images = data.images;
-            console.log('Loaded images property format, length:', images.length);
-        } else {
-            console.warn('Unexpected data format, using fallback');
-            images = fallbackImages;
-        }
-
-        console.log('Final images array length:', images.length);
-
-        // Apply filters after loading data
-        console.log('🔄 Applying filters and sorting...');
-        filterAndSortImages();
+        console.log('Page images:', images.length, 'of', totalFilteredCount);
 
-        // Update UI with filtered data
+        // Update UI with the server-filtered page
         console.log('🔄 Rendering UI components...');
         renderTagCloud();
         renderGallery();
+        loadTagDetails();
+        loadAlbums();
 
-        console.log(`Successfully loaded ${images.length} images from ${currentJsonFile} (${result.source})`);
+        const totalImages = result.stats ? result.stats.totalImages : totalFilteredCount;
+        console.log(`Successfully loaded ${totalImages} images from ${currentJsonFile} (${result.source})`);
 
         // Show toast notification with source info
         if (result.source === 'sqlite') {
-            showToast(`Loaded ${images.length} images from SQLite database`, 'success');
+            showToast(`Loaded ${totalImages} images from SQLite database`, 'success');
         } else if (result.source === 'json') {
-            showToast(`Loaded ${images.length} images from JSON file`, 'success');
+            showToast(`Loaded ${totalImages} images from JSON file`, 'success');
         }
 
     } catch (error) {
         console.warn(`Failed to load ${currentJsonFile}, using fallback data:`, error);
         images = fallbackImages;
+        isServerPaged = false;
+        tagDetails = {};
+        tagParents = [];
+        renderAlbumSidebar();
 
         // Apply filters for fallback too
         filterAndSortImages();
@@ -266,10 +296,89 @@ async function loadImageData() {
     }
 }
 
+// Build the data URL for the current filters, sort and page
+// `overrides` replaces query parameters, e.g. to fetch other pages
+function buildGalleryQueryUrl(overrides = {}) {
+    // Album order only exists inside an album (e.g. after switching data files)
+    const album = getActiveAlbum();
+    const params = new URLSearchParams({
+        sort: currentSort === 'album' && !album ? 'ranking-desc' : currentSort,
+        seed: sortSeed,
+        page: currentPage,
+        pageSize: itemsPerPage
+    });
+    if (tagQuery) {
+        params.set('tagQuery', tagQuery);
+    }
+    if (searchQuery) {
+        params.set('q', searchQuery);
+    }
+    if (cameraFilter) {
+        params.set('camera', cameraFilter);
+    }
+    if (capturedFilter) {
+        params.set('captured', capturedFilter);
+    }
+    if (album) {
+        params.set('album', album.id);
+    }
+    Object.entries(overrides).forEach(([key, value]) => params.set(key, value));
+
+    return `/api/data/${encodeURIComponent(currentJsonFile)}?${params}`;
+}
+
+// Fetch one page of the current gallery; resolves to null if a newer request superseded it
+async function requestGalleryPage() {
+    const requestId = ++galleryRequestId;
+    const response = await fetch(buildGalleryQueryUrl());
+    const result = await response.json();
+
+    if (!response.ok) {
+        throw new Error(result.details || result.error || `Failed to load image data - Status: ${response.status}`);
+    }
+
+    return requestId === galleryRequestId ? result : null;
+}
+
+// Store a server-filtered page of images
+function applyGalleryPage(result) {
+    if (!result) {
+        return;
+    }
+
+    isServerPaged = true;
+    images = result.data.images;
+    filteredImages = images;
+    paginatedImages = images;
+    serverAvailableTags = result.data.metadata.availableTags || [];
+    nextImageId = result.data.metadata.nextImageId;
+
+    totalFilteredCount = result.pagination.total;
+    totalPages = result.pagination.totalPages;
+    currentPage = result.pagination.page;
+
+    updatePaginationDisplay();
+}
+
+// Reload the current page from the server after a filter, sort or page change
+async function fetchGalleryPage() {
+    try {
+        applyGalleryPage(await requestGalleryPage());
+    } catch (error) {
+        console.error('Failed to update gallery:', error);
+        showToast(`Failed to update gallery: ${error.message}`, 'error');
+    }
+}
+
 // Setup event listeners
 function setupEventListeners() {
     document.getElementById('sort-select').addEventListener('change', handleSort);
     document.getElementById('tag-search').addEventListener('input', handleTagSearch);
+    document.getElementById('image-search').addEventListener('input', handleImageSearch);
+    document.getElementById('camera-filter').addEventListener('input', handleMetadataFilterInput);
+    document.getElementById('captured-filter').addEventListener('input', handleMetadataFilterInput);
+    document.getElementById('tag-query').addEventListener('input', handleTagQueryInput);
+    enableLassoSelection();
 }
 
 // Show loading state
@@ -301,14 +410,18 @@ function hideLoadingState() {
 // Render tag cloud with pagination and search
 function renderTagCloud() {
     const tagCloud = document.getElementById('tag-cloud');
-    if (!images || images.length === 0) {
+
+    // Only use tags from major images for filtering
+    // Parents are offered too, selecting one matches all its descendants
+    const availableTags = isServerPaged
+        ? serverAvailableTags
+        : TagHierarchy.create(tagParents).withAncestors(GalleryQuery.getAvailableTags(images || []));
+    if (availableTags.length === 0) {
         tagCloud.innerHTML = '<span style="color: var(--secondary-color);">No tags available</span>';
         return;
     }
 
-    // Only use tags from major images for filtering
-    const majorImages = images.filter(img => img.isMajor !== false);
-    let filteredTags = [...new Set(majorImages.flatMap(img => img.tags || []))];
+    let filteredTags = [...availableTags];
 
     // Apply search filter if there's a search query
     if (tagSearchQuery) {
@@ -331,17 +444,24 @@ function renderTagCloud() {
 
     // Clear existing tags
     tagCloud.innerHTML = '';
+    const requiredTags = TagQuery.getRequiredTags(tagQuery);
 
     // Render current page of tags
     displayedTags.forEach(tag => {
         const tagElement = document.createElement('button');
         tagElement.className = 'tag';
         tagElement.textContent = tag;
-        tagElement.onclick = () => toggleTag(tag, tagElement);
+        tagElement.onclick = () => toggleTag(tag);
 
-        // Check if this tag is currently selected
-        if (selectedTags.includes(tag)) {
+        // Tags the query requires outright show as selected
+        if (requiredTags.includes(tag)) {
             tagElement.classList.add('active');
+        } else if (tagDetails[tag] && tagDetails[tag].color) {
+            tagElement.style.background = tagDetails[tag].color;
+            tagElement.style.color = getContrastingTextColor(tagDetails[tag].color);
+        }
+        if (tagDetails[tag] && tagDetails[tag].description) {
+            tagElement.title = tagDetails[tag].description;
         }
 
         tagCloud.appendChild(tagElement);
@@ -351,6 +471,13 @@ function renderTagCloud() {
     renderTagPagination();
 }
 
+// Black or white, whichever reads better on a #rrggbb background
+function getContrastingTextColor(hexColor) {
+    const value = parseInt(hexColor.slice(1), 16);
+    const luminance = (0.299 * (value >> 16) + 0.587 * ((value >> 8) & 255) + 0.114 * (value & 255)) / 255;
+    return luminance > 0.6 ? '#000' : '#fff';
+}
+
 // Render tag pagination controls
 function renderTagPagination() {
     const paginationContainer = document.getElementById('tag-pagination-container');
@@ -451,30 +578,68 @@ function jumpToTagPage() {
     }
 }
 
-// Toggle tag selection
-function toggleTag(tag, element) {
-    const index = selectedTags.indexOf(tag);
-    if (index > -1) {
-        selectedTags.splice(index, 1);
-        element.classList.remove('active');
-    } else {
-        selectedTags.push(tag);
-        element.classList.add('active');
+// Toggle a tag as a top-level AND term of the tag query
+function toggleTag(tag) {
+    let nextQuery;
+    try {
+        nextQuery = TagQuery.toggleTag(tagQuery, tag);
+    } catch (error) {
+        showToast('Fix the tag query before adding tags', 'error');
+        return;
     }
-    
+
+    clearTimeout(tagQueryDebounceTimer);
+    document.getElementById('tag-query').value = nextQuery;
+    setTagQuery(nextQuery);
+}
+
+// Apply a tag query if it parses; syntax errors are shown next to the input
+function setTagQuery(query) {
+    const errorElement = document.getElementById('tag-query-error');
+    try {
+        TagQuery.parse(query);
+    } catch (error) {
+        errorElement.textContent = error.message;
+        return;
+    }
+
+    errorElement.textContent = '';
+    tagQuery = query.trim();
     currentPage = 1; // Reset to first page when filtering changes
     saveUserSettings();
     filterAndRender();
 }
 
+// Handle typing in the tag query box, debounced while typing
+function handleTagQueryInput(event) {
+    clearTimeout(tagQueryDebounceTimer);
+    tagQueryDebounceTimer = setTimeout(() => setTagQuery(event.target.value), 300);
+}
+
+// Reset the tag query and its input
+function resetTagQuery() {
+    clearTimeout(tagQueryDebounceTimer);
+    tagQuery = '';
+    document.getElementById('tag-query').value = '';
+    document.getElementById('tag-query-error').textContent = '';
+}
+
 // Handle sort change
 function handleSort(event) {
     currentSort = event.target.value;
+    if (currentSort === 'random') {
+        sortSeed = createSortSeed();
+    }
     currentPage = 1; // Reset to first page when sorting changes
     saveUserSettings();
     filterAndRender();
 }
 
+// Seed for the random sort; kept while paging so pages do not overlap
+function createSortSeed() {
+    return Math.random().toString(36).slice(2, 10);
+}
+
 // Handle tag search with pagination support
 function handleTagSearch(event) {
     tagSearchQuery = event.target.value.toLowerCase();
@@ -486,9 +651,83 @@ function handleTagSearch(event) {
     renderTagCloud();
 }
 
+// Handle free-text image search, debounced while typing
+function handleImageSearch(event) {
+    clearTimeout(searchDebounceTimer);
+    searchDebounceTimer = setTimeout(() => {
+        searchQuery = event.target.value.trim();
+        currentPage = 1; // Reset to first page when the search changes
+        filterAndRender();
+    }, 300);
+}
+
+// Handle the camera and capture date filters, debounced while typing
+// An incomplete date ("202") is ignored until it forms a year, month or day
+function handleMetadataFilterInput() {
+    clearTimeout(metadataFilterDebounceTimer);
+    metadataFilterDebounceTimer = setTimeout(() => {
+        const capturedInput = document.getElementById('captured-filter');
+        const captured = capturedInput.value.trim();
+        const validDate = !captured || /^\d{4}(-\d{2}(-\d{2})?)?$/.test(captured);
+        capturedInput.classList.toggle('invalid', !validDate);
+
+        cameraFilter = document.getElementById('camera-filter').value.trim();
+        capturedFilter = validDate ? captured : '';
+        currentPage = 1;
+        filterAndRender();
+    }, 300);
+}
+
+// Search terms for highlighting, split like the server's search index
+function getSearchTerms() {
+    return searchQuery.toLowerCase().split(/[^\p{L}\p{N}\p{M}]+/u).filter(Boolean);
+}
+
+// Wrap search term matches in captions with <mark>
+function highlightSearchMatches(container) {
+    const terms = getSearchTerms();
+    if (terms.length === 0) {
+        return;
+    }
+
+    // Terms match word prefixes, as in the search index
+    const escaped = terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escaped.join('|')})`, 'giu');
+
+    container.querySelectorAll('.caption').forEach(caption => {
+        const walker = document.createTreeWalker(caption, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            textNodes.push(walker.currentNode);
+        }
+
+        textNodes.forEach(node => {
+            const text = node.nodeValue;
+            pattern.lastIndex = 0;
+            if (!pattern.test(text)) {
+                return;
+            }
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            text.replace(pattern, (match, term, offset) => {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, offset)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = match;
+                fragment.appendChild(mark);
+                lastIndex = offset + match.length;
+                return match;
+            });
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+    });
+}
+
 // Calculate pagination data
 function calculatePagination() {
-    const totalItems = filteredImages.length;
+    const totalItems = totalFilteredCount;
     totalPages = Math.max(1, Math.ceil(totalItems / itemsPerPage));
     
     // Ensure current page is within valid range
@@ -529,8 +768,8 @@ function updatePaginationDisplay() {
     
     // Update pagination info
     const startItem = (currentPage - 1) * itemsPerPage + 1;
-    const endItem = Math.min(currentPage * itemsPerPage, filteredImages.length);
-    paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${filteredImages.length} images`;
+    const endItem = Math.min(currentPage * itemsPerPage, totalFilteredCount);
+    paginationInfo.textContent = `Showing ${startItem}-${endItem} of ${totalFilteredCount} images`;
     
     // Update page jump input
     pageJumpInput.max = totalPages;
@@ -618,128 +857,39 @@ function updateNavigationButtons() {
     lastBtn.disabled = currentPage === totalPages;
 }
 
-// Filter and sort images
+// Filter and sort images held in memory (sample data and files opened locally)
+// Galleries loaded from the server are filtered there instead, see fetchGalleryPage
 function filterAndSortImages() {
     console.log('Starting filterAndSortImages with images:', images ? images.length : 0);
-    if (!images || images.length === 0) {
-        filteredImages = [];
-        paginatedImages = [];
-        updatePaginationDisplay();
-        return;
-    }
-    
-    // Start with all images including subsidiaries
-    let workingImages = [...images];
-    
-    // Filter by tags if any are selected
-    if (selectedTags.length > 0) {
-        const majorImagesByGroupId = {};
-        images.forEach(img => {
-            if (img.isMajor !== false && img.groupId) {
-                majorImagesByGroupId[img.groupId] = img;
-            }
-        });
-        
-        workingImages = workingImages.filter(img => {
-            // For major images, use their own tags
-            if (img.isMajor !== false) {
-                return selectedTags.every(tag => img.tags && img.tags.includes(tag));
-            }
-            // For subsidiary images, check their major image's tags
-            if (img.groupId && majorImagesByGroupId[img.groupId]) {
-                const major = majorImagesByGroupId[img.groupId];
-                return selectedTags.every(tag => major.tags && major.tags.includes(tag));
-            }
-            return true;
-        });
-    }
-    
-    // Sort based on current sort option
-    const majorImagesByGroupId = {};
-    const majorImagesById = {};
-    
-    images.forEach(img => {
-        if (img.isMajor !== false) {
-            majorImagesById[img.id] = img;
-            if (img.groupId) {
-                majorImagesByGroupId[img.groupId] = img;
-            }
-        }
-    });
-    
-    workingImages.sort((a, b) => {
-        let aValue, bValue;
-        
-        switch (currentSort) {
-            case 'ranking-asc':
-                aValue = getRankingForSort(a, majorImagesById, majorImagesByGroupId);
-                bValue = getRankingForSort(b, majorImagesById, majorImagesByGroupId);
-                return aValue - bValue;
-            
-            case 'ranking-desc':
-                aValue = getRankingForSort(a, majorImagesById, majorImagesByGroupId);
-                bValue = getRankingForSort(b, majorImagesById, majorImagesByGroupId);
-                return bValue - aValue;
-            
-            case 'name-asc':
-                return (a.title || '').localeCompare(b.title || '');
-            
-            case 'name-desc':
-                return (b.title || '').localeCompare(a.title || '');
-
-            case 'date-asc':
-                aValue = getDateForSort(a, majorImagesById, majorImagesByGroupId);
-                bValue = getDateForSort(b, majorImagesById, majorImagesByGroupId);
-                return aValue - bValue;
 
-            case 'date-desc':
-                aValue = getDateForSort(a, majorImagesById, majorImagesByGroupId);
-                bValue = getDateForSort(b, majorImagesById, majorImagesByGroupId);
-                return bValue - aValue;
-
-            default:
-                return 0;
-        }
-    });
-    
-    filteredImages = workingImages;
+    // Subsidiaries follow their major image's tags and ranking, see gallery_query.js
+    const allImages = images || [];
+    filteredImages = GalleryQuery.sortImages(
+        GalleryQuery.filterImages(allImages, {
+            matchTags: TagQuery.createMatcher(TagQuery.parse(tagQuery)),
+            expandTags: TagHierarchy.create(tagParents).withAncestors,
+            q: searchQuery,
+            camera: cameraFilter,
+            captured: capturedFilter
+        }),
+        currentSort,
+        allImages,
+        sortSeed
+    );
+    totalFilteredCount = filteredImages.length;
     console.log('Final filteredImages count:', filteredImages.length);
-    
+
     // Apply pagination after filtering and sorting
     applyPagination();
 }
 
-// Helper function to get ranking for sorting
-function getRankingForSort(img, majorImagesById, majorImagesByGroupId) {
-    if (img.isMajor !== false) {
-        return img.ranking || 0;
-    } else if (img.majorImageId) {
-        return majorImagesById[img.majorImageId]?.ranking || 0;
-    } else if (img.groupId && majorImagesByGroupId[img.groupId]) {
-        return majorImagesByGroupId[img.groupId].ranking || 0;
-    }
-    return 0;
-}
-
-// Helper function to get date for sorting
-function getDateForSort(img, majorImagesById, majorImagesByGroupId) {
-    if (img.isMajor !== false) {
-        return img.date ? new Date(img.date).getTime() : 0;
-    } else if (img.majorImageId) {
-        return majorImagesById[img.majorImageId]?.date ? new Date(majorImagesById[img.majorImageId].date).getTime() : 0;
-    } else if (img.groupId && majorImagesByGroupId[img.groupId]) {
-        return majorImagesByGroupId[img.groupId].date ? new Date(majorImagesByGroupId[img.groupId].date).getTime() : 0;
-    }
-    return 0;
-}
-
 // Render gallery
 function renderGallery() {
     const gallery = document.getElementById('gallery');
     gallery.innerHTML = '';
 
     if (paginatedImages.length === 0) {
-        if (filteredImages.length === 0) {
+        if (totalFilteredCount === 0) {
             gallery.innerHTML = `
                 <div style="grid-column: 1/-1; text-align: center; padding: 40px; color: var(--secondary-color);">
                     <h3>No images found</h3>
@@ -780,9 +930,9 @@ function renderGallery() {
         }
     });
 
-    // Sort subsidiaries within each group
+    // Sort subsidiaries within each group by their saved position
     Object.keys(subsidiaryMap).forEach(groupId => {
-        subsidiaryMap[groupId].sort((a, b) => a.id - b.id);
+        subsidiaryMap[groupId].sort(GalleryQuery.compareGroupMembers);
         if (groupMap[groupId]) {
             groupMap[groupId].subsidiaries = subsidiaryMap[groupId];
         }
@@ -817,6 +967,9 @@ function renderGallery() {
             }
         }
     });
+
+    highlightSearchMatches(gallery);
+    updateSelectionDisplay();
 }
 
 // Create image group element
@@ -855,6 +1008,9 @@ function createImageGroup(majorImage, subsidiaries) {
         const subItem = createSubsidiaryImage(subsidiary, majorImage);
         subsidiaryGallery.appendChild(subItem);
     });
+    if (isServerPaged && subsidiaries.length > 1) {
+        enableSubsidiaryReordering(subsidiaryGallery, majorImage.groupId, subsidiaries);
+    }
 
     groupDiv.appendChild(header);
     groupDiv.appendChild(majorDiv);
@@ -872,6 +1028,7 @@ function createMajorImage(img) {
     
     const item = document.createElement('div');
     item.className = classes;
+    item.dataset.imageId = img.id;
     
     // 智能尺寸控制：支持宽高比的双向自适应
     if (img.width) {
@@ -916,14 +1073,15 @@ function createMajorImage(img) {
         
     const mediaHtml = img.src ? 
     (isVideoFile(img.src) ? 
-        `<video controls onclick="openFullscreen('${img.src}', '${img.title}', 'video')" preload="metadata">
+        `<video controls onclick="openFullscreen('${img.src}', '${img.title}', 'video')" preload="none" poster="${getThumbnailUrl(img.src)}">
             <source src="${img.src}" type="video/${img.src.substring(img.src.lastIndexOf('.') + 1)}">
             Your browser does not support the video tag.
         </video>` :
-        `<img src="${img.src}" alt="${img.title}" onclick="openFullscreen('${img.src}', '${img.title}', 'image')" loading="lazy">`) : 
+        `<img src="${getThumbnailUrl(img.src)}" alt="${img.title}" onclick="openFullscreen('${img.src}', '${img.title}', 'image')" onerror="this.onerror=null; this.src='${img.src}'" loading="lazy">`) : 
     `<div class="placeholder" onclick="openFullscreen(null, '${img.title}', 'placeholder')">${img.title}</div>`;
 
     item.innerHTML = `
+        ${selectionCheckboxHtml(img)}
         <div class="image-controls">
             <button class="image-control-btn edit" onclick="showEditImageModal(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Edit Image">
                 <i class="fas fa-edit"></i>
@@ -931,6 +1089,7 @@ function createMajorImage(img) {
             <button class="image-control-btn delete" onclick="confirmDeleteImage(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Delete Image">
                 <i class="fas fa-trash"></i>
             </button>
+            ${albumControlsHtml(img)}
         </div>
         ${mediaHtml}
         <div class="caption">
@@ -955,6 +1114,7 @@ function createMajorImage(img) {
 function createSubsidiaryImage(img, majorImage) {
     const item = document.createElement('div');
     item.className = 'subsidiary-item';
+    item.dataset.imageId = img.id;
 
     // 智能尺寸控制：支持宽高比的双向自适应
     if (img.width) {
@@ -982,14 +1142,15 @@ function createSubsidiaryImage(img, majorImage) {
     
     const mediaHtml = img.src ? 
         (isVideoFile(img.src) ? 
-            `<video controls onclick="openFullscreen('${img.src}', '${displayTitle}', 'video')" preload="metadata">
+            `<video controls onclick="openFullscreen('${img.src}', '${displayTitle}', 'video')" preload="none" poster="${getThumbnailUrl(img.src)}">
                 <source src="${img.src}" type="video/${img.src.substring(img.src.lastIndexOf('.') + 1)}">
                 Your browser does not support the video tag.
             </video>` :
-            `<img src="${img.src}" alt="${displayTitle}" onclick="openFullscreen('${img.src}', '${displayTitle}', 'image')" loading="lazy">`) : 
+            `<img src="${getThumbnailUrl(img.src)}" alt="${displayTitle}" onclick="openFullscreen('${img.src}', '${displayTitle}', 'image')" onerror="this.onerror=null; this.src='${img.src}'" loading="lazy">`) : 
         `<div class="placeholder" onclick="openFullscreen(null, '${displayTitle}', 'placeholder')">${displayTitle}</div>`;
 
     item.innerHTML = `
+        ${selectionCheckboxHtml(img)}
         <div class="image-controls">
             <button class="image-control-btn edit" onclick="showEditImageModal(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Edit Image">
                 <i class="fas fa-edit"></i>
@@ -997,6 +1158,8 @@ function createSubsidiaryImage(img, majorImage) {
             <button class="image-control-btn delete" onclick="confirmDeleteImage(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Delete Image">
                 <i class="fas fa-trash"></i>
             </button>
+            ${albumControlsHtml(img)}
+            ${groupControlsHtml(img)}
         </div>
         ${mediaHtml}
         <div class="subsidiary-label">${displayTitle}</div>
@@ -1011,6 +1174,7 @@ function createStandaloneImage(img) {
     
     const item = document.createElement('div');
     item.className = classes;
+    item.dataset.imageId = img.id;
     
     // 智能尺寸控制：支持宽高比的双向自适应
     if (img.width) {
@@ -1036,14 +1200,15 @@ function createStandaloneImage(img) {
         
     const mediaHtml = img.src ? 
         (isVideoFile(img.src) ? 
-            `<video controls onclick="openFullscreen('${img.src}', '${img.title}', 'video')" preload="metadata">
+            `<video controls onclick="openFullscreen('${img.src}', '${img.title}', 'video')" preload="none" poster="${getThumbnailUrl(img.src)}">
                 <source src="${img.src}" type="video/${img.src.substring(img.src.lastIndexOf('.') + 1)}">
                 Your browser does not support the video tag.
             </video>` :
-            `<img src="${img.src}" alt="${img.title}" onclick="openFullscreen('${img.src}', '${img.title}', 'image')" loading="lazy">`) : 
+            `<img src="${getThumbnailUrl(img.src)}" alt="${img.title}" onclick="openFullscreen('${img.src}', '${img.title}', 'image')" onerror="this.onerror=null; this.src='${img.src}'" loading="lazy">`) : 
         `<div class="placeholder" onclick="openFullscreen(null, '${img.title}', 'placeholder')">${img.title}</div>`;
 
     item.innerHTML = `
+        ${selectionCheckboxHtml(img)}
         <div class="image-controls">
             <button class="image-control-btn edit" onclick="showEditImageModal(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Edit Image">
                 <i class="fas fa-edit"></i>
@@ -1051,6 +1216,7 @@ function createStandaloneImage(img) {
             <button class="image-control-btn delete" onclick="confirmDeleteImage(${JSON.stringify(img).replace(/"/g, '&quot;')})" title="Delete Image">
                 <i class="fas fa-trash"></i>
             </button>
+            ${albumControlsHtml(img)}
         </div>
         ${mediaHtml}
         <div class="ranking">⭐ ${img.ranking}</div>
@@ -1135,8 +1301,10 @@ async function browseForJsonFile() {
                         }
                         return img;
                     });
+                    isServerPaged = false;
+                    tagParents = data.tagParents || [];
 
-                    selectedTags = [];
+                    resetTagQuery();
                     filterAndRender();
                     showToast(`Loaded ${images.length} images from ${fileName}`, 'success');
                 } else {
@@ -1153,8 +1321,10 @@ async function browseForJsonFile() {
 
 function resetToFallback() {
     images = fallbackImages;
+    isServerPaged = false;
+    tagParents = [];
     currentJsonFile = 'sample-data';
-    selectedTags = [];
+    resetTagQuery();
     filterAndRender();
     saveUserSettings();
     showToast('Using sample data', 'info');
@@ -1164,132 +1334,1523 @@ function refreshGallery() {
     loadImageData();
 }
 
-// Export gallery data to JSON file
-function exportGalleryData() {
-    const exportData = {
-        images: images,
-        metadata: {
-            version: "1.0",
-            exportedAt: new Date().toISOString(),
-            totalImages: images.length,
-            availableTags: [...new Set(images.flatMap(img => img.tags || []))].sort()
-        }
-    };
-    
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
-    const url = URL.createObjectURL(dataBlob);
-    
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = 'gallery_data_export.json';
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    URL.revokeObjectURL(url);
-    
-    showToast('Gallery data exported successfully', 'success');
-}
+// Show rolling backups of the current data file
+async function loadBackups() {
+    const list = document.getElementById('backup-list');
 
-// Import gallery data from JSON file
-function importGalleryData() {
-    const input = document.createElement('input');
-    input.type = 'file';
-    input.accept = '.json';
-    input.onchange = function(event) {
-        const file = event.target.files[0];
-        if (!file) return;
+    try {
+        const response = await fetch(`/api/backups/${encodeURIComponent(currentJsonFile)}`);
+        const result = await response.json();
 
-        const reader = new FileReader();
-        reader.onload = function(e) {
-            try {
-                const data = JSON.parse(e.target.result);
-                if (data.images && Array.isArray(data.images)) {
-                    // Add date field to new images (existing images keep their original date if present)
-                    const now = new Date().toISOString();
-                    images = data.images.map(img => {
-                        if (!img.date) {
-                            return { ...img, date: now };
-                        }
-                        return img;
-                    });
+        if (!response.ok || !result.success) {
+            throw new Error(result.error || `HTTP ${response.status}`);
+        }
 
-                    selectedTags = [];
-                    currentJsonFile = file.name;
+        list.innerHTML = '';
+        list.style.display = 'block';
 
-                    // Reset sort to default
-                    document.getElementById('sort-select').value = 'ranking-desc';
-                    currentSort = 'ranking-desc';
+        if (result.backups.length === 0) {
+            list.innerHTML = '<div class="backup-item">No backups yet for this file</div>';
+            return;
+        }
 
-                    // Update UI components
-                    filterAndSortImages();
-                    renderTagCloud();
-                    renderGallery();
-                    saveUserSettings();
+        result.backups.forEach(backup => {
+            const item = document.createElement('div');
+            item.className = 'backup-item';
+            item.innerHTML = `
+                <div>
+                    <div>${new Date(backup.created).toLocaleString()}</div>
+                    <div class="backup-meta">${backup.name} (${backup.size})</div>
+                </div>
+            `;
 
-                    showToast(`Successfully imported ${images.length} images`, 'success');
-                } else {
-                    showToast('Invalid file format. Please select a valid gallery JSON file.', 'error');
-                }
-            } catch (error) {
-                showToast('Error reading file: ' + error.message, 'error');
-            }
-        };
-        reader.readAsText(file);
-    };
-    input.click();
+            const restoreButton = document.createElement('button');
+            restoreButton.className = 'settings-button secondary';
+            restoreButton.innerHTML = '<i class="fas fa-undo"></i> Restore';
+            restoreButton.onclick = () => restoreFromBackup(backup);
+            item.appendChild(restoreButton);
+
+            list.appendChild(item);
+        });
+    } catch (error) {
+        console.error('Failed to load backups:', error);
+        showToast(`Failed to load backups: ${error.message}`, 'error');
+    }
 }
 
-// Diagnostic function
-async function diagnoseJson() {
-    console.log('=== JSON DIAGNOSTIC ===');
-    console.log('Current settings:', currentJsonFile);
-    
+// Roll the current data file back to a backup
+async function restoreFromBackup(backup) {
+    const when = new Date(backup.created).toLocaleString();
+    if (!confirm(`Restore ${currentJsonFile} to the version from ${when}? The current version will be backed up first.`)) {
+        return;
+    }
+
     try {
-        const response = await fetch(`/api/data/${encodeURIComponent(currentJsonFile)}`);
-        console.log('Response status:', response.status);
-        console.log('Response ok:', response.ok);
-        
-        if (response.ok) {
-            const result = await response.json();
-            console.log('API Response:', result);
-            showToast(`JSON loaded successfully. ${result.data.images?.length || 0} images found.`, 'success');
-        } else {
-            const error = await response.text();
-            console.error('API Error:', error);
-            showToast(`Failed to load JSON: ${response.status}`, 'error');
+        const response = await fetch(`/api/backups/${encodeURIComponent(currentJsonFile)}/restore`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ backup: backup.name })
+        });
+        const result = await response.json();
+
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
         }
+
+        showToast(`Restored backup from ${when}`, 'success');
+        await loadImageData();
+        loadBackups();
     } catch (error) {
-        console.error('Fetch error:', error);
-        showToast(`Network error: ${error.message}`, 'error');
+        console.error('Failed to restore backup:', error);
+        showToast(`Failed to restore backup: ${error.message}`, 'error');
     }
 }
 
-// List available files
-async function listAvailableFiles() {
+// Duplicate review: clusters of identical or similar images found by the server
+let duplicateClusters = [];
+
+async function showDuplicatesModal() {
+    if (!isServerPaged) {
+        showToast('Duplicate detection needs a gallery loaded from the server', 'warning');
+        return;
+    }
+
+    document.getElementById('duplicates-modal').style.display = 'flex';
+    await loadDuplicates();
+}
+
+function closeDuplicatesModal() {
+    document.getElementById('duplicates-modal').style.display = 'none';
+    duplicateClusters = [];
+}
+
+async function loadDuplicates() {
+    const list = document.getElementById('duplicates-list');
+    const summary = document.getElementById('duplicates-summary');
+    const threshold = document.getElementById('duplicates-threshold').value;
+    summary.textContent = 'Hashing images and looking for duplicates...';
+    list.innerHTML = '';
+
     try {
-        await loadAvailableFiles();
-        console.log('Available files:', availableFiles);
-        
-        const fileList = availableFiles.map(f => `${f.name} (${f.size}) - ${f.location}`).join('\n');
-        
-        if (availableFiles.length === 0) {
-            showToast('No JSON files found', 'info');
-        } else {
-            showToast(`Found ${availableFiles.length} JSON files. Check console for details.`, 'info');
+        const params = new URLSearchParams({ file: currentJsonFile, threshold });
+        const response = await fetch(`/api/duplicates?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
         }
+
+        duplicateClusters = result.clusters;
+        summary.textContent = duplicateClusters.length === 0
+            ? 'No duplicates found'
+            : `${duplicateClusters.length} group(s) of duplicates${result.hashed ? ` (${result.hashed} image(s) hashed)` : ''}`;
+        renderDuplicateClusters();
     } catch (error) {
-        showToast('Failed to list files: ' + error.message, 'error');
+        console.error('Failed to find duplicates:', error);
+        summary.textContent = `Failed to find duplicates: ${error.message}`;
     }
 }
 
-// Clear all filters
-function clearAllFilters() {
-    selectedTags = [];
+function renderDuplicateClusters() {
+    const list = document.getElementById('duplicates-list');
+    list.innerHTML = '';
+
+    duplicateClusters.forEach((cluster, clusterIndex) => {
+        const section = document.createElement('div');
+        section.className = 'duplicate-cluster';
+
+        const heading = document.createElement('div');
+        heading.className = 'duplicate-cluster-heading';
+        heading.textContent = cluster.kind === 'exact'
+            ? `${cluster.images.length} identical files`
+            : `${cluster.images.length} similar images (distance ${cluster.distance})`;
+        section.appendChild(heading);
+
+        const row = document.createElement('div');
+        row.className = 'duplicate-cluster-images';
+
+        cluster.images.forEach(img => {
+            const card = document.createElement('div');
+            card.className = 'duplicate-card';
+
+            const preview = document.createElement(isVideoFile(img.src) ? 'video' : 'img');
+            if (preview.tagName === 'VIDEO') {
+                preview.poster = getThumbnailUrl(img.src, 320);
+                preview.preload = 'none';
+            } else {
+                preview.src = getThumbnailUrl(img.src, 320);
+                preview.loading = 'lazy';
+            }
+            card.appendChild(preview);
+
+            const details = document.createElement('div');
+            details.className = 'duplicate-card-details';
+            const dimensions = img.pixelWidth && img.pixelHeight ? `${img.pixelWidth}×${img.pixelHeight}` : '';
+            const ranking = img.ranking !== null && img.ranking !== undefined ? `★ ${img.ranking}` : '';
+            details.innerHTML = '<strong></strong><span></span><span></span>';
+            details.children[0].textContent = img.title || `#${img.id}`;
+            details.children[1].textContent = [dimensions, ranking, img.isMajor === false ? 'subsidiary' : ''].filter(Boolean).join(' · ');
+            details.children[2].textContent = (img.tags || []).join(', ');
+            card.appendChild(details);
+
+            const actions = document.createElement('div');
+            actions.className = 'duplicate-card-actions';
+
+            const keepButton = document.createElement('button');
+            keepButton.className = 'btn-success';
+            keepButton.innerHTML = '<i class="fas fa-compress-alt"></i> Keep & merge';
+            keepButton.title = 'Keep this image, add the others\' tags and best ranking, and delete the others';
+            keepButton.onclick = () => mergeDuplicateCluster(clusterIndex, img.id);
+            actions.appendChild(keepButton);
+
+            const deleteButton = document.createElement('button');
+            deleteButton.className = 'btn-warning';
+            deleteButton.innerHTML = '<i class="fas fa-trash"></i> Delete';
+            deleteButton.onclick = () => deleteDuplicateImage(img);
+            actions.appendChild(deleteButton);
+
+            card.appendChild(actions);
+            row.appendChild(card);
+        });
+
+        section.appendChild(row);
+        list.appendChild(section);
+    });
+}
+
+// Keep one image of a cluster and fold the others into it
+async function mergeDuplicateCluster(clusterIndex, keepId) {
+    const cluster = duplicateClusters[clusterIndex];
+    const mergeIds = cluster.images.map(img => img.id).filter(id => String(id) !== String(keepId));
+    if (!confirm(`Merge ${mergeIds.length} image(s) into #${keepId}? The merged images will be deleted.`)) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/duplicates/merge', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, keepId, mergeIds })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await loadImageData();
+        await loadDuplicates();
+    } catch (error) {
+        console.error('Failed to merge duplicates:', error);
+        showToast(`Failed to merge duplicates: ${error.message}`, 'error');
+    }
+}
+
+async function deleteDuplicateImage(image) {
+    if (!confirm(`Move "${image.title || `#${image.id}`}" to the trash? Press Ctrl+Z to undo.`)) {
+        return;
+    }
+
+    try {
+        const subsidiaries = await chooseSubsidiaryHandling([image.id]);
+        if (subsidiaries === null) {
+            return;
+        }
+        await deleteImage(image, subsidiaries);
+        showToast('Image moved to the trash', 'success');
+        await loadImageData();
+        await loadDuplicates();
+    } catch (error) {
+        showToast(error.message, 'error');
+    }
+}
+
+// Pairwise comparison: pick the better of two images to build Elo ratings
+let comparePair = [];
+let compareCount = 0;
+
+async function showCompareModal() {
+    if (!isServerPaged) {
+        showToast('Comparing needs a gallery loaded from the server', 'warning');
+        return;
+    }
+
+    compareCount = 0;
+    document.getElementById('compare-modal').style.display = 'flex';
+    await loadComparePair();
+}
+
+function closeCompareModal() {
+    document.getElementById('compare-modal').style.display = 'none';
+    comparePair = [];
+}
+
+function isCompareModalOpen() {
+    return document.getElementById('compare-modal').style.display === 'flex';
+}
+
+async function loadComparePair() {
+    const summary = document.getElementById('compare-summary');
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/compare/pair?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        comparePair = result.pair;
+        summary.textContent = `${compareCount} comparison(s) this session`;
+        renderComparePair();
+    } catch (error) {
+        console.error('Failed to load images to compare:', error);
+        comparePair = [];
+        document.getElementById('compare-pair').innerHTML = '';
+        summary.textContent = `Failed to load images to compare: ${error.message}`;
+    }
+}
+
+function renderComparePair() {
+    const container = document.getElementById('compare-pair');
+    container.innerHTML = '';
+
+    comparePair.forEach((entry, index) => {
+        const img = entry.image;
+        const card = document.createElement('div');
+        card.className = 'compare-card';
+        card.title = index === 0 ? 'Prefer this image (←)' : 'Prefer this image (→)';
+        card.onclick = () => chooseCompareWinner(index);
+
+        const preview = document.createElement(isVideoFile(img.src) ? 'video' : 'img');
+        if (preview.tagName === 'VIDEO') {
+            preview.poster = getThumbnailUrl(img.src, 640);
+            preview.preload = 'none';
+        } else {
+            preview.src = getThumbnailUrl(img.src, 640);
+        }
+        card.appendChild(preview);
+
+        const details = document.createElement('div');
+        details.className = 'compare-card-details';
+        details.innerHTML = '<strong></strong><span></span>';
+        details.children[0].textContent = img.title || `#${img.id}`;
+        details.children[1].textContent = `${Math.round(entry.rating)} · ${entry.comparisons} comparison(s)`;
+        card.appendChild(details);
+
+        container.appendChild(card);
+    });
+}
+
+async function chooseCompareWinner(index) {
+    if (comparePair.length !== 2) {
+        return;
+    }
+    const winner = comparePair[index].image;
+    const loser = comparePair[1 - index].image;
+    comparePair = [];
+
+    try {
+        const response = await fetch('/api/compare', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, winnerId: winner.id, loserId: loser.id })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        compareCount++;
+        await loadComparePair();
+    } catch (error) {
+        console.error('Failed to record comparison:', error);
+        showToast(`Failed to record comparison: ${error.message}`, 'error');
+        await loadComparePair();
+    }
+}
+
+// Overwrite rankings with the comparison ratings
+async function applyCompareRatings() {
+    const method = document.getElementById('compare-method').value;
+    if (!confirm('Replace the ranking of every compared image with its comparison rating?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch('/api/compare/apply', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, method })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await loadImageData();
+    } catch (error) {
+        console.error('Failed to apply ratings:', error);
+        showToast(`Failed to apply ratings: ${error.message}`, 'error');
+    }
+}
+
+document.addEventListener('keydown', (e) => {
+    if (!isCompareModalOpen() || e.target.closest('input, select, textarea')) return;
+
+    switch (e.key) {
+        case 'Escape':
+            closeCompareModal();
+            break;
+        case 'ArrowLeft':
+            chooseCompareWinner(0);
+            break;
+        case 'ArrowRight':
+            chooseCompareWinner(1);
+            break;
+        case 's':
+        case 'S':
+            loadComparePair();
+            break;
+    }
+});
+
+// Tag manager: rename, recolor, merge and delete tags across the whole gallery
+let managedTags = [];
+
+// Fetch tag colors and descriptions for the tag cloud
+async function loadTagDetails() {
+    if (!isServerPaged) {
+        return;
+    }
+
+    try {
+        setManagedTags(await fetchTags());
+        renderTagCloud();
+    } catch (error) {
+        console.warn('Failed to load tag details:', error);
+    }
+}
+
+function setManagedTags(tags) {
+    managedTags = tags;
+    tagDetails = Object.fromEntries(tags.map(tag => [tag.name, tag]));
+    tagParents = tags.flatMap(tag => (tag.parents || []).map(parent => ({ tag: tag.name, parent: parent.name, implies: parent.implies })));
+}
+
+async function fetchTags() {
+    const params = new URLSearchParams({ file: currentJsonFile });
+    const response = await fetch(`/api/tags?${params}`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.details || result.error || `HTTP ${response.status}`);
+    }
+    return result.tags;
+}
+
+async function showTagManager() {
+    if (!isServerPaged) {
+        showToast('Tag management needs a gallery loaded from the server', 'warning');
+        return;
+    }
+
+    document.getElementById('tag-manager-modal').style.display = 'flex';
+    await refreshTagManager();
+}
+
+function closeTagManager() {
+    document.getElementById('tag-manager-modal').style.display = 'none';
+}
+
+async function refreshTagManager() {
+    const summary = document.getElementById('tag-manager-summary');
+    summary.textContent = 'Loading tags...';
+    document.getElementById('tag-manager-list').innerHTML = '';
+
+    try {
+        setManagedTags(await fetchTags());
+        renderTagManager();
+    } catch (error) {
+        console.error('Failed to load tags:', error);
+        summary.textContent = `Failed to load tags: ${error.message}`;
+    }
+}
+
+function renderTagManager() {
+    const list = document.getElementById('tag-manager-list');
+    const search = document.getElementById('tag-manager-search').value.trim().toLowerCase();
+    // Children are listed under their (first) parent, indented by depth
+    const hierarchy = TagHierarchy.create(tagParents);
+    const paths = new Map(managedTags.map(tag => [tag.name, hierarchy.getPath(tag.name)]));
+    const shownTags = managedTags
+        .filter(tag => tag.name.toLowerCase().includes(search))
+        .sort((a, b) => paths.get(a.name).join('\u0000').localeCompare(paths.get(b.name).join('\u0000')));
+    const unused = managedTags.filter(tag => tag.count === 0).length;
+
+    document.getElementById('tag-manager-summary').textContent =
+        `${managedTags.length} tag(s)${unused ? `, ${unused} unused` : ''}`;
+    list.innerHTML = '';
+
+    shownTags.forEach(tag => {
+        const row = document.createElement('div');
+        row.className = 'tag-manager-row';
+
+        const colorInput = document.createElement('input');
+        colorInput.type = 'color';
+        colorInput.value = tag.color || '#e2e8f0';
+        colorInput.title = 'Tag color';
+        colorInput.onchange = () => saveTagChanges(tag.name, { color: colorInput.value });
+        row.appendChild(colorInput);
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.value = tag.name;
+        nameInput.title = 'Rename the tag on every image';
+        nameInput.onchange = () => renameManagedTag(tag.name, nameInput);
+        nameInput.style.marginLeft = `${(paths.get(tag.name).length - 1) * 16}px`;
+        row.appendChild(nameInput);
+
+        const count = document.createElement('span');
+        count.className = tag.count === 0 ? 'tag-manager-count unused' : 'tag-manager-count';
+        count.textContent = tag.count === 0 ? 'unused' : tag.count;
+        row.appendChild(count);
+
+        const descriptionInput = document.createElement('input');
+        descriptionInput.type = 'text';
+        descriptionInput.value = tag.description || '';
+        descriptionInput.placeholder = 'Description';
+        descriptionInput.maxLength = 500;
+        descriptionInput.onchange = () => saveTagChanges(tag.name, { description: descriptionInput.value });
+        row.appendChild(descriptionInput);
+
+        const parents = tag.parents || [];
+        const parentControls = document.createElement('div');
+        parentControls.className = 'tag-manager-parents';
+        parentControls.innerHTML = '<input type="text" placeholder="Parents"><label title="Images tagged with this tag also get its parents"><input type="checkbox"> implies</label>';
+        const parentsInput = parentControls.querySelector('input[type="text"]');
+        const impliesInput = parentControls.querySelector('input[type="checkbox"]');
+        parentsInput.value = parents.map(parent => parent.name).join(', ');
+        impliesInput.checked = parents.length > 0 && parents.every(parent => parent.implies);
+        parentsInput.onchange = impliesInput.onchange = () => saveTagParents(tag.name, parentsInput.value, impliesInput.checked);
+        row.appendChild(parentControls);
+
+        const actions = document.createElement('div');
+        actions.className = 'tag-manager-actions';
+
+        const clearColorButton = document.createElement('button');
+        clearColorButton.className = 'btn-secondary';
+        clearColorButton.innerHTML = '<i class="fas fa-eraser"></i>';
+        clearColorButton.title = 'Clear color';
+        clearColorButton.disabled = !tag.color;
+        clearColorButton.onclick = () => saveTagChanges(tag.name, { color: null });
+        actions.appendChild(clearColorButton);
+
+        const mergeButton = document.createElement('button');
+        mergeButton.className = 'btn-secondary';
+        mergeButton.innerHTML = '<i class="fas fa-compress-alt"></i> Merge';
+        mergeButton.title = 'Replace this tag with another one on every image';
+        mergeButton.onclick = () => mergeManagedTag(tag.name);
+        actions.appendChild(mergeButton);
+
+        const deleteButton = document.createElement('button');
+        deleteButton.className = 'btn-warning';
+        deleteButton.innerHTML = '<i class="fas fa-trash"></i>';
+        deleteButton.title = 'Remove this tag from every image';
+        deleteButton.onclick = () => deleteManagedTag(tag);
+        actions.appendChild(deleteButton);
+
+        row.appendChild(actions);
+        list.appendChild(row);
+    });
+}
+
+// Send a tag request and reload the gallery and the tag list afterwards
+async function sendTagRequest(url, method, body, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, ...body })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await loadImageData();
+        await refreshTagManager();
+        return true;
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        showToast(`${failureMessage}: ${error.message}`, 'error');
+        return false;
+    }
+}
+
+async function saveTagChanges(name, changes) {
+    await sendTagRequest('/api/tags', 'PATCH', { name, ...changes }, 'Failed to update tag');
+}
+
+// Nest a tag under comma-separated parents; an empty list makes it a top-level tag
+async function saveTagParents(name, parentList, implies) {
+    const parents = parentList.split(',').map(parent => parent.trim()).filter(parent => parent)
+        .map(parent => ({ name: parent, implies }));
+    await sendTagRequest('/api/tags', 'PATCH', { name, parents }, 'Failed to update tag parents');
+}
+
+async function renameManagedTag(name, input) {
+    const newName = input.value.trim();
+    if (!newName || newName === name) {
+        input.value = name;
+        return;
+    }
+
+    if (!await sendTagRequest('/api/tags', 'PATCH', { name, newName }, 'Failed to rename tag')) {
+        input.value = name;
+    }
+}
+
+async function mergeManagedTag(name) {
+    const target = prompt(`Merge "${name}" into which tag? Every image tagged "${name}" gets the target tag instead.`);
+    if (!target || !target.trim() || target.trim() === name) {
+        return;
+    }
+
+    await sendTagRequest('/api/tags/merge', 'POST', { sources: [name], target: target.trim() }, 'Failed to merge tags');
+}
+
+async function deleteManagedTag(tag) {
+    if (!confirm(`Remove "${tag.name}" from ${tag.count} image(s)? Press Ctrl+Z to undo.`)) {
+        return;
+    }
+
+    await sendTagRequest('/api/tags', 'DELETE', { name: tag.name }, 'Failed to delete tag');
+}
+
+async function removeUnusedTags() {
+    await sendTagRequest('/api/tags/cleanup', 'POST', {}, 'Failed to remove unused tags');
+}
+
+// Albums: named, ordered collections of images, independent of groups
+
+// The album scoping the gallery, if it belongs to the loaded data file
+function getActiveAlbum() {
+    if (currentAlbumId === null || albumsFile !== currentJsonFile) {
+        return null;
+    }
+    return albums.find(album => String(album.id) === String(currentAlbumId)) || null;
+}
+
+async function loadAlbums() {
+    if (!isServerPaged) {
+        renderAlbumSidebar();
+        return;
+    }
+
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/albums?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        if (albumsFile !== currentJsonFile) {
+            currentAlbumId = null;
+        }
+        albums = result.albums;
+        albumsFile = currentJsonFile;
+        renderAlbumSidebar();
+    } catch (error) {
+        console.warn('Failed to load albums:', error);
+    }
+}
+
+function renderAlbumSidebar() {
+    const sidebar = document.getElementById('album-sidebar');
+    const activeAlbum = getActiveAlbum();
+    sidebar.style.display = isServerPaged ? 'block' : 'none';
+    document.getElementById('album-sort-option').hidden = !activeAlbum;
+
+    const list = document.getElementById('album-list');
+    list.innerHTML = '';
+    [{ id: null, name: 'All images' }, ...albums].forEach(album => {
+        const item = document.createElement('li');
+        item.className = (album.id === null ? !activeAlbum : activeAlbum === album) ? 'album-item active' : 'album-item';
+        item.onclick = () => selectAlbum(album.id);
+
+        const cover = album.coverImageId !== undefined && album.coverImageId !== null
+            ? images.find(img => String(img.id) === String(album.coverImageId)) : null;
+        item.innerHTML = '<span class="album-cover"></span><span class="album-name"></span><span class="album-count"></span>';
+        if (cover && cover.src) {
+            item.children[0].style.backgroundImage = `url("${getThumbnailUrl(cover.src, 160)}")`;
+        } else {
+            item.children[0].innerHTML = `<i class="fas ${album.id === null ? 'fa-images' : 'fa-book'}"></i>`;
+        }
+        item.children[1].textContent = album.name;
+        item.children[2].textContent = album.imageIds ? album.imageIds.length : '';
+        list.appendChild(item);
+    });
+
+    const details = document.getElementById('album-details');
+    details.innerHTML = '';
+    if (activeAlbum) {
+        details.innerHTML = `
+            <p></p>
+            <div class="album-actions">
+                <button class="btn-secondary" onclick="startSlideshow()" title="Play as slideshow"><i class="fas fa-play"></i></button>
+                <button class="btn-secondary" onclick="editActiveAlbum()" title="Rename or describe"><i class="fas fa-pen"></i></button>
+                <button class="btn-warning" onclick="deleteActiveAlbum()" title="Delete album"><i class="fas fa-trash"></i></button>
+            </div>
+        `;
+        details.querySelector('p').textContent = activeAlbum.description || 'No description';
+    }
+}
+
+// Scope the gallery to an album (null shows every image)
+function selectAlbum(albumId) {
+    currentAlbumId = albumId;
+    if (albumId !== null) {
+        currentSort = 'album';
+    } else if (currentSort === 'album') {
+        currentSort = 'ranking-desc';
+    }
+    document.getElementById('sort-select').value = currentSort;
+    currentPage = 1;
+    renderAlbumSidebar();
+    filterAndRender();
+}
+
+// Buttons added to each image card: album membership, cover and manual order
+function albumControlsHtml(img) {
+    if (!isServerPaged) {
+        return '';
+    }
+    const id = JSON.stringify(img.id).replace(/"/g, '&quot;');
+    const album = getActiveAlbum();
+    if (!album) {
+        return `<button class="image-control-btn" onclick="addImageToAlbum(${id})" title="Add to Album"><i class="fas fa-folder-plus"></i></button>`;
+    }
+
+    const orderButtons = currentSort === 'album' ? `
+        <button class="image-control-btn" onclick="moveImageInAlbum(${id}, -1)" title="Move Earlier"><i class="fas fa-arrow-left"></i></button>
+        <button class="image-control-btn" onclick="moveImageInAlbum(${id}, 1)" title="Move Later"><i class="fas fa-arrow-right"></i></button>` : '';
+    return `${orderButtons}
+        <button class="image-control-btn" onclick="setAlbumCover(${id})" title="Use as Album Cover"><i class="fas fa-image"></i></button>
+        <button class="image-control-btn" onclick="removeImageFromAlbum(${id})" title="Remove from Album"><i class="fas fa-folder-minus"></i></button>`;
+}
+
+// Send an album request and refresh the albums and the gallery page
+async function sendAlbumRequest(url, method, body, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, ...body })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await loadAlbums();
+        await filterAndRender();
+        return result;
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        showToast(`${failureMessage}: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+async function createAlbum() {
+    const name = prompt('Album name:');
+    if (!name || !name.trim()) {
+        return;
+    }
+
+    const result = await sendAlbumRequest('/api/albums', 'POST', { album: { name: name.trim() } }, 'Failed to create album');
+    if (result) {
+        selectAlbum(result.album.id);
+    }
+}
+
+async function editActiveAlbum() {
+    const album = getActiveAlbum();
+    const name = prompt('Album name:', album.name);
+    if (name === null) {
+        return;
+    }
+    const description = prompt('Description:', album.description || '');
+    if (description === null) {
+        return;
+    }
+
+    await sendAlbumRequest('/api/albums', 'PUT', { album: { id: album.id, name, description } }, 'Failed to update album');
+}
+
+async function deleteActiveAlbum() {
+    const album = getActiveAlbum();
+    if (!confirm(`Delete the album "${album.name}"? Its images stay in the gallery.`)) {
+        return;
+    }
+
+    if (await sendAlbumRequest('/api/albums', 'DELETE', { albumId: album.id }, 'Failed to delete album')) {
+        selectAlbum(null);
+    }
+}
+
+// Ask for an album by number or name; null when cancelled
+function promptForAlbum() {
+    if (albums.length === 0) {
+        showToast('Create an album first', 'warning');
+        return null;
+    }
+
+    const choices = albums.map((album, index) => `${index + 1}. ${album.name}`).join('\n');
+    const choice = prompt(`Add to which album?\n${choices}`, '1');
+    return (choice && (albums[Number(choice) - 1] || albums.find(item => item.name === choice.trim()))) || null;
+}
+
+async function addImageToAlbum(imageId) {
+    const album = promptForAlbum();
+    if (!album) {
+        return;
+    }
+
+    await sendAlbumRequest('/api/albums/images', 'POST', { albumId: album.id, imageIds: [imageId] }, 'Failed to add image to album');
+}
+
+async function removeImageFromAlbum(imageId) {
+    const album = getActiveAlbum();
+    await sendAlbumRequest('/api/albums/images', 'DELETE', { albumId: album.id, imageIds: [imageId] }, 'Failed to remove image from album');
+}
+
+async function setAlbumCover(imageId) {
+    const album = getActiveAlbum();
+    await sendAlbumRequest('/api/albums', 'PUT', { album: { id: album.id, coverImageId: imageId } }, 'Failed to set album cover');
+}
+
+// Swap an image with its neighbour in the album order
+async function moveImageInAlbum(imageId, offset) {
+    const album = getActiveAlbum();
+    const imageIds = [...album.imageIds];
+    const index = imageIds.findIndex(id => String(id) === String(imageId));
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= imageIds.length) {
+        return;
+    }
+
+    [imageIds[index], imageIds[target]] = [imageIds[target], imageIds[index]];
+    await sendAlbumRequest('/api/albums', 'PUT', { album: { id: album.id, imageIds } }, 'Failed to reorder album');
+}
+
+// Groups: subsidiary cards can become the major or leave their group
+
+function groupControlsHtml(img) {
+    if (!isServerPaged || !img.groupId) {
+        return '';
+    }
+    const id = JSON.stringify(img.id).replace(/"/g, '&quot;');
+    const groupId = JSON.stringify(img.groupId).replace(/"/g, '&quot;');
+    return `
+        <button class="image-control-btn" onclick="promoteGroupImage(${groupId}, ${id})" title="Make Major Image"><i class="fas fa-crown"></i></button>
+        <button class="image-control-btn" onclick="removeImageFromGroup(${groupId}, ${id})" title="Remove from Group"><i class="fas fa-object-ungroup"></i></button>`;
+}
+
+// Send a group request and reload the gallery page
+async function sendGroupRequest(url, method, body, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, ...body })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await filterAndRender();
+        return result;
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        showToast(`${failureMessage}: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+// Drag subsidiaries within the expanded group to change their order
+function enableSubsidiaryReordering(subsidiaryGallery, groupId, subsidiaries) {
+    let draggedIndex = null;
+
+    [...subsidiaryGallery.children].forEach((item, index) => {
+        item.draggable = true;
+        item.addEventListener('dragstart', event => {
+            draggedIndex = index;
+            item.classList.add('dragging');
+            event.dataTransfer.effectAllowed = 'move';
+        });
+        item.addEventListener('dragend', () => {
+            draggedIndex = null;
+            item.classList.remove('dragging');
+        });
+        item.addEventListener('dragover', event => {
+            if (draggedIndex === null) return;
+            event.preventDefault();
+            item.classList.add('drag-over');
+        });
+        item.addEventListener('dragleave', () => item.classList.remove('drag-over'));
+        item.addEventListener('drop', event => {
+            if (draggedIndex === null) return;
+            // Keep the gallery's file drop handler out of it
+            event.preventDefault();
+            event.stopPropagation();
+            item.classList.remove('drag-over');
+            if (draggedIndex === index) return;
+
+            const order = [...subsidiaries];
+            const [moved] = order.splice(draggedIndex, 1);
+            order.splice(index, 0, moved);
+            saveGroupOrder(groupId, order.map(img => img.id));
+        });
+    });
+}
+
+async function saveGroupOrder(groupId, imageIds) {
+    await sendGroupRequest(`/api/groups/${encodeURIComponent(groupId)}/order`, 'PATCH', { imageIds }, 'Failed to reorder group');
+}
+
+async function promoteGroupImage(groupId, imageId) {
+    await sendGroupRequest('/api/groups/promote', 'POST', { groupId, imageId }, 'Failed to promote image');
+}
+
+async function removeImageFromGroup(groupId, imageId) {
+    await sendGroupRequest('/api/groups/members', 'DELETE', { groupId, imageIds: [imageId] }, 'Failed to remove image from group');
+}
+
+// Multi-select and bulk editing: checkboxes, Shift+click ranges and a lasso
+// select cards (across pages); the action bar edits them in one request
+let selectedImageIds = new Set(); // String IDs
+let lastSelectedImageId = null;
+
+function selectionCheckboxHtml(img) {
+    if (!isServerPaged) {
+        return '';
+    }
+    const id = JSON.stringify(img.id).replace(/"/g, '&quot;');
+    return `<input type="checkbox" class="select-checkbox" onclick="toggleImageSelection(event, ${id})" title="Select (Shift+click selects a range)">`;
+}
+
+// Cards in display order, for Shift+click ranges and the lasso
+function getSelectableCards() {
+    return [...document.querySelectorAll('#gallery [data-image-id]')];
+}
+
+function toggleImageSelection(event, imageId) {
+    event.stopPropagation();
+    const id = String(imageId);
+    const selected = event.target.checked;
+    const ids = getSelectableCards().map(card => card.dataset.imageId);
+    const from = ids.indexOf(lastSelectedImageId);
+    const to = ids.indexOf(id);
+    const range = event.shiftKey && from !== -1 && to !== -1
+        ? ids.slice(Math.min(from, to), Math.max(from, to) + 1)
+        : [id];
+
+    range.forEach(rangeId => (selected ? selectedImageIds.add(rangeId) : selectedImageIds.delete(rangeId)));
+    lastSelectedImageId = id;
+    updateSelectionDisplay();
+}
+
+function clearSelection() {
+    selectedImageIds.clear();
+    lastSelectedImageId = null;
+    updateSelectionDisplay();
+}
+
+function updateSelectionDisplay() {
+    getSelectableCards().forEach(card => {
+        const selected = selectedImageIds.has(card.dataset.imageId);
+        card.classList.toggle('selected', selected);
+        const checkbox = card.querySelector('.select-checkbox');
+        if (checkbox) {
+            checkbox.checked = selected;
+        }
+    });
+
+    const bar = document.getElementById('bulk-action-bar');
+    bar.style.display = selectedImageIds.size > 0 ? 'flex' : 'none';
+    document.getElementById('bulk-selection-count').textContent = `${selectedImageIds.size} selected`;
+}
+
+// Drag across empty gallery space to select every card the rectangle touches;
+// Ctrl or Shift adds to the current selection
+function enableLassoSelection() {
+    const gallery = document.getElementById('gallery');
+    let lasso = null;
+    let startX = 0;
+    let startY = 0;
+    let additive = false;
+
+    gallery.addEventListener('mousedown', event => {
+        if (!isServerPaged || event.button !== 0 || event.target.closest('[data-image-id], button, input, .group-header')) return;
+
+        startX = event.clientX;
+        startY = event.clientY;
+        additive = event.ctrlKey || event.metaKey || event.shiftKey;
+        lasso = document.createElement('div');
+        lasso.className = 'selection-lasso';
+        document.body.appendChild(lasso);
+        event.preventDefault();
+    });
+
+    document.addEventListener('mousemove', event => {
+        if (!lasso) return;
+        lasso.style.left = `${Math.min(startX, event.clientX)}px`;
+        lasso.style.top = `${Math.min(startY, event.clientY)}px`;
+        lasso.style.width = `${Math.abs(event.clientX - startX)}px`;
+        lasso.style.height = `${Math.abs(event.clientY - startY)}px`;
+    });
+
+    document.addEventListener('mouseup', () => {
+        if (!lasso) return;
+        const box = lasso.getBoundingClientRect();
+        lasso.remove();
+        lasso = null;
+        if (box.width < 5 && box.height < 5) return; // A click, not a drag
+
+        if (!additive) {
+            selectedImageIds.clear();
+        }
+        getSelectableCards().forEach(card => {
+            const rect = card.getBoundingClientRect();
+            if (rect.width > 0 && rect.right > box.left && rect.left < box.right && rect.bottom > box.top && rect.top < box.bottom) {
+                selectedImageIds.add(card.dataset.imageId);
+            }
+        });
+        updateSelectionDisplay();
+    });
+}
+
+// Apply operations to the selected images with one request
+async function sendBatchRequest(operations, failureMessage) {
+    try {
+        const response = await fetch('/api/images/batch', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, imageIds: [...selectedImageIds], operations })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        result.deleted.forEach(img => selectedImageIds.delete(String(img.id)));
+        if (operations.some(operation => operation.type === 'addToAlbum' || operation.type === 'delete')) {
+            await loadAlbums();
+        }
+        await filterAndRender();
+        return result;
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        showToast(`${failureMessage}: ${error.message}`, 'error');
+        return null;
+    }
+}
+
+async function bulkEditTags(type) {
+    const input = document.getElementById('bulk-tags');
+    const tags = input.value.split(',').map(tag => tag.trim()).filter(Boolean);
+    if (tags.length === 0) {
+        showToast('Enter one or more tags, separated by commas', 'warning');
+        return;
+    }
+
+    if (await sendBatchRequest([{ type, tags }], type === 'addTags' ? 'Failed to add tags' : 'Failed to remove tags')) {
+        input.value = '';
+    }
+}
+
+async function bulkSetRanking() {
+    const value = document.getElementById('bulk-ranking').value;
+    if (value === '') {
+        showToast('Enter a ranking', 'warning');
+        return;
+    }
+
+    await sendBatchRequest([{ type: 'setRanking', ranking: Number(value) }], 'Failed to set ranking');
+}
+
+async function bulkMoveToGroup() {
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/groups?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+        if (result.groups.length === 0) {
+            showToast('There are no groups yet', 'warning');
+            return;
+        }
+
+        const choices = result.groups.map((group, index) => `${index + 1}. ${group.groupId}`).join('\n');
+        const choice = prompt(`Move ${selectedImageIds.size} image(s) into which group?\n${choices}`, '1');
+        const group = choice && (result.groups[Number(choice) - 1] || result.groups.find(item => item.groupId === choice.trim()));
+        if (!group) {
+            return;
+        }
+
+        await sendBatchRequest([{ type: 'addToGroup', groupId: group.groupId }], 'Failed to move images into the group');
+    } catch (error) {
+        console.error('Failed to load groups:', error);
+        showToast(`Failed to load groups: ${error.message}`, 'error');
+    }
+}
+
+async function bulkAddToAlbum() {
+    const album = promptForAlbum();
+    if (!album) {
+        return;
+    }
+
+    await sendBatchRequest([{ type: 'addToAlbum', albumId: album.id }], 'Failed to add images to the album');
+}
+
+async function bulkDelete() {
+    if (!confirm(`Move ${selectedImageIds.size} image(s) to the trash? Press Ctrl+Z to undo.`)) {
+        return;
+    }
+
+    try {
+        const subsidiaries = await chooseSubsidiaryHandling([...selectedImageIds]);
+        if (subsidiaries === null) {
+            return;
+        }
+        await sendBatchRequest([{ type: 'delete', subsidiaries }], 'Failed to delete images');
+    } catch (error) {
+        console.error('Failed to load groups:', error);
+        showToast(`Failed to load groups: ${error.message}`, 'error');
+    }
+}
+
+// Edit history: undo/redo of the edits saved through the API (Ctrl+Z, Ctrl+Shift+Z)
+async function loadEditHistory() {
+    const list = document.getElementById('history-list');
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/history?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        renderEditHistory(result);
+    } catch (error) {
+        console.error('Failed to load edit history:', error);
+        list.innerHTML = '';
+        document.getElementById('history-summary').textContent = `Failed to load edit history: ${error.message}`;
+    }
+}
+
+function renderEditHistory(result) {
+    const list = document.getElementById('history-list');
+    list.innerHTML = '';
+    document.getElementById('history-undo-btn').disabled = !result.canUndo;
+    document.getElementById('history-redo-btn').disabled = !result.canRedo;
+    document.getElementById('history-summary').textContent = result.entries.length === 0
+        ? 'No edits yet for this file'
+        : `${result.entries.filter(entry => !entry.undone).length} edit(s) can be undone`;
+
+    result.entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = `history-item${entry.undone ? ' undone' : ''}`;
+        item.innerHTML = '<div></div><div class="history-meta"></div>';
+        item.children[0].textContent = entry.description;
+        const changes = Object.entries(entry.changes)
+            .filter(([, count]) => count > 0)
+            .map(([kind, count]) => `${count} ${kind}`);
+        item.children[1].textContent = [new Date(entry.createdAt).toLocaleString(), ...changes, entry.undone ? 'undone' : '']
+            .filter(Boolean)
+            .join(' · ');
+        list.appendChild(item);
+    });
+}
+
+async function showHistoryModal() {
+    if (!isServerPaged) {
+        showToast('Edit history needs a gallery loaded from the server', 'warning');
+        return;
+    }
+
+    document.getElementById('history-modal').style.display = 'flex';
+    await loadEditHistory();
+}
+
+function closeHistoryModal() {
+    document.getElementById('history-modal').style.display = 'none';
+}
+
+// Undo or redo (`action`) the latest edit and refresh what it may have changed
+async function stepEditHistory(action) {
+    if (!isServerPaged) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/history/${action}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        if (document.getElementById('history-modal').style.display === 'flex') {
+            renderEditHistory(result);
+        }
+        if (document.getElementById('trash-modal').style.display === 'flex') {
+            loadTrash();
+        }
+        clearSelection();
+        loadTagDetails();
+        await loadAlbums();
+        await filterAndRender();
+    } catch (error) {
+        console.error(`Failed to ${action}:`, error);
+        showToast(`Failed to ${action}: ${error.message}`, 'error');
+    }
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && document.getElementById('history-modal').style.display === 'flex') {
+        closeHistoryModal();
+        return;
+    }
+    if (!(e.ctrlKey || e.metaKey) || e.altKey || e.target.closest('input, select, textarea, [contenteditable="true"]')) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z') {
+        e.preventDefault();
+        stepEditHistory(e.shiftKey ? 'redo' : 'undo');
+    } else if (key === 'y' && !e.shiftKey) {
+        e.preventDefault();
+        stepEditHistory('redo');
+    }
+});
+
+// Trash: deleted images wait here until restored, purged or expired
+async function loadTrash() {
+    const list = document.getElementById('trash-list');
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/trash?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        renderTrash(result);
+    } catch (error) {
+        console.error('Failed to load trash:', error);
+        list.innerHTML = '';
+        document.getElementById('trash-summary').textContent = `Failed to load trash: ${error.message}`;
+    }
+}
+
+function renderTrash(result) {
+    const list = document.getElementById('trash-list');
+    list.innerHTML = '';
+    document.getElementById('trash-empty-btn').disabled = result.count === 0;
+    const retention = result.retentionDays > 0
+        ? `deleted images are removed for good after ${result.retentionDays} day(s)`
+        : 'deleted images are kept until the trash is emptied';
+    document.getElementById('trash-summary').textContent = `${result.count} image(s); ${retention}`;
+
+    result.images.forEach(img => {
+        const item = document.createElement('div');
+        item.className = 'trash-item';
+        item.innerHTML = `
+            <img alt="" loading="lazy" onerror="this.style.visibility='hidden'">
+            <div class="trash-info"><div></div><div class="trash-meta"></div></div>
+            <button type="button" class="btn-secondary" title="Restore"><i class="fas fa-undo"></i></button>
+            <button type="button" class="btn-warning" title="Delete for good"><i class="fas fa-times"></i></button>
+        `;
+        item.querySelector('img').src = getThumbnailUrl(img.src, 160);
+        item.querySelector('.trash-info div').textContent = img.title || `#${img.id}${img.groupId ? ` (${img.groupId})` : ''}`;
+        item.querySelector('.trash-meta').textContent = [
+            `Deleted ${new Date(img.deletedAt).toLocaleString()}`,
+            img.expiresAt ? `purged ${new Date(img.expiresAt).toLocaleDateString()}` : ''
+        ].filter(Boolean).join(' · ');
+        const [restoreButton, purgeButton] = item.querySelectorAll('button');
+        restoreButton.addEventListener('click', () => restoreTrashedImages([img.id]));
+        purgeButton.addEventListener('click', () => purgeTrashedImages([img.id]));
+        list.appendChild(item);
+    });
+}
+
+async function showTrashModal() {
+    if (!isServerPaged) {
+        showToast('The trash needs a gallery loaded from the server', 'warning');
+        return;
+    }
+
+    document.getElementById('trash-modal').style.display = 'flex';
+    await loadTrash();
+}
+
+function closeTrashModal() {
+    document.getElementById('trash-modal').style.display = 'none';
+}
+
+// Send a trash request and refresh the trash and the gallery
+async function sendTrashRequest(url, method, body, failureMessage) {
+    try {
+        const response = await fetch(url, {
+            method: method,
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, ...body })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        await loadTrash();
+        await loadAlbums();
+        await filterAndRender();
+    } catch (error) {
+        console.error(`${failureMessage}:`, error);
+        showToast(`${failureMessage}: ${error.message}`, 'error');
+    }
+}
+
+async function restoreTrashedImages(imageIds) {
+    await sendTrashRequest('/api/trash/restore', 'POST', { imageIds }, 'Failed to restore images');
+}
+
+// Delete the given trashed images for good, or the whole trash without `imageIds`
+async function purgeTrashedImages(imageIds = null) {
+    const what = imageIds ? `${imageIds.length} image(s)` : 'every image in the trash';
+    if (!confirm(`Delete ${what} for good? Press Ctrl+Z to undo.`)) {
+        return;
+    }
+
+    await sendTrashRequest('/api/trash', 'DELETE', imageIds ? { imageIds } : {}, 'Failed to purge trash');
+}
+
+// Ask what happens to the rest of a group whose major image is deleted:
+// 'trash', 'rehome', undefined when no group is affected, or null to cancel
+async function chooseSubsidiaryHandling(imageIds) {
+    const params = new URLSearchParams({ file: currentJsonFile });
+    const response = await fetch(`/api/groups?${params}`);
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.details || result.error || `HTTP ${response.status}`);
+    }
+
+    const deleting = new Set(imageIds.map(String));
+    const left = result.groups
+        .filter(group => group.majorImageId !== null && deleting.has(String(group.majorImageId)))
+        .flatMap(group => group.imageIds.filter(id => !deleting.has(String(id))));
+    if (left.length === 0) {
+        return undefined;
+    }
+
+    const choice = prompt(`Deleting a group's major image leaves ${left.length} other image(s) in its group.\n` +
+        '1. Move them to the trash too\n2. Keep them, with the first as the new major image', '2');
+    if (choice === null) {
+        return null;
+    }
+    return choice.trim() === '1' ? 'trash' : 'rehome';
+}
+
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && document.getElementById('trash-modal').style.display === 'flex') {
+        closeTrashModal();
+    }
+});
+
+// Export gallery data to JSON file
+async function exportGalleryData() {
+    let exportImages = images;
+
+    // Only the current page is held in memory; fetch the whole gallery
+    if (isServerPaged) {
+        try {
+            const response = await fetch(`/api/data/${encodeURIComponent(currentJsonFile)}`);
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.details || result.error);
+            }
+            exportImages = result.data.images;
+        } catch (error) {
+            showToast(`Export failed: ${error.message}`, 'error');
+            return;
+        }
+    }
+
+    const exportData = {
+        images: exportImages,
+        metadata: {
+            version: "1.0",
+            exportedAt: new Date().toISOString(),
+            totalImages: exportImages.length,
+            availableTags: [...new Set(exportImages.flatMap(img => img.tags || []))].sort()
+        }
+    };
+    
+    const dataStr = JSON.stringify(exportData, null, 2);
+    const dataBlob = new Blob([dataStr], {type: 'application/json'});
+    const url = URL.createObjectURL(dataBlob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'gallery_data_export.json';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+    
+    showToast('Gallery data exported successfully', 'success');
+}
+
+// Import gallery data from JSON file
+function importGalleryData() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json';
+    input.onchange = function(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = function(e) {
+            try {
+                const data = JSON.parse(e.target.result);
+                if (data.images && Array.isArray(data.images)) {
+                    // Add date field to new images (existing images keep their original date if present)
+                    const now = new Date().toISOString();
+                    images = data.images.map(img => {
+                        if (!img.date) {
+                            return { ...img, date: now };
+                        }
+                        return img;
+                    });
+                    isServerPaged = false;
+                    tagParents = data.tagParents || [];
+
+                    resetTagQuery();
+                    currentJsonFile = file.name;
+
+                    // Reset sort to default
+                    document.getElementById('sort-select').value = 'ranking-desc';
+                    currentSort = 'ranking-desc';
+
+                    // Update UI components
+                    filterAndSortImages();
+                    renderTagCloud();
+                    renderGallery();
+                    saveUserSettings();
+
+                    showToast(`Successfully imported ${images.length} images`, 'success');
+                } else {
+                    showToast('Invalid file format. Please select a valid gallery JSON file.', 'error');
+                }
+            } catch (error) {
+                showToast('Error reading file: ' + error.message, 'error');
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
+
+// Diagnostic function
+async function diagnoseJson() {
+    console.log('=== JSON DIAGNOSTIC ===');
+    console.log('Current settings:', currentJsonFile);
+    
+    try {
+        const response = await fetch(`/api/data/${encodeURIComponent(currentJsonFile)}`);
+        console.log('Response status:', response.status);
+        console.log('Response ok:', response.ok);
+        
+        if (response.ok) {
+            const result = await response.json();
+            console.log('API Response:', result);
+            showToast(`JSON loaded successfully. ${result.data.images?.length || 0} images found.`, 'success');
+        } else {
+            const error = await response.text();
+            console.error('API Error:', error);
+            showToast(`Failed to load JSON: ${response.status}`, 'error');
+        }
+    } catch (error) {
+        console.error('Fetch error:', error);
+        showToast(`Network error: ${error.message}`, 'error');
+    }
+}
+
+// List available files
+async function listAvailableFiles() {
+    try {
+        await loadAvailableFiles();
+        console.log('Available files:', availableFiles);
+        
+        const fileList = availableFiles.map(f => `${f.name} (${f.size}) - ${f.location}`).join('\n');
+        
+        if (availableFiles.length === 0) {
+            showToast('No JSON files found', 'info');
+        } else {
+            showToast(`Found ${availableFiles.length} JSON files. Check console for details.`, 'info');
+        }
+    } catch (error) {
+        showToast('Failed to list files: ' + error.message, 'error');
+    }
+}
+
+// Clear all filters
+function clearAllFilters() {
+    resetTagQuery();
     tagSearchQuery = '';
+    searchQuery = '';
+    cameraFilter = '';
+    capturedFilter = '';
     currentPage = 1; // Reset to first page when clearing filters
     
     document.getElementById('tag-search').value = '';
+    document.getElementById('image-search').value = '';
+    document.getElementById('camera-filter').value = '';
+    document.getElementById('captured-filter').value = '';
+    document.getElementById('captured-filter').classList.remove('invalid');
     document.getElementById('sort-select').value = 'ranking-desc';
     currentSort = 'ranking-desc';
     
@@ -1303,10 +2864,14 @@ function clearAllFilters() {
 }
 
 // Pagination navigation functions
-function goToPage(pageNum) {
+async function goToPage(pageNum) {
     if (pageNum >= 1 && pageNum <= totalPages && pageNum !== currentPage) {
         currentPage = pageNum;
-        applyPagination();
+        if (isServerPaged) {
+            await fetchGalleryPage();
+        } else {
+            applyPagination();
+        }
         renderGallery();
         saveUserSettings();
         
@@ -1350,8 +2915,7 @@ function updateItemsPerPage() {
         itemsPerPage = newItemsPerPage;
         currentPage = 1; // Reset to first page when changing items per page
         
-        filterAndSortImages(); // This will apply pagination
-        renderGallery();
+        filterAndRender(); // This will apply pagination
         saveUserSettings();
         
         showToast(`Updated to ${itemsPerPage} items per page`, 'success');
@@ -1365,21 +2929,27 @@ function resetPagination() {
     // Update UI
     document.getElementById('items-per-page-selector').value = itemsPerPage;
     
-    filterAndSortImages();
-    renderGallery();
+    filterAndRender();
     saveUserSettings();
     
     showToast('Pagination settings reset', 'info');
 }
 
 // Filter and render
-function filterAndRender() {
-    filterAndSortImages();
+async function filterAndRender() {
+    if (isServerPaged) {
+        await fetchGalleryPage();
+    } else {
+        filterAndSortImages();
+    }
     renderGallery();
 }
 
 // Fullscreen viewer functionality
 let currentScale = 1;
+let fullscreenSrc = null;
+let fullscreenIndex = -1; // Position in getViewerItems() of the image (or group) shown
+let fullscreenGroup = null; // { members, index } while showing a group member
 let isDragging = false;
 let startX = 0;
 let startY = 0;
@@ -1388,7 +2958,156 @@ let translateY = 0;
 
 function openFullscreen(src, title, mediaType = 'image') {
     if (!src) return;
-    
+
+    const img = paginatedImages.find(item => item.src === src) || images.find(item => item.src === src);
+    const owner = img ? getGroupOwner(img) : null;
+    fullscreenIndex = owner ? getViewerItems().indexOf(owner) : -1;
+    setFullscreenGroup(owner, src);
+    showFullscreenMedia(src, title, mediaType, img);
+}
+
+// Images the viewer walks with the arrow keys: the current page in display
+// order, one entry per group (its major); members are reached with Shift
+function getViewerItems() {
+    return paginatedImages.filter(img => img.src && img.isMajor !== false);
+}
+
+// The major of a subsidiary's group, or the image itself
+function getGroupOwner(img) {
+    if (img.isMajor !== false || !img.groupId) {
+        return img;
+    }
+    return getGroupMembers(img.groupId).find(member => member.isMajor !== false) || img;
+}
+
+// Major image first, then subsidiaries in their saved order
+function getGroupMembers(groupId) {
+    const members = images.filter(img => img.groupId === groupId);
+    return [
+        ...members.filter(img => img.isMajor !== false),
+        ...members.filter(img => img.isMajor === false).sort(GalleryQuery.compareGroupMembers)
+    ];
+}
+
+function setFullscreenGroup(owner, src) {
+    const members = owner && owner.groupId ? getGroupMembers(owner.groupId).filter(member => member.src) : [];
+    fullscreenGroup = members.length > 1
+        ? { members, index: Math.max(0, members.findIndex(member => member.src === src)) }
+        : null;
+}
+
+function showFullscreenItem(img) {
+    setFullscreenGroup(img, img.src);
+    showFullscreenMedia(img.src, img.title, isVideoFile(img.src) ? 'video' : 'image', img);
+}
+
+// Next or previous image in sort order, moving to the neighbouring page at either end
+async function stepFullscreen(offset) {
+    if (slideshow) {
+        pauseSlideshow();
+        stepSlide(offset);
+        return;
+    }
+
+    let items = getViewerItems();
+    let index = fullscreenIndex + offset;
+
+    if (index < 0 || index >= items.length) {
+        const page = currentPage + (offset > 0 ? 1 : -1);
+        if (page < 1 || page > totalPages) return;
+
+        await goToPage(page);
+        items = getViewerItems();
+        index = offset > 0 ? 0 : items.length - 1;
+    }
+    if (!items[index]) return;
+
+    fullscreenIndex = index;
+    showFullscreenItem(items[index]);
+}
+
+function stepFullscreenGroup(offset) {
+    if (!fullscreenGroup) return;
+    pauseSlideshow();
+
+    const index = fullscreenGroup.index + offset;
+    if (index < 0 || index >= fullscreenGroup.members.length) return;
+
+    fullscreenGroup.index = index;
+    const member = fullscreenGroup.members[index];
+    showFullscreenMedia(member.src, member.title, isVideoFile(member.src) ? 'video' : 'image', member);
+}
+
+function updateFullscreenNav() {
+    const lastIndex = getViewerItems().length - 1;
+    document.getElementById('fullscreen-prev').disabled = fullscreenIndex <= 0 && currentPage <= 1;
+    document.getElementById('fullscreen-next').disabled = fullscreenIndex >= lastIndex && currentPage >= totalPages;
+
+    const nav = document.getElementById('fullscreen-group-nav');
+    nav.style.display = fullscreenGroup ? '' : 'none';
+    if (!fullscreenGroup) return;
+
+    document.getElementById('fullscreen-group-counter').textContent =
+        `${fullscreenGroup.index + 1} / ${fullscreenGroup.members.length}`;
+    document.getElementById('fullscreen-group-prev').disabled = fullscreenGroup.index === 0;
+    document.getElementById('fullscreen-group-next').disabled = fullscreenGroup.index === fullscreenGroup.members.length - 1;
+}
+
+// Thumbnails of the page being viewed; the current image is highlighted
+function renderFilmstrip() {
+    const strip = document.getElementById('fullscreen-filmstrip');
+    strip.innerHTML = '';
+
+    getViewerItems().forEach((img, index) => {
+        const thumb = document.createElement('button');
+        thumb.className = index === fullscreenIndex ? 'filmstrip-item active' : 'filmstrip-item';
+        thumb.title = img.title || '';
+        thumb.style.backgroundImage = `url("${getThumbnailUrl(img.src, 160)}")`;
+        if (isVideoFile(img.src)) {
+            thumb.innerHTML = '<i class="fas fa-play"></i>';
+        }
+        thumb.onclick = () => {
+            pauseSlideshow();
+            fullscreenIndex = index;
+            showFullscreenItem(img);
+        };
+        strip.appendChild(thumb);
+    });
+
+    const active = strip.querySelector('.filmstrip-item.active');
+    if (active) {
+        active.scrollIntoView({ block: 'nearest', inline: 'center' });
+    }
+}
+
+// Title, description, ranking and tags of the image shown fullscreen
+function renderFullscreenCaption(img) {
+    const caption = document.getElementById('fullscreen-caption');
+    caption.innerHTML = '';
+    if (!img) {
+        caption.style.display = 'none';
+        return;
+    }
+
+    caption.style.display = '';
+    caption.innerHTML = `
+        <div class="fullscreen-caption-title"></div>
+        <div class="fullscreen-caption-description"></div>
+        <div class="fullscreen-caption-tags"></div>
+    `;
+    const ranking = img.ranking !== null && img.ranking !== undefined ? `⭐ ${img.ranking} · ` : '';
+    caption.children[0].textContent = `${ranking}${img.title || ''}`;
+    caption.children[1].textContent = img.description || '';
+    (img.tags || []).forEach(tag => {
+        const chip = document.createElement('span');
+        chip.className = 'image-tag';
+        chip.textContent = tag;
+        caption.children[2].appendChild(chip);
+    });
+}
+
+function showFullscreenMedia(src, title, mediaType, img = null) {
+    fullscreenSrc = src;
     const viewer = document.getElementById('fullscreen-viewer');
     const mediaContainer = document.querySelector('.fullscreen-media-container');
     
@@ -1434,11 +3153,73 @@ function openFullscreen(src, title, mediaType = 'image') {
     }
     
     resetZoom();
+    renderFullscreenMetadata(img);
+    renderFullscreenCaption(img);
+    updateFullscreenNav();
+    renderFilmstrip();
     viewer.classList.add('active');
     document.body.style.overflow = 'hidden';
 }
 
+// Camera and video details of the image shown fullscreen
+function formatMediaMetadata(metadata) {
+    const rows = [];
+    const camera = [metadata.cameraMake, metadata.cameraModel]
+        .filter(Boolean)
+        .filter((value, index, values) => index === 0 || !values[1].startsWith(values[0]));
+    if (camera.length) rows.push(['Camera', camera.join(' ')]);
+    if (metadata.lensModel) rows.push(['Lens', metadata.lensModel]);
+
+    const exposure = [];
+    if (metadata.exposureTime) {
+        exposure.push(metadata.exposureTime < 1 ? `1/${Math.round(1 / metadata.exposureTime)} s` : `${metadata.exposureTime} s`);
+    }
+    if (metadata.fNumber) exposure.push(`f/${metadata.fNumber}`);
+    if (metadata.iso) exposure.push(`ISO ${metadata.iso}`);
+    if (metadata.focalLength) exposure.push(`${metadata.focalLength} mm`);
+    if (exposure.length) rows.push(['Exposure', exposure.join(' · ')]);
+
+    if (metadata.capturedAt) rows.push(['Captured', new Date(metadata.capturedAt).toLocaleString()]);
+    if (metadata.gpsLatitude !== undefined && metadata.gpsLongitude !== undefined) {
+        const altitude = metadata.gpsAltitude !== undefined ? `, ${Math.round(metadata.gpsAltitude)} m` : '';
+        rows.push(['Location', `${metadata.gpsLatitude.toFixed(5)}, ${metadata.gpsLongitude.toFixed(5)}${altitude}`]);
+    }
+    if (metadata.duration) {
+        const seconds = Math.round(metadata.duration);
+        rows.push(['Duration', `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`]);
+    }
+    const codecs = [metadata.videoCodec, metadata.audioCodec].filter(Boolean);
+    if (codecs.length) rows.push(['Codec', codecs.join(' / ')]);
+    if (metadata.frameWidth && metadata.frameHeight) rows.push(['Frame', `${metadata.frameWidth} × ${metadata.frameHeight}`]);
+    return rows;
+}
+
+function renderFullscreenMetadata(img) {
+    const panel = document.getElementById('fullscreen-metadata');
+    const button = document.getElementById('fullscreen-metadata-btn');
+    const rows = img && img.mediaMetadata ? formatMediaMetadata(img.mediaMetadata) : [];
+
+    panel.innerHTML = '';
+    rows.forEach(([label, value]) => {
+        const row = document.createElement('div');
+        row.className = 'fullscreen-metadata-row';
+        row.innerHTML = '<span></span><strong></strong>';
+        row.children[0].textContent = label;
+        row.children[1].textContent = value;
+        panel.appendChild(row);
+    });
+    button.style.display = rows.length ? '' : 'none';
+    if (!rows.length) {
+        panel.classList.remove('active');
+    }
+}
+
+function toggleFullscreenMetadata() {
+    document.getElementById('fullscreen-metadata').classList.toggle('active');
+}
+
 function closeFullscreen() {
+    stopSlideshow();
     const viewer = document.getElementById('fullscreen-viewer');
     viewer.classList.remove('active');
     document.body.style.overflow = '';
@@ -1484,6 +3265,7 @@ function showZoomIndicator() {
 
 // Fullscreen viewer event listeners
 document.getElementById('fullscreen-viewer').addEventListener('wheel', (e) => {
+    if (e.target.closest('.fullscreen-filmstrip')) return; // Scroll the filmstrip instead
     e.preventDefault();
     const delta = e.deltaY > 0 ? 0.9 : 1.1;
     currentScale = Math.max(0.1, Math.min(currentScale * delta, 5));
@@ -1494,6 +3276,14 @@ document.getElementById('fullscreen-viewer').addEventListener('wheel', (e) => {
 // Mouse drag functionality
 const viewer = document.getElementById('fullscreen-viewer');
 
+// Zooming or panning pauses a running slideshow
+viewer.addEventListener('wheel', pauseSlideshow);
+viewer.addEventListener('mousedown', (e) => {
+    if (e.target.closest('.fullscreen-media-container')) {
+        pauseSlideshow();
+    }
+});
+
 // Use event delegation for dynamic media elements
 viewer.addEventListener('mousedown', (e) => {
     const media = e.target;
@@ -1527,6 +3317,12 @@ document.addEventListener('keydown', (e) => {
         case 'Escape':
             closeFullscreen();
             break;
+        case ' ':
+            if (slideshow) {
+                e.preventDefault();
+                toggleSlideshowPause();
+            }
+            break;
         case '+':
         case '=':
             zoomIn();
@@ -1538,6 +3334,12 @@ document.addEventListener('keydown', (e) => {
         case '0':
             resetZoom();
             break;
+        case 'ArrowLeft':
+            e.shiftKey ? stepFullscreenGroup(-1) : stepFullscreen(-1);
+            break;
+        case 'ArrowRight':
+            e.shiftKey ? stepFullscreenGroup(1) : stepFullscreen(1);
+            break;
     }
 });
 
@@ -1548,6 +3350,166 @@ viewer.addEventListener('click', (e) => {
     }
 });
 
+// Slideshow: plays the filtered, sorted results (scoped to the open album, if
+// any) or the group shown fullscreen, using the settings from the settings panel
+
+let slideshowSettings = { interval: 5, transition: 'fade', shuffle: false, loop: true };
+let slideshow = null; // { playlist, index, timer, paused } while playing
+
+function updateSlideshowSettings() {
+    const interval = parseFloat(document.getElementById('slideshow-interval').value);
+    slideshowSettings = {
+        interval: Number.isFinite(interval) ? Math.min(Math.max(interval, 1), 120) : 5,
+        transition: document.getElementById('slideshow-transition').value,
+        shuffle: document.getElementById('slideshow-shuffle').checked,
+        loop: document.getElementById('slideshow-loop').checked
+    };
+    saveUserSettings();
+}
+
+// Every image with media in the current results, across all pages
+async function getSlideshowPlaylist() {
+    if (!isServerPaged) {
+        return filteredImages.filter(img => img.src);
+    }
+
+    const playlist = [];
+    for (let page = 1, pages = 1; page <= pages; page++) {
+        const response = await fetch(buildGalleryQueryUrl({ page, pageSize: GalleryQuery.MAX_PAGE_SIZE }));
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+        playlist.push(...result.data.images.filter(img => img.src));
+        pages = result.pagination.totalPages;
+    }
+    return playlist;
+}
+
+function shuffleImages(list) {
+    const shuffled = [...list];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+// Start from the gallery, or from the viewer with the image shown first
+async function startSlideshow() {
+    const viewerOpen = viewer.classList.contains('active');
+
+    let playlist;
+    try {
+        playlist = viewerOpen && fullscreenGroup ? [...fullscreenGroup.members] : await getSlideshowPlaylist();
+    } catch (error) {
+        console.error('Failed to load slideshow:', error);
+        showToast(`Failed to load slideshow: ${error.message}`, 'error');
+        return;
+    }
+    if (playlist.length === 0) {
+        showToast('No images to play', 'warning');
+        return;
+    }
+
+    let index = viewerOpen ? Math.max(0, playlist.findIndex(img => img.src === fullscreenSrc)) : 0;
+    if (slideshowSettings.shuffle) {
+        const first = playlist[index];
+        playlist = [first, ...shuffleImages(playlist.filter(img => img !== first))];
+        index = 0;
+    }
+
+    stopSlideshow();
+    slideshow = { playlist, index, timer: null, paused: false };
+    showSlide();
+}
+
+function showSlide() {
+    const img = slideshow.playlist[slideshow.index];
+    fullscreenIndex = getViewerItems().indexOf(img);
+    showFullscreenMedia(img.src, img.title, isVideoFile(img.src) ? 'video' : 'image', img);
+
+    // Restart the transition animation on the new media
+    const container = document.querySelector('.fullscreen-media-container');
+    container.classList.remove('slide-fade', 'slide-slide');
+    void container.offsetWidth;
+    if (slideshowSettings.transition !== 'none') {
+        container.classList.add(`slide-${slideshowSettings.transition}`);
+    }
+
+    updateSlideshowButton();
+    scheduleNextSlide();
+}
+
+// Images advance after the interval; videos when they finish playing
+function scheduleNextSlide() {
+    clearTimeout(slideshow.timer);
+    if (slideshow.paused) return;
+
+    const video = document.getElementById('fullscreen-video');
+    if (video) {
+        video.onended = () => stepSlide(1);
+        video.play().catch(() => {});
+    } else {
+        slideshow.timer = setTimeout(() => stepSlide(1), slideshowSettings.interval * 1000);
+    }
+}
+
+function stepSlide(offset) {
+    if (!slideshow) return;
+
+    let index = slideshow.index + offset;
+    if (index >= slideshow.playlist.length || index < 0) {
+        if (!slideshowSettings.loop) {
+            if (offset > 0) {
+                showToast('Slideshow finished', 'info');
+                stopSlideshow();
+            }
+            return;
+        }
+        index = (index + slideshow.playlist.length) % slideshow.playlist.length;
+        if (index === 0 && slideshowSettings.shuffle) {
+            slideshow.playlist = shuffleImages(slideshow.playlist);
+        }
+    }
+
+    slideshow.index = index;
+    showSlide();
+}
+
+function pauseSlideshow() {
+    if (!slideshow || slideshow.paused) return;
+    slideshow.paused = true;
+    clearTimeout(slideshow.timer);
+    updateSlideshowButton();
+}
+
+function toggleSlideshowPause() {
+    if (!slideshow) {
+        startSlideshow();
+        return;
+    }
+    if (slideshow.paused) {
+        slideshow.paused = false;
+        updateSlideshowButton();
+        scheduleNextSlide();
+    } else {
+        pauseSlideshow();
+    }
+}
+
+function stopSlideshow() {
+    if (!slideshow) return;
+    clearTimeout(slideshow.timer);
+    slideshow = null;
+    updateSlideshowButton();
+}
+
+function updateSlideshowButton() {
+    const playing = slideshow && !slideshow.paused;
+    document.getElementById('fullscreen-slideshow-btn').innerHTML = `<i class="fas fa-${playing ? 'pause' : 'play'}"></i>`;
+}
+
 // Toast notification system
 function showToast(message, type = 'info', duration = 3000) {
     const toast = document.createElement('div');
@@ -1593,13 +3555,113 @@ function showToast(message, type = 'info', duration = 3000) {
     }, duration);
 }
 
+// Media upload
+
+// Upload files to the server's media directory
+// With addToGallery an image record is created in the current gallery for each file
+async function uploadMediaFiles(files, addToGallery) {
+    const formData = new FormData();
+    files.forEach(file => formData.append('files', file));
+    if (addToGallery) {
+        formData.append('dataFile', currentJsonFile);
+    }
+
+    const response = await fetch('/api/upload', { method: 'POST', body: formData });
+    const result = await response.json();
+    if (!response.ok || !result.success) {
+        throw new Error(result.details || result.error || `HTTP ${response.status}: ${response.statusText}`);
+    }
+    return result;
+}
+
+// Accept image and video files dropped onto the gallery grid
+function setupGalleryDropZone() {
+    const gallery = document.getElementById('gallery');
+    const hasFiles = event => Array.from(event.dataTransfer?.types || []).includes('Files');
+    let dragDepth = 0;
+
+    gallery.addEventListener('dragenter', event => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        dragDepth++;
+        gallery.classList.add('drop-target');
+    });
+    gallery.addEventListener('dragover', event => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+    });
+    gallery.addEventListener('dragleave', () => {
+        dragDepth = Math.max(0, dragDepth - 1);
+        if (dragDepth === 0) {
+            gallery.classList.remove('drop-target');
+        }
+    });
+    gallery.addEventListener('drop', event => {
+        dragDepth = 0;
+        gallery.classList.remove('drop-target');
+        handleGalleryDrop(event);
+    });
+
+    // Files dropped elsewhere would make the window navigate to them
+    document.addEventListener('dragover', event => event.preventDefault());
+    document.addEventListener('drop', event => event.preventDefault());
+}
+
+// Upload dropped files and add them to the current gallery
+async function handleGalleryDrop(event) {
+    event.preventDefault();
+
+    const files = Array.from(event.dataTransfer.files)
+        .filter(file => !file.type || file.type.startsWith('image/') || file.type.startsWith('video/'));
+    if (files.length === 0) {
+        showToast('Drop image or video files to add them to the gallery', 'warning');
+        return;
+    }
+    if (!isServerPaged) {
+        showToast('Open a gallery from the data folder to upload into it', 'error');
+        return;
+    }
+
+    showToast(`Uploading ${files.length} file(s)...`, 'info');
+    try {
+        const result = await uploadMediaFiles(files, true);
+        showToast(`Added ${result.images.length} file(s) to ${currentJsonFile}`, 'success');
+        await loadImageData();
+    } catch (error) {
+        console.error('❌ Upload failed:', error);
+        showToast(`Upload failed: ${error.message}`, 'error');
+    }
+}
+
+// Upload a file chosen in the editor and use it as the image source
+async function uploadEditorMedia(event) {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+        const result = await uploadMediaFiles([file], false);
+        editorUploadedMedia = result.files[0];
+        document.getElementById('image-src').value = editorUploadedMedia.src;
+        document.getElementById('image-type').value = editorUploadedMedia.kind;
+        showToast(`Uploaded ${file.name} (${editorUploadedMedia.width || '?'} × ${editorUploadedMedia.height || '?'})`, 'success');
+    } catch (error) {
+        console.error('❌ Upload failed:', error);
+        showToast(`Upload failed: ${error.message}`, 'error');
+    }
+}
+
 // CRUD Image Editor Functions
 function showAddImageModal() {
     isEditMode = false;
     currentEditingImage = null;
+    editorUploadedMedia = null;
 
     document.getElementById('modal-title').textContent = 'Add New Image';
     document.getElementById('image-editor-form').reset();
+    document.getElementById('editor-tabs').style.display = 'none';
+    showEditorTab('details');
 
     // Set default values
     document.getElementById('image-type').value = 'image';
@@ -1751,6 +3813,7 @@ function showEditImageModal(image) {
     console.log('🖼️ showEditImageModal called with image:', image);
     isEditMode = true;
     currentEditingImage = image;
+    editorUploadedMedia = null;
 
     document.getElementById('modal-title').textContent = 'Edit Image';
 
@@ -1786,6 +3849,10 @@ function showEditImageModal(image) {
     // Update form requirements based on image type
     updateFormRequirements(image);
 
+    // Earlier versions are kept by the server
+    document.getElementById('editor-tabs').style.display = isServerPaged ? 'flex' : 'none';
+    showEditorTab('details');
+
     console.log('🎨 Modal opened for editing');
     document.getElementById('image-editor-modal').style.display = 'flex';
 
@@ -1797,6 +3864,108 @@ function closeImageEditor() {
     document.getElementById('image-editor-modal').style.display = 'none';
     currentEditingImage = null;
     isEditMode = false;
+    editorUploadedMedia = null;
+}
+
+// Switch the image editor between the form ('details') and the image's earlier versions ('history')
+function showEditorTab(tab) {
+    document.querySelectorAll('#editor-tabs .editor-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === tab);
+    });
+    document.getElementById('image-editor-form').style.display = tab === 'details' ? '' : 'none';
+    document.getElementById('image-history-panel').style.display = tab === 'history' ? 'block' : 'none';
+    if (tab === 'history') {
+        loadImageHistory();
+    }
+}
+
+async function loadImageHistory() {
+    const list = document.getElementById('image-history-list');
+    const summary = document.getElementById('image-history-summary');
+    list.innerHTML = '';
+    summary.textContent = 'Loading...';
+    try {
+        const params = new URLSearchParams({ file: currentJsonFile });
+        const response = await fetch(`/api/images/${encodeURIComponent(currentEditingImage.id)}/history?${params}`);
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        renderImageHistory(result);
+    } catch (error) {
+        console.error('Failed to load image history:', error);
+        summary.textContent = `Failed to load image history: ${error.message}`;
+    }
+}
+
+// Show a field value from a revision; empty values as a dash
+function formatRevisionValue(value) {
+    if (Array.isArray(value)) {
+        return value.length ? value.join(', ') : '—';
+    }
+    return value === null || value === '' ? '—' : String(value);
+}
+
+function renderImageHistory(result) {
+    const list = document.getElementById('image-history-list');
+    list.innerHTML = '';
+    document.getElementById('image-history-summary').textContent = result.revisions.length === 0
+        ? 'This image has not been edited yet'
+        : `${result.revisions.length} earlier version(s), newest first`;
+
+    result.revisions.forEach(revision => {
+        const item = document.createElement('div');
+        item.className = 'image-revision';
+        item.innerHTML = `
+            <div class="image-revision-header">
+                <span></span>
+                <button type="button" class="btn-secondary"><i class="fas fa-undo"></i> Revert to this version</button>
+            </div>
+            <table></table>
+        `;
+        item.querySelector('span').textContent = `Version of ${new Date(revision.createdAt).toLocaleString()}`;
+        item.querySelector('button').addEventListener('click', () => revertImageRevision(revision.id));
+
+        const table = item.querySelector('table');
+        if (revision.changes.length === 0) {
+            table.innerHTML = '<tr><td colspan="2">Saved without changes</td></tr>';
+        }
+        revision.changes.forEach(change => {
+            const row = document.createElement('tr');
+            row.innerHTML = '<td></td><td><span class="revision-before"></span> → <span class="revision-after"></span></td>';
+            row.children[0].textContent = change.field;
+            row.querySelector('.revision-before').textContent = formatRevisionValue(change.before);
+            row.querySelector('.revision-after').textContent = formatRevisionValue(change.after);
+            table.appendChild(row);
+        });
+        list.appendChild(item);
+    });
+}
+
+async function revertImageRevision(revisionId) {
+    try {
+        const response = await fetch(`/api/images/${encodeURIComponent(currentEditingImage.id)}/revert`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({ dataFile: currentJsonFile, revisionId })
+        });
+        const result = await response.json();
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}`);
+        }
+
+        showToast(result.message, 'success');
+        showEditImageModal(result.image);
+        showEditorTab('history');
+        loadTagDetails();
+        await filterAndRender();
+    } catch (error) {
+        console.error('Failed to revert image:', error);
+        showToast(`Failed to revert image: ${error.message}`, 'error');
+    }
 }
 
 async function saveImage(event) {
@@ -1854,6 +4023,16 @@ async function saveImage(event) {
         // Don't set date here - preserve original date for updates
     };
 
+    // Keep the detected size and type of a file uploaded from the editor
+    if (editorUploadedMedia && editorUploadedMedia.src === imageData.src) {
+        Object.assign(imageData, {
+            pixelWidth: editorUploadedMedia.width,
+            pixelHeight: editorUploadedMedia.height,
+            fileSize: editorUploadedMedia.size,
+            mimeType: editorUploadedMedia.mimeType
+        });
+    }
+
     console.log('🔄 Processed imageData:', imageData);
     console.log('📏 Width/Height details:', {
         originalWidth: currentEditingImage?.width,
@@ -1916,7 +4095,7 @@ async function saveImage(event) {
             // Add new image
             console.log('➕ Adding new image');
             const newImage = {
-                id: Math.max(...images.map(img => img.id), 0) + 1,
+                id: isServerPaged && nextImageId ? nextImageId : Math.max(...images.map(img => img.id), 0) + 1,
                 ...imageData,
                 date: new Date().toISOString()  // Only set date for new images
             };
@@ -1952,13 +4131,9 @@ async function addImage(image) {
             })
         });
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
         const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error || 'Failed to add image');
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}: ${response.statusText}`);
         }
 
     } catch (error) {
@@ -1987,17 +4162,11 @@ async function updateImage(image) {
 
         console.log('📡 Response status:', response.status, response.statusText);
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            console.log('📡 Error response:', errorText);
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
         const result = await response.json();
         console.log('📡 Response result:', result);
 
-        if (!result.success) {
-            throw new Error(result.error || 'Failed to update image');
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}: ${response.statusText}`);
         }
 
         console.log('✅ updateImage completed successfully');
@@ -2008,7 +4177,8 @@ async function updateImage(image) {
     }
 }
 
-async function deleteImage(image) {
+// Move an image to the trash; `subsidiaries` ('trash' or 'rehome') is needed for a group's major image
+async function deleteImage(image, subsidiaries) {
     try {
         const response = await fetch('/api/images', {
             method: 'DELETE',
@@ -2017,17 +4187,14 @@ async function deleteImage(image) {
             },
             body: JSON.stringify({
                 imageId: image.id,
-                dataFile: currentJsonFile
+                dataFile: currentJsonFile,
+                subsidiaries: subsidiaries
             })
         });
 
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-        }
-
         const result = await response.json();
-        if (!result.success) {
-            throw new Error(result.error || 'Failed to delete image');
+        if (!response.ok || !result.success) {
+            throw new Error(result.details || result.error || `HTTP ${response.status}: ${response.statusText}`);
         }
 
     } catch (error) {
@@ -2036,10 +4203,15 @@ async function deleteImage(image) {
 }
 
 function confirmDeleteImage(image) {
-    if (confirm(`Are you sure you want to delete "${image.title}"? This action cannot be undone.`)) {
-        deleteImage(image).then(() => {
-            showToast('Image deleted successfully', 'success');
-            loadImageData(); // Refresh the gallery
+    if (confirm(`Move "${image.title}" to the trash? Press Ctrl+Z to undo.`)) {
+        chooseSubsidiaryHandling([image.id]).then(subsidiaries => {
+            if (subsidiaries === null) {
+                return;
+            }
+            return deleteImage(image, subsidiaries).then(() => {
+                showToast('Image moved to the trash', 'success');
+                loadImageData(); // Refresh the gallery
+            });
         }).catch(error => {
             console.error('Error deleting image:', error);
             showToast(`Error deleting image: ${error.message}`, 'error');
@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./safe_write');
+
+/**
+ * Per-image revisions: the version of an image each update replaced.
+ * SQLite galleries keep them in the image_revisions table; JSON galleries in
+ * a sidecar file, .revisions/<file>.json next to the data file, by image ID.
+ * Only the latest REVISION_LIMIT versions of each image are kept.
+ */
+
+const REVISIONS_DIR_NAME = '.revisions';
+const REVISION_LIMIT = parseInt(process.env.REVISION_LIMIT, 10) || 50;
+
+// Fields compared between versions
+const REVISION_FIELDS = ['id', 'title', 'description', 'src', 'ranking', 'tags', 'width', 'height', 'date', 'isMajor', 'groupId', 'majorImageId', 'groupPosition'];
+
+// Fields a revert writes back; the ID and group membership stay as they are
+const REVERT_FIELDS = ['title', 'description', 'src', 'ranking', 'tags', 'width', 'height'];
+
+/**
+ * Get the revisions file of a JSON data file
+ */
+function getRevisionsFile(filePath) {
+    return path.join(path.dirname(filePath), REVISIONS_DIR_NAME, `${path.basename(filePath)}.json`);
+}
+
+/**
+ * A field's value for comparison: missing and empty values are null, tags are
+ * sorted and images are major unless marked otherwise, as normalizeImage has it
+ */
+function fieldValue(image, field) {
+    const value = image[field];
+    if (field === 'tags') {
+        return Array.isArray(value) ? [...value].sort() : [];
+    }
+    if (field === 'isMajor') {
+        return value !== false;
+    }
+    return value === undefined || value === '' ? null : value;
+}
+
+/**
+ * Fields that differ between two versions of an image: [{ field, before, after }]
+ */
+function diffImages(before, after) {
+    return REVISION_FIELDS
+        .map(field => ({ field, before: fieldValue(before, field), after: fieldValue(after, field) }))
+        .filter(change => JSON.stringify(change.before) !== JSON.stringify(change.after));
+}
+
+/**
+ * Revisions of a JSON gallery: { nextId, images: { [imageId]: [{ id, createdAt, image }] } }, oldest first
+ */
+class RevisionLog {
+    constructor(filePath, options = {}) {
+        this.revisionsFile = getRevisionsFile(filePath);
+        this.limit = options.limit !== undefined ? options.limit : REVISION_LIMIT;
+    }
+
+    load() {
+        if (!fs.existsSync(this.revisionsFile)) {
+            return { nextId: 1, images: {} };
+        }
+        try {
+            const log = JSON.parse(fs.readFileSync(this.revisionsFile, 'utf8'));
+            if (Number.isInteger(log.nextId) && log.images && typeof log.images === 'object') {
+                return log;
+            }
+        } catch (error) {
+            console.warn(`⚠️ Ignoring unreadable revisions ${this.revisionsFile}: ${error.message}`);
+        }
+        return { nextId: 1, images: {} };
+    }
+
+    save(log) {
+        fs.mkdirSync(path.dirname(this.revisionsFile), { recursive: true });
+        writeFileAtomic(this.revisionsFile, JSON.stringify(log));
+    }
+
+    /**
+     * Keep `previous`, the version an update of image `imageId` replaced
+     */
+    record(imageId, previous) {
+        const log = this.load();
+        const revisions = log.images[String(imageId)] || [];
+        revisions.push({ id: log.nextId, createdAt: new Date().toISOString(), image: JSON.parse(JSON.stringify(previous)) });
+        log.images[String(imageId)] = revisions.slice(-this.limit);
+        log.nextId++;
+        this.save(log);
+    }
+
+    /**
+     * An image's revisions, newest first
+     */
+    list(imageId) {
+        return [...(this.load().images[String(imageId)] || [])].reverse();
+    }
+
+    /**
+     * Follow an image ID change (a null ID forgets the image's revisions)
+     */
+    rename(imageId, newId) {
+        const log = this.load();
+        if (!log.images[String(imageId)]) {
+            return;
+        }
+        if (newId !== null) {
+            log.images[String(newId)] = log.images[String(imageId)];
+        }
+        delete log.images[String(imageId)];
+        this.save(log);
+    }
+}
+
+module.exports = {
+    RevisionLog,
+    diffImages,
+    getRevisionsFile,
+    REVISION_FIELDS,
+    REVERT_FIELDS,
+    REVISION_LIMIT
+};
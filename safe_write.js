@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Crash-safe file writing and rolling backups for gallery data files
+ * Writes go to a temp file that is fsynced and renamed over the target, so the
+ * live file is always either the old or the new version, never a partial one.
+ */
+
+const BACKUP_DIR_NAME = '.backups';
+
+// Number of backups kept per data file
+const BACKUP_KEEP = parseInt(process.env.BACKUP_KEEP, 10) || 10;
+
+// Minimum time between automatic backups of the same file
+const BACKUP_MIN_INTERVAL_MS = process.env.BACKUP_MIN_INTERVAL_MS !== undefined
+    ? parseInt(process.env.BACKUP_MIN_INTERVAL_MS, 10) || 0
+    : 60 * 1000;
+
+/**
+ * Flush a directory entry to disk (not supported on every platform)
+ */
+function fsyncDirectory(dirPath) {
+    let fd;
+    try {
+        fd = fs.openSync(dirPath, 'r');
+        fs.fsyncSync(fd);
+    } catch (error) {
+        // Windows cannot open directories for syncing; rename is still atomic there
+    } finally {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+    }
+}
+
+/**
+ * Write data to a file via temp file + fsync + rename
+ */
+function writeFileAtomic(filePath, data, encoding) {
+    const dir = path.dirname(filePath);
+    const tempPath = path.join(
+        dir,
+        `.${path.basename(filePath)}.tmp-${process.pid}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+    );
+
+    let fd;
+    try {
+        fd = fs.openSync(tempPath, 'w');
+        if (typeof data === 'string') {
+            fs.writeSync(fd, data, null, encoding || 'utf8');
+        } else {
+            fs.writeSync(fd, data);
+        }
+        fs.fsyncSync(fd);
+        fs.closeSync(fd);
+        fd = undefined;
+
+        fs.renameSync(tempPath, filePath);
+        fsyncDirectory(dir);
+    } catch (error) {
+        if (fd !== undefined) {
+            fs.closeSync(fd);
+        }
+        if (fs.existsSync(tempPath)) {
+            fs.unlinkSync(tempPath);
+        }
+        throw error;
+    }
+}
+
+// Pending work per file, so read-modify-write cycles of one file never overlap
+const fileLocks = new Map();
+
+/**
+ * Run `task` after every earlier task holding the same file's lock has finished
+ * Whoever loads a file to change it should do so inside the lock, or a
+ * concurrent writer may save its older copy over the change.
+ */
+function withFileLock(filePath, task) {
+    const key = path.resolve(filePath);
+    const previous = fileLocks.get(key) || Promise.resolve();
+    const run = previous.then(task, task);
+    const settled = run.catch(() => {});
+    fileLocks.set(key, settled);
+    settled.then(() => {
+        if (fileLocks.get(key) === settled) {
+            fileLocks.delete(key);
+        }
+    });
+    return run;
+}
+
+/**
+ * Get the backup directory for a data file (data/.backups/<name>/)
+ */
+function getBackupDir(filePath) {
+    return path.join(path.dirname(filePath), BACKUP_DIR_NAME, path.basename(filePath));
+}
+
+/**
+ * List backups of a data file, newest first
+ */
+function listBackups(filePath) {
+    const backupDir = getBackupDir(filePath);
+    if (!fs.existsSync(backupDir)) {
+        return [];
+    }
+
+    return fs.readdirSync(backupDir)
+        .filter(name => !name.startsWith('.'))
+        .map(name => {
+            const stats = fs.statSync(path.join(backupDir, name));
+            return {
+                name: name,
+                path: path.join(backupDir, name),
+                size: stats.size,
+                created: stats.mtime.toISOString()
+            };
+        })
+        .sort((a, b) => b.created.localeCompare(a.created) || b.name.localeCompare(a.name));
+}
+
+/**
+ * Delete the oldest backups beyond the retention count
+ */
+function pruneBackups(filePath, keep = BACKUP_KEEP) {
+    const backups = listBackups(filePath);
+    backups.slice(keep).forEach(backup => {
+        fs.unlinkSync(backup.path);
+    });
+}
+
+/**
+ * Copy the current data file into its backup directory, or store `options.data` there instead
+ * Skipped when the newest backup is younger than the minimum interval unless forced
+ */
+function createBackup(filePath, options = {}) {
+    if (!options.data && !fs.existsSync(filePath)) {
+        return null;
+    }
+
+    const keep = options.keep || BACKUP_KEEP;
+    const minInterval = options.force ? 0 : (options.minInterval !== undefined ? options.minInterval : BACKUP_MIN_INTERVAL_MS);
+
+    const latest = listBackups(filePath)[0];
+    if (latest && minInterval > 0 && Date.now() - new Date(latest.created).getTime() < minInterval) {
+        return null;
+    }
+
+    const backupDir = getBackupDir(filePath);
+    fs.mkdirSync(backupDir, { recursive: true });
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    let backupName = `${timestamp}_${path.basename(filePath)}`;
+    let counter = 1;
+    while (fs.existsSync(path.join(backupDir, backupName))) {
+        backupName = `${timestamp}-${counter++}_${path.basename(filePath)}`;
+    }
+
+    const backupPath = path.join(backupDir, backupName);
+    writeFileAtomic(backupPath, options.data || fs.readFileSync(filePath));
+    pruneBackups(filePath, keep);
+
+    console.log(`🗂️ Backup created: ${backupPath}`);
+    return backupName;
+}
+
+/**
+ * Back up the current version of a file, then atomically replace it
+ */
+function writeWithBackup(filePath, data, options = {}) {
+    if (options.backup !== false) {
+        try {
+            createBackup(filePath, options);
+        } catch (error) {
+            // A failed backup must not block saving the user's change
+            console.error(`Failed to back up ${filePath}:`, error);
+        }
+    }
+    writeFileAtomic(filePath, data, options.encoding);
+}
+
+/**
+ * Replace a data file with one of its backups
+ * The current version is backed up first so the restore can itself be undone
+ */
+function restoreBackup(filePath, backupName) {
+    if (!backupName || backupName.includes('..') || backupName.includes('/') || backupName.includes('\\')) {
+        throw new Error('Invalid backup name');
+    }
+
+    const backupPath = path.join(getBackupDir(filePath), backupName);
+    if (!fs.existsSync(backupPath)) {
+        throw new Error(`Backup not found: ${backupName}`);
+    }
+
+    const data = fs.readFileSync(backupPath);
+    const safetyBackup = createBackup(filePath, { force: true });
+    writeFileAtomic(filePath, data);
+
+    return { restored: backupName, safetyBackup: safetyBackup };
+}
+
+module.exports = {
+    writeFileAtomic,
+    writeWithBackup,
+    createBackup,
+    listBackups,
+    pruneBackups,
+    restoreBackup,
+    getBackupDir,
+    withFileLock
+};
@@ -0,0 +1,123 @@
+// Test albums: CRUD, ordering, covers and album-scoped queries in both stores
+const { openGalleryStore, GalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('📚 Testing Albums...\n');
+
+const testDir = createTestDir('albums');
+const testJsonPath = path.join(testDir, 'test_albums.json');
+const testArrayPath = path.join(testDir, 'test_albums_array.json');
+const testDbPath = path.join(testDir, 'test_albums.db');
+
+const images = [
+  { id: 1, title: 'Harbour', tags: ['sea'], ranking: 9 },
+  { id: 2, title: 'Lighthouse', tags: ['sea'], ranking: 8 },
+  { id: 3, title: 'Forest', tags: ['trees'], ranking: 7 },
+  { id: 4, title: 'Meadow', tags: ['grass'], ranking: 6 }
+];
+
+function ids(result) {
+  return result.images.map(img => String(img.id));
+}
+
+async function testAlbums() {
+  try {
+    console.log('1️⃣ Album query parameters...');
+    expect(GalleryStore.parseQuery({ album: '2', sort: 'album' }).album, 2, 'Album parsed as a number');
+    expect(GalleryStore.parseQuery({ page: '1' }).album, null, 'No album by default');
+    try {
+      GalleryStore.parseQuery({ sort: 'album' });
+      throw new Error('Album sort without an album accepted');
+    } catch (error) {
+      expect(error.code, 'VALIDATION', 'Album sort needs an album');
+    }
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    fs.writeFileSync(testArrayPath, JSON.stringify(images, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      console.log(`\n2️⃣ ${store.type} store: creating and editing albums...`);
+
+      const coast = await store.createAlbum({ name: ' Coast ', description: 'Sea views', imageIds: [2, 1] });
+      expect([coast.name, coast.description, coast.imageIds.map(String), coast.coverImageId],
+        ['Coast', 'Sea views', ['2', '1'], null], `${store.type} album created`);
+      const green = await store.createAlbum({ name: 'Green' });
+      expect(store.listAlbums().map(album => album.name), ['Coast', 'Green'], `${store.type} albums listed in order`);
+
+      await expectError(store.createAlbum({ name: 'Coast' }), 'DUPLICATE_ID', `${store.type} duplicate name rejected`);
+      await expectError(store.createAlbum({}), 'VALIDATION', `${store.type} name required`);
+      await expectError(store.createAlbum({ name: 'Bad', imageIds: [99] }), 'NOT_FOUND', `${store.type} unknown image rejected`);
+      await expectError(store.updateAlbum(coast.id, { coverImageId: 3 }), 'VALIDATION', `${store.type} cover must be in the album`);
+      await expectError(store.updateAlbum(999, { name: 'Nope' }), 'NOT_FOUND', `${store.type} unknown album rejected`);
+
+      await store.updateAlbum(coast.id, { coverImageId: 1 });
+      expect(String(store.getAlbum(coast.id).coverImageId), '1', `${store.type} cover set`);
+
+      console.log(`\n3️⃣ ${store.type} store: album membership and order...`);
+      await store.addAlbumImages(green.id, [3, 4, 3]);
+      await store.addAlbumImages(coast.id, [3, 2]);
+      expect(store.getAlbum(coast.id).imageIds.map(String), ['2', '1', '3'], `${store.type} images appended once`);
+      await expectError(store.addAlbumImages(coast.id, []), 'VALIDATION', `${store.type} empty image list rejected`);
+
+      expect(ids(store.queryImages({ album: coast.id, sort: 'album' })), ['2', '1', '3'], `${store.type} album order`);
+      expect(ids(store.queryImages({ album: coast.id, sort: 'ranking-asc' })), ['3', '2', '1'], `${store.type} album filter with another sort`);
+      expect(ids(store.queryImages({ album: coast.id, tags: ['sea'], sort: 'album' })), ['2', '1'], `${store.type} album combined with tags`);
+      await expectError(Promise.resolve().then(() => store.queryImages({ album: 999 })), 'NOT_FOUND', `${store.type} unknown album in a query`);
+
+      await store.updateAlbum(coast.id, { imageIds: [3, 1, 2] });
+      expect(ids(store.queryImages({ album: coast.id, sort: 'album' })), ['3', '1', '2'], `${store.type} reordered`);
+
+      await store.removeAlbumImages(coast.id, [1]);
+      expect([store.getAlbum(coast.id).imageIds.map(String), store.getAlbum(coast.id).coverImageId],
+        [['3', '2'], null], `${store.type} removing the cover clears it`);
+
+      console.log(`\n4️⃣ ${store.type} store: images leaving the gallery...`);
+      await store.updateAlbum(green.id, { coverImageId: 4 });
+      await store.deleteImage(4);
+      expect([store.getAlbum(green.id).imageIds.map(String), store.getAlbum(green.id).coverImageId],
+        [['3'], null], `${store.type} deleted image leaves its albums`);
+
+      if (store.type === 'json') {
+        await store.updateImage({ id: 30, originalId: 3, title: 'Forest', tags: ['trees'], ranking: 7 });
+        expect(store.getAlbum(coast.id).imageIds.map(String), ['30', '2'], 'json renamed image followed');
+      }
+
+      const removed = await store.deleteAlbum(green.id);
+      expect(removed.name, 'Green', `${store.type} album deleted`);
+      expect(store.listAlbums().map(album => album.name), ['Coast'], `${store.type} other albums kept`);
+      expect(store.getImage(2) !== null, true, `${store.type} images kept`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+    console.log('\n5️⃣ Bare array files...');
+    const arrayStore = await openGalleryStore(testArrayPath);
+    await expectError(arrayStore.createAlbum({ name: 'Coast' }), 'VALIDATION', 'Albums need an images object');
+    expect(arrayStore.listAlbums(), [], 'No albums listed');
+
+  } catch (error) {
+    console.log('❌ Albums test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Albums tests completed successfully!');
+}
+
+testAlbums().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,131 @@
+// Test bulk edits: tags, ranking, groups, albums and deletes applied in one save in both stores
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('📦 Testing Bulk Edits...\n');
+
+const testDir = createTestDir('bulk-edit');
+const testJsonPath = path.join(testDir, 'test_bulk_edit.json');
+const testDbPath = path.join(testDir, 'test_bulk_edit.db');
+
+const images = [
+  { id: 1, title: 'Harbour', tags: ['sea'], ranking: 9 },
+  { id: 2, title: 'Lighthouse', tags: ['sea', 'night'], ranking: 8 },
+  { id: 3, title: 'Forest', tags: ['trees'], ranking: 7 },
+  { id: 4, title: 'Meadow', tags: ['grass'], ranking: 6, groupId: 'meadow' },
+  { id: 5, title: 'Meadow detail', isMajor: false, groupId: 'meadow', majorImageId: 4, groupPosition: 0 },
+  { id: 6, title: 'Coast', tags: ['sea'], ranking: 5, groupId: 'coast' },
+  { id: 7, title: 'Coast detail', isMajor: false, groupId: 'coast', majorImageId: 6, groupPosition: 0 }
+];
+
+// Count the saves a bulk edit makes
+function countSaves(store) {
+  const counter = { saves: 0 };
+  const persist = store.persist.bind(store);
+  store.persist = () => {
+    counter.saves++;
+    return persist();
+  };
+  return counter;
+}
+
+function tagsOf(store, id) {
+  return [...store.getImage(id).tags].sort();
+}
+
+async function testBulkEdit() {
+  try {
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      const counter = countSaves(store);
+      const album = await store.createAlbum({ name: 'Favourites', imageIds: [2] });
+
+      console.log(`\n1️⃣ ${store.type} store: validation...`);
+      await expectError(store.batchUpdateImages([], [{ type: 'addTags', tags: ['x'] }]), 'VALIDATION', `${store.type} empty selection rejected`);
+      await expectError(store.batchUpdateImages([1], []), 'VALIDATION', `${store.type} empty operation list rejected`);
+      await expectError(store.batchUpdateImages([1], [{ type: 'recolor' }]), 'VALIDATION', `${store.type} unknown operation rejected`);
+      await expectError(store.batchUpdateImages([1], [{ type: 'addTags', tags: [] }]), 'VALIDATION', `${store.type} empty tag list rejected`);
+      await expectError(store.batchUpdateImages([1], [{ type: 'setRanking', ranking: 'high' }]), 'VALIDATION', `${store.type} invalid ranking rejected`);
+      await expectError(store.batchUpdateImages([1, 99], [{ type: 'setRanking', ranking: 1 }]), 'NOT_FOUND', `${store.type} unknown image rejected`);
+      await expectError(store.batchUpdateImages([1], [{ type: 'delete' }, { type: 'setRanking', ranking: 1 }]), 'VALIDATION', `${store.type} delete combined with edits rejected`);
+
+      counter.saves = 0;
+      await expectError(store.batchUpdateImages([1, 3], [
+        { type: 'addTags', tags: ['favourite'] },
+        { type: 'addToAlbum', albumId: 999 }
+      ]), 'NOT_FOUND', `${store.type} unknown album rejected`);
+      expect([tagsOf(store, 1), counter.saves], [['sea'], 0], `${store.type} nothing written when an operation fails`);
+
+      console.log(`\n2️⃣ ${store.type} store: tags and ranking...`);
+      counter.saves = 0;
+      const result = await store.batchUpdateImages([1, 2, '3', 1], [
+        { type: 'addTags', tags: ['favourite', ' coast '] },
+        { type: 'removeTags', tags: ['sea'] },
+        { type: 'setRanking', ranking: 4.5 }
+      ]);
+      expect([result.imageIds.map(String), result.updated.length, result.deleted], [['1', '2', '3'], 3, []], `${store.type} result lists the edited images`);
+      expect(tagsOf(store, 1), ['coast', 'favourite'], `${store.type} tags added and removed`);
+      expect(tagsOf(store, 2), ['coast', 'favourite', 'night'], `${store.type} other tags kept`);
+      expect([1, 2, 3].map(id => store.getImage(id).ranking), [4.5, 4.5, 4.5], `${store.type} ranking set`);
+      expect([store.getImage(1).title, store.getImage(4).ranking], ['Harbour', 6], `${store.type} other fields and images untouched`);
+      expect(counter.saves, 1, `${store.type} one save for the whole batch`);
+
+      console.log(`\n3️⃣ ${store.type} store: groups and albums...`);
+      counter.saves = 0;
+      await store.batchUpdateImages([3, 7], [
+        { type: 'addToGroup', groupId: 'meadow' },
+        { type: 'addToAlbum', albumId: album.id }
+      ]);
+      const meadow = store.getGroup('meadow');
+      expect([meadow.imageIds.map(String), meadow.problems], [['4', '5', '3', '7'], []], `${store.type} images moved into the group`);
+      expect(store.getGroup('coast').imageIds.map(String), ['6'], `${store.type} subsidiary left its old group`);
+      expect([String(store.getImage(7).majorImageId), store.getImage(7).groupPosition], ['4', 2], `${store.type} moved image points at the new major`);
+      expect(store.getAlbum(album.id).imageIds.map(String), ['2', '3', '7'], `${store.type} images added to the album`);
+      expect(counter.saves, 1, `${store.type} groups and albums in one save`);
+
+      await expectError(store.batchUpdateImages([4], [{ type: 'addToGroup', groupId: 'coast' }]), 'VALIDATION', `${store.type} major with members cannot move`);
+      await expectError(store.batchUpdateImages([1], [{ type: 'addToGroup', groupId: 'nowhere' }]), 'NOT_FOUND', `${store.type} unknown group rejected`);
+
+      console.log(`\n4️⃣ ${store.type} store: deleting...`);
+      counter.saves = 0;
+      const removed = await store.batchUpdateImages([2, 3], [{ type: 'delete' }]);
+      expect(removed.deleted.map(img => img.title), ['Lighthouse', 'Forest'], `${store.type} deleted images returned`);
+      expect(store.listImages().map(img => String(img.id)), ['1', '4', '5', '6', '7'], `${store.type} images deleted`);
+      expect(store.getAlbum(album.id).imageIds.map(String), ['7'], `${store.type} deleted images left the album`);
+      expect(counter.saves, 1, `${store.type} one save for the deletes`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+      const reopened = await openGalleryStore(filePath);
+      expect([reopened.listImages().length, tagsOf(reopened, 1)], [5, ['coast', 'favourite']], `${store.type} bulk edits persisted`);
+      if (reopened.type === 'sqlite') {
+        reopened.db.close();
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Bulk edit test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Bulk edit tests completed successfully!');
+}
+
+testBulkEdit().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
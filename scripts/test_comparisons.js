@@ -0,0 +1,151 @@
+// Test pairwise comparisons: Elo math, pair picking, history and applying ratings in both stores
+const { openGalleryStore } = require('../gallery_store');
+const {
+  DEFAULT_RATING,
+  expectedScore,
+  updateRatings,
+  pickComparisonPair,
+  recordComparison,
+  listRatings,
+  applyRatingsToRankings
+} = require('../comparisons');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🏆 Testing Pairwise Comparisons...\n');
+
+const testDir = createTestDir('comparisons');
+const testJsonPath = path.join(testDir, 'test_comparisons.json');
+const testArrayPath = path.join(testDir, 'test_comparisons_array.json');
+const testDbPath = path.join(testDir, 'test_comparisons.db');
+
+const images = [
+  { id: 1, title: 'Harbour', src: 'media/harbour.jpg', ranking: 2 },
+  { id: 2, title: 'Lighthouse', src: 'media/lighthouse.jpg', ranking: 3 },
+  { id: 3, title: 'Forest', src: 'media/forest.jpg', ranking: 9 },
+  { id: 4, title: 'Meadow', src: 'media/meadow.jpg', ranking: 5 },
+  { id: 5, title: 'Meadow detail', src: 'media/meadow-2.jpg', isMajor: false, groupId: 'meadow', majorImageId: 4 },
+  { id: 6, title: 'No media', ranking: 1 }
+];
+
+// Deterministic stand-in for Math.random
+function sequence(...values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+async function testComparisons() {
+  try {
+    console.log('1️⃣ Elo math...');
+    expect(expectedScore(1500, 1500), 0.5, 'Equal ratings are even');
+    expect(round(expectedScore(1900, 1500)), 0.91, 'A 400 point lead is 10 to 1');
+    const first = updateRatings({ rating: DEFAULT_RATING, comparisons: 0 }, { rating: DEFAULT_RATING, comparisons: 0 });
+    expect([first.winner, first.loser], [{ rating: 1524, comparisons: 1 }, { rating: 1476, comparisons: 1 }], 'Provisional ratings move fast');
+    const settled = updateRatings({ rating: 1500, comparisons: 20 }, { rating: 1500, comparisons: 20 });
+    expect([settled.winner.rating, settled.loser.rating], [1512, 1488], 'Settled ratings move slower');
+    const upset = updateRatings({ rating: 1300, comparisons: 20 }, { rating: 1700, comparisons: 20 });
+    expect(round(upset.winner.rating - 1300) > 20, true, 'An upset moves ratings more');
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    fs.writeFileSync(testArrayPath, JSON.stringify(images, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      let store = await openGalleryStore(filePath);
+      console.log(`\n2️⃣ ${store.type} store: picking pairs...`);
+
+      const pair = pickComparisonPair(store, sequence(0, 0, 0.9));
+      expect(pair.map(entry => String(entry.image.id)), ['1', '2'], `${store.type} pair of unrated images`);
+      expect(pair.map(entry => entry.rating), [DEFAULT_RATING, DEFAULT_RATING], `${store.type} default ratings`);
+      for (let i = 0; i < 50; i++) {
+        const ids = pickComparisonPair(store).map(entry => String(entry.image.id));
+        if (ids[0] === ids[1] || ids.some(id => id === '5' || id === '6')) {
+          throw new Error(`Invalid pair picked: ${ids}`);
+        }
+      }
+      console.log(`✅ ${store.type} subsidiaries and images without media are never picked`);
+
+      console.log(`\n3️⃣ ${store.type} store: recording comparisons...`);
+      const result = await recordComparison(store, 3, 1);
+      expect([String(result.comparison.winnerId), result.winner, result.loser],
+        ['3', { rating: 1524, comparisons: 1 }, { rating: 1476, comparisons: 1 }], `${store.type} comparison recorded`);
+      await recordComparison(store, 3, 2);
+      await recordComparison(store, 4, 1);
+      await recordComparison(store, 2, 1);
+
+      await expectError(recordComparison(store, 3, 3), 'VALIDATION', `${store.type} image against itself rejected`);
+      await expectError(recordComparison(store, 3, 99), 'NOT_FOUND', `${store.type} unknown image rejected`);
+
+      expect(listRatings(store).map(entry => [String(entry.imageId), entry.comparisons]),
+        [['3', 2], ['4', 1], ['2', 2], ['1', 3]], `${store.type} ratings best first`);
+      expect(store.listComparisons(2).map(c => [String(c.winnerId), String(c.loserId)]),
+        [['2', '1'], ['4', '1']], `${store.type} history newest first`);
+
+      const picked = pickComparisonPair(store, sequence(0, 0, 0));
+      expect(String(picked[0].image.id), '4', `${store.type} least compared image picked first`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+      store = await openGalleryStore(filePath);
+      expect(listRatings(store).length, 4, `${store.type} ratings persisted`);
+      expect(store.listComparisons().length, 4, `${store.type} history persisted`);
+      expect(store.getImage(3).ranking, 9, `${store.type} rankings untouched until applied`);
+
+      console.log(`\n4️⃣ ${store.type} store: applying ratings to rankings...`);
+      await expectError(applyRatingsToRankings(store, { method: 'median' }), 'VALIDATION', `${store.type} unknown method rejected`);
+      await expectError(applyRatingsToRankings(store, { minComparisons: 0 }), 'VALIDATION', `${store.type} invalid minComparisons rejected`);
+
+      expect(await applyRatingsToRankings(store), 4, `${store.type} four rankings updated`);
+      expect([3, 4, 2, 1].map(id => store.getImage(id).ranking), [10, 6.67, 3.33, 0], `${store.type} percentile rankings`);
+      expect(store.getImage(6).ranking, 1, `${store.type} unrated image untouched`);
+
+      expect(await applyRatingsToRankings(store, { method: 'linear', minComparisons: 2 }), 3, `${store.type} only well compared images updated`);
+      expect([store.getImage(3).ranking, store.getImage(1).ranking], [10, 0], `${store.type} linear ends of the scale`);
+      expect(store.getImage(4).ranking, 6.67, `${store.type} image below minComparisons kept`);
+
+      console.log(`\n5️⃣ ${store.type} store: images leaving the gallery...`);
+      if (store.type === 'json') {
+        await store.updateImage({ id: 30, originalId: 3, title: 'Forest', src: 'media/forest.jpg' });
+        expect(listRatings(store)[0].imageId, 30, 'json rating follows a renamed image');
+        expect(store.listComparisons().filter(c => String(c.winnerId) === '30').length, 2, 'json history follows a renamed image');
+      }
+      await store.deleteImage(1);
+      expect(listRatings(store).some(entry => String(entry.imageId) === '1'), false, `${store.type} deleted image's rating removed`);
+      expect(store.listComparisons().length, 1, `${store.type} deleted image's comparisons removed`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+    console.log('\n6️⃣ Bare array files...');
+    const arrayStore = await openGalleryStore(testArrayPath);
+    await expectError(recordComparison(arrayStore, 1, 2), 'VALIDATION', 'Comparisons need an images object');
+    expect(listRatings(arrayStore), [], 'No ratings listed');
+
+  } catch (error) {
+    console.log('❌ Comparisons test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Comparisons tests completed successfully!');
+}
+
+testComparisons().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
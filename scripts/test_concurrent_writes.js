@@ -0,0 +1,52 @@
+// Test that concurrent API writes to one gallery file all land
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, startTestServer, stopTestServer, request, quietly } = require('./test_helpers');
+
+console.log('🧪 Testing Concurrent Writes...\n');
+
+const testDir = createTestDir('concurrent-writes');
+const testJsonFile = 'test_concurrent.json';
+
+async function testConcurrentWrites() {
+  fs.writeFileSync(path.join(testDir, testJsonFile), JSON.stringify({ images: [], metadata: { version: '1.0' } }, null, 2));
+  const { app, baseUrl } = await startTestServer(testDir);
+
+  try {
+    const responses = await quietly(() => Promise.all([1, 2, 3, 4, 5, 6].map(id => request(baseUrl, 'POST', '/api/images', {
+      dataFile: testJsonFile,
+      image: { id: id, title: `Image ${id}`, tags: ['parallel'] }
+    }))));
+    const listed = await quietly(() => request(baseUrl, 'GET', `/api/galleries/${testJsonFile}/images`));
+    const history = await quietly(() => request(baseUrl, 'GET', `/api/history?file=${testJsonFile}`));
+
+    expect(responses.map(response => response.status), [200, 200, 200, 200, 200, 200], 'Six parallel adds succeed');
+    expect(listed.body.images.map(img => img.id).sort(), [1, 2, 3, 4, 5, 6], 'Every parallel add is saved');
+    expect(history.body.entries.length, 6, 'Every parallel add is recorded');
+
+    const compared = await quietly(() => Promise.all([[1, 2], [3, 4], [5, 6], [1, 3]].map(([winnerId, loserId]) =>
+      request(baseUrl, 'POST', '/api/compare', { dataFile: testJsonFile, winnerId, loserId }))));
+    const comparisons = await quietly(() => request(baseUrl, 'GET', `/api/compare/history?file=${testJsonFile}`));
+
+    expect(compared.map(response => response.status), [200, 200, 200, 200], 'Four parallel comparisons succeed');
+    expect(comparisons.body.comparisons.length, 4, 'Every parallel comparison is saved');
+
+    const saved = JSON.parse(fs.readFileSync(path.join(testDir, testJsonFile), 'utf8'));
+    expect(saved.images.length, 6, 'File holds all six images');
+
+  } catch (error) {
+    console.log('❌ Concurrent write test failed:', error.message);
+    throw error;
+  } finally {
+    await stopTestServer(app);
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Concurrent write tests completed successfully!');
+}
+
+testConcurrentWrites().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
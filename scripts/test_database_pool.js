@@ -0,0 +1,155 @@
+// Test shared database pool: reuse, coalesced flushing and invalidation
+const DatabaseManager = require('../database');
+const DatabasePool = require('../database_pool');
+const path = require('path');
+const { listBackups } = require('../safe_write');
+const { createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🗄️ Testing Database Pool...\n');
+
+const testDir = createTestDir('database-pool');
+const testDbPath = path.join(testDir, 'test_database_pool.db');
+
+function makeImage(id, title) {
+  return {
+    id: id,
+    title: title,
+    description: 'Pool test image',
+    src: 'https://picsum.photos/400/200',
+    ranking: 7,
+    tags: ['pool', 'test'],
+    isMajor: true,
+    date: new Date().toISOString()
+  };
+}
+
+
+async function imageIdsOnDisk(filePath = testDbPath) {
+  const dbManager = new DatabaseManager();
+  await dbManager.loadDatabase(filePath);
+  const ids = dbManager.getAllImages().images.map(img => img.id).sort();
+  dbManager.close();
+  return ids;
+}
+
+async function countImagesOnDisk() {
+  return (await imageIdsOnDisk()).length;
+}
+
+async function writeElsewhere(image) {
+  const external = new DatabaseManager();
+  await external.loadDatabase(testDbPath);
+  await external.addImage(image);
+  external.save();
+  external.close();
+}
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function testDatabasePool() {
+  const pool = new DatabasePool({ flushDelay: 100, maxFlushDelay: 300 });
+
+  try {
+    await createTestDatabase(testDbPath);
+    console.log('✅ Test database created');
+
+    // Same file returns the same open manager
+    console.log('\n1️⃣ Testing manager reuse...');
+    const [first, second] = await Promise.all([pool.acquire(testDbPath), pool.acquire(testDbPath)]);
+    if (first !== second) {
+      throw new Error('Pool returned different managers for the same file');
+    }
+    console.log('✅ Concurrent acquires share one manager');
+
+    // Writes stay in memory until the debounce fires
+    console.log('\n2️⃣ Testing debounced flushing...');
+    await first.addImage(makeImage('pool-1', 'Pool Image 1'));
+    pool.markDirty(testDbPath);
+    await first.addImage(makeImage('pool-2', 'Pool Image 2'));
+    pool.markDirty(testDbPath);
+
+    if (await countImagesOnDisk() !== 0) {
+      throw new Error('Changes were written before the flush delay elapsed');
+    }
+    console.log('✅ Changes held in memory');
+
+    await wait(250);
+    if (await countImagesOnDisk() !== 2) {
+      throw new Error('Coalesced flush did not write both images');
+    }
+    console.log('✅ Both edits written in one flush');
+
+    // External modification triggers a reload on next acquire
+    console.log('\n3️⃣ Testing invalidation on external change...');
+    await writeElsewhere(makeImage('external-1', 'Written Elsewhere'));
+
+    const reloaded = await pool.acquire(testDbPath);
+    if (reloaded === first) {
+      throw new Error('Pool did not reload after the file changed on disk');
+    }
+    if (reloaded.getAllImages().images.length !== 3) {
+      throw new Error('Reloaded manager does not see the external change');
+    }
+    console.log('✅ Pool reloaded the changed file');
+
+    // Explicit flush on shutdown
+    console.log('\n4️⃣ Testing flushAll...');
+    await reloaded.addImage(makeImage('pool-3', 'Pool Image 3'));
+    pool.markDirty(testDbPath);
+    const flushed = pool.flushAll();
+    if (flushed !== 1 || await countImagesOnDisk() !== 4) {
+      throw new Error('flushAll did not write pending changes');
+    }
+    console.log('✅ Pending changes flushed immediately');
+
+    // A file changed on disk while unsaved changes are held is not overwritten
+    console.log('\n5️⃣ Testing changes on disk during unsaved changes...');
+    await reloaded.addImage(makeImage('pool-4', 'Unsaved'));
+    pool.markDirty(testDbPath);
+    await writeElsewhere(makeImage('external-2', 'Written Elsewhere Again'));
+
+    if (pool.flush(testDbPath) !== false || (await imageIdsOnDisk()).includes('pool-4') || await countImagesOnDisk() !== 5) {
+      throw new Error('Flush overwrote a file that changed on disk');
+    }
+    if (!(await imageIdsOnDisk(listBackups(testDbPath)[0].path)).includes('pool-4')) {
+      throw new Error('Unsaved changes were not kept as a backup');
+    }
+    console.log('✅ Flush kept the file and saved the unsaved copy as a backup');
+
+    const afterFlush = await pool.acquire(testDbPath);
+    if (afterFlush === reloaded || afterFlush.getAllImages().images.length !== 5) {
+      throw new Error('Pool did not reload after the conflict');
+    }
+    await afterFlush.addImage(makeImage('pool-5', 'Unsaved Too'));
+    pool.markDirty(testDbPath);
+    await writeElsewhere(makeImage('external-3', 'Written Elsewhere Once More'));
+
+    const afterAcquire = await pool.acquire(testDbPath);
+    if (afterAcquire === afterFlush || afterAcquire.getAllImages().images.length !== 6
+      || !(await imageIdsOnDisk(listBackups(testDbPath)[0].path)).includes('pool-5')) {
+      throw new Error('Acquire did not reload the changed file and keep the unsaved copy');
+    }
+    await wait(250);
+    if ((await imageIdsOnDisk()).includes('pool-5')) {
+      throw new Error('Unsaved changes were flushed over the changed file');
+    }
+    console.log('✅ Acquire reloaded the changed file and kept the unsaved copy as a backup');
+
+  } catch (error) {
+    console.log('❌ Database pool test failed:', error.message);
+    throw error;
+  } finally {
+    pool.closeAll();
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test database');
+  }
+
+  console.log('\n🎉 Database pool tests completed successfully!');
+}
+
+testDatabasePool().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
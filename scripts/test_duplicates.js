@@ -0,0 +1,154 @@
+// Test content/perceptual hashing, duplicate clustering and merging in both stores
+const { ThumbnailService } = require('../thumbnails');
+const { MediaHasher, differenceHash, hammingDistance, findDuplicateClusters, mergeDuplicates } = require('../duplicates');
+const { openGalleryStore } = require('../gallery_store');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🧬 Testing Duplicate Detection...\n');
+
+const testDir = createTestDir('duplicates');
+const testJsonPath = path.join(testDir, 'test_duplicates.json');
+const testDbPath = path.join(testDir, 'test_duplicates.db');
+const rootDir = path.join(testDir, 'test_duplicates');
+
+// Diagonal gradient; `invert` gives a picture with the opposite structure
+function gradient(width, height, invert = false) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const value = Math.round(255 * (x / width + Math.sin(y / height * 6)) / 2) & 255;
+      data[i] = data[i + 1] = data[i + 2] = invert ? 255 - value : value;
+      data[i + 3] = 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function pngFile(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+async function testDuplicates() {
+  try {
+    console.log('1️⃣ Hashing and clustering...');
+    expect(hammingDistance('ff00ff00ff00ff00', 'ff00ff00ff00ff00'), 0, 'Identical hashes have distance 0');
+    expect(hammingDistance('0000000000000000', 'ffffffffffffffff'), 64, 'Opposite hashes have distance 64');
+
+    const original = differenceHash(gradient(400, 300));
+    const resized = differenceHash(gradient(133, 100));
+    const different = differenceHash(gradient(400, 300, true));
+    expect(original.length, 16, 'Perceptual hash is 64 bits of hex');
+    expect(hammingDistance(original, resized) <= 6, true, 'Resized copy has a close perceptual hash');
+    expect(hammingDistance(original, different) > 20, true, 'Different picture has a distant perceptual hash');
+
+    const clusters = findDuplicateClusters([
+      { id: 1, contentHash: 'a'.repeat(64), perceptualHash: original },
+      { id: 2, contentHash: 'a'.repeat(64), perceptualHash: original },
+      { id: 3, contentHash: 'b'.repeat(64), perceptualHash: resized },
+      { id: 4, contentHash: 'c'.repeat(64), perceptualHash: different },
+      { id: 5, contentHash: 'd'.repeat(64), perceptualHash: null },
+      { id: 6, contentHash: 'd'.repeat(64), perceptualHash: null },
+      { id: 7 }
+    ]);
+    expect(clusters.map(cluster => [cluster.kind, cluster.images.map(img => img.id)]),
+      [['similar', [1, 2, 3]], ['exact', [5, 6]]], 'Exact and similar images clustered');
+    expect(findDuplicateClusters(clusters[0].images, { threshold: 0 }).map(cluster => cluster.images.length), [2], 'Threshold 0 keeps exact matches only');
+
+    console.log('\n2️⃣ Hashing local files...');
+    fs.mkdirSync(path.join(rootDir, 'media'), { recursive: true });
+    const hasher = new MediaHasher(new ThumbnailService({
+      cacheDir: path.join(rootDir, '.thumbnails'),
+      mediaDir: path.join(rootDir, 'media'),
+      rootDir
+    }));
+    fs.writeFileSync(path.join(rootDir, 'photo.png'), pngFile(gradient(400, 300)));
+    fs.copyFileSync(path.join(rootDir, 'photo.png'), path.join(rootDir, 'media', 'photo copy.png'));
+    fs.writeFileSync(path.join(rootDir, 'small.jpg'), jpeg.encode(gradient(200, 150), 70).data);
+
+    const photo = await hasher.hashSource('photo.png');
+    const copy = await hasher.hashSource('media/photo%20copy.png');
+    const small = await hasher.hashSource('small.jpg');
+    expect(copy, photo, 'Copied file gets the same hashes');
+    expect([small.contentHash !== photo.contentHash, hammingDistance(small.perceptualHash, photo.perceptualHash) <= 6],
+      [true, true], 'Recompressed smaller copy is similar but not identical');
+    expect(await hasher.hashSource('https://example.com/photo.jpg'), null, 'Remote sources are not hashed');
+    expect((await hasher.withHashes({ id: 1, src: 'missing.png', contentHash: photo.contentHash })).contentHash, null,
+      'Stale hashes cleared when the file is gone');
+
+    console.log('\n3️⃣ Finding and merging in both stores...');
+    const images = [
+      { id: 1, title: 'Photo', src: 'photo.png', ranking: 3, tags: ['beach'], groupId: 'g1' },
+      { id: 2, title: 'Photo sub', src: '', isMajor: false, groupId: 'g1', tags: [] },
+      { id: 3, title: 'Photo again', src: 'media/photo%20copy.png', ranking: 8, tags: ['sunset', 'beach'], groupId: 'g2', description: 'Imported twice' },
+      { id: 4, title: 'Copy sub', src: '', isMajor: false, groupId: 'g2', majorImageId: 3, tags: [] },
+      { id: 5, title: 'Small', src: 'small.jpg', ranking: 1, tags: ['draft'] }
+    ];
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      const hashes = await hasher.hashMissing(store.listImages());
+      expect(hashes.map(update => String(update.id)), ['1', '3', '5'], `${store.type} store hashes local images`);
+      expect(store.getImage(1).contentHash || null, null, `${store.type} hashing alone writes nothing`);
+
+      // An image whose source changed while it was hashed keeps its new source unhashed
+      await store.patchImage(5, { src: 'moved.jpg' });
+      expect(await hasher.saveHashes(store, hashes), 2, `${store.type} hashes of changed images skipped`);
+      expect([store.getImage(1).contentHash, store.getImage(5).contentHash || null], [photo.contentHash, null], `${store.type} store saves hashes`);
+      expect((await hasher.hashMissing(store.listImages())).length, 0, `${store.type} store hashes each image once`);
+      await store.patchImage(5, { src: 'small.jpg' });
+      await hasher.saveHashes(store, await hasher.hashMissing(store.listImages()));
+
+      const found = findDuplicateClusters(store.listImages());
+      expect(found.map(cluster => cluster.images.map(img => String(img.id))), [['1', '3', '5']], `${store.type} duplicates found`);
+
+      const result = await mergeDuplicates(store, 1, [3, 5]);
+      const kept = store.getImage(1);
+      expect([[...kept.tags].sort(), kept.ranking, kept.description, kept.groupId],
+        [['beach', 'draft', 'sunset'], 8, 'Imported twice', 'g1'], `${store.type} merge unions tags and keeps best ranking`);
+      expect([store.findImage(3), store.findImage(5)], [null, null], `${store.type} merged images deleted`);
+      const moved = store.getImage(4);
+      expect([result.regrouped.map(String), moved.groupId, String(moved.majorImageId)], [['4'], 'g1', '1'],
+        `${store.type} subsidiaries follow the kept image`);
+
+      try {
+        await mergeDuplicates(store, 1, [1]);
+        throw new Error('Merging an image into itself was accepted');
+      } catch (error) {
+        expect(error.code, 'VALIDATION', `${store.type} rejects merging into itself`);
+      }
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Duplicate detection test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Duplicate detection tests completed successfully!');
+}
+
+testDuplicates().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
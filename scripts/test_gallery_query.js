@@ -0,0 +1,182 @@
+// Test server-side filtering, sorting and pagination for JSON and SQLite galleries
+const { openGalleryStore, GalleryStore, GalleryStoreError } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🔎 Testing Gallery Queries...\n');
+
+const testDir = createTestDir('gallery-query');
+const testJsonPath = path.join(testDir, 'test_gallery_query.json');
+const testDbPath = path.join(testDir, 'test_gallery_query.db');
+
+// Two groups, standalone images and an orphaned subsidiary
+// updatedAt is applied after saving, which stamps the current time
+const testImages = [
+  {
+    id: 'a', title: 'Alpine Lake', ranking: 6, tags: ['landscape', 'water'], date: '2025-01-03T10:00:00.000Z',
+    pixelWidth: 4000, pixelHeight: 3000, fileSize: 5200000, updatedAt: '2025-04-02T10:00:00.000Z',
+    mediaMetadata: { capturedAt: '2023-07-14T18:05:09+02:00' }
+  },
+  {
+    id: 'b', title: 'Beach Sunset', ranking: 9, tags: ['landscape', 'sunset'], groupId: 'g1', date: '2025-01-01T10:00:00.000Z',
+    pixelWidth: 1080, pixelHeight: 1920, fileSize: 900000, updatedAt: '2025-04-05T10:00:00.000Z',
+    mediaMetadata: { capturedAt: '2023-07-14T17:00:00Z' }
+  },
+  { id: 'b1', title: 'Beach Detail', isMajor: false, groupId: 'g1', majorImageId: 'b', tags: ['detail'], date: '2025-02-01T10:00:00.000Z' },
+  { id: 'b2', isMajor: false, groupId: 'g1', majorImageId: 'b', date: '2025-02-02T10:00:00.000Z' },
+  {
+    id: 'c', title: 'City Night', ranking: 3, tags: ['urban'], description: 'Neon reflections', date: '2025-01-05T10:00:00.000Z',
+    pixelWidth: 6000, pixelHeight: 2000, fileSize: 7400000, updatedAt: '2025-04-01T10:00:00.000Z',
+    mediaMetadata: { capturedAt: '2021-01-02T09:00:00' }
+  },
+  {
+    id: 'd', title: 'Desert Dunes', ranking: 9, tags: ['landscape'], groupId: 'g2', date: '2025-01-02T10:00:00.000Z',
+    pixelWidth: 2000, pixelHeight: 2000, fileSize: 900000
+  },
+  { id: 'd1', title: 'Dune Ridge', isMajor: false, groupId: 'g2', majorImageId: 'd', date: '2025-03-01T10:00:00.000Z' },
+  { id: 'e', title: 'Empty Ranking', tags: ['draft'], date: '2025-01-04T10:00:00.000Z' },
+  { id: 'x1', title: 'Orphan Shot', isMajor: false, groupId: 'missing', date: '2025-01-06T10:00:00.000Z' }
+];
+
+const queries = [
+  { sort: 'ranking-desc' },
+  { sort: 'ranking-asc' },
+  { sort: 'name-asc' },
+  { sort: 'name-desc' },
+  { sort: 'date-asc' },
+  { sort: 'date-desc' },
+  { tags: ['landscape'], sort: 'ranking-desc' },
+  { tags: ['landscape', 'sunset'], sort: 'date-asc' },
+  { q: 'beach', sort: 'ranking-desc' },
+  { q: 'neon', sort: 'name-asc' },
+  { q: 'SUNSET', sort: 'date-desc' },
+  { sort: 'captured-asc' },
+  { sort: 'captured-desc' },
+  { sort: 'area-asc' },
+  { sort: 'area-desc' },
+  { sort: 'aspect-asc' },
+  { sort: 'aspect-desc' },
+  { sort: 'size-asc' },
+  { sort: 'size-desc' },
+  { sort: 'modified-asc' },
+  { sort: 'modified-desc' },
+  { sort: 'random', seed: 'alpha' },
+  { sort: 'random', seed: 'beta', page: 2, pageSize: 4 },
+  { tags: ['landscape'], sort: 'captured-desc' },
+  { sort: 'ranking-desc', page: 2, pageSize: 4 },
+  { sort: 'ranking-desc', page: 99, pageSize: 4 }
+];
+
+async function createTestFiles() {
+  fs.writeFileSync(testJsonPath, JSON.stringify({ images: [], metadata: { version: '1.0' } }, null, 2));
+
+  await createTestDatabase(testDbPath);
+
+  for (const filePath of [testJsonPath, testDbPath]) {
+    const store = await openGalleryStore(filePath);
+    for (const image of testImages) {
+      await store.addImage(image);
+    }
+    if (store.type === 'sqlite') {
+      testImages.forEach(image => store.db.db.run('UPDATE images SET updated_at = ? WHERE id = ?', [image.updatedAt || null, image.id]));
+      store.db.save();
+      store.db.close();
+    }
+  }
+
+  const jsonData = JSON.parse(fs.readFileSync(testJsonPath, 'utf8'));
+  jsonData.images.forEach(image => {
+    image.updatedAt = testImages.find(img => img.id === image.id).updatedAt || null;
+  });
+  fs.writeFileSync(testJsonPath, JSON.stringify(jsonData, null, 2));
+}
+
+function describe(result) {
+  return `${result.images.map(img => img.id).join(',')} [page ${result.page}/${result.totalPages}, total ${result.total}]`;
+}
+
+async function testGalleryQueries() {
+  try {
+    await createTestFiles();
+    const jsonStore = await openGalleryStore(testJsonPath);
+    const sqliteStore = await openGalleryStore(testDbPath);
+
+    console.log('1️⃣ Comparing JSON and SQLite results...');
+    queries.forEach(query => {
+      const options = GalleryStore.parseQuery(query);
+      const jsonResult = describe(jsonStore.queryImages(options));
+      const sqliteResult = describe(sqliteStore.queryImages(options));
+
+      if (jsonResult !== sqliteResult) {
+        throw new Error(`Mismatch for ${JSON.stringify(query)}\n  JSON:   ${jsonResult}\n  SQLite: ${sqliteResult}`);
+      }
+      console.log(`✅ ${JSON.stringify(query)} → ${jsonResult}`);
+    });
+
+    console.log('\n2️⃣ Checking group semantics...');
+    const ranked = jsonStore.queryImages(GalleryStore.parseQuery({ sort: 'ranking-desc', pageSize: 100 }));
+    const order = ranked.images.map(img => img.id).join(',');
+    if (order !== 'b,b1,b2,d,d1,a,c,e,x1') {
+      throw new Error(`Subsidiaries did not inherit their major's ranking: ${order}`);
+    }
+    console.log('✅ Subsidiaries sort with their major image');
+
+    const captured = jsonStore.queryImages(GalleryStore.parseQuery({ sort: 'captured-asc', pageSize: 100 }));
+    if (captured.images.map(img => img.id).join(',') !== 'c,a,b,b1,b2,d,d1,e,x1') {
+      throw new Error(`Capture date sort should follow majors and put missing dates last: ${captured.images.map(img => img.id).join(',')}`);
+    }
+    console.log('✅ Capture date sort uses the major image and puts missing dates last');
+
+    const shuffle = seed => jsonStore.queryImages(GalleryStore.parseQuery({ sort: 'random', seed, pageSize: 100 }))
+      .images.map(img => img.id).join(',');
+    if (shuffle('alpha') !== shuffle('alpha') || shuffle('alpha') === shuffle('beta')) {
+      throw new Error('Random sort should be repeatable for a seed and differ between seeds');
+    }
+    console.log('✅ Random sort is repeatable per seed');
+
+    const filtered = jsonStore.queryImages(GalleryStore.parseQuery({ tags: 'sunset' }));
+    if (filtered.images.map(img => img.id).join(',') !== 'b,b1,b2,x1') {
+      throw new Error('Subsidiaries did not inherit their major\'s tags');
+    }
+    console.log('✅ Subsidiaries filtered by their major image tags');
+
+    const tags = sqliteStore.getAvailableTags().join(',');
+    if (tags !== jsonStore.getAvailableTags().join(',') || tags.includes('detail')) {
+      throw new Error(`Available tags should only come from major images: ${tags}`);
+    }
+    console.log('✅ Available tags come from major images only');
+
+    console.log('\n3️⃣ Checking parameter validation...');
+    if (GalleryStore.parseQuery({}) !== null) {
+      throw new Error('Empty query should return null');
+    }
+    for (const bad of [{ sort: 'bogus' }, { page: '0' }, { pageSize: 'abc' }, { pageSize: '10000' }, { seed: 'x'.repeat(65) }]) {
+      try {
+        GalleryStore.parseQuery(bad);
+        throw new Error(`Expected ${JSON.stringify(bad)} to be rejected`);
+      } catch (error) {
+        if (!(error instanceof GalleryStoreError) || error.code !== 'VALIDATION') {
+          throw error;
+        }
+      }
+    }
+    console.log('✅ Invalid parameters rejected');
+
+    sqliteStore.db.close();
+
+  } catch (error) {
+    console.log('❌ Gallery query test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Gallery query tests completed successfully!');
+}
+
+testGalleryQueries().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
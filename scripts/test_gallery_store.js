@@ -0,0 +1,120 @@
+// Test that JSON and SQLite gallery stores behave identically
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🧪 Testing Gallery Store Parity...\n');
+
+const testDir = createTestDir('gallery-store');
+const testJsonPath = path.join(testDir, 'test_gallery_store.json');
+const testDbPath = path.join(testDir, 'test_gallery_store.db');
+
+async function createTestFiles() {
+  fs.writeFileSync(testJsonPath, JSON.stringify({ images: [], metadata: { version: '1.0' } }, null, 2));
+  await createTestDatabase(testDbPath);
+}
+
+async function runScenario(filePath) {
+  const store = await openGalleryStore(filePath);
+  console.log(`\n📂 ${store.type.toUpperCase()} store (${filePath})`);
+
+  // Tags are trimmed and deduplicated
+  const added = await store.addImage({
+    id: 'store-1',
+    title: 'Store Test',
+    ranking: 7.5,
+    tags: [' sunset ', 'beach', 'sunset', '']
+  });
+  if (added.tags.join(',') !== 'beach,sunset' && added.tags.join(',') !== 'sunset,beach') {
+    throw new Error(`Tags not normalized: ${added.tags.join(',')}`);
+  }
+  console.log('✅ Add normalizes tags');
+
+  await expectError(store.addImage({ id: 'store-1', title: 'Again' }), 'DUPLICATE_ID', 'Duplicate ID rejected');
+  await expectError(store.addImage({ id: 'store-2' }), 'VALIDATION', 'Missing title rejected');
+
+  await store.addImage({ id: 'store-sub', isMajor: false, groupId: 'g1', majorImageId: 'store-1' });
+  console.log('✅ Subsidiary without title accepted');
+  expect(store.getImage('store-sub').ranking, null, 'Add without a ranking stores null');
+
+  // originalId renames the image
+  await store.updateImage({ ...added, id: 'store-renamed', originalId: 'store-1', title: 'Renamed' });
+  const renamed = store.getImage('store-renamed');
+  if (renamed.title !== 'Renamed') {
+    throw new Error('Update with originalId did not apply');
+  }
+  await expectError(Promise.resolve().then(() => store.getImage('store-1')), 'NOT_FOUND', 'Update honours originalId');
+  await expectError(store.updateImage({ ...renamed, id: 'store-sub', originalId: 'store-renamed' }), 'DUPLICATE_ID', 'Rename onto an existing ID rejected');
+
+  // Patching keeps the fields it does not mention
+  const patched = await store.patchImage('store-renamed', { description: 'Patched' });
+  if (patched.description !== 'Patched' || patched.title !== 'Renamed' || patched.ranking !== 7.5 || patched.tags.length !== 2) {
+    throw new Error(`Patch did not keep the other fields: ${JSON.stringify(patched)}`);
+  }
+  console.log('✅ Patch updates only the given fields');
+
+  await expectError(store.patchImage('store-renamed', { title: '' }), 'VALIDATION', 'Patch without a title rejected');
+  await expectError(store.patchImage('store-renamed', ['title']), 'VALIDATION', 'Patch that is not an object rejected');
+  await expectError(store.patchImage('missing', { title: 'Missing' }), 'NOT_FOUND', 'Patch of a missing image rejected');
+
+  await expectError(store.updateImage({ id: 'missing', title: 'Missing' }), 'NOT_FOUND', 'Update of a missing image rejected');
+  await expectError(store.deleteImage('missing'), 'NOT_FOUND', 'Delete of a missing image rejected');
+
+  // A full update without a ranking clears it; a tag no image uses any more is gone
+  await store.updateImage({ id: 'store-renamed', title: 'Renamed', tags: ['beach'] });
+  expect(store.getImage('store-renamed').ranking, null, 'Update without a ranking stores null');
+  expect(store.listTags().map(tag => tag.name), ['beach'], 'Unused tag no longer listed');
+  await expectError(store.updateTag('sunset', { name: 'dusk' }), 'NOT_FOUND', 'Rename of an unused tag rejected');
+  await store.updateImage({ id: 'store-renamed', title: 'Renamed', tags: ['sunset'] });
+  expect(store.getTag('sunset').count, 1, 'Tag listed again once an image uses it');
+
+  // Only known fields are stored, and an update without a date keeps the add date
+  const added2020 = '2020-01-02T03:04:05.000Z';
+  await store.addImage({ id: 'store-extra', title: 'Extra', date: added2020, gridSpan: 2, deletedAt: added2020 });
+  expect(['gridSpan', 'deletedAt'].filter(field => field in store.getImage('store-extra')), [], 'Unknown fields dropped');
+  await store.updateImage({ id: 'store-extra', title: 'Extra edited' });
+  expect(store.getImage('store-extra').date, added2020, 'Update without a date keeps the add date');
+  await store.deleteImage('store-extra');
+
+  const tags = store.getTags().map(tag => `${tag.name}:${tag.count}`).join(',');
+  const stats = store.getStats();
+  await store.deleteImage('store-sub');
+
+  return {
+    images: store.listImages().map(img => img.id),
+    tags: tags,
+    stats: [stats.totalImages, stats.totalTags, stats.majorImages, stats.totalGroups].join(',')
+  };
+}
+
+async function testGalleryStores() {
+  try {
+    await createTestFiles();
+
+    const jsonResult = await runScenario(testJsonPath);
+    const sqliteResult = await runScenario(testDbPath);
+
+    console.log('\n⚖️ Comparing results...');
+    if (JSON.stringify(jsonResult) !== JSON.stringify(sqliteResult)) {
+      console.log('JSON:  ', jsonResult);
+      console.log('SQLite:', sqliteResult);
+      throw new Error('JSON and SQLite stores produced different results');
+    }
+    console.log('✅ Both stores produced identical results:', jsonResult);
+
+  } catch (error) {
+    console.log('❌ Gallery store test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Gallery store tests completed successfully!');
+}
+
+testGalleryStores().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+// Test the group API: create, members, promote, split, merge, order and consistency checks in both stores
+const GalleryQuery = require('../gallery_query');
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🧩 Testing Groups...\n');
+
+const testDir = createTestDir('groups');
+const testJsonPath = path.join(testDir, 'test_groups.json');
+const testDbPath = path.join(testDir, 'test_groups.db');
+
+const images = [
+  { id: 1, title: 'Bridge', tags: ['city'], ranking: 9 },
+  { id: 2, title: '', isMajor: false, tags: [] },
+  { id: 3, title: 'Tower', tags: ['city'], ranking: 8 },
+  { id: 4, title: 'Park', tags: ['trees'], ranking: 7 },
+  { id: 5, title: 'Pond', tags: ['water'], ranking: 6 },
+  { id: 6, title: 'Old A', groupId: 'broken', tags: [], ranking: 5 },
+  { id: 7, title: 'Old B', groupId: 'broken', tags: [], ranking: 4 }
+];
+
+function members(group) {
+  return group.imageIds.map(String);
+}
+
+async function testGroups() {
+  try {
+    console.log('0️⃣ Member order...');
+    const unordered = [{ id: 'img-10' }, { id: 'img-9', groupPosition: 1 }, { id: 'img-2' }, { id: 'img-3', groupPosition: 0 }];
+    expect(unordered.sort(GalleryQuery.compareGroupMembers).map(img => img.id), ['img-3', 'img-9', 'img-2', 'img-10'],
+      'Positions first, then text IDs in numeric order');
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img.isMajor === false ? { ...img, title: 'placeholder' } : img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      console.log(`\n1️⃣ ${store.type} store: consistency report...`);
+
+      const report = store.checkGroups();
+      expect(report.valid, false, `${store.type} problems found`);
+      expect(report.problems.map(item => [item.groupId, item.problem]), [['broken', 'multiple-majors'], [null, 'orphan']],
+        `${store.type} multiple majors and orphans reported`);
+
+      console.log(`\n2️⃣ ${store.type} store: creating groups and members...`);
+      await store.updateImage({ ...store.getImage(2), isMajor: true, title: 'Arch' });
+      const city = await store.createGroup({ groupId: 'city', majorImageId: 1, imageIds: [3] });
+      expect([String(city.majorImageId), members(city), city.problems], ['1', ['1', '3'], []], `${store.type} group created`);
+      expect([store.getImage(3).isMajor, String(store.getImage(3).majorImageId)], [false, '1'], `${store.type} member points at the major`);
+
+      const generated = await store.createGroup({ majorImageId: 4 });
+      expect(generated.groupId, 'group-4', `${store.type} group ID generated`);
+      await expectError(store.createGroup({ groupId: 'city', majorImageId: 5 }), 'DUPLICATE_ID', `${store.type} existing group ID rejected`);
+      await expectError(store.createGroup({ majorImageId: 5, imageIds: [3] }), 'VALIDATION', `${store.type} grouped image rejected`);
+      await expectError(store.createGroup({ majorImageId: 99 }), 'NOT_FOUND', `${store.type} unknown image rejected`);
+      await expectError(store.addGroupMembers('broken', [5]), 'VALIDATION', `${store.type} group without a single major rejected`);
+      await expectError(store.addGroupMembers('nope', [5]), 'NOT_FOUND', `${store.type} unknown group rejected`);
+
+      const grown = await store.addGroupMembers('city', [2, 5]);
+      expect(members(grown), ['1', '3', '2', '5'], `${store.type} members added`);
+
+      console.log(`\n3️⃣ ${store.type} store: promoting...`);
+      const promoted = await store.promoteGroupMember('city', 3);
+      expect([String(promoted.majorImageId), members(promoted).sort()], ['3', ['1', '2', '3', '5']], `${store.type} subsidiary promoted`);
+      expect([store.getImage(1).isMajor, String(store.getImage(1).majorImageId), String(store.getImage(5).majorImageId)],
+        [false, '3', '3'], `${store.type} siblings re-pointed`);
+      const repaired = await store.promoteGroupMember('broken', 7);
+      expect([String(repaired.majorImageId), repaired.problems], ['7', []], `${store.type} promoting repairs multiple majors`);
+
+      console.log(`\n4️⃣ ${store.type} store: removing, splitting and merging...`);
+      await expectError(store.removeGroupMembers('city', [3]), 'VALIDATION', `${store.type} major cannot leave alone`);
+      const smaller = await store.removeGroupMembers('city', [5]);
+      expect([members(smaller).sort(), store.getImage(5).isMajor, store.getImage(5).groupId], [['1', '2', '3'], true, null],
+        `${store.type} member removed`);
+
+      const [kept, split] = await store.splitGroup('city', { imageIds: [3, 2], groupId: 'towers' });
+      expect([String(kept.majorImageId), members(kept)], ['1', ['1']], `${store.type} remaining member becomes major`);
+      expect([String(split.majorImageId), members(split)], ['3', ['3', '2']], `${store.type} split group keeps its major`);
+      await expectError(store.splitGroup('towers', { imageIds: [3, 2] }), 'VALIDATION', `${store.type} split must leave an image`);
+
+      const merged = await store.mergeGroups(['towers', 'group-4'], 'city');
+      expect([String(merged.majorImageId), members(merged).sort()], ['1', ['1', '2', '3', '4']], `${store.type} groups merged`);
+      expect(store.listGroups().map(group => group.groupId).sort(), ['broken', 'city'], `${store.type} sources gone`);
+
+      console.log(`\n5️⃣ ${store.type} store: subsidiary order...`);
+      expect(members(merged), ['1', '3', '2', '4'], `${store.type} merged members follow the target's`);
+      expect(members(await store.reorderGroup('city', [4, 3, 2])), ['1', '4', '3', '2'], `${store.type} subsidiaries reordered`);
+      expect(members(await store.reorderGroup('city', [2, 4])), ['1', '2', '3', '4'], `${store.type} unlisted members keep their place`);
+      await expectError(store.reorderGroup('city', [1, 2]), 'VALIDATION', `${store.type} major cannot be reordered`);
+      await expectError(store.reorderGroup('city', [5]), 'VALIDATION', `${store.type} outsider rejected`);
+      const { groupPosition, ...edited } = store.getImage(2);
+      await store.updateImage({ ...edited, title: 'Arch again' });
+      expect([groupPosition, members(store.getGroup('city'))], [0, ['1', '2', '3', '4']], `${store.type} position kept on edit`);
+
+      const dissolved = await store.deleteGroup('city');
+      expect(dissolved.groupId, 'city', `${store.type} group dissolved`);
+      expect(store.listImages().filter(img => img.groupId === 'city').length, 0, `${store.type} members standalone`);
+      expect(store.getImage(3).ranking, 8, `${store.type} rankings kept`);
+
+      await store.removeGroupMembers('broken', [6, 7]);
+      expect(store.checkGroups(), { valid: true, problems: [] }, `${store.type} gallery consistent`);
+
+      console.log(`\n6️⃣ ${store.type} store: text image IDs...`);
+      for (const id of ['img_1', 'img_2', 'img_3']) {
+        await store.addImage({ id, title: `Text ${id}`, tags: [] });
+      }
+      const text = await store.createGroup({ groupId: 'text', majorImageId: 'img_1', imageIds: ['img_2', 'img_3'] });
+      expect([text.majorImageId, members(text), text.problems], ['img_1', ['img_1', 'img_2', 'img_3'], []], `${store.type} text-ID group created`);
+      expect(store.getImage('img_2').majorImageId, 'img_1', `${store.type} text major ID read back as stored`);
+
+      await store.updateImage({ ...store.getImage('img_3'), majorImageId: 'img_2' });
+      expect(store.checkGroups().problems.map(item => [item.groupId, item.problem]), [['text', 'stale-major']],
+        `${store.type} stale text major reported`);
+      await store.deleteGroup('text');
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Groups test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Group tests completed successfully!');
+}
+
+testGroups().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
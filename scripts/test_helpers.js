@@ -0,0 +1,119 @@
+// Shared helpers for the scripts/test_*.js suites
+const DatabaseManager = require('../database');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Compare as JSON, so arrays and objects can be checked in one go
+function expect(actual, expected, label) {
+  const a = JSON.stringify(actual);
+  const e = JSON.stringify(expected);
+  if (a !== e) {
+    throw new Error(`${label}: expected ${e}, got ${a}`);
+  }
+  console.log(`✅ ${label}`);
+}
+
+// Expect a promise to reject with a GalleryStoreError code
+async function expectError(promise, code, label) {
+  try {
+    await promise;
+  } catch (error) {
+    expect(error.code, code, label);
+    return;
+  }
+  throw new Error(`${label}: no error thrown`);
+}
+
+// Fresh directory under the OS temp dir for a suite's files, so test runs never touch data/
+function createTestDir(name) {
+  return fs.mkdtempSync(path.join(os.tmpdir(), `gallery-${name}-`));
+}
+
+// Remove a test directory with everything written next to its files (.backups, .history, .revisions)
+function removeTestDir(dir) {
+  fs.rmSync(dir, { recursive: true, force: true });
+}
+
+// SQLite gallery with the original schema; opening it runs every migration
+async function createTestDatabase(filePath) {
+  const dbManager = new DatabaseManager();
+  await dbManager.initialize();
+  const db = new dbManager.SQL.Database();
+  db.run(`
+    CREATE TABLE images (
+      pk_id INTEGER PRIMARY KEY AUTOINCREMENT,
+      id TEXT UNIQUE NOT NULL,
+      title TEXT,
+      description TEXT,
+      src TEXT,
+      ranking REAL,
+      width TEXT,
+      height TEXT,
+      is_major INTEGER DEFAULT 1,
+      group_id TEXT,
+      major_image_id INTEGER,
+      date_added TEXT
+    )
+  `);
+  db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL)');
+  db.run('CREATE TABLE image_tags (image_pk_id INTEGER, tag_id INTEGER, PRIMARY KEY (image_pk_id, tag_id))');
+  db.run('CREATE TABLE metadata (key TEXT PRIMARY KEY, value TEXT)');
+  fs.writeFileSync(filePath, db.export());
+  db.close();
+}
+
+// Start server.js on a free port with its data, uploads and thumbnails in `dir`
+// The server starts when it is first required, so this works once per process
+async function startTestServer(dir) {
+  process.env.DATA_DIR = dir;
+  process.env.MEDIA_DIR = path.join(dir, 'uploads');
+  process.env.THUMBNAIL_DIR = path.join(dir, '.thumbnails');
+  process.env.PORT = '0';
+
+  const app = require('../server');
+  const server = app.locals.server;
+  if (!server.listening) {
+    await new Promise(resolve => server.once('listening', resolve));
+  }
+  return { app, baseUrl: `http://127.0.0.1:${server.address().port}` };
+}
+
+// Close the test server and the SQLite galleries it opened
+async function stopTestServer(app) {
+  await new Promise(resolve => app.locals.server.close(resolve));
+  app.locals.databasePool.closeAll();
+}
+
+// JSON request to the test server: { status, body }
+async function request(baseUrl, method, route, body) {
+  const response = await fetch(`${baseUrl}${route}`, {
+    method: method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// Run `task` without console.log output, e.g. the server's per-request logging
+async function quietly(task) {
+  const log = console.log;
+  console.log = () => {};
+  try {
+    return await task();
+  } finally {
+    console.log = log;
+  }
+}
+
+module.exports = {
+  expect,
+  expectError,
+  createTestDir,
+  removeTestDir,
+  createTestDatabase,
+  startTestServer,
+  stopTestServer,
+  request,
+  quietly
+};
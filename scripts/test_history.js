@@ -0,0 +1,220 @@
+// Test undo/redo: recording edits, restoring images, tags and albums, and the log itself in both stores
+const { openGalleryStore } = require('../gallery_store');
+const DatabasePool = require('../database_pool');
+const { EditHistory, getHistoryFile } = require('../history');
+const { withFileLock } = require('../safe_write');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('↩️ Testing Edit History...\n');
+
+const testDir = createTestDir('history');
+const testJsonPath = path.join(testDir, 'test_history.json');
+const testDbPath = path.join(testDir, 'test_history.db');
+
+const images = [
+  { id: 1, title: 'Harbour', tags: ['sea'], ranking: 9 },
+  { id: 2, title: 'Lighthouse', tags: ['sea', 'night'], ranking: 8 },
+  { id: 3, title: 'Meadow', tags: ['grass'], ranking: 6, groupId: 'meadow' },
+  { id: 4, title: 'Meadow detail', isMajor: false, groupId: 'meadow', majorImageId: 3, groupPosition: 0 }
+];
+
+function tagsOf(store, id) {
+  return [...store.getImage(id).tags].sort();
+}
+
+function entriesOnDisk(filePath) {
+  const historyFile = getHistoryFile(filePath);
+  return fs.existsSync(historyFile) ? JSON.parse(fs.readFileSync(historyFile, 'utf8')).entries.length : 0;
+}
+
+function idsOf(store) {
+  return store.listImages().map(img => String(img.id)).sort();
+}
+
+async function testHistory() {
+  try {
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      const history = new EditHistory({ limit: 8 });
+      const album = await store.createAlbum({ name: 'Favourites', imageIds: [1, 2], coverImageId: 2 });
+
+      console.log(`\n1️⃣ ${store.type} store: recording...`);
+      await expectError(history.undo(filePath, store), 'VALIDATION', `${store.type} nothing to undo at first`);
+      await expectError(history.record(filePath, store, 'Bad edit', () => store.updateImage({ id: 99, title: 'x' })),
+        'NOT_FOUND', `${store.type} failed edit rejected`);
+      await history.record(filePath, store, 'No-op', async () => {});
+      expect(history.list(filePath).entries.length, 0, `${store.type} failed and empty edits not logged`);
+
+      const added = await history.record(filePath, store, 'Add image 5', () => store.addImage({ id: 5, title: 'Forest', tags: ['trees'] }));
+      expect(added.title, 'Forest', `${store.type} record returns the edit's result`);
+      await history.record(filePath, store, 'Edit image 1', () => store.updateImage({ id: 1, title: 'Harbour at dusk', tags: ['sea', 'dusk'], ranking: 9 }));
+      expect(fs.existsSync(getHistoryFile(filePath)), true, `${store.type} log written next to the data file`);
+
+      const listed = history.list(filePath);
+      expect([listed.entries.map(entry => entry.description), listed.canUndo, listed.canRedo],
+        [['Edit image 1', 'Add image 5'], true, false], `${store.type} entries newest first`);
+      expect(listed.entries[0].changes.images, 1, `${store.type} entry counts changed images`);
+
+      console.log(`\n2️⃣ ${store.type} store: undo and redo...`);
+      let entry = await history.undo(filePath, store);
+      expect([entry.description, store.getImage(1).title, tagsOf(store, 1)], ['Edit image 1', 'Harbour', ['sea']], `${store.type} edit undone`);
+      expect(store.listTags().some(tag => tag.name === 'dusk' && tag.count > 0), false, `${store.type} new tag gone from images`);
+      await history.undo(filePath, store);
+      expect(idsOf(store), ['1', '2', '3', '4'], `${store.type} added image removed`);
+      await expectError(history.undo(filePath, store), 'VALIDATION', `${store.type} nothing left to undo`);
+      expect(history.list(filePath).entries.map(item => item.undone), [true, true], `${store.type} undone entries flagged`);
+
+      entry = await history.redo(filePath, store);
+      expect([entry.description, tagsOf(store, 5)], ['Add image 5', ['trees']], `${store.type} add redone`);
+      await history.redo(filePath, store);
+      expect(store.getImage(1).title, 'Harbour at dusk', `${store.type} edit redone`);
+      await expectError(history.redo(filePath, store), 'VALIDATION', `${store.type} nothing left to redo`);
+
+      console.log(`\n3️⃣ ${store.type} store: deletes, albums and groups...`);
+      await history.record(filePath, store, 'Delete image 2', () => store.deleteImage(2));
+      expect([idsOf(store), store.getAlbum(album.id).imageIds.map(String)], [['1', '3', '4', '5'], ['1']], `${store.type} image deleted`);
+      await history.undo(filePath, store);
+      const restored = store.getAlbum(album.id);
+      expect([tagsOf(store, 2), restored.imageIds.map(String), String(restored.coverImageId)],
+        [['night', 'sea'], ['1', '2'], '2'], `${store.type} deleted image back in its album`);
+
+      await history.record(filePath, store, 'Promote', () => store.promoteGroupMember('meadow', 4));
+      expect(String(store.getGroup('meadow').majorImageId), '4', `${store.type} group major changed`);
+      await history.undo(filePath, store);
+      const meadow = store.getGroup('meadow');
+      expect([String(meadow.majorImageId), meadow.imageIds.map(String), store.getImage(4).groupPosition, meadow.problems],
+        ['3', ['3', '4'], 0, []], `${store.type} group restored`);
+
+      await history.record(filePath, store, 'Delete album', () => store.deleteAlbum(album.id));
+      expect(store.listAlbums().length, 0, `${store.type} album deleted`);
+      await history.undo(filePath, store);
+      expect(store.listAlbums().map(item => [item.name, item.imageIds.map(String)]), [['Favourites', ['1', '2']]], `${store.type} album restored`);
+
+      console.log(`\n4️⃣ ${store.type} store: tags and bulk edits...`);
+      await history.record(filePath, store, 'Rename tag', () => store.updateTag('sea', { name: 'ocean', color: '#3366ff', parents: ['water'] }));
+      expect(tagsOf(store, 1), ['dusk', 'ocean'], `${store.type} tag renamed`);
+      await history.undo(filePath, store);
+      const sea = store.listTags().find(tag => tag.name === 'sea');
+      expect([tagsOf(store, 1), tagsOf(store, 2), sea.color, sea.parents], [['dusk', 'sea'], ['night', 'sea'], null, []], `${store.type} tag rename undone`);
+      expect(store.listTags().some(tag => tag.name === 'ocean' || tag.name === 'water'), false, `${store.type} renamed and parent tags gone`);
+      await history.redo(filePath, store);
+      const ocean = store.listTags().find(tag => tag.name === 'ocean');
+      expect([ocean.color, ocean.parents.map(parent => parent.name)], ['#3366ff', ['water']], `${store.type} tag rename redone`);
+
+      await history.record(filePath, store, 'Bulk', () => store.batchUpdateImages([1, 2], [
+        { type: 'addTags', tags: ['favourite'] },
+        { type: 'setRanking', ranking: 2 }
+      ]));
+      await history.undo(filePath, store);
+      expect([tagsOf(store, 2), store.getImage(2).ranking], [['night', 'ocean'], 8], `${store.type} bulk edit undone`);
+
+      await history.record(filePath, store, 'Merge tags', () => store.mergeTags(['night', 'dusk'], 'evening'));
+      expect([tagsOf(store, 1), tagsOf(store, 2)], [['evening', 'ocean'], ['evening', 'ocean']], `${store.type} tags merged`);
+      await history.undo(filePath, store);
+      expect([tagsOf(store, 1), tagsOf(store, 2), store.listTags().some(tag => tag.name === 'evening')],
+        [['dusk', 'ocean'], ['night', 'ocean'], false], `${store.type} tag merge undone`);
+
+      await history.record(filePath, store, 'Delete tag', () => store.deleteTag('ocean'));
+      expect(tagsOf(store, 1), ['dusk'], `${store.type} tag deleted`);
+      await history.undo(filePath, store);
+      const undeleted = store.listTags().find(tag => tag.name === 'ocean');
+      expect([tagsOf(store, 1), undeleted.color, undeleted.parents.map(parent => parent.name)],
+        [['dusk', 'ocean'], '#3366ff', ['water']], `${store.type} tag delete undone`);
+
+      await history.record(filePath, store, 'Nest tag', () => store.updateTag('grass', { parents: [{ name: 'nature', implies: true }] }));
+      expect(tagsOf(store, 3), ['grass', 'nature'], `${store.type} implied parent added`);
+      await history.undo(filePath, store);
+      expect([tagsOf(store, 3), store.listTags().some(tag => tag.name === 'nature')], [['grass'], false], `${store.type} implied parent undone`);
+
+      console.log(`\n5️⃣ ${store.type} store: only what an edit touches is copied...`);
+      const { listImages, listTrash } = store;
+      store.listImages = store.listTrash = () => {
+        throw new Error('whole gallery read');
+      };
+      try {
+        const ranking = store.getImage(5).ranking;
+        await history.record(filePath, store, 'Patch image 5', () => store.patchImage(5, { ranking: 4 }));
+        expect(history.list(filePath).entries[0].changes, { images: 1, trash: 0, albums: 0, tags: 0 }, `${store.type} entry holds the one image`);
+        await history.undo(filePath, store);
+        expect(store.getImage(5).ranking, ranking, `${store.type} undone without reading the gallery`);
+        await history.redo(filePath, store);
+        expect(store.getImage(5).ranking, 4, `${store.type} redone without reading the gallery`);
+      } finally {
+        Object.assign(store, { listImages, listTrash });
+      }
+
+      console.log(`\n6️⃣ ${store.type} store: the log...`);
+      await history.record(filePath, store, 'Edit image 3', () => store.updateImage({ id: 3, title: 'Meadow', tags: ['grass'], ranking: 1, groupId: 'meadow' }));
+      const log = history.list(filePath);
+      expect([log.entries[0].description, log.canRedo], ['Edit image 3', false], `${store.type} new edit drops undone entries`);
+      expect(log.entries.length <= 8, true, `${store.type} log trimmed to its limit`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+      const reopened = await openGalleryStore(filePath);
+      await history.undo(filePath, reopened);
+      expect([reopened.getImage(3).ranking, tagsOf(reopened, 1)], [6, ['dusk', 'ocean']], `${store.type} undo works after reopening`);
+      if (reopened.type === 'sqlite') {
+        reopened.db.close();
+      }
+
+      await history.clear(filePath);
+      expect([fs.existsSync(getHistoryFile(filePath)), history.list(filePath).canUndo], [false, false], `${store.type} history cleared`);
+    }
+
+    console.log('\n7️⃣ Edits under the write lock...');
+    const store = await openGalleryStore(testJsonPath);
+    const history = new EditHistory();
+    await Promise.all([1, 2, 3].map(n => withFileLock(testJsonPath, () => history.record(testJsonPath, store, `Rank ${n}`,
+      () => store.updateImage({ ...store.getImage(1), ranking: n })))));
+    expect(history.list(testJsonPath).entries.map(entry => entry.description), ['Rank 3', 'Rank 2', 'Rank 1'], 'Concurrent edits logged in order');
+    await history.undo(testJsonPath, store);
+    expect(store.getImage(1).ranking, 2, 'Undo steps back one edit');
+
+    console.log('\n8️⃣ Pooled databases...');
+    const pool = new DatabasePool({ flushDelay: 60000, maxFlushDelay: 60000 });
+    try {
+      const pooled = await openGalleryStore(testDbPath, { pool });
+      const pooledHistory = new EditHistory();
+      await pooledHistory.record(testDbPath, pooled, 'Pooled edit', () => pooled.patchImage(1, { ranking: 1 }));
+      expect([pooledHistory.list(testDbPath).entries.length, entriesOnDisk(testDbPath)], [1, 0], 'Log waits for the database flush');
+      pool.flush(testDbPath);
+      expect(entriesOnDisk(testDbPath), 1, 'Log saved with the flush');
+
+      // The database changes on disk before the next edit is flushed: both are dropped
+      await pooledHistory.record(testDbPath, pooled, 'Lost edit', () => pooled.patchImage(1, { ranking: 2 }));
+      const elsewhere = await openGalleryStore(testDbPath);
+      await elsewhere.patchImage(1, { title: 'Renamed elsewhere' });
+      elsewhere.db.close();
+      pool.flush(testDbPath);
+      expect([pooledHistory.list(testDbPath).entries.length, entriesOnDisk(testDbPath)], [1, 1], 'Log of an unsaved edit dropped with it');
+    } finally {
+      pool.closeAll();
+    }
+
+  } catch (error) {
+    console.log('❌ Edit history test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Edit history tests completed successfully!');
+}
+
+testHistory().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+// Test per-image revisions: recording updates, field diffs, ID changes and reverting in both stores
+const { openGalleryStore } = require('../gallery_store');
+const { RevisionLog, diffImages, getRevisionsFile } = require('../revisions');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🕰️ Testing Image Revisions...\n');
+
+const testDir = createTestDir('image-revisions');
+const testJsonPath = path.join(testDir, 'test_image_revisions.json');
+const testDbPath = path.join(testDir, 'test_image_revisions.db');
+
+const images = [
+  { id: 'harbour', title: 'Harbour', description: 'Boats', tags: ['sea'], ranking: 7, date: '2024-05-01T10:00:00.000Z' },
+  { id: 'meadow', title: 'Meadow', tags: ['grass'], ranking: 6, groupId: 'fields', date: '2024-05-02T10:00:00.000Z' }
+];
+
+function changedFields(revision) {
+  return revision.changes.map(change => change.field);
+}
+
+async function testImageRevisions() {
+  try {
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    console.log('1️⃣ Field diffs...');
+    expect(diffImages({ title: 'A', tags: ['b', 'a'], ranking: 1 }, { title: 'A', tags: ['a', 'b'], ranking: 1 }), [], 'Tag order is not a change');
+    expect(diffImages({ title: 'A', description: '' }, { title: 'B', description: '', src: 'x.jpg' }),
+      [{ field: 'title', before: 'A', after: 'B' }, { field: 'src', before: null, after: 'x.jpg' }], 'Changed and added fields listed');
+    expect(diffImages({ title: 'A' }, { title: 'A', src: '', isMajor: true }), [], 'Defaults filled in are not a change');
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+
+      console.log(`\n2️⃣ ${store.type} store: recording updates...`);
+      expect(store.getImageHistory('harbour').revisions, [], `${store.type} no revisions before the first update`);
+      await store.updateImage({ ...store.getImage('harbour'), title: 'Harbour at dawn', tags: ['sea', 'dawn'] });
+      await store.updateImage({ ...store.getImage('harbour'), ranking: 9, description: 'Boats at sunrise' });
+
+      let history = store.getImageHistory('harbour');
+      expect(history.image.title, 'Harbour at dawn', `${store.type} history includes the current image`);
+      expect(history.revisions.length, 2, `${store.type} one revision per update`);
+      expect(changedFields(history.revisions[0]), ['description', 'ranking'], `${store.type} newest revision shows the latest update's fields`);
+      expect(history.revisions[0].changes.find(change => change.field === 'ranking'), { field: 'ranking', before: 7, after: 9 },
+        `${store.type} diff holds before and after values`);
+      expect(changedFields(history.revisions[1]), ['title', 'tags'], `${store.type} oldest revision shows the first update's fields`);
+      expect([history.revisions[1].image.title, [...history.revisions[1].image.tags]], ['Harbour', ['sea']], `${store.type} revision keeps the replaced version with its tags`);
+      expect(store.getImageHistory('meadow').revisions, [], `${store.type} other images unaffected`);
+
+      console.log(`\n3️⃣ ${store.type} store: ID changes and reverting...`);
+      await store.updateImage({ ...store.getImage('harbour'), originalId: 'harbour', id: 'port' });
+      history = store.getImageHistory('port');
+      expect([history.revisions.length, changedFields(history.revisions[0])], [3, ['id']], `${store.type} revisions follow an ID change`);
+
+      const first = history.revisions[2];
+      const reverted = await store.revertImage('port', first.id);
+      expect([reverted.id, reverted.title, reverted.description, reverted.ranking, [...reverted.tags].sort()],
+        ['port', 'Harbour', 'Boats', 7, ['sea']], `${store.type} revert restores the content but keeps the ID`);
+      history = store.getImageHistory('port');
+      expect([history.revisions.length, changedFields(history.revisions[0])], [4, ['title', 'description', 'ranking', 'tags']],
+        `${store.type} revert is recorded as a revision too`);
+      await expectError(store.revertImage('port', 9999), 'NOT_FOUND', `${store.type} unknown revision rejected`);
+      await expectError(store.revertImage('meadow', first.id), 'NOT_FOUND', `${store.type} another image's revision rejected`);
+      await expectError(Promise.resolve().then(() => store.getImageHistory('missing')), 'NOT_FOUND', `${store.type} unknown image rejected`);
+
+      console.log(`\n4️⃣ ${store.type} store: storage...`);
+      if (store.type === 'json') {
+        expect(Object.keys(JSON.parse(fs.readFileSync(getRevisionsFile(filePath), 'utf8')).images), ['port'], 'json revisions kept in a sidecar file');
+      }
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+      const reopened = await openGalleryStore(filePath);
+      expect(reopened.getImageHistory('port').revisions.length, 4, `${store.type} revisions persisted`);
+
+      await reopened.deleteImage('port');
+      expect(reopened.listImageRevisions('port').length, 4, `${store.type} trashed image keeps its revisions`);
+      await reopened.purgeTrash(['port']);
+      expect(reopened.listImageRevisions('port'), [], `${store.type} purged image's revisions removed`);
+      if (reopened.type === 'sqlite') {
+        const rows = reopened.db.db.exec('SELECT COUNT(*) FROM image_revisions')[0].values[0][0];
+        expect(rows, 0, 'sqlite revision rows deleted');
+        reopened.db.close();
+      }
+    }
+
+    console.log('\n5️⃣ Revision limit...');
+    const log = new RevisionLog(testJsonPath, { limit: 2 });
+    [1, 2, 3].forEach(n => log.record('meadow', { id: 'meadow', title: `Meadow ${n}` }));
+    expect(log.list('meadow').map(revision => revision.image.title), ['Meadow 3', 'Meadow 2'], 'Only the latest revisions kept');
+
+  } catch (error) {
+    console.log('❌ Image revisions test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Image revision tests completed successfully!');
+}
+
+testImageRevisions().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,97 @@
+// Test that the per-image routes give the same results for JSON and SQLite galleries
+const fs = require('fs');
+const path = require('path');
+const {
+  expect, createTestDir, removeTestDir, createTestDatabase, startTestServer, stopTestServer, request, quietly
+} = require('./test_helpers');
+
+console.log('🧪 Testing Image Resource Routes...\n');
+
+const testDir = createTestDir('image-routes');
+const testJsonFile = 'test_image_routes.json';
+const testDbFile = 'test_image_routes.db';
+
+let baseUrl;
+
+// Request without the server's per-request logging
+function send(method, route, body) {
+  return quietly(() => request(baseUrl, method, route, body));
+}
+
+// Fields set by the server's clock or only one store's bookkeeping are left out of the comparison
+function comparable(image) {
+  const { title, description, src, ranking, tags, isMajor, groupId } = image;
+  return { id: String(image.id), title, description, src, ranking, tags: [...tags].sort(), isMajor, groupId: groupId || null };
+}
+
+async function runScenario(file) {
+  console.log(`\n📂 ${file}`);
+  const route = `/api/galleries/${file}/images`;
+
+  const added = await send('POST', route, {
+    id: 'put-1', title: 'Harbour', description: 'Boats at dusk', ranking: 7.5, tags: ['boats', 'dusk']
+  });
+  expect(added.status, 201, `${file} image added`);
+  await send('POST', route, { id: 'put-2', title: 'Other' });
+
+  const replaced = await send('PUT', `${route}/put-1`, { title: 'Harbour at night', tags: ['boats'] });
+  expect(replaced.status, 200, `${file} PUT succeeds`);
+  expect([replaced.body.image.ranking, replaced.body.image.description], [null, ''], `${file} PUT resets the fields it leaves out`);
+
+  const fetched = await send('GET', `${route}/put-1`);
+  expect(comparable(fetched.body.image), comparable(replaced.body.image), `${file} PUT result matches the saved image`);
+
+  const renamed = await send('PUT', `${route}/put-1`, { id: 'put-3', title: 'Harbour at night', ranking: 3 });
+  expect([renamed.status, renamed.body.image.id, renamed.body.image.ranking], [200, 'put-3', 3], `${file} PUT with a new id renames`);
+
+  const missing = await send('PUT', `${route}/put-1`, { title: 'Gone' });
+  const duplicate = await send('PUT', `${route}/put-3`, { id: 'put-2', title: 'Clash' });
+  const invalid = await send('PUT', `${route}/put-3`, { title: 'Bad', ranking: 'high' });
+  expect([missing.status, duplicate.status, invalid.status], [404, 409, 422], `${file} PUT errors use 404, 409 and 422`);
+
+  // A subsidiary with text IDs keeps its major through a PATCH of another field and its undo
+  await send('POST', route, { id: 'img_1', title: 'Pier' });
+  await send('POST', route, { id: 'img_2', isMajor: false, groupId: 'pier', majorImageId: 'img_1' });
+  const patched = await send('PATCH', `${route}/img_2`, { description: 'Low tide' });
+  expect([patched.status, patched.body.image.majorImageId], [200, 'img_1'], `${file} PATCH keeps a text majorImageId`);
+  await send('POST', '/api/history/undo', { dataFile: file });
+  const undone = await send('GET', `${route}/img_2`);
+  expect([undone.body.image.description, undone.body.image.majorImageId], ['', 'img_1'], `${file} undo keeps a text majorImageId`);
+
+  const tags = await send('GET', `/api/tags?file=${file}`);
+  return {
+    replaced: comparable(replaced.body.image),
+    renamed: comparable(renamed.body.image),
+    tags: tags.body.tags.map(tag => `${tag.name}:${tag.count}`)
+  };
+}
+
+async function testImageRoutes() {
+  fs.writeFileSync(path.join(testDir, testJsonFile), JSON.stringify({ images: [], metadata: { version: '1.0' } }, null, 2));
+  await createTestDatabase(path.join(testDir, testDbFile));
+  const server = await startTestServer(testDir);
+  baseUrl = server.baseUrl;
+
+  try {
+    const jsonResult = await runScenario(testJsonFile);
+    const sqliteResult = await runScenario(testDbFile);
+
+    console.log('\n⚖️ Comparing results...');
+    expect(sqliteResult, jsonResult, 'Both galleries return the same PUT results');
+
+  } catch (error) {
+    console.log('❌ Image route test failed:', error.message);
+    throw error;
+  } finally {
+    await stopTestServer(server.app);
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Image route tests completed successfully!');
+}
+
+testImageRoutes().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
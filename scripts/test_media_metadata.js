@@ -0,0 +1,296 @@
+// Test EXIF/video metadata extraction, storage in both stores and metadata filters
+const { ThumbnailService } = require('../thumbnails');
+const { MediaMetadataScanner, extractMediaMetadata, normalizeMediaMetadata } = require('../media_metadata');
+const { openGalleryStore, GalleryStore } = require('../gallery_store');
+const jpeg = require('jpeg-js');
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('📷 Testing Media Metadata...\n');
+
+const testDir = createTestDir('media-metadata');
+const testJsonPath = path.join(testDir, 'test_media_metadata.json');
+const testDbPath = path.join(testDir, 'test_media_metadata.db');
+const rootDir = path.join(testDir, 'test_media_metadata');
+
+// Big-endian TIFF IFD entries: { tag, type, values } (type 2 takes a string)
+const TYPE_SIZES = { 2: 1, 3: 2, 4: 4, 5: 8 };
+
+function valueBytes(entry) {
+  if (entry.type === 2) {
+    return Buffer.from(`${entry.values}\0`, 'latin1');
+  }
+  const buffer = Buffer.alloc(entry.values.length * TYPE_SIZES[entry.type]);
+  entry.values.forEach((value, i) => {
+    if (entry.type === 3) buffer.writeUInt16BE(value, i * 2);
+    if (entry.type === 4) buffer.writeUInt32BE(value, i * 4);
+    if (entry.type === 5) {
+      buffer.writeUInt32BE(value[0], i * 8);
+      buffer.writeUInt32BE(value[1], i * 8 + 4);
+    }
+  });
+  return buffer;
+}
+
+function ifdLength(entries) {
+  return 6 + entries.length * 12 + entries.map(valueBytes).filter(bytes => bytes.length > 4).reduce((sum, bytes) => sum + bytes.length, 0);
+}
+
+function ifdBytes(entries, start) {
+  const table = Buffer.alloc(6 + entries.length * 12);
+  const extra = [];
+  let dataOffset = start + table.length;
+  table.writeUInt16BE(entries.length, 0);
+  entries.forEach((entry, i) => {
+    const at = 2 + i * 12;
+    const bytes = valueBytes(entry);
+    table.writeUInt16BE(entry.tag, at);
+    table.writeUInt16BE(entry.type, at + 2);
+    table.writeUInt32BE(entry.type === 2 ? bytes.length : entry.values.length, at + 4);
+    if (bytes.length <= 4) {
+      bytes.copy(table, at + 8);
+    } else {
+      table.writeUInt32BE(dataOffset, at + 8);
+      extra.push(bytes);
+      dataOffset += bytes.length;
+    }
+  });
+  return Buffer.concat([table, ...extra]);
+}
+
+function tiffBlock(ifd0, exif, gps) {
+  const exifStart = 8 + ifdLength(ifd0) + 24;
+  const gpsStart = exifStart + ifdLength(exif);
+  const fullIfd0 = [...ifd0, { tag: 0x8769, type: 4, values: [exifStart] }, { tag: 0x8825, type: 4, values: [gpsStart] }];
+  const header = Buffer.from([0x4D, 0x4D, 0, 42, 0, 0, 0, 8]);
+  return Buffer.concat([header, ifdBytes(fullIfd0, 8), ifdBytes(exif, exifStart), ifdBytes(gps, gpsStart)]);
+}
+
+// Decodable JPEG with an APP1 EXIF segment after SOI
+function jpegWithExif(tiff) {
+  const pixels = Buffer.alloc(32 * 24 * 4, 128);
+  const encoded = jpeg.encode({ width: 32, height: 24, data: pixels }, 80).data;
+  const payload = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const app1 = Buffer.alloc(4);
+  app1.writeUInt16BE(0xFFE1, 0);
+  app1.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([encoded.subarray(0, 2), app1, payload, encoded.subarray(2)]);
+}
+
+function cameraJpeg(make, model, lens, dateTime) {
+  return jpegWithExif(tiffBlock(
+    [
+      { tag: 0x010F, type: 2, values: make },
+      { tag: 0x0110, type: 2, values: model },
+      { tag: 0x0112, type: 3, values: [6] }
+    ],
+    [
+      { tag: 0x829A, type: 5, values: [[1, 250]] },
+      { tag: 0x829D, type: 5, values: [[28, 10]] },
+      { tag: 0x8827, type: 3, values: [400] },
+      { tag: 0x9003, type: 2, values: dateTime },
+      { tag: 0x9011, type: 2, values: '+02:00' },
+      { tag: 0x920A, type: 5, values: [[50, 1]] },
+      { tag: 0xA434, type: 2, values: lens }
+    ],
+    [
+      { tag: 1, type: 2, values: 'N' },
+      { tag: 2, type: 5, values: [[48, 1], [51, 1], [3000, 100]] },
+      { tag: 3, type: 2, values: 'W' },
+      { tag: 4, type: 5, values: [[2, 1], [21, 1], [0, 1]] },
+      { tag: 6, type: 5, values: [[355, 10]] }
+    ]
+  ));
+}
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+function mp4Track(handler, codec, width = 0, height = 0) {
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+  const hdlr = Buffer.alloc(24);
+  hdlr.write(handler, 8, 'latin1');
+  const stsd = Buffer.alloc(24);
+  stsd.writeUInt32BE(1, 4);
+  stsd.writeUInt32BE(16, 8);
+  stsd.write(codec, 12, 'latin1');
+  return box('trak', box('tkhd', tkhd), box('mdia', box('hdlr', hdlr), box('minf', box('stbl', box('stsd', stsd)))));
+}
+
+// MP4 of 90 s (timescale 1000) created 2024-03-10T12:00:00Z, moov after mdat
+function mp4File() {
+  const mvhd = Buffer.alloc(100);
+  mvhd.writeUInt32BE(Date.UTC(2024, 2, 10, 12) / 1000 + 2082844800, 4);
+  mvhd.writeUInt32BE(1000, 12);
+  mvhd.writeUInt32BE(90000, 16);
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1')),
+    box('mdat', Buffer.alloc(1024)),
+    box('moov', box('mvhd', mvhd), mp4Track('soun', 'mp4a'), mp4Track('vide', 'avc1', 1920, 1080))
+  ]);
+}
+
+function ebml(id, body) {
+  const idBytes = Buffer.from(id.toString(16).padStart(id > 0xFFFFFF ? 8 : id > 0xFFFF ? 6 : id > 0xFF ? 4 : 2, '0'), 'hex');
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(0x01000000, 0);
+  size.writeUInt32BE(body.length, 4);
+  return Buffer.concat([idBytes, size, body]);
+}
+
+// WebM of 12.5 s recorded 2022-11-05T08:30:00Z with VP9 video and Opus audio
+function webmFile() {
+  const uint16 = value => Buffer.from([value >> 8, value & 0xFF]);
+  const duration = Buffer.alloc(8);
+  duration.writeDoubleBE(12500);
+  const date = Buffer.alloc(8);
+  date.writeBigInt64BE(BigInt(Date.UTC(2022, 10, 5, 8, 30) - 978307200000) * 1000000n);
+  const info = ebml(0x1549A966, Buffer.concat([ebml(0x2AD7B1, Buffer.from([0x0F, 0x42, 0x40])), ebml(0x4489, duration), ebml(0x4461, date)]));
+  const video = ebml(0xE0, Buffer.concat([ebml(0xB0, uint16(640)), ebml(0xBA, uint16(360))]));
+  const tracks = ebml(0x1654AE6B, Buffer.concat([
+    ebml(0xAE, Buffer.concat([ebml(0x83, Buffer.from([1])), ebml(0x86, Buffer.from('V_VP9', 'latin1')), video])),
+    ebml(0xAE, Buffer.concat([ebml(0x83, Buffer.from([2])), ebml(0x86, Buffer.from('A_OPUS', 'latin1'))]))
+  ]));
+  const header = ebml(0x1A45DFA3, ebml(0x4282, Buffer.from('webm', 'latin1')));
+  return Buffer.concat([header, ebml(0x18538067, Buffer.concat([info, tracks]))]);
+}
+
+async function testMediaMetadata() {
+  try {
+    console.log('1️⃣ Reading metadata from files...');
+    fs.mkdirSync(path.join(rootDir, 'media'), { recursive: true });
+    fs.writeFileSync(path.join(rootDir, 'canon.jpg'), cameraJpeg('Canon', 'Canon EOS R6', 'RF24-105mm F4 L IS USM', '2023:07:14 18:05:09'));
+    fs.writeFileSync(path.join(rootDir, 'media', 'fuji.jpg'), cameraJpeg('FUJIFILM', 'X-T4', 'XF23mmF2 R WR', '2021:01:02 09:00:00'));
+    fs.writeFileSync(path.join(rootDir, 'clip.mp4'), mp4File());
+    fs.writeFileSync(path.join(rootDir, 'clip.webm'), webmFile());
+    fs.writeFileSync(path.join(rootDir, 'plain.jpg'), jpeg.encode({ width: 8, height: 8, data: Buffer.alloc(256, 200) }, 80).data);
+
+    expect(await extractMediaMetadata(path.join(rootDir, 'canon.jpg')), {
+      cameraMake: 'Canon',
+      cameraModel: 'Canon EOS R6',
+      lensModel: 'RF24-105mm F4 L IS USM',
+      exposureTime: 0.004,
+      fNumber: 2.8,
+      iso: 400,
+      focalLength: 50,
+      capturedAt: '2023-07-14T18:05:09+02:00',
+      orientation: 6,
+      gpsLatitude: 48.858333,
+      gpsLongitude: -2.35,
+      gpsAltitude: 35.5
+    }, 'JPEG EXIF camera, exposure, capture time and GPS');
+    expect(await extractMediaMetadata(path.join(rootDir, 'clip.mp4')), {
+      capturedAt: '2024-03-10T12:00:00Z',
+      duration: 90,
+      videoCodec: 'avc1',
+      audioCodec: 'mp4a',
+      frameWidth: 1920,
+      frameHeight: 1080
+    }, 'MP4 duration, codecs and frame size');
+    expect(await extractMediaMetadata(path.join(rootDir, 'clip.webm')), {
+      capturedAt: '2022-11-05T08:30:00Z',
+      duration: 12.5,
+      videoCodec: 'vp9',
+      audioCodec: 'opus',
+      frameWidth: 640,
+      frameHeight: 360
+    }, 'WebM duration, codecs and frame size');
+    expect(await extractMediaMetadata(path.join(rootDir, 'plain.jpg')), null, 'JPEG without EXIF has no metadata');
+
+    expect(normalizeMediaMetadata({ iso: 100, unknown: 'x', lensModel: '' }), { iso: 100 }, 'Supplied metadata compacted to known fields');
+    try {
+      normalizeMediaMetadata({ iso: '100' });
+      throw new Error('String ISO was accepted');
+    } catch (error) {
+      expect(error.message, 'Invalid mediaMetadata.iso: "100"', 'Wrong field type rejected');
+    }
+
+    console.log('\n2️⃣ Storing and filtering in both stores...');
+    const scanner = new MediaMetadataScanner(new ThumbnailService({
+      cacheDir: path.join(rootDir, '.thumbnails'),
+      mediaDir: path.join(rootDir, 'media'),
+      rootDir
+    }));
+    expect(await scanner.scanSource('https://example.com/photo.jpg'), undefined, 'Remote sources are not scanned');
+    const remote = { id: 9, title: 'Remote', src: 'https://example.com/photo.jpg', mediaMetadata: { cameraModel: 'Pixel 8' } };
+    expect((await scanner.withMetadata(remote)).mediaMetadata, { cameraModel: 'Pixel 8' }, 'Remote sources keep supplied metadata');
+
+    const images = [
+      { id: 1, title: 'Canon', src: 'canon.jpg', ranking: 5, tags: ['city'], groupId: 'g1' },
+      { id: 2, title: 'Canon detail', src: '', isMajor: false, groupId: 'g1', tags: [] },
+      { id: 3, title: 'Fuji', src: 'media/fuji.jpg', ranking: 4, tags: ['winter'] },
+      { id: 4, title: 'Clip', src: 'clip.mp4', ranking: 3, tags: [] },
+      { id: 5, title: 'Plain', src: 'plain.jpg', ranking: 2, tags: [] }
+    ];
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images: [] }, null, 2));
+    await createTestDatabase(testDbPath);
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      for (const img of images) {
+        await store.addImage(await scanner.withMetadata(img));
+      }
+      await store.addImage(remote);
+
+      expect(store.getImage(1).mediaMetadata.cameraModel, 'Canon EOS R6', `${store.type} store saves metadata`);
+      expect([store.getImage(4).mediaMetadata.duration, store.getImage(5).mediaMetadata],
+        [90, null], `${store.type} store saves video metadata and empty metadata`);
+      expect(store.listImages().find(img => img.id == 9).mediaMetadata, { cameraModel: 'Pixel 8' }, `${store.type} listImages includes metadata`);
+
+      const query = params => store.queryImages(GalleryStore.parseQuery({ pageSize: '50', ...params }))
+        .images.map(img => String(img.id));
+      expect(query({ camera: 'canon' }), ['1', '2'], `${store.type} camera filter matches make and subsidiaries follow their major`);
+      expect(query({ camera: 'rf24' }), ['1', '2'], `${store.type} camera filter matches the lens`);
+      expect(query({ captured: '2021' }), ['3'], `${store.type} captured year filter`);
+      expect(query({ captured: '2024-03-10' }), ['4'], `${store.type} captured day filter`);
+      expect(query({ camera: 'x-t4', captured: '2023' }), [], `${store.type} camera and captured filters combine`);
+
+      await store.updateImage({ ...store.getImage(9), mediaMetadata: undefined, title: 'Remote renamed' });
+      expect(store.getImage(9).mediaMetadata, { cameraModel: 'Pixel 8' }, `${store.type} update without metadata keeps it`);
+
+      fs.copyFileSync(path.join(rootDir, 'media', 'fuji.jpg'), path.join(rootDir, 'plain.jpg'));
+      expect(await scanner.rescan(store, [5]), { scanned: 1, found: 1 }, `${store.type} rescan of one image`);
+      expect(store.getImage(5).mediaMetadata.cameraMake, 'FUJIFILM', `${store.type} rescan stores new metadata`);
+      expect(await scanner.rescan(store), { scanned: 4, found: 4 }, `${store.type} rescan skips images without a local file`);
+      fs.writeFileSync(path.join(rootDir, 'plain.jpg'), jpeg.encode({ width: 8, height: 8, data: Buffer.alloc(256, 200) }, 80).data);
+
+      await store.deleteImage(1, { subsidiaries: 'rehome' });
+      await store.purgeTrash([1]);
+      if (store.type === 'sqlite') {
+        const rows = store.db.db.exec('SELECT COUNT(*) FROM image_metadata')[0].values[0][0];
+        expect(rows, 4, 'sqlite metadata row purged with its image');
+        store.db.close();
+      }
+    }
+
+    try {
+      GalleryStore.parseQuery({ captured: '07/2023' });
+      throw new Error('Invalid captured date was accepted');
+    } catch (error) {
+      expect(error.code, 'VALIDATION', 'Invalid captured date rejected');
+    }
+
+  } catch (error) {
+    console.log('❌ Media metadata test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Media metadata tests completed successfully!');
+}
+
+testMediaMetadata().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,181 @@
+// Test media sniffing, collision-safe upload storage and media fields in both stores
+const { detectFormat, readDimensions, probeMediaFile } = require('../media_info');
+const { MediaStorage, reserveFileName, sanitizeBaseName } = require('../media_storage');
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('📤 Testing Media Uploads...\n');
+
+const testDir = createTestDir('media-upload');
+const mediaDir = path.join(testDir, 'test_media_upload');
+const testJsonPath = path.join(testDir, 'test_media_upload.json');
+const testDbPath = path.join(testDir, 'test_media_upload.db');
+
+// Minimal file headers for each format
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  buffer.writeUInt32BE(0x89504E47, 0);
+  buffer.writeUInt32BE(0x0D0A1A0A, 4);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write('IHDR', 12, 'latin1');
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+function jpegHeader(width, height) {
+  const app0 = Buffer.from([0xFF, 0xE0, 0x00, 0x04, 0x00, 0x00]);
+  const sof = Buffer.alloc(10);
+  sof.writeUInt16BE(0xFFC2, 0);
+  sof.writeUInt16BE(8, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xFF, 0xD8]), app0, sof, Buffer.alloc(4)]);
+}
+
+function gifHeader(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write('GIF89a', 0, 'latin1');
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function webpHeader(width, height) {
+  const buffer = Buffer.alloc(30);
+  buffer.write('RIFF', 0, 'latin1');
+  buffer.write('WEBPVP8X', 8, 'latin1');
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+}
+
+function box(type, ...children) {
+  const body = Buffer.concat(children);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(8 + body.length, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+}
+
+// MP4 with the moov box after mdat, as cameras usually write it
+function mp4File(width, height) {
+  const tkhd = Buffer.alloc(84);
+  tkhd.writeUInt32BE(width * 65536, 76);
+  tkhd.writeUInt32BE(height * 65536, 80);
+  const audioTkhd = Buffer.alloc(84);
+  return Buffer.concat([
+    box('ftyp', Buffer.from('isom\0\0\0\0isommp41', 'latin1')),
+    box('mdat', Buffer.alloc(1024)),
+    box('moov', box('mvhd', Buffer.alloc(100)), box('trak', box('tkhd', audioTkhd)), box('trak', box('tkhd', tkhd)))
+  ]);
+}
+
+function ebml(id, body) {
+  const idBytes = Buffer.from(id.toString(16).padStart(id > 0xFFFFFF ? 8 : id > 0xFFFF ? 6 : id > 0xFF ? 4 : 2, '0'), 'hex');
+  const size = Buffer.alloc(8);
+  size.writeUInt32BE(0x01000000, 0);
+  size.writeUInt32BE(body.length, 4);
+  return Buffer.concat([idBytes, size, body]);
+}
+
+function webmFile(width, height) {
+  const uint16 = value => Buffer.from([value >> 8, value & 0xFF]);
+  const header = ebml(0x1A45DFA3, ebml(0x4282, Buffer.from('webm', 'latin1')));
+  const video = ebml(0xE0, Buffer.concat([ebml(0xB0, uint16(width)), ebml(0xBA, uint16(height))]));
+  const tracks = ebml(0x1654AE6B, ebml(0xAE, Buffer.concat([ebml(0xD7, Buffer.from([1])), video])));
+  return Buffer.concat([header, ebml(0x18538067, Buffer.concat([ebml(0x1549A966, Buffer.alloc(4)), tracks]))]);
+}
+
+async function testMediaUpload() {
+  try {
+    console.log('1️⃣ Sniffing formats and dimensions...');
+    const samples = {
+      png: pngHeader(640, 480),
+      jpeg: jpegHeader(1920, 1080),
+      gif: gifHeader(32, 16),
+      webp: webpHeader(4000, 3000),
+      webm: webmFile(1280, 720)
+    };
+    for (const [format, buffer] of Object.entries(samples)) {
+      expect(detectFormat(buffer), format, `${format} detected`);
+    }
+    expect(readDimensions(samples.png, 'png'), { width: 640, height: 480 }, 'PNG size');
+    expect(readDimensions(samples.jpeg, 'jpeg'), { width: 1920, height: 1080 }, 'JPEG size from SOF2');
+    expect(readDimensions(samples.webp, 'webp'), { width: 4000, height: 3000 }, 'WebP (VP8X) size');
+    expect(readDimensions(samples.webm, 'webm'), { width: 1280, height: 720 }, 'WebM size');
+    expect(detectFormat(Buffer.from('just some text')), null, 'Text is rejected');
+
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const mp4Path = path.join(mediaDir, 'clip.mp4');
+    fs.writeFileSync(mp4Path, mp4File(1920, 1080));
+    const mp4 = await probeMediaFile(mp4Path);
+    expect([mp4.format, mp4.kind, mp4.width, mp4.height], ['mp4', 'video', 1920, 1080], 'MP4 size from moov at end of file');
+    fs.unlinkSync(mp4Path);
+
+    console.log('\n2️⃣ Storing uploads...');
+    expect(sanitizeBaseName('../Café photo (1).JPG'), 'Cafe-photo-1', 'File names sanitized');
+    expect(['a', 'a', 'a'].map(() => reserveFileName(mediaDir, 'a', '.png')), ['a.png', 'a-1.png', 'a-2.png'], 'Name collisions get a suffix');
+
+    // Simulate what multer leaves on disk: a PNG saved under a .jpg name, and a text file
+    const storage = new MediaStorage({ mediaDir });
+    const disguised = reserveFileName(mediaDir, 'photo', '.jpg');
+    fs.writeFileSync(path.join(mediaDir, disguised), pngHeader(10, 20));
+    const [stored] = await storage.finalize([{ originalname: 'photo.jpg', filename: disguised, path: path.join(mediaDir, disguised) }]);
+    expect([stored.fileName, stored.src, stored.mimeType, stored.width, stored.height],
+      ['photo.png', 'media/photo.png', 'image/png', 10, 20], 'Stored under the extension of its real format');
+
+    const text = reserveFileName(mediaDir, 'notes', '.png');
+    fs.writeFileSync(path.join(mediaDir, text), 'not an image');
+    try {
+      await storage.finalize([{ originalname: 'notes.png', filename: text, path: path.join(mediaDir, text) }]);
+      throw new Error('Text file was accepted');
+    } catch (error) {
+      expect(error.code, 'UNSUPPORTED_MEDIA', 'Unsupported file rejected');
+    }
+    expect(fs.existsSync(path.join(mediaDir, text)), false, 'Rejected file removed');
+
+    console.log('\n3️⃣ Saving media details in both stores...');
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images: [] }, null, 2));
+    await createTestDatabase(testDbPath);
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      const record = storage.buildImageRecord({ ...stored, originalName: 'my_holiday-photo.png' }, store.getNextImageId(), { tags: ['upload'] });
+      await store.addImage(record);
+      const saved = store.getImage(record.id);
+      expect([saved.title, saved.src, saved.pixelWidth, saved.pixelHeight, saved.fileSize, saved.mimeType],
+        ['my holiday photo', 'media/photo.png', 10, 20, stored.size, 'image/png'], `${store.type} store keeps media details`);
+
+      await store.updateImage({ ...saved, title: 'Renamed' });
+      expect(store.getImage(record.id).pixelWidth, 10, `${store.type} update keeps media details`);
+
+      try {
+        await store.addImage({ ...record, id: 'bad', pixelWidth: -1 });
+        throw new Error('Negative pixelWidth accepted');
+      } catch (error) {
+        expect(error.code, 'VALIDATION', `${store.type} rejects invalid media details`);
+      }
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Media upload test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Media upload tests completed successfully!');
+}
+
+testMediaUpload().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
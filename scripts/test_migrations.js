@@ -0,0 +1,119 @@
+// Test versioned schema migrations on a legacy INTEGER-id database
+const DatabaseManager = require('../database');
+const { LATEST_SCHEMA_VERSION, getSchemaVersion } = require('../migrations');
+const { listBackups } = require('../safe_write');
+const fs = require('fs');
+const path = require('path');
+const { createTestDir, removeTestDir } = require('./test_helpers');
+
+console.log('🧱 Testing Schema Migrations...\n');
+
+const testDir = createTestDir('migrations');
+const testDbPath = path.join(testDir, 'test_migrations.db');
+
+async function createLegacyDatabase() {
+  const dbManager = new DatabaseManager();
+  await dbManager.initialize();
+  const db = new dbManager.SQL.Database();
+
+  db.run(`
+    CREATE TABLE images (
+      id INTEGER PRIMARY KEY,
+      title TEXT NOT NULL,
+      description TEXT,
+      src TEXT,
+      ranking REAL,
+      width TEXT,
+      height TEXT,
+      is_major INTEGER DEFAULT 1,
+      group_id TEXT,
+      major_image_id INTEGER,
+      date_added TEXT
+    )
+  `);
+  db.run('CREATE TABLE tags (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT UNIQUE NOT NULL)');
+  db.run(`
+    CREATE TABLE image_tags (
+      image_id INTEGER,
+      tag_id INTEGER,
+      PRIMARY KEY (image_id, tag_id)
+    )
+  `);
+  db.run("INSERT INTO images (id, title, ranking) VALUES (1, 'Legacy One', 8), (2, 'Legacy Two', 5)");
+  db.run("INSERT INTO tags (name) VALUES ('old'), ('kept')");
+  db.run('INSERT INTO image_tags (image_id, tag_id) VALUES (1, 1), (1, 2), (2, 2)');
+
+  fs.writeFileSync(testDbPath, db.export());
+  db.close();
+}
+
+async function testMigrations() {
+  try {
+    await createLegacyDatabase();
+    console.log('✅ Legacy database created');
+
+    // Dry run reports the plan without touching the file
+    console.log('\n1️⃣ Testing dry run...');
+    const before = fs.readFileSync(testDbPath);
+    const preview = new DatabaseManager();
+    await preview.loadDatabase(testDbPath, { dryRun: true });
+    const plan = preview.lastMigration;
+    preview.close();
+
+    if (plan.pending.length !== LATEST_SCHEMA_VERSION || plan.applied.length !== 0) {
+      throw new Error(`Unexpected dry-run plan: ${JSON.stringify(plan)}`);
+    }
+    if (!before.equals(fs.readFileSync(testDbPath))) {
+      throw new Error('Dry run modified the database file');
+    }
+    console.log(`✅ Dry run listed ${plan.pending.length} pending migrations`);
+
+    // Loading applies every migration, backs up first and saves
+    console.log('\n2️⃣ Testing migration on load...');
+    const dbManager = new DatabaseManager();
+    await dbManager.loadDatabase(testDbPath);
+
+    if (getSchemaVersion(dbManager.db) !== LATEST_SCHEMA_VERSION) {
+      throw new Error('Schema version was not updated');
+    }
+    const images = dbManager.getAllImages().images;
+    const legacyOne = images.find(img => img.id === 'img_1');
+    if (images.length !== 2 || !legacyOne || legacyOne.tags.sort().join(',') !== 'kept,old') {
+      throw new Error(`Legacy data not carried over: ${JSON.stringify(images)}`);
+    }
+    dbManager.close();
+    console.log('✅ IDs converted to img_<id> with tags intact');
+
+    if (listBackups(testDbPath).length !== 1) {
+      throw new Error('Expected one pre-migration backup');
+    }
+    console.log('✅ Pre-migration backup created');
+
+    // Re-opening is a no-op once the schema is current
+    console.log('\n3️⃣ Testing idempotence...');
+    const migrated = fs.readFileSync(testDbPath);
+    const reopened = new DatabaseManager();
+    await reopened.loadDatabase(testDbPath);
+    const result = reopened.lastMigration;
+    reopened.close();
+
+    if (result.pending.length !== 0 || !migrated.equals(fs.readFileSync(testDbPath))) {
+      throw new Error('Re-opening a migrated database changed it');
+    }
+    console.log('✅ Up-to-date database left untouched');
+
+  } catch (error) {
+    console.log('❌ Migration test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test database');
+  }
+
+  console.log('\n🎉 Migration tests completed successfully!');
+}
+
+testMigrations().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// Test atomic writes and rolling backups
+const fs = require('fs');
+const path = require('path');
+const {
+  writeFileAtomic,
+  writeWithBackup,
+  listBackups,
+  restoreBackup
+} = require('../safe_write');
+const { createTestDir, removeTestDir } = require('./test_helpers');
+
+console.log('🗂️ Testing Safe Write and Backups...\n');
+
+const testDir = createTestDir('safe-write');
+const testFile = path.join(testDir, 'test_safe_write.json');
+
+function version(n) {
+  return JSON.stringify({ images: [], metadata: { version: n } }, null, 2);
+}
+
+function readVersion() {
+  return JSON.parse(fs.readFileSync(testFile, 'utf8')).metadata.version;
+}
+
+function testSafeWrite() {
+  try {
+    // Atomic write leaves no temp files behind
+    console.log('1️⃣ Testing atomic write...');
+    writeFileAtomic(testFile, version(1));
+    const leftovers = fs.readdirSync(testDir).filter(name => name.includes('test_safe_write.json.tmp'));
+    if (readVersion() !== 1 || leftovers.length > 0) {
+      throw new Error('Atomic write did not produce a clean file');
+    }
+    console.log('✅ File written, no temp files left');
+
+    // Each write backs up the previous version
+    console.log('\n2️⃣ Testing rolling backups...');
+    for (let n = 2; n <= 6; n++) {
+      writeWithBackup(testFile, version(n), { minInterval: 0, keep: 3 });
+    }
+    const backups = listBackups(testFile);
+    if (backups.length !== 3) {
+      throw new Error(`Expected 3 backups after pruning, found ${backups.length}`);
+    }
+    console.log(`✅ Kept ${backups.length} newest backups`);
+
+    // Minimum interval suppresses backups during rapid writes
+    console.log('\n3️⃣ Testing minimum backup interval...');
+    writeWithBackup(testFile, version(7), { minInterval: 60000, keep: 3 });
+    if (listBackups(testFile)[0].name !== backups[0].name) {
+      throw new Error('Backup was created inside the minimum interval');
+    }
+    console.log('✅ Rapid write did not create another backup');
+
+    // Restoring the newest backup returns the previous version
+    console.log('\n4️⃣ Testing restore...');
+    const newest = backups[0];
+    const restoredVersion = JSON.parse(fs.readFileSync(newest.path, 'utf8')).metadata.version;
+    const result = restoreBackup(testFile, newest.name);
+    if (readVersion() !== restoredVersion || !result.safetyBackup) {
+      throw new Error('Restore did not bring back the backup contents');
+    }
+    console.log(`✅ Restored version ${restoredVersion}, current version saved as ${result.safetyBackup}`);
+
+    // Traversal in backup names is rejected
+    let rejected = false;
+    try {
+      restoreBackup(testFile, '../images_data_groups.json');
+    } catch (error) {
+      rejected = true;
+    }
+    if (!rejected) {
+      throw new Error('Backup name with traversal was accepted');
+    }
+    console.log('✅ Invalid backup name rejected');
+
+  } catch (error) {
+    console.log('❌ Safe write test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Safe write tests completed successfully!');
+}
+
+testSafeWrite();
@@ -0,0 +1,126 @@
+// Test full-text search: FTS index for SQLite, in-memory index for JSON
+const { openGalleryStore, GalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🔍 Testing Full-Text Search...\n');
+
+const testDir = createTestDir('search-index');
+const testJsonPath = path.join(testDir, 'test_search_index.json');
+const testDbPath = path.join(testDir, 'test_search_index.db');
+
+const testImages = [
+  { id: 's1', title: 'Sunset over the Bay', description: 'Warm evening light', tags: ['sunset', 'sea'] },
+  { id: 's2', title: 'Sunny Meadow', description: 'Flowers at noon', tags: ['meadow'] },
+  { id: 's3', title: 'Harbour', description: 'Boats at sunset, sunset reflections', tags: ['sea', 'boats'] },
+  { id: 's4', title: 'Café Terrace', description: 'Night scene', tags: ['city'] },
+  { id: 's4a', title: 'Terrace detail', isMajor: false, groupId: 'g4', tags: [] },
+  { id: 's5', title: 'Forest Path', description: 'Morning fog', tags: ['forest'], groupId: 'g5' },
+  { id: 's5a', isMajor: false, groupId: 'g5', majorImageId: 's5' }
+];
+
+async function createTestFiles() {
+  fs.writeFileSync(testJsonPath, JSON.stringify({ images: [] }, null, 2));
+
+  await createTestDatabase(testDbPath);
+
+  for (const filePath of [testJsonPath, testDbPath]) {
+    const store = await openGalleryStore(filePath);
+    for (const image of testImages) {
+      await store.addImage(image);
+    }
+    if (store.type === 'sqlite') {
+      store.db.save();
+      store.db.close();
+    }
+  }
+}
+
+function describe(result) {
+  return result.results.map(match => `${match.image.id}:${match.score.toFixed(4)}`).join(',');
+}
+
+function ids(result) {
+  return result.results.map(match => match.image.id).join(',');
+}
+
+async function testSearch() {
+  try {
+    await createTestFiles();
+    const jsonStore = await openGalleryStore(testJsonPath);
+    const sqliteStore = await openGalleryStore(testDbPath);
+
+    console.log('1️⃣ Comparing JSON and SQLite rankings...');
+    for (const query of ['sunset', 'sun', 'SEA sunset', 'cafe', 'terrace', 'night city', 'nothing-here']) {
+      const jsonResult = describe(jsonStore.searchImages(query));
+      const sqliteResult = describe(sqliteStore.searchImages(query));
+      if (jsonResult !== sqliteResult) {
+        throw new Error(`Mismatch for "${query}"\n  JSON:   ${jsonResult}\n  SQLite: ${sqliteResult}`);
+      }
+      console.log(`✅ "${query}" → ${jsonResult || '(no matches)'}`);
+    }
+
+    console.log('\n2️⃣ Checking matching rules...');
+    // Title hits weigh more than description hits
+    if (ids(sqliteStore.searchImages('sun')) !== 's1,s2,s3') {
+      throw new Error(`Prefix matching or ranking failed: ${ids(sqliteStore.searchImages('sun'))}`);
+    }
+    console.log('✅ Prefix terms match, title hits rank first');
+
+    if (ids(sqliteStore.searchImages('sea sunset')) !== 's1,s3') {
+      throw new Error('All terms should be required');
+    }
+    console.log('✅ Every term must match');
+
+    if (ids(sqliteStore.searchImages('cafe')) !== 's4') {
+      throw new Error('Diacritics should be ignored');
+    }
+    console.log('✅ Diacritics ignored');
+
+    const paged = sqliteStore.searchImages('sun', { limit: 1, offset: 1 });
+    if (paged.total !== 3 || ids(paged) !== 's2') {
+      throw new Error('limit/offset not applied');
+    }
+    console.log('✅ limit and offset applied');
+
+    console.log('\n3️⃣ Checking index maintenance...');
+    await sqliteStore.updateImage({ ...sqliteStore.getImage('s2'), title: 'Golden Meadow', tags: ['golden'] });
+    await sqliteStore.deleteImage('s1');
+    if (ids(sqliteStore.searchImages('sun')) !== 's3' || ids(sqliteStore.searchImages('golden')) !== 's2') {
+      throw new Error('Index not updated after update/delete');
+    }
+    await jsonStore.updateImage({ ...jsonStore.getImage('s2'), title: 'Golden Meadow', tags: ['golden'] });
+    await jsonStore.deleteImage('s1');
+    if (describe(jsonStore.searchImages('golden sun')) !== describe(sqliteStore.searchImages('golden sun'))
+      || ids(jsonStore.searchImages('sun')) !== 's3') {
+      throw new Error('JSON index not rebuilt after writes');
+    }
+    console.log('✅ Index follows add, update and delete');
+
+    console.log('\n4️⃣ Checking list queries use the index...');
+    const options = GalleryStore.parseQuery({ q: 'fog', sort: 'ranking-desc' });
+    const jsonList = jsonStore.queryImages(options).images.map(img => img.id).join(',');
+    const sqliteList = sqliteStore.queryImages(options).images.map(img => img.id).join(',');
+    if (jsonList !== 's5,s5a' || sqliteList !== jsonList) {
+      throw new Error(`Subsidiaries should follow their major: JSON ${jsonList}, SQLite ${sqliteList}`);
+    }
+    console.log('✅ q filter matches via the index and includes subsidiaries');
+
+    sqliteStore.db.close();
+
+  } catch (error) {
+    console.log('❌ Search test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Search tests completed successfully!');
+}
+
+testSearch().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
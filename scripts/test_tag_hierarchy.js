@@ -0,0 +1,110 @@
+// Test nested tags: descendant matching, implied parents and hierarchy edits in both stores
+const TagHierarchy = require('../tag_hierarchy');
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🌳 Testing Tag Hierarchy...\n');
+
+const testDir = createTestDir('tag-hierarchy');
+const testJsonPath = path.join(testDir, 'test_tag_hierarchy.json');
+const testDbPath = path.join(testDir, 'test_tag_hierarchy.db');
+
+const images = [
+  { id: 1, title: 'Grey Heron', tags: ['heron', 'lake'], ranking: 9 },
+  { id: 2, title: 'Robin', tags: ['robin'], ranking: 8 },
+  { id: 3, title: 'Fox', tags: ['fox'], ranking: 7, groupId: 'g1' },
+  { id: 4, title: 'Fox cub', isMajor: false, groupId: 'g1', tags: [] },
+  { id: 5, title: 'Lake shore', tags: ['lake'], ranking: 6 }
+];
+
+function ids(result) {
+  return result.images.map(img => String(img.id));
+}
+
+async function testTagHierarchy() {
+  try {
+    console.log('1️⃣ Hierarchy lookups...');
+    const hierarchy = TagHierarchy.create([
+      { tag: 'heron', parent: 'bird', implies: true },
+      { tag: 'bird', parent: 'animal', implies: false },
+      { tag: 'fox', parent: 'animal', implies: false }
+    ]);
+    expect(hierarchy.getAncestors('heron'), ['bird', 'animal'], 'Ancestors follow every edge');
+    expect(hierarchy.getDescendants('animal').sort(), ['bird', 'fox', 'heron'], 'Descendants follow every edge');
+    expect(hierarchy.withImpliedTags(['heron']), ['heron', 'bird'], 'Only implies edges add tags');
+    expect([hierarchy.wouldCreateCycle('animal', 'heron'), hierarchy.wouldCreateCycle('heron', 'fox')], [true, false], 'Cycles detected');
+    expect(hierarchy.getPath('heron'), ['animal', 'bird', 'heron'], 'Path from the root');
+    expect(TagHierarchy.create([{ tag: 'a', parent: 'b' }, { tag: 'b', parent: 'a' }]).getAncestors('a'), ['b'], 'Existing cycles do not loop');
+
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      console.log(`\n2️⃣ ${store.type} store: nesting and filtering...`);
+
+      await store.updateTag('robin', { parents: ['bird'] });
+      await store.updateTag('bird', { parents: ['animal'] });
+      await store.updateTag('fox', { parents: ['animal'] });
+      await store.updateTag('heron', { parents: [{ name: 'bird', implies: true }] });
+      expect(store.getTag('heron').parents, [{ name: 'bird', implies: true }], `${store.type} parents listed with the tag`);
+      expect([...store.getImage(1).tags].sort(), ['bird', 'heron', 'lake'], `${store.type} implied parent added to tagged images`);
+      expect(store.getImage(2).tags, ['robin'], `${store.type} plain parent not added`);
+      expect(store.getTag('animal').count, 0, `${store.type} parent-only tag listed`);
+
+      expect(ids(store.queryImages({ tagQuery: 'animal', sort: 'ranking-desc' })), ['1', '2', '3', '4'], `${store.type} parent matches all descendants`);
+      expect(ids(store.queryImages({ tags: ['bird'], sort: 'ranking-desc' })), ['1', '2'], `${store.type} tags filter matches descendants`);
+      expect(ids(store.queryImages({ tagQuery: 'animal AND NOT bird', sort: 'ranking-desc' })), ['3', '4'], `${store.type} NOT excludes descendants`);
+      expect(ids(store.queryImages({ tagQuery: 'bi*', sort: 'ranking-desc' })), ['1', '2'], `${store.type} wildcard matches descendants`);
+      expect(store.getAvailableTags(), ['animal', 'bird', 'fox', 'heron', 'lake', 'robin'], `${store.type} parents offered for filtering`);
+
+      const added = await store.addImage({ id: 6, title: 'Night heron', tags: ['heron'] });
+      expect([...added.tags].sort(), ['bird', 'heron'], `${store.type} implied parent added on save`);
+
+      await expectError(store.updateTag('animal', { parents: ['heron'] }), 'VALIDATION', `${store.type} cycle rejected`);
+      await expectError(store.updateTag('bird', { parents: ['bird'] }), 'VALIDATION', `${store.type} self parent rejected`);
+
+      console.log(`\n3️⃣ ${store.type} store: editing nested tags...`);
+      await store.updateTag('bird', { name: 'birds' });
+      expect([store.getTag('robin').parents, store.getTag('birds').parents.map(parent => parent.name)],
+        [[{ name: 'birds', implies: false }], ['animal']], `${store.type} rename keeps the hierarchy`);
+
+      await store.mergeTags(['fox'], 'mammal');
+      expect(store.getTag('mammal').parents.map(parent => parent.name), ['animal'], `${store.type} merge target takes the source's parents`);
+
+      await store.updateTag('robin', { parents: [] });
+      expect(store.getTag('robin').parents, [], `${store.type} parents cleared`);
+
+      await store.updateImage({ id: 1, title: 'Grey Heron', tags: ['lake'], ranking: 9 });
+      await store.updateImage({ id: 6, title: 'Night heron', tags: [] });
+      expect(await store.removeOrphanTags(), [], `${store.type} unused tags in the hierarchy are kept`);
+      await store.deleteTag('heron');
+      expect(store.listTags().some(tag => tag.parents.some(parent => parent.name === 'heron')), false, `${store.type} deleting a tag drops its edges`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Tag hierarchy test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Tag hierarchy tests completed successfully!');
+}
+
+testTagHierarchy().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
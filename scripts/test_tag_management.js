@@ -0,0 +1,111 @@
+// Test renaming, recoloring, merging, deleting and cleaning up tags in both stores
+const { openGalleryStore } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🏷️ Testing Tag Management...\n');
+
+const testDir = createTestDir('tag-management');
+const testJsonPath = path.join(testDir, 'test_tag_management.json');
+const testArrayPath = path.join(testDir, 'test_tag_management_array.json');
+const testDbPath = path.join(testDir, 'test_tag_management.db');
+
+const images = [
+  { id: 1, title: 'Harbour', src: 'a.jpg', tags: ['sea', 'boats', 'dusk'] },
+  { id: 2, title: 'Cliffs', src: 'b.jpg', tags: ['ocean', 'rocks'] },
+  { id: 3, title: 'Lighthouse', src: 'c.jpg', tags: ['sea', 'ocean'] },
+  { id: 4, title: 'Meadow', src: 'd.jpg', tags: ['grass'] }
+];
+
+function tagsOf(store) {
+  return store.listImages().map(img => [String(img.id), [...img.tags].sort()]);
+}
+
+async function testTagManagement() {
+  try {
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    fs.writeFileSync(testArrayPath, JSON.stringify(images, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      console.log(`\n1️⃣ ${store.type} store: rename and recolor...`);
+
+      expect(store.listTags().map(tag => [tag.name, tag.count]),
+        [['boats', 1], ['dusk', 1], ['grass', 1], ['ocean', 2], ['rocks', 1], ['sea', 2]], `${store.type} tags listed with counts`);
+
+      const recolored = await store.updateTag('sea', { color: '#1E90FF', description: 'Salt water' });
+      expect([recolored.color, recolored.description], ['#1e90ff', 'Salt water'], `${store.type} tag color and description set`);
+
+      const renamed = await store.updateTag('sea', { name: 'coast' });
+      expect([renamed.name, renamed.count, renamed.color], ['coast', 2, '#1e90ff'], `${store.type} rename keeps count and color`);
+      expect(store.searchImages('coast').results.map(result => String(result.image.id)).sort(), ['1', '3'], `${store.type} search index follows the rename`);
+      expect(store.searchImages('sea').total, 0, `${store.type} old tag name no longer found`);
+
+      await store.updateTag('coast', { description: '' });
+      expect(store.getTag('coast').description, null, `${store.type} empty description clears it`);
+
+      await expectError(store.updateTag('coast', { name: 'ocean' }), 'DUPLICATE_ID', `${store.type} rename onto an existing tag rejected`);
+      await expectError(store.updateTag('missing', { color: '#000000' }), 'NOT_FOUND', `${store.type} unknown tag rejected`);
+      await expectError(store.updateTag('ocean', { color: 'blue' }), 'VALIDATION', `${store.type} invalid color rejected`);
+
+      console.log(`\n2️⃣ ${store.type} store: merge, delete and cleanup...`);
+      const merged = await store.mergeTags(['ocean', 'coast'], 'water');
+      expect([merged.tag.name, merged.tag.count, merged.tag.color, merged.images], ['water', 3, '#1e90ff', 3],
+        `${store.type} merge into a new tag unions images and inherits color`);
+      expect(tagsOf(store), [['1', ['boats', 'dusk', 'water']], ['2', ['rocks', 'water']], ['3', ['water']], ['4', ['grass']]],
+        `${store.type} merged tags replaced on every image`);
+      expect(store.searchImages('water').total, 3, `${store.type} search index follows the merge`);
+
+      await expectError(store.mergeTags(['water'], 'water'), 'VALIDATION', `${store.type} merging a tag into itself rejected`);
+      await expectError(store.mergeTags(['nope'], 'water'), 'NOT_FOUND', `${store.type} merging an unknown tag rejected`);
+      await expectError(store.mergeTags([], 'water'), 'VALIDATION', `${store.type} empty merge rejected`);
+
+      expect(await store.deleteTag('dusk'), { name: 'dusk', images: 1 }, `${store.type} tag deleted from its images`);
+      expect(store.getImage(1).tags.includes('dusk'), false, `${store.type} deleted tag gone from image`);
+
+      // Leave an orphan behind: a colored tag whose only image is retagged
+      await store.updateTag('grass', { color: '#228b22' });
+      await store.updateImage({ id: 4, title: 'Meadow', src: 'd.jpg', tags: ['field'] });
+      expect(store.listTags().find(tag => tag.name === 'grass').count, 0, `${store.type} unused tag listed with count 0`);
+      expect(await store.removeOrphanTags(), ['grass'], `${store.type} unused tags removed`);
+      expect(store.listTags().map(tag => tag.name), ['boats', 'field', 'rocks', 'water'], `${store.type} only used tags remain`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+    }
+
+    console.log('\n3️⃣ Reloading and bare-array galleries...');
+    const reloaded = await openGalleryStore(testJsonPath);
+    expect(reloaded.getTag('water').color, '#1e90ff', 'json tag details saved to the file');
+    const reopened = await openGalleryStore(testDbPath);
+    expect(reopened.getTag('water').color, '#1e90ff', 'sqlite tag details saved to the database');
+    reopened.db.close();
+
+    const arrayStore = await openGalleryStore(testArrayPath);
+    await arrayStore.updateTag('rocks', { name: 'stones' });
+    expect(Array.isArray(JSON.parse(fs.readFileSync(testArrayPath, 'utf8'))), true, 'Bare-array file stays an array after a rename');
+    await expectError(arrayStore.updateTag('stones', { color: '#808080' }), 'VALIDATION', 'Bare-array file cannot store tag colors');
+
+  } catch (error) {
+    console.log('❌ Tag management test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Tag management tests completed successfully!');
+}
+
+testTagManagement().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,133 @@
+// Test the boolean tag query language and its JSON/SQLite evaluation
+const TagQuery = require('../tag_query');
+const { openGalleryStore, GalleryStore, GalleryStoreError } = require('../gallery_store');
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🏷️ Testing Tag Queries...\n');
+
+const testDir = createTestDir('tag-query');
+const testJsonPath = path.join(testDir, 'test_tag_query.json');
+const testDbPath = path.join(testDir, 'test_tag_query.db');
+
+const testImages = [
+  { id: 't1', title: 'Mountain Sunset', tags: ['landscape', 'sunset'] },
+  { id: 't2', title: 'Lake Dawn', tags: ['landscape', 'dawn', 'draft'] },
+  { id: 't3', title: 'Valley Dawn', tags: ['landscape', 'dawn'], groupId: 'g3' },
+  { id: 't3a', isMajor: false, groupId: 'g3', majorImageId: 't3', tags: ['sunset'] },
+  { id: 't4', title: 'Heron', tags: ['bird:heron', 'water'] },
+  { id: 't5', title: 'Hawk', tags: ['bird:hawk', 'golden hour'] },
+  { id: 't6', title: 'Odd Tag', tags: ['what?[1]'] }
+];
+
+function expectSyntaxError(query) {
+  try {
+    TagQuery.parse(query);
+  } catch (error) {
+    if (error instanceof TagQuery.TagQueryError) {
+      return error;
+    }
+    throw error;
+  }
+  throw new Error(`Expected a syntax error for ${JSON.stringify(query)}`);
+}
+
+async function createTestFiles() {
+  fs.writeFileSync(testJsonPath, JSON.stringify({ images: [] }, null, 2));
+
+  await createTestDatabase(testDbPath);
+
+  for (const filePath of [testJsonPath, testDbPath]) {
+    const store = await openGalleryStore(filePath);
+    for (const image of testImages) {
+      await store.addImage(image);
+    }
+    if (store.type === 'sqlite') {
+      store.db.save();
+      store.db.close();
+    }
+  }
+}
+
+async function testTagQueries() {
+  try {
+    console.log('1️⃣ Parsing...');
+    expect(TagQuery.stringify(TagQuery.parse('landscape and (sunset or dawn) and not draft')),
+      'landscape AND (sunset OR dawn) AND NOT draft', 'Keywords are case-insensitive');
+    expect(TagQuery.stringify(TagQuery.parse('a b OR c')), 'a AND b OR c', 'Adjacent terms are ANDed, AND binds tighter');
+    expect(TagQuery.stringify(TagQuery.parse('"golden hour" "AND" bird:*')),
+      '"golden hour" AND "AND" AND bird:*', 'Quoted tags and wildcards round-trip');
+    expect(TagQuery.parse('  '), null, 'Empty query parses to null');
+
+    expect(expectSyntaxError('landscape AND').message, 'Unexpected end of query at position 14', 'Dangling operator reported');
+    expectSyntaxError('(sunset OR dawn');
+    expectSyntaxError('sunset)');
+    expectSyntaxError('"unterminated');
+    console.log('✅ Syntax errors raised with positions');
+
+    console.log('\n2️⃣ Matching...');
+    const query = 'landscape AND (sunset OR dawn) AND NOT draft';
+    expect(TagQuery.matches(query, ['landscape', 'dawn']), true, 'Grouped OR matches');
+    expect(TagQuery.matches(query, ['landscape', 'dawn', 'draft']), false, 'NOT excludes');
+    expect(TagQuery.matches('bird:*', ['bird:heron']), true, 'Wildcard matches prefix');
+    expect(TagQuery.matches('"bird:*"', ['bird:heron']), false, 'Quoted wildcard is literal');
+
+    console.log('\n3️⃣ Tag cloud toggling...');
+    expect(TagQuery.toggleTag('', 'sunset'), 'sunset', 'Toggle on empty query');
+    expect(TagQuery.toggleTag('sunset OR dawn', 'landscape'), '(sunset OR dawn) AND landscape', 'Toggle adds an AND term');
+    expect(TagQuery.toggleTag('landscape AND NOT draft', 'landscape'), 'NOT draft', 'Toggle removes a top-level term');
+    expect(TagQuery.toggleTag('a', 'golden hour'), 'a AND "golden hour"', 'Toggle quotes tags with spaces');
+    expect(TagQuery.getRequiredTags('landscape AND (a OR b) AND NOT draft').join(','), 'landscape', 'Required tags for the cloud');
+
+    console.log('\n4️⃣ Comparing JSON and SQLite filtering...');
+    await createTestFiles();
+    const jsonStore = await openGalleryStore(testJsonPath);
+    const sqliteStore = await openGalleryStore(testDbPath);
+
+    const cases = [
+      [query, 't1,t3,t3a'],
+      ['bird:*', 't4,t5'],
+      ['NOT landscape', 't4,t5,t6'],
+      ['"golden hour" OR water', 't4,t5'],
+      ['what?*', 't6'],
+      ['sunset', 't1']
+    ];
+    for (const [tagQuery, expected] of cases) {
+      const options = GalleryStore.parseQuery({ tagQuery, sort: 'name-asc', pageSize: 100 });
+      const byId = result => result.images.map(img => img.id).sort().join(',');
+      const jsonIds = byId(jsonStore.queryImages(options));
+      const sqliteIds = byId(sqliteStore.queryImages(options));
+      if (jsonIds !== expected || sqliteIds !== expected) {
+        throw new Error(`"${tagQuery}": expected ${expected}, JSON ${jsonIds}, SQLite ${sqliteIds}`);
+      }
+      console.log(`✅ "${tagQuery}" → ${expected}`);
+    }
+
+    try {
+      GalleryStore.parseQuery({ tagQuery: 'a AND (' });
+      throw new Error('Invalid tagQuery was accepted');
+    } catch (error) {
+      if (!(error instanceof GalleryStoreError) || error.code !== 'VALIDATION') {
+        throw error;
+      }
+    }
+    console.log('✅ Invalid tagQuery rejected as VALIDATION');
+
+    sqliteStore.db.close();
+
+  } catch (error) {
+    console.log('❌ Tag query test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Tag query tests completed successfully!');
+}
+
+testTagQueries().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
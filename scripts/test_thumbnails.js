@@ -0,0 +1,145 @@
+// Test thumbnail generation, caching by content hash, EXIF orientation and src resolution
+const { ThumbnailService, snapWidth, applyOrientation } = require('../thumbnails');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir } = require('./test_helpers');
+
+console.log('🖼️ Testing Thumbnails...\n');
+
+const rootDir = createTestDir('thumbnails');
+const mediaDir = path.join(rootDir, 'media_files');
+const cacheDir = path.join(rootDir, '.thumbnails');
+
+// Solid-colour RGBA pixels with the left half red and the right half blue
+function splitImage(width, height, alpha = 255) {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      data[i] = x < width / 2 ? 255 : 0;
+      data[i + 2] = x < width / 2 ? 0 : 255;
+      data[i + 3] = alpha;
+    }
+  }
+  return { width, height, data };
+}
+
+function pngFile(image) {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+}
+
+// JPEG with an APP1 EXIF segment holding only the orientation tag
+function jpegFile(image, orientation) {
+  const encoded = jpeg.encode(image, 90).data;
+  if (!orientation) {
+    return encoded;
+  }
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const app1 = Buffer.concat([Buffer.from([0xFF, 0xE1, 0, 0]), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  app1.writeUInt16BE(app1.length - 2, 2);
+  return Buffer.concat([encoded.subarray(0, 2), app1, encoded.subarray(2)]);
+}
+
+async function testThumbnails() {
+  try {
+    fs.mkdirSync(mediaDir, { recursive: true });
+    const service = new ThumbnailService({ cacheDir, mediaDir, rootDir });
+
+    console.log('1️⃣ Snapping widths and rotating pixels...');
+    expect([1, 160, 200, 320, 900, 5000].map(snapWidth), [160, 160, 320, 320, 1280, 1280], 'Widths snap up to cached sizes');
+    try {
+      snapWidth('abc');
+      throw new Error('Invalid width accepted');
+    } catch (error) {
+      expect(error.code, 'VALIDATION', 'Invalid width rejected');
+    }
+
+    // 2x1 image [A B] rotated 90° clockwise becomes a 1x2 image [A / B]
+    const pixels = { width: 2, height: 1, data: Buffer.from([1, 1, 1, 255, 2, 2, 2, 255]) };
+    const rotated = applyOrientation(pixels, 6);
+    expect([rotated.width, rotated.height, rotated.data[0], rotated.data[4]], [1, 2, 1, 2], 'Orientation 6 rotates clockwise');
+    const mirrored = applyOrientation(pixels, 2);
+    expect([mirrored.data[0], mirrored.data[4]], [2, 1], 'Orientation 2 mirrors');
+
+    console.log('\n2️⃣ Generating thumbnails...');
+    fs.writeFileSync(path.join(rootDir, 'photo.jpg'), jpegFile(splitImage(800, 400)));
+    const photo = await service.getThumbnail('photo.jpg', 300);
+    const decoded = jpeg.decode(fs.readFileSync(photo.path));
+    expect([photo.mimeType, photo.cached, decoded.width, decoded.height], ['image/jpeg', false, 320, 160], 'JPEG resized to 320px');
+    expect([decoded.data[0] > 200, decoded.data[(decoded.width - 1) * 4 + 2] > 200], [true, true], 'Thumbnail keeps the picture');
+
+    const again = await service.getThumbnail('/photo.jpg?v=2', 320);
+    expect([again.cached, again.path], [true, photo.path], 'Second request served from cache');
+
+    // Same bytes under another name share the cache entry
+    fs.copyFileSync(path.join(rootDir, 'photo.jpg'), path.join(mediaDir, 'copy of photo.jpg'));
+    const copy = await service.getThumbnail('media/copy%20of%20photo.jpg', 320);
+    expect([copy.cached, copy.path], [true, photo.path], 'Identical media file reuses the cached thumbnail');
+
+    const small = await service.getThumbnail('photo.jpg', 1280);
+    expect(jpeg.decode(fs.readFileSync(small.path)).width, 800, 'Small images are not upscaled');
+
+    fs.writeFileSync(path.join(rootDir, 'portrait.jpg'), jpegFile(splitImage(400, 200), 6));
+    const portrait = jpeg.decode(fs.readFileSync((await service.getThumbnail('portrait.jpg', 160)).path));
+    expect([portrait.width, portrait.height], [160, 320], 'EXIF orientation applied');
+
+    fs.writeFileSync(path.join(rootDir, 'opaque.png'), pngFile(splitImage(640, 640)));
+    fs.writeFileSync(path.join(rootDir, 'clear.png'), pngFile(splitImage(640, 640, 128)));
+    expect((await service.getThumbnail('opaque.png', 160)).mimeType, 'image/jpeg', 'Opaque PNG becomes JPEG');
+    const clear = await service.getThumbnail('clear.png', 160);
+    const clearPng = PNG.sync.read(fs.readFileSync(clear.path));
+    expect([clear.mimeType, clearPng.width, clearPng.data[3]], ['image/png', 160, 128], 'Transparent PNG stays PNG');
+
+    const concurrent = await Promise.all([service.getThumbnail('clear.png', 640), service.getThumbnail('clear.png', 640)]);
+    expect(concurrent[0].path, concurrent[1].path, 'Concurrent requests share one thumbnail');
+
+    fs.writeFileSync(path.join(rootDir, 'anim.gif'), Buffer.from('GIF89a\x01\x00\x01\x00', 'latin1'));
+    const gif = await service.getThumbnail('anim.gif', 160);
+    expect([gif.path, gif.mimeType], [path.join(rootDir, 'anim.gif'), 'image/gif'], 'GIF served as is');
+
+    console.log('\n3️⃣ Rejecting bad sources...');
+    fs.writeFileSync(path.join(rootDir, 'notes.txt'), 'not an image');
+    const failures = [
+      ['../package.json', 'VALIDATION'],
+      ['media/../../package.json', 'VALIDATION'],
+      ['https://example.com/a.jpg', 'VALIDATION'],
+      ['', 'VALIDATION'],
+      ['missing.jpg', 'FILE_NOT_FOUND'],
+      ['notes.txt', 'UNSUPPORTED_MEDIA']
+    ];
+    for (const [src, code] of failures) {
+      try {
+        await service.getThumbnail(src, 320);
+        throw new Error(`${src} was accepted`);
+      } catch (error) {
+        expect(error.code, code, `"${src}" rejected with ${code}`);
+      }
+    }
+
+  } catch (error) {
+    console.log('❌ Thumbnail test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(rootDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Thumbnail tests completed successfully!');
+}
+
+testThumbnails().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,153 @@
+// Test the trash: deleting, restoring, purging and expiry of images in both stores
+const { openGalleryStore } = require('../gallery_store');
+const { EditHistory } = require('../history');
+const fs = require('fs');
+const path = require('path');
+const { expect, expectError, createTestDir, removeTestDir, createTestDatabase } = require('./test_helpers');
+
+console.log('🗑️ Testing Trash...\n');
+
+const testDir = createTestDir('trash');
+const testJsonPath = path.join(testDir, 'test_trash.json');
+const testArrayPath = path.join(testDir, 'test_trash_array.json');
+const testDbPath = path.join(testDir, 'test_trash.db');
+
+const images = [
+  { id: 1, title: 'Harbour', tags: ['sea'], ranking: 9 },
+  { id: 2, title: 'Lighthouse', tags: ['sea', 'night'], ranking: 8 },
+  { id: 3, title: 'Meadow', tags: ['grass'], ranking: 6, groupId: 'meadow' },
+  { id: 4, title: 'Meadow detail', isMajor: false, groupId: 'meadow', majorImageId: 3, groupPosition: 0 },
+  { id: 5, title: '', isMajor: false, groupId: 'meadow', majorImageId: 3, groupPosition: 1 },
+  { id: 6, title: 'Forest', tags: ['trees'], ranking: 5 }
+];
+
+function idsOf(list) {
+  return list.map(img => String(img.id)).sort();
+}
+
+async function testTrash() {
+  try {
+    fs.writeFileSync(testJsonPath, JSON.stringify({ images }, null, 2));
+    await createTestDatabase(testDbPath);
+    const sqliteSetup = await openGalleryStore(testDbPath);
+    for (const img of images) {
+      await sqliteSetup.addImage(img);
+    }
+    sqliteSetup.db.close();
+
+    for (const filePath of [testJsonPath, testDbPath]) {
+      const store = await openGalleryStore(filePath);
+      const album = await store.createAlbum({ name: 'Coast', imageIds: [1, 2], coverImageId: 2 });
+
+      console.log(`\n1️⃣ ${store.type} store: deleting moves images to the trash...`);
+      const deleted = await store.deleteImage(2);
+      expect(deleted.title, 'Lighthouse', `${store.type} deleted image returned`);
+      expect(idsOf(store.listImages()), ['1', '3', '4', '5', '6'], `${store.type} trashed image hidden from the gallery`);
+      expect(store.listTrash().map(img => [String(img.id), typeof img.deletedAt]), [['2', 'string']], `${store.type} trashed image listed with deletedAt`);
+      expect([store.getAlbum(album.id).imageIds.map(String), store.getAlbum(album.id).coverImageId], [['1'], null], `${store.type} trashed image hidden from its album`);
+      expect(store.getTags().find(tag => tag.name === 'night'), undefined, `${store.type} trashed image's tags not counted`);
+      expect(store.listTags().find(tag => tag.name === 'night').count, 0, `${store.type} trashed image's tags still listed`);
+      expect(store.searchImages('lighthouse').total, 0, `${store.type} trashed image not found by search`);
+      await expectError(store.addImage({ id: 2, title: 'Again' }), 'DUPLICATE_ID', `${store.type} trashed ID stays reserved`);
+      expect(store.getNextImageId(), 7, `${store.type} next ID counts the trash`);
+      await expectError(store.deleteImage(2), 'NOT_FOUND', `${store.type} trashed image cannot be deleted twice`);
+
+      console.log(`\n2️⃣ ${store.type} store: major images...`);
+      await expectError(store.deleteImage(3), 'VALIDATION', `${store.type} major with subsidiaries needs a choice`);
+      await expectError(store.deleteImage(3, { subsidiaries: 'keep' }), 'VALIDATION', `${store.type} unknown choice rejected`);
+      let result = await store.trashImages([3], { subsidiaries: 'rehome' });
+      const meadow = store.getGroup('meadow');
+      expect([idsOf(result.rehomed), String(meadow.majorImageId), meadow.imageIds.map(String), meadow.problems],
+        [['4', '5'], '4', ['4', '5'], []], `${store.type} rehome promotes the first subsidiary`);
+
+      await store.restoreImages([3]);
+      const rejoined = store.getImage(3);
+      expect([rejoined.isMajor, String(rejoined.majorImageId), store.getGroup('meadow').imageIds.map(String)],
+        [false, '4', ['4', '5', '3']], `${store.type} restored major rejoins its group under the new major`);
+
+      result = await store.trashImages([4], { subsidiaries: 'trash' });
+      expect([idsOf(result.trashed), store.listImages().some(img => img.groupId === 'meadow')],
+        [['3', '4', '5'], false], `${store.type} trash takes the subsidiaries along`);
+      await expectError(store.restoreImages([1]), 'NOT_FOUND', `${store.type} only trashed images can be restored`);
+      const restored = await store.restoreImages([4]);
+      const group = store.getGroup('meadow');
+      expect([idsOf(restored), String(group.majorImageId), group.imageIds.map(String)],
+        [['3', '4', '5'], '4', ['4', '5', '3']], `${store.type} restoring a major brings its subsidiaries back`);
+
+      await store.trashImages([5]);
+      await store.deleteGroup('meadow');
+      await store.restoreImages([5]);
+      const alone = store.getImage(5);
+      expect([alone.isMajor, alone.groupId], [true, null], `${store.type} subsidiary without its group comes back standalone`);
+
+      console.log(`\n3️⃣ ${store.type} store: restoring and purging...`);
+      await store.restoreImages([2]);
+      expect([store.getAlbum(album.id).imageIds.map(String), String(store.getAlbum(album.id).coverImageId), store.getImage(2).tags.sort()],
+        [['1', '2'], '2', ['night', 'sea']], `${store.type} restored image back in its album with its tags`);
+
+      await store.batchUpdateImages([1, 6], [{ type: 'delete' }]);
+      expect(idsOf(store.listTrash()), ['1', '6'], `${store.type} bulk delete moves images to the trash`);
+      await expectError(store.purgeTrash([2]), 'NOT_FOUND', `${store.type} only trashed images can be purged`);
+      const purged = await store.purgeTrash([6]);
+      expect([idsOf(purged), idsOf(store.listTrash())], [['6'], ['1']], `${store.type} one image purged`);
+      await expectError(store.restoreImages([6]), 'NOT_FOUND', `${store.type} purged image is gone`);
+      await store.addImage({ id: 6, title: 'New forest' });
+      expect(store.getImage(6).title, 'New forest', `${store.type} purged ID can be used again`);
+
+      await store.applyImageBatch({ trash: [{ id: 6, deletedAt: '2020-01-01T00:00:00.000Z' }] });
+      expect(await store.purgeExpiredTrash(0), [], `${store.type} retention 0 keeps the trash`);
+      expect(idsOf(await store.purgeExpiredTrash(30)), ['6'], `${store.type} expired image purged`);
+      expect(idsOf(store.listTrash()), ['1'], `${store.type} recent trash kept`);
+      expect(idsOf(await store.purgeTrash()), ['1'], `${store.type} trash emptied`);
+
+      console.log(`\n4️⃣ ${store.type} store: undo and redo...`);
+      const history = new EditHistory();
+      await history.record(filePath, store, 'Delete image 2', () => store.deleteImage(2));
+      await history.undo(filePath, store);
+      expect([idsOf(store.listTrash()), store.getAlbum(album.id).imageIds.map(String)], [[], ['2']], `${store.type} undo takes the image out of the trash`);
+      await history.redo(filePath, store);
+      expect(idsOf(store.listTrash()), ['2'], `${store.type} redo moves it back to the trash`);
+      await history.record(filePath, store, 'Empty the trash', () => store.purgeTrash());
+      await history.undo(filePath, store);
+      expect([idsOf(store.listTrash()), store.listImages().some(img => String(img.id) === '2')], [['2'], false], `${store.type} undoing a purge refills the trash`);
+      await history.undo(filePath, store);
+      expect(store.getImage(2).title, 'Lighthouse', `${store.type} and the delete can be undone too`);
+
+      if (store.type === 'sqlite') {
+        store.db.close();
+      }
+      const reopened = await openGalleryStore(filePath);
+      await reopened.deleteImage(2);
+      if (reopened.type === 'sqlite') {
+        reopened.db.close();
+      }
+      const again = await openGalleryStore(filePath);
+      expect(idsOf(again.listTrash()), ['2'], `${store.type} trash persisted`);
+      if (again.type === 'sqlite') {
+        again.db.close();
+      }
+      await history.clear(filePath);
+    }
+
+    console.log('\n5️⃣ Bare-array JSON files...');
+    fs.writeFileSync(testArrayPath, JSON.stringify(images.slice(0, 2), null, 2));
+    const arrayStore = await openGalleryStore(testArrayPath);
+    await arrayStore.deleteImage(1);
+    expect([idsOf(arrayStore.listImages()), arrayStore.listTrash()], [['2'], []], 'Images in bare arrays are deleted for good');
+    expect(Array.isArray(JSON.parse(fs.readFileSync(testArrayPath, 'utf8'))), true, 'Bare array kept its shape');
+
+  } catch (error) {
+    console.log('❌ Trash test failed:', error.message);
+    throw error;
+  } finally {
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Trash tests completed successfully!');
+}
+
+testTrash().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Test that expired trash is purged by the next edit through the API, never by a read
+const fs = require('fs');
+const path = require('path');
+const { expect, createTestDir, removeTestDir, startTestServer, stopTestServer, request, quietly } = require('./test_helpers');
+
+console.log('🧪 Testing Trash Retention...\n');
+
+const testDir = createTestDir('trash-retention');
+const testJsonFile = 'test_trash_retention.json';
+const testJsonPath = path.join(testDir, testJsonFile);
+
+async function testTrashRetention() {
+  fs.writeFileSync(testJsonPath, JSON.stringify({
+    images: [{ id: 1, title: 'Kept', tags: [] }],
+    trash: [
+      { id: 2, title: 'Expired', tags: [], deletedAt: '2020-01-01T00:00:00.000Z' },
+      { id: 3, title: 'Recent', tags: [], deletedAt: new Date().toISOString() }
+    ],
+    metadata: { version: '1.0' }
+  }, null, 2));
+  const original = fs.readFileSync(testJsonPath, 'utf8');
+  const { app, baseUrl } = await startTestServer(testDir);
+
+  try {
+    const trash = await quietly(() => request(baseUrl, 'GET', `/api/trash?file=${testJsonFile}`));
+    await quietly(() => request(baseUrl, 'GET', `/api/galleries/${testJsonFile}/images`));
+    await quietly(() => request(baseUrl, 'GET', `/api/data/${testJsonFile}`));
+
+    expect(trash.body.images.map(img => img.id).sort(), [2, 3], 'Reads list the expired image');
+    expect(fs.readFileSync(testJsonPath, 'utf8') === original, true, 'Reads leave the file untouched');
+
+    const added = await quietly(() => request(baseUrl, 'POST', `/api/galleries/${testJsonFile}/images`, { title: 'New' }));
+    const after = await quietly(() => request(baseUrl, 'GET', `/api/trash?file=${testJsonFile}`));
+    const history = await quietly(() => request(baseUrl, 'GET', `/api/history?file=${testJsonFile}`));
+
+    expect(added.status, 201, 'Edit succeeds');
+    expect(after.body.images.map(img => img.id), [3], 'Edit purges the expired image');
+    expect(history.body.entries.map(entry => entry.description), ['Add image 4'], 'Purge is not recorded as an edit');
+
+    await quietly(() => request(baseUrl, 'POST', '/api/history/undo', { dataFile: testJsonFile }));
+    const undone = await quietly(() => request(baseUrl, 'GET', `/api/trash?file=${testJsonFile}`));
+    expect(undone.body.images.map(img => img.id), [3], 'Undo does not bring the purged image back');
+
+  } catch (error) {
+    console.log('❌ Trash retention test failed:', error.message);
+    throw error;
+  } finally {
+    await stopTestServer(app);
+    removeTestDir(testDir);
+    console.log('🧹 Cleaned up test files');
+  }
+
+  console.log('\n🎉 Trash retention tests completed successfully!');
+}
+
+testTrashRetention().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
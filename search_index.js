@@ -0,0 +1,290 @@
+/**
+ * Full-text search over image titles, descriptions and tags
+ * SQLite galleries use an FTS4 table (images_fts, docid = images.pk_id) kept in
+ * sync by DatabaseManager; sql.js is built without FTS5. JSON galleries use
+ * MemorySearchIndex. Both rank with the same BM25 formula so results agree.
+ */
+
+const SEARCH_TABLE = 'images_fts';
+
+// Column order in the index and how much a hit in each counts
+const SEARCH_COLUMNS = ['title', 'description', 'tags'];
+const COLUMN_WEIGHTS = [3, 1, 2];
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MAX_TERMS = 10;
+
+/**
+ * Split text into lowercase tokens the way FTS4's unicode61 tokenizer does
+ * Latin diacritics are removed so "cafe" finds "Café"
+ */
+function tokenize(text) {
+    if (text === undefined || text === null) {
+        return [];
+    }
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .normalize('NFC')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}\p{M}]+/u)
+        .filter(Boolean);
+}
+
+/**
+ * Turn a free-text query into unique search terms, each matched as a prefix
+ */
+function parseSearchTerms(query) {
+    return [...new Set(tokenize(query))].slice(0, MAX_TERMS);
+}
+
+/**
+ * Build an FTS MATCH expression: every term must match as a prefix
+ */
+function buildMatchExpression(terms) {
+    return terms.map(term => `"${term}*"`).join(' ');
+}
+
+/**
+ * Okapi BM25 summed over terms and weighted columns
+ * `hits[t][c]` and `docsWithHits[t][c]` follow FTS4 matchinfo('x') semantics
+ */
+function scoreBm25({ docCount, avgLengths, lengths, hits, docsWithHits }) {
+    let score = 0;
+
+    hits.forEach((termHits, t) => {
+        termHits.forEach((tf, c) => {
+            if (!tf) {
+                return;
+            }
+            const df = docsWithHits[t][c];
+            const idf = Math.log(1 + (docCount - df + 0.5) / (df + 0.5));
+            const norm = 1 - BM25_B + BM25_B * (lengths[c] / (avgLengths[c] || 1));
+            score += COLUMN_WEIGHTS[c] * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+        });
+    });
+
+    return score;
+}
+
+/**
+ * Decode an FTS4 matchinfo('pcnalx') blob into BM25 inputs
+ */
+function decodeMatchinfo(blob) {
+    const view = new DataView(blob.buffer, blob.byteOffset, blob.byteLength);
+    const values = [];
+    for (let offset = 0; offset < blob.byteLength; offset += 4) {
+        values.push(view.getUint32(offset, true));
+    }
+
+    const [phraseCount, columnCount, docCount] = values;
+    const avgLengths = values.slice(3, 3 + columnCount);
+    const lengths = values.slice(3 + columnCount, 3 + 2 * columnCount);
+    const hitsStart = 3 + 2 * columnCount;
+    const hits = [];
+    const docsWithHits = [];
+
+    for (let p = 0; p < phraseCount; p++) {
+        hits.push([]);
+        docsWithHits.push([]);
+        for (let c = 0; c < columnCount; c++) {
+            const base = hitsStart + 3 * (p * columnCount + c);
+            hits[p].push(values[base]);
+            docsWithHits[p].push(values[base + 2]);
+        }
+    }
+
+    return { docCount, avgLengths, lengths, hits, docsWithHits };
+}
+
+/**
+ * Check whether a database has the search table
+ */
+function hasSearchIndex(db) {
+    const result = db.exec("SELECT name FROM sqlite_master WHERE type='table' AND name = ?", [SEARCH_TABLE]);
+    return result.length > 0 && result[0].values.length > 0;
+}
+
+/**
+ * Create the FTS table if it does not exist
+ */
+function createSearchIndex(db) {
+    db.run(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS ${SEARCH_TABLE}
+        USING fts4(${SEARCH_COLUMNS.join(', ')}, tokenize=unicode61 "remove_diacritics=1")
+    `);
+}
+
+// Select the indexed columns for images, tags joined by spaces
+const INDEX_SOURCE_QUERY = `
+    SELECT
+        i.pk_id,
+        COALESCE(i.title, ''),
+        COALESCE(i.description, ''),
+        COALESCE((
+            SELECT group_concat(t.name, ' ')
+            FROM image_tags it
+            JOIN tags t ON t.id = it.tag_id
+            WHERE it.image_pk_id = i.pk_id
+        ), '')
+    FROM images i
+`;
+
+/**
+ * Re-index every image, e.g. after bulk inserts or tag renames
+ */
+function rebuildSearchIndex(db) {
+    createSearchIndex(db);
+    db.run(`DELETE FROM ${SEARCH_TABLE}`);
+    db.run(`INSERT INTO ${SEARCH_TABLE} (docid, ${SEARCH_COLUMNS.join(', ')}) ${INDEX_SOURCE_QUERY}`);
+}
+
+/**
+ * Refresh the index entry of one image after it or its tags changed
+ */
+function indexImage(db, pkId) {
+    if (!hasSearchIndex(db)) {
+        return;
+    }
+    db.run(`DELETE FROM ${SEARCH_TABLE} WHERE docid = ?`, [pkId]);
+    db.run(`INSERT INTO ${SEARCH_TABLE} (docid, ${SEARCH_COLUMNS.join(', ')}) ${INDEX_SOURCE_QUERY} WHERE i.pk_id = ?`, [pkId]);
+}
+
+/**
+ * Drop an image from the index
+ */
+function removeFromIndex(db, pkId) {
+    if (hasSearchIndex(db)) {
+        db.run(`DELETE FROM ${SEARCH_TABLE} WHERE docid = ?`, [pkId]);
+    }
+}
+
+/**
+ * Search the FTS table; returns [{ pkId, score }] best first
+ */
+function searchDatabase(db, terms) {
+    if (terms.length === 0) {
+        return [];
+    }
+    if (!hasSearchIndex(db)) {
+        throw new Error('Search index not found; reopen the database to run migrations');
+    }
+
+    const stmt = db.prepare(`
+        SELECT docid, matchinfo(${SEARCH_TABLE}, 'pcnalx') AS info
+        FROM ${SEARCH_TABLE}
+        WHERE ${SEARCH_TABLE} MATCH ?
+        ORDER BY docid
+    `);
+    stmt.bind([buildMatchExpression(terms)]);
+
+    const matches = [];
+    while (stmt.step()) {
+        const row = stmt.getAsObject();
+        matches.push({ pkId: row.docid, score: scoreBm25(decodeMatchinfo(row.info)) });
+    }
+    stmt.free();
+
+    // Array sort is stable, so ties stay in insertion (docid) order
+    return matches.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * In-memory equivalent of the FTS table for JSON galleries
+ */
+class MemorySearchIndex {
+    constructor(images) {
+        this.documents = images.map(img => ({
+            id: img.id,
+            columns: [
+                tokenize(img.title),
+                tokenize(img.description),
+                tokenize(Array.isArray(img.tags) ? img.tags.join(' ') : '')
+            ]
+        }));
+
+        // FTS4 reports the rounded integer average column length
+        const docCount = this.documents.length;
+        this.avgLengths = SEARCH_COLUMNS.map((column, c) => {
+            const totalTokens = this.documents.reduce((sum, doc) => sum + doc.columns[c].length, 0);
+            return docCount ? Math.floor((totalTokens + Math.floor(docCount / 2)) / docCount) : 0;
+        });
+    }
+
+    /**
+     * Search for documents where every term matches a token prefix
+     * Returns [{ id, score }] best first
+     */
+    search(terms) {
+        if (terms.length === 0) {
+            return [];
+        }
+
+        const countHits = (doc, term) => doc.columns.map(tokens => tokens.filter(token => token.startsWith(term)).length);
+        const hitsByDoc = this.documents.map(doc => terms.map(term => countHits(doc, term)));
+
+        const docsWithHits = terms.map((term, t) => SEARCH_COLUMNS.map((column, c) =>
+            hitsByDoc.filter(docHits => docHits[t][c] > 0).length
+        ));
+
+        const matches = [];
+        this.documents.forEach((doc, index) => {
+            const hits = hitsByDoc[index];
+            if (!hits.every(termHits => termHits.some(count => count > 0))) {
+                return;
+            }
+            matches.push({
+                id: doc.id,
+                score: scoreBm25({
+                    docCount: this.documents.length,
+                    avgLengths: this.avgLengths,
+                    lengths: doc.columns.map(tokens => tokens.length),
+                    hits,
+                    docsWithHits
+                })
+            });
+        });
+
+        return matches.sort((a, b) => b.score - a.score);
+    }
+}
+
+// Built indexes for JSON files, reused until the file changes
+const memoryIndexes = new Map();
+const MAX_CACHED_INDEXES = 8;
+
+/**
+ * Get a cached MemorySearchIndex for a file, rebuilding when its signature changes
+ */
+function getMemoryIndex(key, signature, images) {
+    const cached = memoryIndexes.get(key);
+    if (cached && cached.signature === signature) {
+        return cached.index;
+    }
+
+    const index = new MemorySearchIndex(images);
+    memoryIndexes.delete(key);
+    memoryIndexes.set(key, { signature, index });
+
+    if (memoryIndexes.size > MAX_CACHED_INDEXES) {
+        memoryIndexes.delete(memoryIndexes.keys().next().value);
+    }
+
+    return index;
+}
+
+module.exports = {
+    SEARCH_TABLE,
+    tokenize,
+    parseSearchTerms,
+    buildMatchExpression,
+    hasSearchIndex,
+    createSearchIndex,
+    rebuildSearchIndex,
+    indexImage,
+    removeFromIndex,
+    searchDatabase,
+    MemorySearchIndex,
+    getMemoryIndex
+};
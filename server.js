@@ -2,11 +2,26 @@ const express = require("express");
 const path = require("path");
 const fs = require("fs");
 const cors = require("cors");
-const DatabaseManager = require("./database");
+const DatabasePool = require("./database_pool");
+const { writeWithBackup, listBackups, restoreBackup, withFileLock } = require("./safe_write");
+const { openGalleryStore, GalleryStore, GalleryStoreError } = require("./gallery_store");
+const { MediaStorage, MEDIA_URL_PATH, SUPPORTED_FORMATS } = require("./media_storage");
+const { ThumbnailService, THUMBNAIL_WIDTHS } = require("./thumbnails");
+const { MediaHasher, findDuplicateClusters, mergeDuplicates, DEFAULT_SIMILARITY_THRESHOLD, MAX_SIMILARITY_THRESHOLD } = require("./duplicates");
+const { MediaMetadataScanner } = require("./media_metadata");
+const { pickComparisonPair, recordComparison, listRatings, applyRatingsToRankings } = require("./comparisons");
+const { EditHistory } = require("./history");
 
 const app = express();
 const PORT = process.env.PORT || 3019;
 
+// Open SQLite galleries stay in memory; writes are flushed to disk in batches
+const databasePool = new DatabasePool({
+  flushDelay: parseInt(process.env.DB_FLUSH_DELAY_MS, 10) || 1000,
+  maxFlushDelay: parseInt(process.env.DB_MAX_FLUSH_DELAY_MS, 10) || 5000
+});
+app.locals.databasePool = databasePool;
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: "50mb" }));
@@ -20,15 +35,64 @@ app.use((req, res, next) => {
   next();
 });
 
-// Ensure data directory exists
-const DATA_DIR = path.join(__dirname, "data");
+// Ensure data directory exists; DATA_DIR moves it
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
 if (!fs.existsSync(DATA_DIR)) {
   fs.mkdirSync(DATA_DIR, { recursive: true });
 }
 
+// Uploaded media; MEDIA_DIR moves it, UPLOAD_MAX_FILE_MB and UPLOAD_MAX_FILES limit requests
+const MEDIA_DIR = path.resolve(process.env.MEDIA_DIR || path.join(__dirname, "uploads"));
+const mediaStorage = new MediaStorage({
+  mediaDir: MEDIA_DIR,
+  maxFileSize: (parseFloat(process.env.UPLOAD_MAX_FILE_MB) || 200) * 1024 * 1024,
+  maxFiles: parseInt(process.env.UPLOAD_MAX_FILES, 10) || 50
+});
+
+// Thumbnail cache; THUMBNAIL_DIR moves it
+const THUMBNAIL_DIR = path.resolve(process.env.THUMBNAIL_DIR || path.join(DATA_DIR, ".thumbnails"));
+const thumbnails = new ThumbnailService({
+  cacheDir: THUMBNAIL_DIR,
+  mediaDir: MEDIA_DIR,
+  rootDir: __dirname
+});
+const mediaHasher = new MediaHasher(thumbnails);
+const metadataScanner = new MediaMetadataScanner(thumbnails);
+
+// Undo/redo log of every edit made through the API, per data file (HISTORY_LIMIT entries)
+const editHistory = new EditHistory();
+
+// Deleted images stay in the trash for TRASH_RETENTION_DAYS (0 keeps them until purged by hand)
+const retentionSetting = parseFloat(process.env.TRASH_RETENTION_DAYS);
+const TRASH_RETENTION_DAYS = Number.isFinite(retentionSetting) && retentionSetting >= 0 ? retentionSetting : 30;
+const TRASH_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const trashCheckedAt = new Map();
+
+// Hashes and camera/video metadata read from the file behind an incoming image record;
+// routes call this before taking the data file's write lock, so other edits never wait on file reads
+async function withMediaDetails(image) {
+  return metadataScanner.withMetadata(await mediaHasher.withHashes(image));
+}
+
+// History description of a bulk edit, e.g. "Bulk addTags, setRanking on 3 image(s)"
+function describeBatch(imageIds, operations) {
+  const count = Array.isArray(imageIds) ? new Set(imageIds.map(String)).size : 0;
+  const types = Array.isArray(operations) ? operations.map(operation => operation && operation.type) : [];
+  return types.includes("delete")
+    ? `Delete ${count} image(s)`
+    : `Bulk ${types.join(", ")} on ${count} image(s)`;
+}
+
 // Serve static files
 app.use(express.static(__dirname));
 app.use("/data", express.static(DATA_DIR));
+app.use(`/${MEDIA_URL_PATH}`, express.static(MEDIA_DIR, {
+  setHeaders: (res) => {
+    // Uploaded SVGs must not run scripts when opened directly
+    res.setHeader("Content-Security-Policy", "script-src 'none'");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+  }
+}));
 
 // Utility functions
 function formatFileSize(bytes) {
@@ -39,6 +103,121 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
 }
 
+// Check a filename parameter for directory traversal
+function isSafeFilename(filename) {
+  return !filename.includes("..") && !filename.includes("/") && !filename.includes("\\");
+}
+
+// Locate a data file in the data, root, temp or working directories
+function resolveDataFile(filename) {
+  const possiblePaths = [
+    path.join(DATA_DIR, filename),
+    path.join(__dirname, filename),
+    path.join(__dirname, "temp", filename),
+    path.resolve(filename)
+  ];
+  return possiblePaths.find(tryPath => fs.existsSync(tryPath)) || null;
+}
+
+// Check a data file name parameter and locate the file
+function locateDataFile(filename) {
+  if (!filename || typeof filename !== "string" || !isSafeFilename(filename)) {
+    throw new GalleryStoreError("Invalid filename", "VALIDATION");
+  }
+
+  const filePath = resolveDataFile(filename);
+  if (!filePath) {
+    throw new GalleryStoreError(`Data file not found: ${filename}`, "FILE_NOT_FOUND");
+  }
+  return filePath;
+}
+
+// Resolve a data file name and open the matching gallery store for reading
+async function openStore(filename) {
+  const filePath = locateDataFile(filename);
+  const store = await openGalleryStore(filePath, { pool: databasePool });
+  return { store, filePath };
+}
+
+// Change a data file: `edit(store, filePath)` runs inside the file's write lock on a
+// store opened there, so a JSON gallery is read after the previous write has landed
+// and concurrent requests cannot save over each other's changes. Expired trash is
+// purged first, so reads never write
+async function editStore(filename, edit) {
+  const filePath = locateDataFile(filename);
+  return withFileLock(filePath, async () => {
+    const store = await openGalleryStore(filePath, { pool: databasePool });
+    await purgeExpiredTrash(store, filePath);
+    return edit(store, filePath);
+  });
+}
+
+// Change a data file (see editStore) and record the change for undo/redo
+function recordEdit(filename, description, edit) {
+  return editStore(filename, (store, filePath) => editHistory.record(filePath, store, description, () => edit(store)));
+}
+
+// Purge images trashed longer than the retention period, at most hourly per file;
+// expired images are gone for good, so this is not recorded in the edit history.
+// Callers hold the file's write lock
+async function purgeExpiredTrash(store, filePath) {
+  const now = Date.now();
+  if (TRASH_RETENTION_DAYS <= 0 || now - (trashCheckedAt.get(filePath) || 0) < TRASH_PURGE_INTERVAL_MS) {
+    return;
+  }
+  trashCheckedAt.set(filePath, now);
+
+  try {
+    const purged = await store.purgeExpiredTrash(TRASH_RETENTION_DAYS);
+    if (purged.length > 0) {
+      console.log(`🗑️ Purged ${purged.length} expired image(s) from the trash of ${path.basename(filePath)}`);
+    }
+  } catch (error) {
+    console.warn(`⚠️ Could not purge expired trash of ${path.basename(filePath)}: ${error.message}`);
+  }
+}
+
+// HTTP status for each gallery store error code
+const STORE_ERROR_STATUS = {
+  VALIDATION: 400,
+  INVALID_FILE: 400,
+  NOT_FOUND: 404,
+  FILE_NOT_FOUND: 404,
+  DUPLICATE_ID: 409,
+  FILE_TOO_LARGE: 413,
+  UNSUPPORTED_MEDIA: 415
+};
+
+// The gallery image resource routes answer validation errors with 422
+const RESOURCE_ERROR_STATUS = {
+  ...STORE_ERROR_STATUS,
+  VALIDATION: 422
+};
+
+// Send a consistent error response for store and unexpected errors
+function sendStoreError(res, error, action, statusByCode = STORE_ERROR_STATUS) {
+  const status = (error instanceof GalleryStoreError && statusByCode[error.code]) || 500;
+  if (status === 500) {
+    console.error(`${action}:`, error);
+  } else {
+    console.warn(`${action}: ${error.message}`);
+  }
+
+  res.status(status).json({
+    success: false,
+    error: action,
+    code: error.code,
+    details: error.message
+  });
+}
+
+// Check a groupId body parameter; group IDs are strings
+function requireGroupId(groupId, dataFile) {
+  if (typeof groupId !== "string" || !groupId.trim() || !dataFile) {
+    throw new GalleryStoreError("Missing required parameters: groupId and dataFile", "VALIDATION");
+  }
+}
+
 // Routes
 
 // Health check endpoint
@@ -55,103 +234,86 @@ app.get("/", (req, res) => {
 app.get("/api/data/:filename", async (req, res) => {
   try {
     const filename = req.params.filename;
-
-    // Security: Prevent directory traversal
-    if (filename.includes("..") || filename.includes("/") || filename.includes("\\")) {
-      return res.status(400).json({ error: "Invalid filename" });
+    const query = GalleryStore.parseQuery(req.query);
+    const { store, filePath } = await openStore(filename);
+
+    // Without query parameters the whole gallery is returned as before
+    let data;
+    let pagination;
+    if (query) {
+      const result = store.queryImages(query);
+      data = {
+        images: result.images,
+        metadata: {
+          ...store.getMetadata(),
+          availableTags: store.getAvailableTags(),
+          nextImageId: store.getNextImageId()
+        }
+      };
+      pagination = {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      };
+    } else {
+      data = store.getData();
     }
 
-    let filePath;
-    const isDatabaseFile = filename.toLowerCase().endsWith('.db');
+    res.json({
+      success: true,
+      data: data,
+      pagination: pagination,
+      query: query || undefined,
+      filename: filename,
+      path: filePath,
+      size: formatFileSize(fs.statSync(filePath).size),
+      source: store.type,
+      stats: store.getStats()
+    });
 
-    // Try different locations for the file
-    const possiblePaths = [
-      path.join(DATA_DIR, filename),
-      path.join(__dirname, filename),
-      path.join(__dirname, "temp", filename),
-      path.resolve(filename) // For absolute paths
-    ];
-
-    for (const tryPath of possiblePaths) {
-      if (fs.existsSync(tryPath)) {
-        filePath = tryPath;
-        break;
-      }
-    }
+  } catch (error) {
+    sendStoreError(res, error, "Failed to load data file");
+  }
+});
 
-    if (!filePath) {
-      return res.status(404).json({
-        error: `File not found: ${filename}`,
-        searchedPaths: possiblePaths
-      });
+// Full-text search over titles, descriptions and tags, best matches first
+app.get("/api/search", async (req, res) => {
+  try {
+    const filename = req.query.file;
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+    const offset = req.query.offset === undefined ? 0 : Number(req.query.offset);
+
+    if (!filename) {
+      throw new GalleryStoreError("Missing required parameter: file", "VALIDATION");
+    }
+    if (!query) {
+      throw new GalleryStoreError("Missing required parameter: q", "VALIDATION");
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+      throw new GalleryStoreError(`Invalid limit: ${req.query.limit} (1-100)`, "VALIDATION");
+    }
+    if (!Number.isInteger(offset) || offset < 0) {
+      throw new GalleryStoreError(`Invalid offset: ${req.query.offset}`, "VALIDATION");
     }
 
-    // Handle SQLite database files
-    if (isDatabaseFile) {
-      try {
-        // Validate that it's a proper SQLite database
-        const isValid = await DatabaseManager.isValidDatabase(filePath);
-        if (!isValid) {
-          return res.status(400).json({
-            error: "Invalid SQLite database file",
-            details: "The file does not appear to be a valid SQLite database with required tables"
-          });
-        }
+    const { store } = await openStore(filename);
+    const result = store.searchImages(query, { limit, offset });
 
-        const dbManager = new DatabaseManager();
-        await dbManager.loadDatabase(filePath);
-
-        const data = dbManager.getAllImages();
-        const stats = dbManager.getDatabaseStats();
-        dbManager.close();
-
-        res.json({
-          success: true,
-          data: data,
-          filename: filename,
-          path: filePath,
-          size: formatFileSize(fs.statSync(filePath).size),
-          source: 'sqlite',
-          stats: stats
-        });
-
-      } catch (dbError) {
-        console.error("Error loading SQLite database:", dbError);
-        return res.status(500).json({
-          error: "Failed to load SQLite database",
-          details: dbError.message,
-        });
-      }
-    } else {
-      // Handle JSON files
-      try {
-        const data = fs.readFileSync(filePath, 'utf8');
-        const jsonData = JSON.parse(data);
-
-        res.json({
-          success: true,
-          data: jsonData,
-          filename: filename,
-          path: filePath,
-          size: formatFileSize(fs.statSync(filePath).size),
-          source: 'json'
-        });
-
-      } catch (jsonError) {
-        console.error("Error loading JSON data:", jsonError);
-        return res.status(500).json({
-          error: "Failed to load JSON data",
-          details: jsonError.message,
-        });
-      }
-    }
+    res.json({
+      success: true,
+      file: filename,
+      query: query,
+      terms: result.terms,
+      total: result.total,
+      limit: limit,
+      offset: offset,
+      results: result.results
+    });
 
   } catch (error) {
-    console.error("Error loading data file:", error);
-    res.status(500).json({
-      error: "Failed to load data file",
-      details: error.message,
-    });
+    sendStoreError(res, error, "Failed to search images");
   }
 });
 
@@ -224,7 +386,7 @@ app.get("/api/data", (req, res) => {
 });
 
 // Save JSON data to file
-app.post("/api/data/:filename", (req, res) => {
+app.post("/api/data/:filename", async (req, res) => {
   try {
     const filename = req.params.filename;
     const data = req.body;
@@ -237,7 +399,10 @@ app.post("/api/data/:filename", (req, res) => {
     const filePath = path.join(DATA_DIR, filename);
     const jsonString = JSON.stringify(data, null, 2);
     
-    fs.writeFileSync(filePath, jsonString, 'utf8');
+    await withFileLock(filePath, () => {
+      writeWithBackup(filePath, jsonString);
+      editHistory.clear(filePath);
+    });
 
     res.json({
       success: true,
@@ -270,10 +435,27 @@ app.get("/api/info", (req, res) => {
       "settings-management",
       "sqlite-database-support",
       "json-database-support",
-      "crud-operations"
+      "crud-operations",
+      "media-upload",
+      "thumbnails",
+      "duplicate-detection",
+      "media-metadata",
+      "tag-api",
+      "tag-hierarchy",
+      "albums",
+      "group-api",
+      "group-order",
+      "compare-ranking",
+      "bulk-edit",
+      "edit-history",
+      "trash",
+      "image-revisions",
+      "image-resources"
     ],
     dataDir: DATA_DIR,
-    supportedFormats: ["jpg", "jpeg", "png", "gif", "webp", "svg"],
+    mediaDir: MEDIA_DIR,
+    supportedFormats: SUPPORTED_FORMATS,
+    thumbnailWidths: THUMBNAIL_WIDTHS,
     supportedDataFormats: ["json", "sqlite"]
   });
 });
@@ -292,310 +474,1351 @@ app.post("/api/images", async (req, res) => {
       });
     }
 
-    // Validate required fields
-    if (!image.id || !image.title) {
+    const details = await withMediaDetails(image);
+    const added = await recordEdit(dataFile, `Add image ${image.id}`, store => store.addImage(details));
+
+    res.json({
+      success: true,
+      message: "Image added successfully",
+      imageId: added.id
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to add image");
+  }
+});
+
+// Update existing image
+app.put("/api/images", async (req, res) => {
+  console.log('🔄 PUT /api/images - Update request received');
+
+  try {
+    const { image, dataFile } = req.body;
+
+    if (!image || !dataFile || !image.id) {
       return res.status(400).json({
         success: false,
-        error: "Missing required image fields: id and title"
+        error: "Missing required parameters: image, dataFile, and image.id"
       });
     }
 
-    let filePath;
-    const isDatabaseFile = dataFile.toLowerCase().endsWith('.db');
+    console.log('📝 Update request for image ID:', image.originalId || image.id, 'in file:', dataFile);
 
-    // Find the data file
-    const possiblePaths = [
-      path.join(DATA_DIR, dataFile),
-      path.join(__dirname, dataFile),
-      path.resolve(dataFile)
-    ];
+    const details = await withMediaDetails(image);
+    const updated = await recordEdit(dataFile, `Edit image ${image.originalId || image.id}`,
+      store => store.updateImage(details));
 
-    for (const tryPath of possiblePaths) {
-      if (fs.existsSync(tryPath)) {
-        filePath = tryPath;
-        break;
-      }
-    }
+    console.log(`✅ Image updated in ${dataFile}`);
+    res.json({
+      success: true,
+      message: "Image updated successfully",
+      imageId: updated.id
+    });
 
-    if (!filePath) {
-      return res.status(404).json({
+  } catch (error) {
+    sendStoreError(res, error, "Failed to update image");
+  }
+});
+
+// Delete image: moves it to the trash. Deleting a major image whose group has
+// other images needs subsidiaries: "trash" (they go too) or "rehome" (the first
+// of them becomes the major)
+app.delete("/api/images", async (req, res) => {
+  try {
+    const { imageId, dataFile, subsidiaries } = req.body;
+
+    if (imageId === undefined || imageId === null || imageId === '' || !dataFile) {
+      return res.status(400).json({
         success: false,
-        error: `Data file not found: ${dataFile}`
+        error: "Missing required parameters: imageId and dataFile"
       });
     }
 
-    if (isDatabaseFile) {
-      // Handle SQLite database
-      const dbManager = new DatabaseManager();
-      await dbManager.loadDatabase(filePath);
-      await dbManager.addImage(image);
+    let canTrash;
+    const result = await recordEdit(dataFile, `Delete image ${imageId}`, store => {
+      canTrash = store.canTrash();
+      return store.trashImages([imageId], { subsidiaries });
+    });
+
+    res.json({
+      success: true,
+      message: canTrash ? "Image moved to the trash" : "Image deleted successfully",
+      imageId: imageId,
+      trashed: result.trashed.map(img => img.id),
+      rehomed: result.rehomed.map(img => img.id)
+    });
 
-      // Save the database back to file
-      console.log('💾 Saving database after adding image...');
-      dbManager.save();
+  } catch (error) {
+    sendStoreError(res, error, "Failed to delete image");
+  }
+});
 
-      dbManager.close();
-    } else {
-      // Handle JSON file
-      const data = fs.readFileSync(filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+// Earlier versions of an image (?file=...), newest first; each lists the fields
+// the following update changed as { field, before, after }
+app.get("/api/images/:id/history", async (req, res) => {
+  try {
+    const { store } = await openStore(req.query.file);
+    const history = store.getImageHistory(req.params.id);
 
-      if (!jsonData.images || !Array.isArray(jsonData.images)) {
-        throw new Error("Invalid JSON format: missing images array");
-      }
+    res.json({
+      success: true,
+      imageId: history.image.id,
+      ...history
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to load image history");
+  }
+});
+
+// Revert an image's content to an earlier version: { dataFile, revisionId }
+// Title, description, source, ranking, tags and size are restored; the ID and group stay
+app.post("/api/images/:id/revert", async (req, res) => {
+  try {
+    const { dataFile, revisionId } = req.body;
 
-      jsonData.images.push(image);
-      fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2));
+    if (revisionId === undefined || revisionId === null || revisionId === "" || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: dataFile and revisionId", "VALIDATION");
     }
 
+    const image = await recordEdit(dataFile, `Revert image ${req.params.id}`,
+      store => store.revertImage(req.params.id, revisionId));
+
+    console.log(`⏪ Reverted image ${image.id} to revision ${revisionId} in ${dataFile}`);
     res.json({
       success: true,
-      message: "Image added successfully",
-      imageId: image.id
+      message: "Image reverted",
+      image: image
     });
 
   } catch (error) {
-    console.error("Error adding image:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to add image",
-      details: error.message
-    });
+    sendStoreError(res, error, "Failed to revert image");
   }
 });
 
-// Update existing image
-app.put("/api/images", async (req, res) => {
-  console.log('🔄 PUT /api/images - Update request received');
-  console.log('📋 Request body:', JSON.stringify(req.body, null, 2));
-
+// Bulk edit: { dataFile, imageIds: [...], operations: [{ type, ... }] }
+// Operations: addTags { tags }, removeTags { tags }, setRanking { ranking },
+// addToGroup { groupId }, addToAlbum { albumId } or delete { subsidiaries? } (on
+// its own; moves the images to the trash like DELETE /api/images).
+// Everything is written in one save, or nothing if an operation is invalid.
+app.post("/api/images/batch", async (req, res) => {
   try {
-    console.log('🚨 SERVER PUT /api/images - ENTERING FUNCTION');
-    console.log('🚨 THIS SHOULD APPEAR IMMEDIATELY WHEN SAVE IS CLICKED');
-
-    const { image, dataFile } = req.body;
-    console.log('🚨 Request body parsed:', { image: !!image, dataFile: !!dataFile, hasImageId: !!image?.id });
+    const { dataFile, imageIds, operations } = req.body;
 
-    if (!image || !dataFile || !image.id) {
-      console.log('❌ Missing required parameters:', { image: !!image, dataFile: !!dataFile, imageId: !!image?.id });
-      return res.status(400).json({
-        success: false,
-        error: "Missing required parameters: image, dataFile, and image.id"
-      });
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
     }
 
-    console.log('📝 Update request for image ID:', image.id, 'in file:', dataFile);
+    const result = await recordEdit(dataFile, describeBatch(imageIds, operations),
+      store => store.batchUpdateImages(imageIds, operations));
 
-    let filePath;
-    const isDatabaseFile = dataFile.toLowerCase().endsWith('.db');
-    console.log('🗄️ File type detected:', isDatabaseFile ? 'SQLite database' : 'JSON file');
+    const summary = result.deleted.length > 0
+      ? `Deleted ${result.deleted.length} image(s)`
+      : `Updated ${result.imageIds.length} image(s)`;
+    console.log(`📦 Bulk edit in ${dataFile}: ${summary.toLowerCase()}`);
+    res.json({
+      success: true,
+      message: summary,
+      ...result
+    });
 
-    // Find the data file
-    const possiblePaths = [
-      path.join(DATA_DIR, dataFile),
-      path.join(__dirname, dataFile),
-      path.resolve(dataFile)
-    ];
+  } catch (error) {
+    sendStoreError(res, error, "Failed to apply bulk edit");
+  }
+});
 
-    console.log('🔍 Searching for data file in paths:', possiblePaths);
+// Gallery image resources: /api/galleries/:file/images[/:id]
+// The data file and image ID come from the URL and the body is the image itself.
+// Missing images answer 404, taken IDs 409 and invalid images 422.
 
-    for (const tryPath of possiblePaths) {
-      if (fs.existsSync(tryPath)) {
-        filePath = tryPath;
-        console.log('✅ Found data file at:', filePath);
-        break;
-      }
-    }
+// Location of an image resource
+function imageResourcePath(file, imageId) {
+  return `/api/galleries/${encodeURIComponent(file)}/images/${encodeURIComponent(imageId)}`;
+}
 
-    if (!filePath) {
-      console.log('❌ Data file not found in any of the searched paths');
-      return res.status(404).json({
-        success: false,
-        error: `Data file not found: ${dataFile}`
+// Check that a request body is an image object
+function requireImageBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    throw new GalleryStoreError("Request body must be an image object", "VALIDATION");
+  }
+}
+
+// List images; takes the same query parameters as GET /api/data/:filename
+app.get("/api/galleries/:file/images", async (req, res) => {
+  try {
+    const query = GalleryStore.parseQuery(req.query);
+    const { store } = await openStore(req.params.file);
+
+    if (query) {
+      const result = store.queryImages(query);
+      return res.json({
+        success: true,
+        images: result.images,
+        pagination: {
+          page: result.page,
+          pageSize: result.pageSize,
+          total: result.total,
+          totalPages: result.totalPages
+        }
       });
     }
 
-    if (isDatabaseFile) {
-      // Handle SQLite database
-      console.log('🔄 Processing SQLite database update...');
-      console.log('🔄 Loading database from:', filePath);
-
-      // Get file info BEFORE update
-      const statsBefore = fs.statSync(filePath);
-      console.log('📊 Database file BEFORE update:');
-      console.log('  Size:', statsBefore.size, 'bytes');
-      console.log('  Modified:', statsBefore.mtime);
-
-      const dbManager = new DatabaseManager();
-      await dbManager.loadDatabase(filePath);
-      console.log('✅ Database loaded successfully');
+    const images = store.listImages();
+    res.json({
+      success: true,
+      images: images,
+      total: images.length
+    });
 
-      console.log('🔄 Calling dbManager.updateImage with:', image);
-      await dbManager.updateImage(image);
-      console.log('✅ Database update completed');
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list images", RESOURCE_ERROR_STATUS);
+  }
+});
 
-      // Save the database back to file
-      console.log('💾 Saving database to file...');
-      dbManager.save();
-      console.log('✅ Database saved successfully');
+// Get one image
+app.get("/api/galleries/:file/images/:id", async (req, res) => {
+  try {
+    const { store } = await openStore(req.params.file);
 
-      // Get file info AFTER update
-      const statsAfter = fs.statSync(filePath);
-      console.log('📊 Database file AFTER update:');
-      console.log('  Size:', statsAfter.size, 'bytes');
-      console.log('  Modified:', statsAfter.mtime);
-      console.log('  Size change:', statsAfter.size - statsBefore.size, 'bytes');
-      console.log('  File was modified:', statsAfter.mtime.getTime() !== statsBefore.mtime.getTime());
+    res.json({
+      success: true,
+      image: store.getImage(req.params.id)
+    });
 
-      dbManager.close();
-    } else {
-      // Handle JSON file
-      console.log('🔄 Processing JSON file update...');
-      const data = fs.readFileSync(filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+  } catch (error) {
+    sendStoreError(res, error, "Failed to load image", RESOURCE_ERROR_STATUS);
+  }
+});
 
-      if (!jsonData.images || !Array.isArray(jsonData.images)) {
-        throw new Error("Invalid JSON format: missing images array");
-      }
+// Add an image; without an id it gets the gallery's next free one
+app.post("/api/galleries/:file/images", async (req, res) => {
+  try {
+    requireImageBody(req.body);
+    const details = await withMediaDetails(req.body);
+    const added = await editStore(req.params.file, (store, filePath) => {
+      const image = details.id === undefined || details.id === null || details.id === ""
+        ? { ...details, id: store.getNextImageId() }
+        : details;
+
+      return editHistory.record(filePath, store, `Add image ${image.id}`, () => store.addImage(image));
+    });
 
-      const imageIndex = jsonData.images.findIndex(img => img.id === image.id);
-      if (imageIndex === -1) {
-        throw new Error(`Image with ID ${image.id} not found`);
-      }
+    res.status(201).location(imageResourcePath(req.params.file, added.id)).json({
+      success: true,
+      message: "Image added successfully",
+      image: added
+    });
 
-      console.log('📝 Found image at index:', imageIndex);
-      console.log('📝 Original image data:', JSON.stringify(jsonData.images[imageIndex], null, 2));
-      console.log('📝 New image data:', JSON.stringify(image, null, 2));
+  } catch (error) {
+    sendStoreError(res, error, "Failed to add image", RESOURCE_ERROR_STATUS);
+  }
+});
 
-      jsonData.images[imageIndex] = image;
-      fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2));
-      console.log('✅ JSON file updated successfully');
-    }
+// Replace an image; fields left out are reset to their defaults, except the date
+// it was added. A different id in the body renames the image
+app.put("/api/galleries/:file/images/:id", async (req, res) => {
+  try {
+    requireImageBody(req.body);
+    const details = await withMediaDetails(req.body);
+    const updated = await recordEdit(req.params.file, `Edit image ${req.params.id}`, store => {
+      const current = store.getImage(req.params.id);
+      return store.updateImage({
+        ...details,
+        id: req.body.id === undefined ? current.id : req.body.id,
+        originalId: current.id
+      });
+    });
 
-    console.log('✅ Update operation completed successfully');
-    console.log('🚨 ABOUT TO SEND SUCCESS RESPONSE TO CLIENT');
     res.json({
       success: true,
       message: "Image updated successfully",
-      imageId: image.id
+      image: updated
     });
-    console.log('🚨 SUCCESS RESPONSE SENT TO CLIENT');
 
   } catch (error) {
-    console.error("❌ Error updating image:", error);
-    console.error("Error stack:", error.stack);
-    res.status(500).json({
-      success: false,
-      error: "Failed to update image",
-      details: error.message
-    });
+    sendStoreError(res, error, "Failed to update image", RESOURCE_ERROR_STATUS);
   }
 });
 
-// Delete image
-app.delete("/api/images", async (req, res) => {
+// Update some fields of an image; the others keep their current values
+app.patch("/api/galleries/:file/images/:id", async (req, res) => {
   try {
-    const { imageId, dataFile } = req.body;
+    requireImageBody(req.body);
+    const changes = req.body.src === undefined ? req.body : await withMediaDetails(req.body);
+    const updated = await recordEdit(req.params.file, `Edit image ${req.params.id}`,
+      store => store.patchImage(req.params.id, changes));
 
-    if (!imageId || !dataFile) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required parameters: imageId and dataFile"
-      });
-    }
+    res.json({
+      success: true,
+      message: "Image updated successfully",
+      image: updated
+    });
 
-    let filePath;
-    const isDatabaseFile = dataFile.toLowerCase().endsWith('.db');
+  } catch (error) {
+    sendStoreError(res, error, "Failed to update image", RESOURCE_ERROR_STATUS);
+  }
+});
 
-    // Find the data file
-    const possiblePaths = [
-      path.join(DATA_DIR, dataFile),
-      path.join(__dirname, dataFile),
-      path.resolve(dataFile)
-    ];
+// Move an image to the trash; a group's major image needs ?subsidiaries=trash or rehome
+app.delete("/api/galleries/:file/images/:id", async (req, res) => {
+  try {
+    let canTrash;
+    const result = await recordEdit(req.params.file, `Delete image ${req.params.id}`, store => {
+      canTrash = store.canTrash();
+      return store.trashImages([req.params.id], { subsidiaries: req.query.subsidiaries });
+    });
 
-    for (const tryPath of possiblePaths) {
-      if (fs.existsSync(tryPath)) {
-        filePath = tryPath;
-        break;
-      }
-    }
+    res.json({
+      success: true,
+      message: canTrash ? "Image moved to the trash" : "Image deleted successfully",
+      trashed: result.trashed.map(img => img.id),
+      rehomed: result.rehomed.map(img => img.id)
+    });
 
-    if (!filePath) {
-      return res.status(404).json({
-        success: false,
-        error: `Data file not found: ${dataFile}`
-      });
-    }
+  } catch (error) {
+    sendStoreError(res, error, "Failed to delete image", RESOURCE_ERROR_STATUS);
+  }
+});
 
-    if (isDatabaseFile) {
-      // Handle SQLite database
-      const dbManager = new DatabaseManager();
-      await dbManager.loadDatabase(filePath);
-      await dbManager.deleteImage(imageId);
+// Media uploads
 
-      // Save the database back to file
-      console.log('💾 Saving database after deleting image...');
-      dbManager.save();
+// Upload image/video files (multipart field "files"); with a dataFile field an
+// image record is added to that gallery for each file
+app.post("/api/upload", async (req, res) => {
+  let received = [];
+  let stored = [];
+  const recorded = new Set();
 
-      dbManager.close();
-    } else {
-      // Handle JSON file
-      const data = fs.readFileSync(filePath, 'utf8');
-      const jsonData = JSON.parse(data);
+  try {
+    received = await mediaStorage.receive(req, res);
+    if (received.length === 0) {
+      throw new GalleryStoreError('No files uploaded (multipart field "files")', "VALIDATION");
+    }
 
-      if (!jsonData.images || !Array.isArray(jsonData.images)) {
-        throw new Error("Invalid JSON format: missing images array");
-      }
+    const dataFile = req.body.dataFile || null;
+    const tags = typeof req.body.tags === "string" ? req.body.tags.split(",") : [];
 
-      const imageIndex = jsonData.images.findIndex(img => img.id === imageId);
-      if (imageIndex === -1) {
-        throw new Error(`Image with ID ${imageId} not found`);
+    // Check the gallery before keeping any file so a bad dataFile leaves nothing behind
+    if (dataFile) {
+      locateDataFile(dataFile);
+    }
+    stored = await mediaStorage.finalize(received);
+
+    const images = [];
+    if (dataFile) {
+      // Read hashes and metadata first; IDs are handed out under the write lock
+      const records = [];
+      for (const media of stored) {
+        records.push(await withMediaDetails(mediaStorage.buildImageRecord(media, null, { tags })));
       }
 
-      jsonData.images.splice(imageIndex, 1);
-      fs.writeFileSync(filePath, JSON.stringify(jsonData, null, 2));
+      await recordEdit(dataFile, `Upload ${stored.length} file(s)`, async store => {
+        for (const [index, media] of stored.entries()) {
+          const image = await store.addImage({ ...records[index], id: store.getNextImageId() });
+          recorded.add(media.fileName);
+          images.push(image);
+        }
+      });
     }
 
+    console.log(`📤 Uploaded ${stored.length} file(s)${dataFile ? ` into ${dataFile}` : ""}`);
     res.json({
       success: true,
-      message: "Image deleted successfully",
-      imageId: imageId
+      message: `Uploaded ${stored.length} file(s)`,
+      files: stored,
+      images: images,
+      dataFile: dataFile
     });
 
   } catch (error) {
-    console.error("Error deleting image:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to delete image",
-      details: error.message
-    });
+    // Keep only files that already have an image record
+    if (stored.length > 0) {
+      mediaStorage.removeFiles(stored.map(media => media.fileName).filter(name => !recorded.has(name)));
+    } else {
+      mediaStorage.removeFiles(received);
+    }
+    sendStoreError(res, error, "Failed to upload media");
   }
 });
 
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error("Server error:", error);
-  res.status(500).json({ error: "Internal server error" });
+// Thumbnail of a local image or poster frame of a video (?src=...&w=320)
+// The width snaps up to the nearest cached size; GIF, SVG and other formats
+// that are not resized here are sent as is
+app.get("/api/thumb", async (req, res) => {
+  try {
+    const thumbnail = await thumbnails.getThumbnail(req.query.src, req.query.w || 320);
+
+    res.setHeader("Cache-Control", "public, max-age=86400");
+    res.setHeader("Content-Security-Policy", "script-src 'none'");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.type(thumbnail.mimeType).sendFile(thumbnail.path, { dotfiles: "allow" }, (error) => {
+      if (error && !res.headersSent) {
+        sendStoreError(res, error, "Failed to send thumbnail");
+      }
+    });
+  } catch (error) {
+    sendStoreError(res, error, "Failed to create thumbnail");
+  }
 });
 
-// Start server
-const server = app.listen(PORT, () => {
+// Duplicates
+
+// Find clusters of identical (same content hash) or similar (close perceptual
+// hash) images in a gallery (?file=...&threshold=6). Images with a local src
+// that have not been hashed yet are hashed and saved first.
+app.get("/api/duplicates", async (req, res) => {
+  try {
+    let threshold = DEFAULT_SIMILARITY_THRESHOLD;
+    if (req.query.threshold !== undefined) {
+      threshold = Number(req.query.threshold);
+      if (!Number.isInteger(threshold) || threshold < 0 || threshold > MAX_SIMILARITY_THRESHOLD) {
+        throw new GalleryStoreError(`Invalid threshold: ${req.query.threshold} (0-${MAX_SIMILARITY_THRESHOLD})`, "VALIDATION");
+      }
+    }
+
+    // Files are hashed before taking the write lock, so edits are not held up by
+    // the scan; only saving the hashes takes it. This is not an edit, so expired
+    // trash is left for the next one
+    const { store: unlocked, filePath } = await openStore(req.query.file);
+    const updates = await mediaHasher.hashMissing(unlocked.listImages());
+    const { hashed, clusters } = await withFileLock(filePath, async () => {
+      const store = await openGalleryStore(filePath, { pool: databasePool });
+      return {
+        hashed: await mediaHasher.saveHashes(store, updates),
+        clusters: findDuplicateClusters(store.listImages(), { threshold })
+      };
+    });
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      threshold: threshold,
+      hashed: hashed,
+      clusters: clusters
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to find duplicates");
+  }
+});
+
+// Merge duplicates into one image: { dataFile, keepId, mergeIds: [...] }
+// Tags are unioned, the best ranking is kept and the merged images are deleted
+app.post("/api/duplicates/merge", async (req, res) => {
+  try {
+    const { dataFile, keepId, mergeIds } = req.body;
+
+    if (keepId === undefined || keepId === null || keepId === "" || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: dataFile, keepId and mergeIds", "VALIDATION");
+    }
+
+    const result = await recordEdit(dataFile, `Merge duplicates into image ${keepId}`,
+      store => mergeDuplicates(store, keepId, mergeIds));
+
+    console.log(`🧬 Merged ${result.removed.length} duplicate(s) into ${keepId} in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Merged ${result.removed.length} duplicate(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to merge duplicates");
+  }
+});
+
+// Tags
+
+// List every tag of a gallery (?file=...) with its image count, color, description
+// and parents ([{ name, implies }])
+app.get("/api/tags", async (req, res) => {
+  try {
+    if (!req.query.file) {
+      throw new GalleryStoreError("Missing required parameter: file", "VALIDATION");
+    }
+
+    const { store } = await openStore(req.query.file);
+    res.json({
+      success: true,
+      file: req.query.file,
+      tags: store.listTags()
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list tags");
+  }
+});
+
+// Rename, recolor or nest a tag: { dataFile, name, newName?, color?, description?, parents? }
+// A null or empty color/description clears it; renaming onto an existing tag is a 409.
+// `parents` replaces the tag's parents: names or { name, implies } objects, where
+// `implies` adds the parent to every image tagged with the child
+app.patch("/api/tags", async (req, res) => {
+  try {
+    const { dataFile, name, newName, color, description, parents } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameters: dataFile and name", "VALIDATION");
+    }
+    if (newName === undefined && color === undefined && description === undefined && parents === undefined) {
+      throw new GalleryStoreError("Nothing to update: pass newName, color, description or parents", "VALIDATION");
+    }
+
+    const tag = await recordEdit(dataFile, `Update tag "${name}"`,
+      store => store.updateTag(name, { name: newName, color, description, parents }));
+
+    console.log(`🏷️ Updated tag "${name}" in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Tag "${tag.name}" updated`,
+      tag: tag
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to update tag");
+  }
+});
+
+// Remove a tag from every image of a gallery: { dataFile, name }
+app.delete("/api/tags", async (req, res) => {
+  try {
+    const { dataFile, name } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameters: dataFile and name", "VALIDATION");
+    }
+
+    const result = await recordEdit(dataFile, `Delete tag "${name}"`, store => store.deleteTag(name));
+
+    console.log(`🗑️ Deleted tag "${result.name}" from ${result.images} image(s) in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Tag "${result.name}" removed from ${result.images} image(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to delete tag");
+  }
+});
+
+// Merge tags into one: { dataFile, sources: [...], target }
+// The target is created when missing; the sources are deleted
+app.post("/api/tags/merge", async (req, res) => {
+  try {
+    const { dataFile, sources, target } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameters: dataFile, sources and target", "VALIDATION");
+    }
+
+    const result = await recordEdit(dataFile, `Merge tags into "${target}"`, store => store.mergeTags(sources, target));
+
+    console.log(`🏷️ Merged ${result.merged.length} tag(s) into "${result.tag.name}" in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Merged ${result.merged.length} tag(s) into "${result.tag.name}"`,
+      ...result
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to merge tags");
+  }
+});
+
+// Delete tags (and their colors/descriptions) that no image uses: { dataFile }
+app.post("/api/tags/cleanup", async (req, res) => {
+  try {
+    const { dataFile } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
+    }
+
+    const removed = await recordEdit(dataFile, "Remove unused tags", store => store.removeOrphanTags());
+
+    console.log(`🧹 Removed ${removed.length} unused tag(s) from ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Removed ${removed.length} unused tag(s)`,
+      removed: removed
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to remove unused tags");
+  }
+});
+
+// Albums
+
+// List the albums of a gallery (?file=...) in display order, each with its
+// image IDs in album order
+app.get("/api/albums", async (req, res) => {
+  try {
+    if (!req.query.file) {
+      throw new GalleryStoreError("Missing required parameter: file", "VALIDATION");
+    }
+
+    const { store } = await openStore(req.query.file);
+    res.json({
+      success: true,
+      file: req.query.file,
+      albums: store.listAlbums()
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list albums");
+  }
+});
+
+// Create an album: { dataFile, album: { name, description?, coverImageId?, imageIds? } }
+app.post("/api/albums", async (req, res) => {
+  try {
+    const { album, dataFile } = req.body;
+
+    if (!album || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: album and dataFile", "VALIDATION");
+    }
+
+    const created = await recordEdit(dataFile, `Create album "${album.name}"`, store => store.createAlbum(album));
+
+    console.log(`📚 Created album "${created.name}" in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Album "${created.name}" created`,
+      album: created
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to create album");
+  }
+});
+
+// Update an album: { dataFile, album: { id, name?, description?, coverImageId?, imageIds? } }
+// imageIds replaces the album's images and sets their order
+app.put("/api/albums", async (req, res) => {
+  try {
+    const { album, dataFile } = req.body;
+
+    if (!album || !dataFile || album.id === undefined || album.id === null || album.id === "") {
+      throw new GalleryStoreError("Missing required parameters: album, dataFile and album.id", "VALIDATION");
+    }
+
+    const { id, ...changes } = album;
+    const updated = await recordEdit(dataFile, `Edit album ${id}`, store => store.updateAlbum(id, changes));
+
+    res.json({
+      success: true,
+      message: `Album "${updated.name}" updated`,
+      album: updated
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to update album");
+  }
+});
+
+// Delete an album; its images stay in the gallery: { dataFile, albumId }
+app.delete("/api/albums", async (req, res) => {
+  try {
+    const { albumId, dataFile } = req.body;
+
+    if (albumId === undefined || albumId === null || albumId === "" || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: albumId and dataFile", "VALIDATION");
+    }
+
+    const removed = await recordEdit(dataFile, `Delete album ${albumId}`, store => store.deleteAlbum(albumId));
+
+    console.log(`🗑️ Deleted album "${removed.name}" from ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Album "${removed.name}" deleted`,
+      albumId: removed.id
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to delete album");
+  }
+});
+
+// Add images to the end of an album: { dataFile, albumId, imageIds: [...] }
+app.post("/api/albums/images", async (req, res) => {
+  try {
+    const { albumId, imageIds, dataFile } = req.body;
+
+    if (albumId === undefined || albumId === null || albumId === "" || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: albumId, imageIds and dataFile", "VALIDATION");
+    }
+
+    const album = await recordEdit(dataFile, `Add images to album ${albumId}`, store => store.addAlbumImages(albumId, imageIds));
+
+    res.json({
+      success: true,
+      message: `Album "${album.name}" now has ${album.imageIds.length} image(s)`,
+      album: album
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to add images to album");
+  }
+});
+
+// Take images out of an album: { dataFile, albumId, imageIds: [...] }
+app.delete("/api/albums/images", async (req, res) => {
+  try {
+    const { albumId, imageIds, dataFile } = req.body;
+
+    if (albumId === undefined || albumId === null || albumId === "" || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: albumId, imageIds and dataFile", "VALIDATION");
+    }
+
+    const album = await recordEdit(dataFile, `Remove images from album ${albumId}`,
+      store => store.removeAlbumImages(albumId, imageIds));
+
+    res.json({
+      success: true,
+      message: `Album "${album.name}" now has ${album.imageIds.length} image(s)`,
+      album: album
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to remove images from album");
+  }
+});
+
+// Groups
+
+// List the groups of a gallery (?file=...): major, members (major first) and problems
+app.get("/api/groups", async (req, res) => {
+  try {
+    if (!req.query.file) {
+      throw new GalleryStoreError("Missing required parameter: file", "VALIDATION");
+    }
+
+    const { store } = await openStore(req.query.file);
+    res.json({
+      success: true,
+      file: req.query.file,
+      groups: store.listGroups()
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list groups");
+  }
+});
+
+// Report groups with no or several majors, subsidiaries pointing at another
+// image than their group's major, and subsidiaries outside any group (?file=...)
+app.get("/api/groups/check", async (req, res) => {
+  try {
+    if (!req.query.file) {
+      throw new GalleryStoreError("Missing required parameter: file", "VALIDATION");
+    }
+
+    const { store } = await openStore(req.query.file);
+    res.json({
+      success: true,
+      file: req.query.file,
+      ...store.checkGroups()
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to check groups");
+  }
+});
+
+// Create a group: { dataFile, group: { groupId?, majorImageId, imageIds? } }
+// The images may not belong to another group yet
+app.post("/api/groups", async (req, res) => {
+  try {
+    const { group, dataFile } = req.body;
+
+    if (!group || !dataFile) {
+      throw new GalleryStoreError("Missing required parameters: group and dataFile", "VALIDATION");
+    }
+
+    const created = await recordEdit(dataFile, "Create group", store => store.createGroup(group));
+
+    console.log(`🧩 Created group ${created.groupId} in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Group ${created.groupId} created with ${created.imageIds.length} image(s)`,
+      group: created
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to create group");
+  }
+});
+
+// Dissolve a group; its images become standalone: { dataFile, groupId }
+app.delete("/api/groups", async (req, res) => {
+  try {
+    const { groupId, dataFile } = req.body;
+    requireGroupId(groupId, dataFile);
+
+    const removed = await recordEdit(dataFile, `Ungroup ${groupId}`, store => store.deleteGroup(groupId));
+
+    console.log(`🗑️ Dissolved group ${removed.groupId} in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Group ${removed.groupId} dissolved`,
+      groupId: removed.groupId
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to delete group");
+  }
+});
+
+// Add images to a group as subsidiaries of its major: { dataFile, groupId, imageIds: [...] }
+app.post("/api/groups/members", async (req, res) => {
+  try {
+    const { groupId, imageIds, dataFile } = req.body;
+    requireGroupId(groupId, dataFile);
+
+    const group = await recordEdit(dataFile, `Add images to group ${groupId}`, store => store.addGroupMembers(groupId, imageIds));
+
+    res.json({
+      success: true,
+      message: `Group ${group.groupId} now has ${group.imageIds.length} image(s)`,
+      group: group
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to add images to group");
+  }
+});
+
+// Take images out of a group: { dataFile, groupId, imageIds: [...] }
+// The major can only be removed together with every other member
+app.delete("/api/groups/members", async (req, res) => {
+  try {
+    const { groupId, imageIds, dataFile } = req.body;
+    requireGroupId(groupId, dataFile);
+
+    const group = await recordEdit(dataFile, `Remove images from group ${groupId}`,
+      store => store.removeGroupMembers(groupId, imageIds));
+
+    res.json({
+      success: true,
+      message: group ? `Group ${group.groupId} now has ${group.imageIds.length} image(s)` : `Group ${groupId} dissolved`,
+      group: group
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to remove images from group");
+  }
+});
+
+// Make a member the major of its group: { dataFile, groupId, imageId }
+// The other members are re-pointed at the new major
+app.post("/api/groups/promote", async (req, res) => {
+  try {
+    const { groupId, imageId, dataFile } = req.body;
+    requireGroupId(groupId, dataFile);
+    if (imageId === undefined || imageId === null || imageId === "") {
+      throw new GalleryStoreError("Missing required parameter: imageId", "VALIDATION");
+    }
+
+    const group = await recordEdit(dataFile, `Promote image ${imageId} in group ${groupId}`,
+      store => store.promoteGroupMember(groupId, imageId));
+
+    console.log(`👑 Image ${group.majorImageId} is now the major of group ${group.groupId}`);
+    res.json({
+      success: true,
+      message: `Image ${group.majorImageId} is now the major image`,
+      group: group
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to promote image");
+  }
+});
+
+// Reorder a group's subsidiaries: { dataFile, imageIds: [...] }
+// The listed images take that order within the places they hold; others stay put
+app.patch("/api/groups/:groupId/order", async (req, res) => {
+  try {
+    const { imageIds, dataFile } = req.body;
+    requireGroupId(req.params.groupId, dataFile);
+
+    const group = await recordEdit(dataFile, `Reorder group ${req.params.groupId}`,
+      store => store.reorderGroup(req.params.groupId, imageIds));
+
+    res.json({
+      success: true,
+      message: `Group ${group.groupId} reordered`,
+      group: group
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to reorder group");
+  }
+});
+
+// Move members into a new group: { dataFile, groupId, imageIds: [...], newGroupId?, majorImageId? }
+app.post("/api/groups/split", async (req, res) => {
+  try {
+    const { groupId, imageIds, newGroupId, majorImageId, dataFile } = req.body;
+    requireGroupId(groupId, dataFile);
+
+    const groups = await recordEdit(dataFile, `Split group ${groupId}`,
+      store => store.splitGroup(groupId, { imageIds, groupId: newGroupId, majorImageId }));
+
+    res.json({
+      success: true,
+      message: `Split ${groups[1].imageIds.length} image(s) into group ${groups[1].groupId}`,
+      groups: groups
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to split group");
+  }
+});
+
+// Merge groups into one: { dataFile, sources: [...], target }
+// Members of the sources become subsidiaries of the target's major
+app.post("/api/groups/merge", async (req, res) => {
+  try {
+    const { sources, target, dataFile } = req.body;
+    requireGroupId(target, dataFile);
+
+    const group = await recordEdit(dataFile, `Merge groups into ${target}`, store => store.mergeGroups(sources, target));
+
+    res.json({
+      success: true,
+      message: `Merged ${sources.length} group(s) into ${group.groupId}`,
+      group: group
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to merge groups");
+  }
+});
+
+// Comparisons
+
+// Pick two images to compare (?file=...); the least compared images come first
+app.get("/api/compare/pair", async (req, res) => {
+  try {
+    const { store } = await openStore(req.query.file);
+    const pair = pickComparisonPair(store);
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      pair: pair
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to pick images to compare");
+  }
+});
+
+// Record a comparison: { dataFile, winnerId, loserId }
+// Both images' ratings are updated and the comparison is added to the history
+app.post("/api/compare", async (req, res) => {
+  try {
+    const { dataFile, winnerId, loserId } = req.body;
+
+    if (!dataFile || [winnerId, loserId].some(id => id === undefined || id === null || id === "")) {
+      throw new GalleryStoreError("Missing required parameters: dataFile, winnerId and loserId", "VALIDATION");
+    }
+
+    // Ratings are not part of the undo history, but still saved under the write lock
+    const result = await editStore(dataFile, store => recordComparison(store, winnerId, loserId));
+
+    res.json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to record comparison");
+  }
+});
+
+// List rated images of a gallery (?file=...), best first
+app.get("/api/compare/ratings", async (req, res) => {
+  try {
+    const { store } = await openStore(req.query.file);
+    const ratings = listRatings(store);
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      count: ratings.length,
+      ratings: ratings
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list ratings");
+  }
+});
+
+// Most recent comparisons of a gallery (?file=...&limit=50), newest first
+app.get("/api/compare/history", async (req, res) => {
+  try {
+    let limit = 50;
+    if (req.query.limit !== undefined) {
+      limit = Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new GalleryStoreError(`Invalid limit: ${req.query.limit}`, "VALIDATION");
+      }
+    }
+
+    const { store } = await openStore(req.query.file);
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      comparisons: store.listComparisons(limit)
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list comparisons");
+  }
+});
+
+// Write ratings onto rankings: { dataFile, method?: "percentile"|"linear", minComparisons? }
+app.post("/api/compare/apply", async (req, res) => {
+  try {
+    const { dataFile, method, minComparisons } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
+    }
+
+    const updated = await recordEdit(dataFile, "Apply comparison ratings to rankings",
+      store => applyRatingsToRankings(store, { method, minComparisons }));
+
+    console.log(`🏆 Applied comparison ratings to ${updated} ranking(s) in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Updated ${updated} ranking(s)`,
+      updated: updated
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to apply ratings");
+  }
+});
+
+// Media metadata
+
+// Re-read EXIF and video metadata from local files: { dataFile, imageIds? }
+// Without imageIds every image of the gallery is re-scanned
+app.post("/api/metadata/rescan", async (req, res) => {
+  try {
+    const { dataFile, imageIds } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
+    }
+    if (imageIds !== undefined && (!Array.isArray(imageIds) || imageIds.length === 0)) {
+      throw new GalleryStoreError("imageIds must be a non-empty array", "VALIDATION");
+    }
+
+    const result = await recordEdit(dataFile, "Re-scan media metadata", store => metadataScanner.rescan(store, imageIds || null));
+
+    console.log(`📷 Re-scanned metadata of ${result.scanned} image(s) in ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Re-scanned ${result.scanned} image(s)`,
+      ...result
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to re-scan media metadata");
+  }
+});
+
+// Edit history
+
+// Recent edits of a gallery (?file=...), newest first, with canUndo/canRedo;
+// undone edits stay listed (undone: true) until a new edit replaces them
+app.get("/api/history", async (req, res) => {
+  try {
+    const { filePath } = await openStore(req.query.file);
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      ...editHistory.list(filePath)
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list edit history");
+  }
+});
+
+// Undo the latest edit of a gallery: { dataFile }
+app.post("/api/history/undo", async (req, res) => {
+  try {
+    const filePath = locateDataFile(req.body.dataFile);
+    const entry = await editStore(req.body.dataFile, store => editHistory.undo(filePath, store));
+
+    console.log(`↩️ Undid "${entry.description}" in ${req.body.dataFile}`);
+    res.json({
+      success: true,
+      message: `Undid: ${entry.description}`,
+      entry: entry,
+      ...editHistory.list(filePath)
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to undo");
+  }
+});
+
+// Redo the latest undone edit of a gallery: { dataFile }
+app.post("/api/history/redo", async (req, res) => {
+  try {
+    const filePath = locateDataFile(req.body.dataFile);
+    const entry = await editStore(req.body.dataFile, store => editHistory.redo(filePath, store));
+
+    console.log(`↪️ Redid "${entry.description}" in ${req.body.dataFile}`);
+    res.json({
+      success: true,
+      message: `Redid: ${entry.description}`,
+      entry: entry,
+      ...editHistory.list(filePath)
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to redo");
+  }
+});
+
+// Trash
+
+// Trashed images of a gallery (?file=...), most recently deleted first, each with
+// deletedAt and expiresAt (null when the trash is kept until emptied)
+app.get("/api/trash", async (req, res) => {
+  try {
+    const { store } = await openStore(req.query.file);
+    const retentionMs = TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const images = store.listTrash().map(img => ({
+      ...img,
+      expiresAt: retentionMs > 0 ? new Date(Date.parse(img.deletedAt) + retentionMs).toISOString() : null
+    }));
+
+    res.json({
+      success: true,
+      file: req.query.file,
+      retentionDays: TRASH_RETENTION_DAYS,
+      count: images.length,
+      images: images
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to list trash");
+  }
+});
+
+// Restore trashed images: { dataFile, imageIds: [...] }
+// Subsidiaries trashed with a restored major come back with it
+app.post("/api/trash/restore", async (req, res) => {
+  try {
+    const { dataFile, imageIds } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
+    }
+
+    const count = Array.isArray(imageIds) ? imageIds.length : 0;
+    const restored = await recordEdit(dataFile, `Restore ${count} image(s) from the trash`,
+      store => store.restoreImages(imageIds));
+
+    console.log(`♻️ Restored ${restored.length} image(s) from the trash of ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Restored ${restored.length} image(s)`,
+      images: restored
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to restore images");
+  }
+});
+
+// Delete trashed images for good: { dataFile, imageIds? }; without imageIds the
+// whole trash is emptied
+app.delete("/api/trash", async (req, res) => {
+  try {
+    const { dataFile, imageIds } = req.body;
+
+    if (!dataFile) {
+      throw new GalleryStoreError("Missing required parameter: dataFile", "VALIDATION");
+    }
+    if (imageIds !== undefined && (!Array.isArray(imageIds) || imageIds.length === 0)) {
+      throw new GalleryStoreError("imageIds must be a non-empty array", "VALIDATION");
+    }
+
+    const description = imageIds ? `Purge ${imageIds.length} image(s) from the trash` : "Empty the trash";
+    const purged = await recordEdit(dataFile, description, store => store.purgeTrash(imageIds || null));
+
+    console.log(`🗑️ Purged ${purged.length} image(s) from the trash of ${dataFile}`);
+    res.json({
+      success: true,
+      message: `Deleted ${purged.length} image(s) for good`,
+      imageIds: purged.map(img => img.id)
+    });
+
+  } catch (error) {
+    sendStoreError(res, error, "Failed to purge trash");
+  }
+});
+
+// Backups
+
+// List rolling backups of a data file
+app.get("/api/backups/:filename", (req, res) => {
+  try {
+    const filename = req.params.filename;
+
+    if (!isSafeFilename(filename)) {
+      return res.status(400).json({ success: false, error: "Invalid filename" });
+    }
+
+    const filePath = resolveDataFile(filename);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: `Data file not found: ${filename}`
+      });
+    }
+
+    const backups = listBackups(filePath).map(backup => ({
+      name: backup.name,
+      size: formatFileSize(backup.size),
+      created: backup.created
+    }));
+
+    res.json({
+      success: true,
+      filename: filename,
+      backups: backups,
+      total: backups.length
+    });
+
+  } catch (error) {
+    console.error("Error listing backups:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to list backups",
+      details: error.message
+    });
+  }
+});
+
+// Restore a data file from one of its backups
+app.post("/api/backups/:filename/restore", async (req, res) => {
+  try {
+    const filename = req.params.filename;
+    const { backup } = req.body;
+
+    if (!isSafeFilename(filename)) {
+      return res.status(400).json({ success: false, error: "Invalid filename" });
+    }
+
+    if (!backup) {
+      return res.status(400).json({
+        success: false,
+        error: "Missing required parameter: backup"
+      });
+    }
+
+    const filePath = resolveDataFile(filename);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: `Data file not found: ${filename}`
+      });
+    }
+
+    if (!listBackups(filePath).some(entry => entry.name === backup)) {
+      return res.status(404).json({
+        success: false,
+        error: `Backup not found: ${backup}`
+      });
+    }
+
+    const isDatabaseFile = filename.toLowerCase().endsWith('.db');
+    const result = await withFileLock(filePath, () => {
+      if (isDatabaseFile) {
+        // Persist pending edits so they end up in the pre-restore backup
+        databasePool.flush(filePath);
+      }
+
+      const restored = restoreBackup(filePath, backup);
+
+      if (isDatabaseFile) {
+        // Drop the open connection so the next request loads the restored file
+        databasePool.invalidate(filePath);
+      }
+      // Logged edits no longer match the restored file
+      editHistory.clear(filePath);
+      return restored;
+    });
+
+    console.log(`♻️ Restored ${filename} from backup ${backup}`);
+    res.json({
+      success: true,
+      message: `Restored ${filename} from ${backup}`,
+      restored: result.restored,
+      safetyBackup: result.safetyBackup
+    });
+
+  } catch (error) {
+    console.error("Error restoring backup:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to restore backup",
+      details: error.message
+    });
+  }
+});
+
+// Error handling middleware
+app.use((error, req, res, next) => {
+  console.error("Server error:", error);
+  res.status(500).json({ error: "Internal server error" });
+});
+
+// Start server
+const server = app.listen(PORT, () => {
   console.log(`Image Gallery server running on port ${PORT}`);
   console.log(`Data directory: ${DATA_DIR}`);
+  console.log(`Media directory: ${MEDIA_DIR}`);
+  console.log(`Thumbnail cache: ${THUMBNAIL_DIR}`);
 });
+// The HTTP server, for callers that need its port or have to close it (PORT=0 picks a free port)
+app.locals.server = server;
 
 // Graceful shutdown
+function flushDatabases() {
+  const flushed = databasePool.flushAll();
+  if (flushed > 0) {
+    console.log(`💾 Flushed ${flushed} database(s) before shutdown`);
+  }
+}
+
 process.on("SIGTERM", () => {
   console.log("Received SIGTERM, shutting down gracefully");
+  flushDatabases();
   server.close(() => {
+    databasePool.closeAll();
     process.exit(0);
   });
 });
 
 process.on("SIGINT", () => {
   console.log("Received SIGINT, shutting down gracefully");
+  flushDatabases();
   server.close(() => {
+    databasePool.closeAll();
     process.exit(0);
   });
 });
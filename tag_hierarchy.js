@@ -0,0 +1,119 @@
+/**
+ * Tag hierarchy shared by the server and the renderer
+ * Loaded with require() on the server and with a <script> tag by index.html,
+ * where it is exposed as window.TagHierarchy.
+ *
+ * A hierarchy is a list of edges { tag, parent, implies }: `heron` under
+ * `bird` under `animal`. A tag may have several parents. Filtering on a parent
+ * matches its descendants, and an `implies` edge adds the parent to images
+ * tagged with the child when they are saved.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+    if (root) {
+        root.TagHierarchy = api;
+    }
+})(typeof window !== 'undefined' ? window : null, function () {
+
+    /**
+     * Walk edges breadth-first from `start`; cycles are visited once
+     */
+    function walk(start, next) {
+        const seen = new Set([start]);
+        const queue = [start];
+        const found = [];
+
+        while (queue.length > 0) {
+            next(queue.shift()).forEach(name => {
+                if (!seen.has(name)) {
+                    seen.add(name);
+                    found.push(name);
+                    queue.push(name);
+                }
+            });
+        }
+        return found;
+    }
+
+    /**
+     * Index a list of edges for lookups in both directions
+     */
+    function create(edges) {
+        const parents = new Map();
+        const children = new Map();
+
+        (edges || []).forEach(edge => {
+            if (!parents.has(edge.tag)) {
+                parents.set(edge.tag, []);
+            }
+            if (!children.has(edge.parent)) {
+                children.set(edge.parent, []);
+            }
+            parents.get(edge.tag).push({ name: edge.parent, implies: Boolean(edge.implies) });
+            children.get(edge.parent).push(edge.tag);
+        });
+
+        const getParents = tag => parents.get(tag) || [];
+        const getAncestors = tag => walk(tag, name => getParents(name).map(parent => parent.name));
+        const getDescendants = tag => walk(tag, name => children.get(name) || []);
+
+        /**
+         * Tags plus all their ancestors; a tag filter tests this list so that
+         * selecting a parent matches images tagged with any descendant
+         */
+        function withAncestors(tags) {
+            if (parents.size === 0) {
+                return tags;
+            }
+            return [...new Set(tags.flatMap(tag => [tag, ...getAncestors(tag)]))];
+        }
+
+        /**
+         * Tags plus the parents they imply, following chains of implies edges
+         */
+        function withImpliedTags(tags) {
+            const implied = tags.flatMap(tag => walk(tag, name => getParents(name)
+                .filter(parent => parent.implies)
+                .map(parent => parent.name)));
+            return [...new Set([...tags, ...implied])];
+        }
+
+        /**
+         * Whether giving `tag` the parent `parent` would close a loop
+         */
+        function wouldCreateCycle(tag, parent) {
+            return tag === parent || getAncestors(parent).includes(tag);
+        }
+
+        /**
+         * Chain of first parents from the root down to the tag, for nesting in lists
+         */
+        function getPath(tag) {
+            const path = [tag];
+            let current = tag;
+            while (getParents(current).length > 0 && !path.includes(getParents(current)[0].name)) {
+                current = getParents(current)[0].name;
+                path.unshift(current);
+            }
+            return path;
+        }
+
+        return {
+            edges: edges || [],
+            getParents,
+            getAncestors,
+            getDescendants,
+            withAncestors,
+            withImpliedTags,
+            wouldCreateCycle,
+            getPath
+        };
+    }
+
+    return {
+        create
+    };
+});
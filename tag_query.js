@@ -0,0 +1,314 @@
+/**
+ * Boolean tag query language shared by the server and the renderer
+ * Loaded with require() on the server and with a <script> tag by index.html,
+ * where it is exposed as window.TagQuery.
+ *
+ *   landscape AND (sunset OR dawn) AND NOT draft
+ *   "golden hour" bird:*
+ *
+ * AND binds tighter than OR, and adjacent terms are ANDed. Keywords are case
+ * insensitive. `*` in an unquoted tag matches any characters; quoted tags are
+ * matched literally. Tag names are compared case-sensitively, like the tag cloud.
+ */
+(function (root, factory) {
+    const api = factory();
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    }
+    if (root) {
+        root.TagQuery = api;
+    }
+})(typeof window !== 'undefined' ? window : null, function () {
+
+    const KEYWORDS = ['AND', 'OR', 'NOT'];
+
+    /**
+     * Syntax error with the character offset where parsing failed
+     */
+    class TagQueryError extends Error {
+        constructor(message, position) {
+            super(position === undefined ? message : `${message} at position ${position + 1}`);
+            this.name = 'TagQueryError';
+            this.position = position;
+        }
+    }
+
+    /**
+     * Split a query into parenthesis, keyword and tag tokens
+     */
+    function tokenize(text) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < text.length) {
+            const char = text[i];
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (char === '(' || char === ')') {
+                tokens.push({ type: char, position: i });
+                i++;
+            } else if (char === '"') {
+                const start = i;
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== '"') {
+                    if (text[i] === '\\' && i + 1 < text.length) {
+                        i++;
+                    }
+                    value += text[i];
+                    i++;
+                }
+                if (i >= text.length) {
+                    throw new TagQueryError('Unterminated quote', start);
+                }
+                i++;
+                tokens.push({ type: 'tag', value, quoted: true, position: start });
+            } else {
+                const start = i;
+                while (i < text.length && !/[\s()"]/.test(text[i])) {
+                    i++;
+                }
+                const value = text.slice(start, i);
+                const keyword = value.toUpperCase();
+                if (KEYWORDS.includes(keyword)) {
+                    tokens.push({ type: keyword, position: start });
+                } else {
+                    tokens.push({ type: 'tag', value, quoted: false, position: start });
+                }
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Parse a query into an AST; returns null for an empty query
+     * Nodes: { type: 'tag', name, wildcard }, { type: 'and'|'or', children }, { type: 'not', child }
+     */
+    function parse(text) {
+        const source = String(text || '');
+        const tokens = tokenize(source);
+        if (tokens.length === 0) {
+            return null;
+        }
+
+        let index = 0;
+        const peek = () => tokens[index];
+        const endPosition = () => source.trimEnd().length;
+
+        function parseOr() {
+            const children = [parseAnd()];
+            while (peek() && peek().type === 'OR') {
+                index++;
+                children.push(parseAnd());
+            }
+            return combine('or', children);
+        }
+
+        function parseAnd() {
+            const children = [parseNot()];
+            while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+                if (peek().type === 'AND') {
+                    index++;
+                }
+                children.push(parseNot());
+            }
+            return combine('and', children);
+        }
+
+        function parseNot() {
+            if (peek() && peek().type === 'NOT') {
+                index++;
+                return { type: 'not', child: parseNot() };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = peek();
+            if (!token) {
+                throw new TagQueryError('Unexpected end of query', endPosition());
+            }
+
+            if (token.type === '(') {
+                index++;
+                const node = parseOr();
+                if (!peek() || peek().type !== ')') {
+                    throw new TagQueryError('Missing closing parenthesis', token.position);
+                }
+                index++;
+                return node;
+            }
+
+            if (token.type === 'tag') {
+                index++;
+                if (!token.value) {
+                    throw new TagQueryError('Empty tag', token.position);
+                }
+                return {
+                    type: 'tag',
+                    name: token.value,
+                    wildcard: !token.quoted && token.value.includes('*')
+                };
+            }
+
+            throw new TagQueryError(`Unexpected ${token.type}`, token.position);
+        }
+
+        const ast = parseOr();
+        if (index < tokens.length) {
+            throw new TagQueryError(`Unexpected ${peek().type}`, peek().position);
+        }
+        return ast;
+    }
+
+    /**
+     * Build an and/or node, flattening nested nodes of the same type
+     */
+    function combine(type, children) {
+        if (children.length === 1) {
+            return children[0];
+        }
+        return {
+            type,
+            children: children.flatMap(child => (child.type === type ? child.children : [child]))
+        };
+    }
+
+    /**
+     * Convert a wildcard tag into an anchored regular expression
+     */
+    function wildcardToRegExp(pattern) {
+        const escaped = pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return new RegExp(`^${escaped.join('.*')}$`);
+    }
+
+    /**
+     * Compile an AST into a predicate over an image's tag list
+     * A null AST matches everything
+     */
+    function createMatcher(ast) {
+        if (!ast) {
+            return () => true;
+        }
+
+        switch (ast.type) {
+            case 'tag':
+                if (ast.wildcard) {
+                    const regex = wildcardToRegExp(ast.name);
+                    return tags => tags.some(tag => regex.test(tag));
+                }
+                return tags => tags.includes(ast.name);
+
+            case 'and': {
+                const matchers = ast.children.map(createMatcher);
+                return tags => matchers.every(match => match(tags));
+            }
+
+            case 'or': {
+                const matchers = ast.children.map(createMatcher);
+                return tags => matchers.some(match => match(tags));
+            }
+
+            case 'not': {
+                const match = createMatcher(ast.child);
+                return tags => !match(tags);
+            }
+
+            default:
+                throw new TagQueryError(`Unknown node type: ${ast.type}`);
+        }
+    }
+
+    /**
+     * Check whether a tag list satisfies a query string or AST
+     */
+    function matches(query, tags) {
+        const ast = typeof query === 'string' ? parse(query) : query;
+        return createMatcher(ast)(tags || []);
+    }
+
+    /**
+     * Format a tag so it parses back to the same name
+     */
+    function formatTag(node) {
+        const bare = /^[^\s()"]+$/.test(node.name) && !KEYWORDS.includes(node.name.toUpperCase());
+        if (bare && (node.wildcard || !node.name.includes('*'))) {
+            return node.name;
+        }
+        return `"${node.name.replace(/["\\]/g, '\\$&')}"`;
+    }
+
+    /**
+     * Turn an AST back into query text
+     */
+    function stringify(ast) {
+        if (!ast) {
+            return '';
+        }
+
+        switch (ast.type) {
+            case 'tag':
+                return formatTag(ast);
+            case 'and':
+                return ast.children.map(child => (child.type === 'or' ? `(${stringify(child)})` : stringify(child))).join(' AND ');
+            case 'or':
+                return ast.children.map(stringify).join(' OR ');
+            case 'not':
+                return `NOT ${ast.child.type === 'tag' || ast.child.type === 'not' ? stringify(ast.child) : `(${stringify(ast.child)})`}`;
+            default:
+                throw new TagQueryError(`Unknown node type: ${ast.type}`);
+        }
+    }
+
+    /**
+     * Tags the query requires outright (top-level AND terms), for the tag cloud
+     */
+    function getRequiredTags(query) {
+        let ast;
+        try {
+            ast = typeof query === 'string' ? parse(query) : query;
+        } catch (error) {
+            return [];
+        }
+        if (!ast) {
+            return [];
+        }
+
+        const terms = ast.type === 'and' ? ast.children : [ast];
+        return terms.filter(node => node.type === 'tag' && !node.wildcard).map(node => node.name);
+    }
+
+    /**
+     * Add a tag as a top-level AND term, or remove it if it is already one
+     * This is what clicking a tag in the tag cloud does
+     */
+    function toggleTag(query, tag) {
+        const ast = parse(query);
+        const term = { type: 'tag', name: tag, wildcard: false };
+        if (!ast) {
+            return stringify(term);
+        }
+
+        const terms = ast.type === 'and' ? ast.children : [ast];
+        const index = terms.findIndex(node => node.type === 'tag' && !node.wildcard && node.name === tag);
+        const next = index > -1 ? terms.filter((node, i) => i !== index) : [...terms, term];
+
+        if (next.length === 0) {
+            return '';
+        }
+        return stringify(next.length === 1 ? next[0] : { type: 'and', children: next });
+    }
+
+    return {
+        TagQueryError,
+        parse,
+        createMatcher,
+        matches,
+        stringify,
+        getRequiredTags,
+        toggleTag,
+        wildcardToRegExp
+    };
+});
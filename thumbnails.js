@@ -0,0 +1,354 @@
+/**
+ * On-demand thumbnails and video posters for the gallery grid
+ * Thumbnails are cached on disk under the content hash of the original and the
+ * output width, so renamed or duplicated files share cache entries and edited
+ * files get new ones. JPEG and PNG are decoded and resized in pure JS; video
+ * posters need ffmpeg (FFMPEG_PATH or on PATH).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { execFile } = require('child_process');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { FORMATS, detectFormat, readJpegOrientation } = require('./media_info');
+const { writeFileAtomic } = require('./safe_write');
+const { GalleryStoreError } = require('./gallery_store');
+const { MEDIA_URL_PATH } = require('./media_storage');
+
+// Widths thumbnails are generated at; requests snap up to the next one
+const THUMBNAIL_WIDTHS = [160, 320, 640, 1280];
+
+const JPEG_QUALITY = 80;
+
+// Decoding larger images would take too much memory in pure JS
+const MAX_DECODE_MEGAPIXELS = 100;
+
+const FFMPEG_TIMEOUT_MS = 20 * 1000;
+
+// Formats the browser shows directly; small enough or not decodable here, so the original is served
+const PASSTHROUGH_FORMATS = ['gif', 'svg', 'webp', 'bmp', 'avif', 'heic'];
+
+/**
+ * Snap a requested width to one of THUMBNAIL_WIDTHS
+ */
+function snapWidth(requested) {
+    const width = parseInt(requested, 10);
+    if (!Number.isInteger(width) || width <= 0) {
+        throw new GalleryStoreError(`Invalid thumbnail width: ${requested}`, 'VALIDATION');
+    }
+    return THUMBNAIL_WIDTHS.find(size => size >= width) || THUMBNAIL_WIDTHS[THUMBNAIL_WIDTHS.length - 1];
+}
+
+/**
+ * Rotate/flip RGBA pixels so an EXIF-oriented JPEG displays upright
+ */
+function applyOrientation(image, orientation) {
+    if (orientation === 1) {
+        return image;
+    }
+
+    const { width, height, data } = image;
+    const swap = orientation >= 5;
+    const outWidth = swap ? height : width;
+    const out = Buffer.alloc(data.length);
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            let dx;
+            let dy;
+            switch (orientation) {
+                case 2: dx = width - 1 - x; dy = y; break;
+                case 3: dx = width - 1 - x; dy = height - 1 - y; break;
+                case 4: dx = x; dy = height - 1 - y; break;
+                case 5: dx = y; dy = x; break;
+                case 6: dx = height - 1 - y; dy = x; break;
+                case 7: dx = height - 1 - y; dy = width - 1 - x; break;
+                default: dx = y; dy = width - 1 - x; break;
+            }
+            data.copy(out, (dy * outWidth + dx) * 4, (y * width + x) * 4, (y * width + x) * 4 + 4);
+        }
+    }
+
+    return { width: outWidth, height: swap ? width : height, data: out };
+}
+
+/**
+ * Downscale RGBA pixels with a box filter (alpha-weighted so transparent pixels do not darken edges)
+ */
+function resizeImage(image, targetWidth, targetHeight) {
+    const { width, height, data } = image;
+    const out = Buffer.alloc(targetWidth * targetHeight * 4);
+    const scaleX = width / targetWidth;
+    const scaleY = height / targetHeight;
+
+    for (let ty = 0; ty < targetHeight; ty++) {
+        const y0 = Math.floor(ty * scaleY);
+        const y1 = Math.max(y0 + 1, Math.min(height, Math.floor((ty + 1) * scaleY)));
+        for (let tx = 0; tx < targetWidth; tx++) {
+            const x0 = Math.floor(tx * scaleX);
+            const x1 = Math.max(x0 + 1, Math.min(width, Math.floor((tx + 1) * scaleX)));
+
+            let r = 0;
+            let g = 0;
+            let b = 0;
+            let a = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    const alpha = data[i + 3];
+                    r += data[i] * alpha;
+                    g += data[i + 1] * alpha;
+                    b += data[i + 2] * alpha;
+                    a += alpha;
+                }
+            }
+
+            const o = (ty * targetWidth + tx) * 4;
+            const count = (y1 - y0) * (x1 - x0);
+            if (a > 0) {
+                out[o] = Math.round(r / a);
+                out[o + 1] = Math.round(g / a);
+                out[o + 2] = Math.round(b / a);
+            }
+            out[o + 3] = Math.round(a / count);
+        }
+    }
+
+    return { width: targetWidth, height: targetHeight, data: out };
+}
+
+/**
+ * Check whether any pixel is not fully opaque
+ */
+function hasTransparency(image) {
+    for (let i = 3; i < image.data.length; i += 4) {
+        if (image.data[i] !== 255) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Flatten RGBA pixels onto a white background for JPEG output
+ */
+function flattenOnWhite(image) {
+    const data = image.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3] / 255;
+        data[i] = Math.round(data[i] * alpha + 255 * (1 - alpha));
+        data[i + 1] = Math.round(data[i + 1] * alpha + 255 * (1 - alpha));
+        data[i + 2] = Math.round(data[i + 2] * alpha + 255 * (1 - alpha));
+        data[i + 3] = 255;
+    }
+    return image;
+}
+
+/**
+ * Generates and caches thumbnails for files under the app root or the media directory
+ */
+class ThumbnailService {
+    constructor(options = {}) {
+        this.cacheDir = path.resolve(options.cacheDir);
+        this.mediaDir = path.resolve(options.mediaDir);
+        this.rootDir = path.resolve(options.rootDir);
+        this.ffmpegPath = options.ffmpegPath || process.env.FFMPEG_PATH || 'ffmpeg';
+
+        this.hashCache = new Map();
+        this.pending = new Map();
+        this.ffmpegMissing = false;
+
+        fs.mkdirSync(this.cacheDir, { recursive: true });
+    }
+
+    /**
+     * Map an image `src` to a local file path
+     * `media/...` is served from the media directory; other relative paths from the app root
+     */
+    resolveSource(src) {
+        const raw = String(src || '').trim();
+        if (!raw) {
+            throw new GalleryStoreError('src is required', 'VALIDATION');
+        }
+        if (/^[a-z][a-z0-9+.-]*:/i.test(raw) || raw.startsWith('//')) {
+            throw new GalleryStoreError('Thumbnails are only generated for local files', 'VALIDATION');
+        }
+
+        let relative;
+        try {
+            relative = decodeURIComponent(raw.split(/[?#]/)[0].replace(/^\/+/, ''));
+        } catch (error) {
+            throw new GalleryStoreError(`Invalid src: ${raw}`, 'VALIDATION');
+        }
+
+        const mediaPrefix = `${MEDIA_URL_PATH}/`;
+        const baseDir = relative.startsWith(mediaPrefix) ? this.mediaDir : this.rootDir;
+        const filePath = path.resolve(baseDir, relative.startsWith(mediaPrefix) ? relative.slice(mediaPrefix.length) : relative);
+
+        if (!filePath.startsWith(baseDir + path.sep)) {
+            throw new GalleryStoreError(`Invalid src: ${raw}`, 'VALIDATION');
+        }
+        if (!fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+            throw new GalleryStoreError(`File not found: ${raw}`, 'FILE_NOT_FOUND');
+        }
+        return filePath;
+    }
+
+    /**
+     * SHA-256 of a file, remembered until its size or modification time changes
+     */
+    hashFile(filePath) {
+        const stats = fs.statSync(filePath);
+        const cached = this.hashCache.get(filePath);
+        if (cached && cached.size === stats.size && cached.mtimeMs === stats.mtimeMs) {
+            return Promise.resolve(cached.hash);
+        }
+
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fs.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('error', reject)
+                .on('end', () => {
+                    const digest = hash.digest('hex');
+                    this.hashCache.set(filePath, { size: stats.size, mtimeMs: stats.mtimeMs, hash: digest });
+                    resolve(digest);
+                });
+        });
+    }
+
+    /**
+     * Get a thumbnail for an image `src`, generating it on first request
+     * Returns { path, mimeType, cached }; `path` is the original file for formats served as is
+     */
+    async getThumbnail(src, requestedWidth) {
+        const width = snapWidth(requestedWidth);
+        const filePath = this.resolveSource(src);
+
+        const header = Buffer.alloc(64 * 1024);
+        const fd = fs.openSync(filePath, 'r');
+        let bytesRead;
+        try {
+            bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+        } finally {
+            fs.closeSync(fd);
+        }
+        const format = detectFormat(header.subarray(0, bytesRead));
+
+        if (!format) {
+            throw new GalleryStoreError(`Not a supported image or video: ${src}`, 'UNSUPPORTED_MEDIA');
+        }
+        if (PASSTHROUGH_FORMATS.includes(format)) {
+            return { path: filePath, mimeType: FORMATS[format].mimeType, cached: false };
+        }
+
+        const hash = await this.hashFile(filePath);
+        const isVideo = !['jpeg', 'png'].includes(format);
+
+        // A video poster has no alpha, and a PNG thumbnail only stays PNG if it has any
+        for (const extension of isVideo ? ['.jpg'] : ['.jpg', '.png']) {
+            const cachePath = path.join(this.cacheDir, `${hash}_${width}${extension}`);
+            if (fs.existsSync(cachePath)) {
+                return { path: cachePath, mimeType: extension === '.png' ? 'image/png' : 'image/jpeg', cached: true };
+            }
+        }
+
+        // Concurrent requests for the same thumbnail share one generation
+        const key = `${hash}_${width}`;
+        if (!this.pending.has(key)) {
+            const job = (isVideo ? this.createVideoPoster(filePath, key) : this.createImageThumbnail(filePath, format, width, key))
+                .finally(() => this.pending.delete(key));
+            this.pending.set(key, job);
+        }
+        return { ...(await this.pending.get(key)), cached: false };
+    }
+
+    /**
+     * Decode, orient, resize and encode a JPEG or PNG
+     */
+    async createImageThumbnail(filePath, format, width, key) {
+        const buffer = await fs.promises.readFile(filePath);
+        let image;
+        try {
+            image = format === 'jpeg'
+                ? jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: MAX_DECODE_MEGAPIXELS })
+                : PNG.sync.read(buffer);
+        } catch (error) {
+            throw new GalleryStoreError(`Could not decode image: ${error.message}`, 'INVALID_FILE');
+        }
+        image = { width: image.width, height: image.height, data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length) };
+
+        if (format === 'jpeg') {
+            image = applyOrientation(image, readJpegOrientation(buffer));
+        }
+        if (image.width > width) {
+            image = resizeImage(image, width, Math.max(1, Math.round(image.height * width / image.width)));
+        }
+
+        let output;
+        let extension;
+        if (format === 'png' && hasTransparency(image)) {
+            const png = new PNG({ width: image.width, height: image.height });
+            image.data.copy(png.data);
+            output = PNG.sync.write(png);
+            extension = '.png';
+        } else {
+            output = jpeg.encode(flattenOnWhite(image), JPEG_QUALITY).data;
+            extension = '.jpg';
+        }
+
+        const cachePath = path.join(this.cacheDir, `${key}${extension}`);
+        writeFileAtomic(cachePath, output);
+        return { path: cachePath, mimeType: extension === '.png' ? 'image/png' : 'image/jpeg' };
+    }
+
+    /**
+     * Extract one frame of a video with ffmpeg, scaled to the thumbnail width
+     */
+    async createVideoPoster(filePath, key) {
+        if (this.ffmpegMissing) {
+            throw new GalleryStoreError('Video posters need ffmpeg, which was not found', 'UNSUPPORTED_MEDIA');
+        }
+
+        const width = parseInt(key.split('_')[1], 10);
+        const cachePath = path.join(this.cacheDir, `${key}.jpg`);
+        const tempPath = `${cachePath}.${process.pid}.tmp.jpg`;
+
+        const runFfmpeg = seekArgs => new Promise((resolve, reject) => {
+            const args = ['-v', 'error', '-y', ...seekArgs, '-i', filePath, '-frames:v', '1',
+                '-vf', `scale='min(${width},iw)':-2`, '-q:v', '4', tempPath];
+            execFile(this.ffmpegPath, args, { timeout: FFMPEG_TIMEOUT_MS }, error => (error ? reject(error) : resolve()));
+        });
+
+        try {
+            // Skip the first second, which is often black; clips shorter than that use their first frame
+            await runFfmpeg(['-ss', '1']);
+            if (!fs.existsSync(tempPath) || fs.statSync(tempPath).size === 0) {
+                await runFfmpeg([]);
+            }
+        } catch (error) {
+            fs.rmSync(tempPath, { force: true });
+            if (error.code === 'ENOENT') {
+                this.ffmpegMissing = true;
+                throw new GalleryStoreError('Video posters need ffmpeg, which was not found', 'UNSUPPORTED_MEDIA');
+            }
+            throw new GalleryStoreError(`Could not extract a video frame: ${error.message.split('\n')[0]}`, 'INVALID_FILE');
+        }
+
+        if (!fs.existsSync(tempPath)) {
+            throw new GalleryStoreError('Could not extract a video frame', 'INVALID_FILE');
+        }
+        fs.renameSync(tempPath, cachePath);
+        return { path: cachePath, mimeType: 'image/jpeg' };
+    }
+}
+
+module.exports = {
+    THUMBNAIL_WIDTHS,
+    ThumbnailService,
+    snapWidth,
+    applyOrientation,
+    resizeImage
+};